@@ -0,0 +1,310 @@
+/**
+ * Admin Controller - Handles moderation and user administration
+ *
+ * This controller manages:
+ * - Listing all users and products (including inactive and hidden ones)
+ * - Deactivating and reactivating user accounts
+ * - Changing user roles (admins only)
+ * - Force-hiding products from public listings
+ *
+ * Every route is mounted under /api/admin and requires the
+ * moderator or admin role.
+ */
+
+const User = require('../models/User');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { notifyListingModerated } = require('../lib/notifications');
+const { broadcast, closeUserStreams } = require('../lib/realtime');
+
+/**
+ * Build the pagination block used in list responses
+ */
+const buildPagination = (page, limit, total, count) => {
+  const skip = (page - 1) * limit;
+  return {
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    total,
+    hasNext: skip + count < total,
+    hasPrev: page > 1
+  };
+};
+
+/**
+ * List Users
+ * GET /api/admin/users
+ *
+ * Lists every user with optional search, role and status filters
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, role, isActive } = req.query;
+
+    const query = {};
+    if (search) {
+      const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { username: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (isActive !== undefined) {
+      query.isActive = isActive === 'true';
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalUsers = await User.countDocuments(query);
+
+    res.json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: {
+        users,
+        pagination: buildPagination(parseInt(page), parseInt(limit), totalUsers, users.length)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Set User Status
+ * PUT /api/admin/users/:userId/status
+ *
+ * Deactivates or reactivates a user account. Deactivating hides the
+ * user's listings, like closing the account does; they stay hidden after a
+ * reactivation until the seller relists them. Moderators can only act on
+ * regular users; nobody can deactivate themselves.
+ */
+const setUserStatus = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { isActive } = req.body;
+
+    if (userId === req.user.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && user.role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change the status of staff accounts'
+      });
+    }
+
+    user.isActive = isActive;
+    await user.save();
+
+    const hidden = isActive ? [] : await Product.hideSellerListings(user._id);
+    if (!isActive) {
+      closeUserStreams(user._id);
+    }
+
+    res.json({
+      success: true,
+      message: isActive ? 'User reactivated successfully' : 'User deactivated successfully',
+      data: {
+        user,
+        hiddenProducts: hidden.length
+      }
+    });
+
+    if (hidden.length > 0) {
+      broadcast('product-status', { productIds: hidden.map(entry => entry.product), status: 'inactive' });
+      ProductHistory.recordMany(hidden, req.user.userId, 'hidden')
+        .catch(error => console.error('Product history error:', error));
+    }
+
+  } catch (error) {
+    console.error('Admin set user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Set User Role
+ * PUT /api/admin/users/:userId/role
+ *
+ * Changes a user's role (admins only)
+ */
+const setUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (userId === req.user.userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { role },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin set user role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * List Products
+ * GET /api/admin/products
+ *
+ * Lists every product, including inactive, sold and hidden ones
+ */
+const getProducts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, hidden, addedBy } = req.query;
+
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (hidden !== undefined) {
+      query['moderation.hidden'] = hidden === 'true' ? true : { $ne: true };
+    }
+    if (addedBy) {
+      query.addedBy = addedBy;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const products = await Product.find(query)
+      .populate('addedBy', 'username email isActive')
+      .populate('moderation.hiddenBy', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalProducts = await Product.countDocuments(query);
+
+    res.json({
+      success: true,
+      message: 'Products retrieved successfully',
+      data: {
+        products,
+        pagination: buildPagination(parseInt(page), parseInt(limit), totalProducts, products.length)
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Set Product Visibility
+ * PUT /api/admin/products/:productId/visibility
+ *
+ * Force-hides a product from public listings, or restores it. The seller
+ * is notified either way.
+ */
+const setProductVisibility = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { hidden, reason } = req.body;
+
+    const moderation = hidden
+      ? { hidden: true, hiddenBy: req.user.userId, hiddenAt: new Date(), reason }
+      : { hidden: false };
+
+    const product = await Product.findByIdAndUpdate(
+      productId,
+      { moderation },
+      { new: true }
+    ).populate('addedBy', 'username email');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: hidden ? 'Product hidden successfully' : 'Product restored successfully',
+      data: { product }
+    });
+
+    broadcast('product-status', { productIds: [product._id], status: hidden ? 'hidden' : product.status });
+    notifyListingModerated(product, hidden ? 'hidden' : 'restored', reason)
+      .catch(error => console.error('Moderation notification error:', error));
+
+  } catch (error) {
+    console.error('Admin set product visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  setUserStatus,
+  setUserRole,
+  getProducts,
+  setProductVisibility
+};
@@ -3,30 +3,58 @@
  * 
  * This controller manages:
  * - User registration (signup)
- * - User login
+ * - User login, with per-account lockout after repeated failures
  * - Password validation
- * - JWT token generation
+ * - Access/refresh token issuing, rotation and revocation
+ * - Email verification and password resets
+ * - Changing the password and closing the account
  * - User profile management
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const VerificationToken = require('../models/VerificationToken');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../lib/mailer');
+const {
+  generateAccessToken,
+  issueTokens,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser
+} = require('../lib/tokens');
+const { closeUserStreams } = require('../lib/realtime');
 
 /**
- * Generate JWT token for authenticated user
- * @param {Object} user - User object
- * @returns {String} JWT token
+ * Issue a verification token and email it. A mail failure is logged but
+ * doesn't fail the request; the user can ask for the email again.
  */
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      userId: user._id,
-      username: user.username,
-      email: user.email 
-    },
-    process.env.JWT_SECRET || 'MYKEY',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-  );
+const startEmailVerification = async (user) => {
+  try {
+    const token = await VerificationToken.issue(user._id, 'email-verification');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
+};
+
+/**
+ * Send the 423 response for a locked account
+ */
+const sendLocked = (res, user) => {
+  const retryAfter = user.lockRemainingSeconds();
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    message: 'Too many failed login attempts. Account is temporarily locked.',
+    code: 'ACCOUNT_LOCKED',
+    data: {
+      retryAfter,
+      lockUntil: user.lockUntil
+    }
+  });
 };
 
 /**
@@ -60,8 +88,11 @@ const signup = async (req, res) => {
     // Save user to database
     const savedUser = await newUser.save();
 
-    // Generate JWT token
-    const token = generateToken(savedUser);
+    // Email the verification link
+    await startEmailVerification(savedUser);
+
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueTokens(savedUser, req);
 
     // Return success response
     res.status(201).json({
@@ -69,7 +100,8 @@ const signup = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: savedUser,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -133,22 +165,34 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse before checking the password so a locked account can't be probed
+    if (user.isLocked()) {
+      return sendLocked(res, user);
+    }
+
     // Compare password
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+
+      if (user.isLocked()) {
+        return sendLocked(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last login
+    // Update last login and clear failed attempts
     user.lastLogin = new Date();
+    user.resetLoginAttempts();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Issue access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     // Return success response
     res.json({
@@ -156,7 +200,8 @@ const login = async (req, res) => {
       message: 'Login successful',
       data: {
         user,
-        token
+        token,
+        refreshToken
       }
     });
 
@@ -170,6 +215,467 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Refresh Access Token
+ * POST /api/auth/refresh
+ * 
+ * Exchanges a refresh token for a new access token and a rotated refresh
+ * token. Presenting an already-rotated token revokes the whole session.
+ */
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const record = await findRefreshToken(refreshToken);
+
+    if (!record) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    // A revoked token being replayed means it leaked; kill the session
+    if (record.revokedAt) {
+      await revokeFamily(record.family);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has been revoked'
+      });
+    }
+
+    if (!record.isUsable()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has expired'
+      });
+    }
+
+    const user = await User.findById(record.user);
+
+    if (!user || !user.isActive) {
+      await revokeFamily(record.family);
+      return res.status(401).json({
+        success: false,
+        message: 'User account is deactivated'
+      });
+    }
+
+    const newRefreshToken = await rotateRefreshToken(record, user, req);
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: generateAccessToken(user),
+        refreshToken: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Logout
+ * POST /api/auth/logout
+ * 
+ * Revokes the given refresh token's session. Works with an expired
+ * access token, so no authentication is required.
+ */
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const record = await findRefreshToken(refreshToken);
+    if (record) {
+      await revokeFamily(record.family);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Logout All Devices
+ * POST /api/auth/logout-all
+ * 
+ * Revokes every refresh token and invalidates every access token
+ * issued to the current user
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await revokeAllForUser(userId);
+    closeUserStreams(userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Verify Email
+ * POST /api/auth/verify-email
+ * 
+ * Redeems the token from the verification email and marks the
+ * address as verified
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const record = await VerificationToken.consume(token, 'email-verification');
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      record.user,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Resend Verification Email
+ * POST /api/auth/resend-verification
+ * 
+ * Sends a fresh verification link to the current user. Any earlier
+ * link stops working.
+ */
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = await VerificationToken.issue(user._id, 'email-verification');
+    await sendVerificationEmail(user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Forgot Password
+ * POST /api/auth/forgot-password
+ * 
+ * Emails a password reset link. Always responds the same way so the
+ * endpoint can't be used to find out which emails are registered.
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user && user.isActive) {
+      const token = await VerificationToken.issue(user._id, 'password-reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Reset Password
+ * POST /api/auth/reset-password
+ * 
+ * Sets a new password using the token from the reset email, then signs
+ * the user out everywhere
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const record = await VerificationToken.consume(token, 'password-reset');
+
+    if (!record) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(record.user);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password; // Will be hashed by the pre-save middleware
+    user.passwordChangedAt = new Date();
+    user.tokenVersion += 1;
+    user.resetLoginAttempts();
+
+    // Following the emailed link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+    await revokeAllForUser(user._id);
+    closeUserStreams(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Change Password
+ * PUT /api/auth/password
+ * 
+ * Changes the password after checking the current one. Every existing
+ * session is revoked and this client gets a fresh token pair.
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+
+    if (!isPasswordValid) {
+      // 400, not 401: the session is fine, and the client would refresh it
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    user.password = newPassword; // Will be hashed by the pre-save middleware
+    user.passwordChangedAt = new Date();
+    user.tokenVersion += 1;
+    await user.save();
+
+    await revokeAllForUser(user._id);
+    closeUserStreams(user._id);
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Delete Account
+ * DELETE /api/auth/account
+ * 
+ * Closes the current user's account. The user is soft-deactivated and
+ * signed out everywhere, their active listings are taken down and their
+ * likes are removed from other products.
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+password');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      // 400, not 401: the session is fine, and the client would refresh it
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Take back this user's likes before clearing the list
+    if (user.likedProducts.length > 0) {
+      await Product.updateMany(
+        { _id: { $in: user.likedProducts }, likesCount: { $gt: 0 } },
+        { $inc: { likesCount: -1 } }
+      );
+    }
+
+    const hidden = await Product.hideSellerListings(user._id);
+
+    user.likedProducts = [];
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.tokenVersion += 1;
+    await user.save();
+
+    await revokeAllForUser(user._id);
+    closeUserStreams(user._id);
+
+    res.json({
+      success: true,
+      message: 'Account closed successfully',
+      data: {
+        hiddenProducts: hidden.length
+      }
+    });
+
+    ProductHistory.recordMany(hidden, user._id, 'hidden')
+      .catch(error => console.error('Product history error:', error));
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
 /**
  * Get User Profile
  * GET /api/auth/profile
@@ -206,22 +712,41 @@ const getProfile = async (req, res) => {
   }
 };
 
+// Fields a user can change on their own account (see profileUpdateSchema);
+// everything else (role, rating, tokens, lockout state...) is server-managed
+const PROFILE_FIELDS = ['username', 'email', 'mobile'];
+const PROFILE_DETAIL_FIELDS = ['firstName', 'lastName', 'bio'];
+
 /**
  * Update User Profile
  * PUT /api/auth/profile
  * 
- * Updates current user's profile information
+ * Updates current user's profile information. Only PROFILE_FIELDS and the
+ * profile details can change; any other field in the body is ignored.
  */
 const updateProfile = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const updates = req.body;
+    const updates = {};
+    PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    // Set profile fields one by one so the ones not sent are kept
+    PROFILE_DETAIL_FIELDS.forEach((field) => {
+      if (req.body.profile?.[field] !== undefined) {
+        updates[`profile.${field}`] = req.body.profile[field];
+      }
+    });
 
-    // Remove sensitive fields that shouldn't be updated directly
-    delete updates.password;
-    delete updates._id;
-    delete updates.createdAt;
-    delete updates.updatedAt;
+    // A new email address has to be verified again
+    const current = await User.findById(userId);
+    const emailChanged = current && updates.email && updates.email !== current.email;
+    if (emailChanged) {
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
 
     const user = await User.findByIdAndUpdate(
       userId,
@@ -239,6 +764,10 @@ const updateProfile = async (req, res) => {
       });
     }
 
+    if (emailChanged) {
+      await startEmailVerification(user);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -269,13 +798,14 @@ const updateProfile = async (req, res) => {
  * Get User by ID
  * GET /api/auth/user/:userId
  * 
- * Returns public user information by ID
+ * Returns public user information by ID, including their seller rating
  */
 const getUserById = async (req, res) => {
   try {
     const { userId } = req.params;
 
-    const user = await User.findById(userId);
+    // Only expose public fields; email and mobile stay private
+    const user = await User.findById(userId).select('username profile rating createdAt');
     
     if (!user) {
       return res.status(404).json({
@@ -303,6 +833,15 @@ const getUserById = async (req, res) => {
 module.exports = {
   signup,
   login,
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  deleteAccount,
   getProfile,
   updateProfile,
   getUserById
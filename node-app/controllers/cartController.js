@@ -0,0 +1,231 @@
+/**
+ * Cart Controller - Handles the authenticated user's persisted cart
+ *
+ * This controller manages:
+ * - Retrieving the cart with product details
+ * - Adding and removing listings
+ * - Replacing the whole cart (used to sync a local cart after login)
+ * - Clearing the cart
+ */
+
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+
+/**
+ * Populate a cart and shape it for the API response
+ * Items whose product has been deleted are dropped.
+ * @param {Object} cart - Cart document
+ * @returns {Object} { items, totalAmount, itemCount }
+ */
+const formatCart = async (cart) => {
+  await cart.populate('items.product', 'pname pimage pimageVariants price status category condition addedBy');
+
+  const items = cart.items.filter(item => item.product);
+  const totalAmount = items.reduce((total, item) => total + (item.product.price * item.quantity), 0);
+
+  return {
+    items,
+    totalAmount,
+    itemCount: items.length
+  };
+};
+
+/**
+ * Check whether a product can be put in the user's cart
+ * @returns {String|null} Reason the product cannot be added, or null
+ */
+const cartBlocker = (product, userId) => {
+  if (!product) {
+    return 'Product not found';
+  }
+  if (product.addedBy.toString() === userId.toString()) {
+    return 'You cannot add your own product to the cart';
+  }
+  if (!product.isAvailableTo(userId)) {
+    return product.status === 'reserved'
+      ? 'This product is reserved for another buyer'
+      : 'This product is no longer available';
+  }
+  return null;
+};
+
+/**
+ * Get Cart
+ * GET /api/cart
+ *
+ * Returns the authenticated user's cart
+ */
+const getCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Cart retrieved successfully',
+      data: { cart: await formatCart(cart) }
+    });
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Add Cart Item
+ * POST /api/cart/items
+ *
+ * Adds an active listing to the cart (no-op if it is already there)
+ */
+const addCartItem = async (req, res) => {
+  try {
+    const { productId } = req.body;
+    const userId = req.user.userId;
+
+    const product = await Product.findOne(Product.visibleQuery({ _id: productId }));
+    const blocker = cartBlocker(product, userId);
+    if (blocker) {
+      return res.status(product ? 400 : 404).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    const cart = await Cart.findOrCreate(userId);
+    if (!cart.hasProduct(productId)) {
+      cart.items.push({ product: productId });
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Product added to cart',
+      data: { cart: await formatCart(cart) }
+    });
+
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Replace Cart
+ * PUT /api/cart
+ *
+ * Replaces the cart contents with the given product IDs. Listings that
+ * can no longer be bought are skipped and reported back.
+ */
+const replaceCart = async (req, res) => {
+  try {
+    const { items } = req.body;
+    const userId = req.user.userId;
+
+    const productIds = [...new Set(items.map(item => item.productId))];
+    const products = await Product.find(Product.visibleQuery({ _id: { $in: productIds } }));
+
+    const skipped = [];
+    const accepted = [];
+    productIds.forEach((productId) => {
+      const product = products.find(p => p._id.toString() === productId);
+      const blocker = cartBlocker(product, userId);
+      if (blocker) {
+        skipped.push({ productId, reason: blocker });
+      } else {
+        accepted.push({ product: productId });
+      }
+    });
+
+    const cart = await Cart.findOrCreate(userId);
+    cart.items = accepted;
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart updated successfully',
+      data: { cart: await formatCart(cart), skipped }
+    });
+
+  } catch (error) {
+    console.error('Replace cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Remove Cart Item
+ * DELETE /api/cart/items/:productId
+ *
+ * Removes a listing from the cart
+ */
+const removeCartItem = async (req, res) => {
+  try {
+    const { productId } = req.params;
+
+    const cart = await Cart.findOrCreate(req.user.userId);
+    cart.removeProducts([productId]);
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Product removed from cart',
+      data: { cart: await formatCart(cart) }
+    });
+
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Clear Cart
+ * DELETE /api/cart
+ *
+ * Removes every item from the cart
+ */
+const clearCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOrCreate(req.user.userId);
+    cart.items = [];
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart cleared successfully',
+      data: { cart: await formatCart(cart) }
+    });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  getCart,
+  addCartItem,
+  replaceCart,
+  removeCartItem,
+  clearCart
+};
@@ -0,0 +1,76 @@
+/**
+ * Event Controller - Handles the realtime event stream
+ *
+ * This controller manages:
+ * - Issuing single-use tickets for opening the stream
+ * - Opening a Server-Sent Events stream for the ticket's user
+ *
+ * Events themselves are sent from other controllers through lib/realtime.js.
+ */
+
+const User = require('../models/User');
+const { openStream } = require('../lib/realtime');
+const { issueStreamTicket } = require('../lib/tokens');
+
+/**
+ * Create Stream Ticket
+ * POST /api/events/ticket
+ *
+ * Returns a short-lived, single-use ticket for GET /api/events. EventSource
+ * can't send an Authorization header, so the stream URL carries this
+ * ticket instead of the access token.
+ */
+const createStreamTicket = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stream ticket issued',
+      data: issueStreamTicket(user)
+    });
+
+  } catch (error) {
+    console.error('Create stream ticket error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Stream Events
+ * GET /api/events?ticket=...
+ *
+ * Keeps the connection open and pushes notifications and product updates
+ * as they happen. The ticket comes from POST /api/events/ticket and is
+ * spent when the stream opens.
+ */
+const streamEvents = (req, res) => {
+  try {
+    openStream(req, res);
+  } catch (error) {
+    console.error('Open event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+      });
+    }
+  }
+};
+
+module.exports = {
+  createStreamTicket,
+  streamEvents
+};
@@ -0,0 +1,347 @@
+/**
+ * Message Controller - Handles buyer–seller messaging
+ *
+ * This controller manages:
+ * - Starting a conversation about a product
+ * - Listing the authenticated user's inbox
+ * - Paging through and sending messages in a thread
+ * - Marking a thread as read
+ *
+ * Buyers reach sellers through these routes instead of the seller's
+ * phone number or email address.
+ */
+
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Product = require('../models/Product');
+const { notifyNewMessage } = require('../lib/notifications');
+
+/**
+ * Store a message and update the conversation preview and unread counter
+ * @param {Object} conversation - Conversation document
+ * @param {String} senderId - ID of the user sending the message
+ * @param {String} text - Message body
+ * @returns {Object} Saved message
+ */
+const appendMessage = async (conversation, senderId, text) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    text
+  });
+
+  // The other participant gets one more unread message
+  const recipientRole = conversation.roleOf(senderId) === 'buyer' ? 'seller' : 'buyer';
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    {
+      $set: {
+        lastMessage: {
+          text: message.text,
+          sender: message.sender,
+          createdAt: message.createdAt
+        },
+        lastMessageAt: message.createdAt
+      },
+      $inc: { [`unreadCounts.${recipientRole}`]: 1 }
+    }
+  );
+
+  return message;
+};
+
+/**
+ * Load a conversation and make sure the user takes part in it
+ * @returns {Object} { conversation } or { status, message } on failure
+ */
+const findConversationForUser = async (conversationId, userId) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    return { status: 404, message: 'Conversation not found' };
+  }
+
+  if (!conversation.isParticipant(userId)) {
+    return { status: 403, message: 'You do not have access to this conversation' };
+  }
+
+  return { conversation };
+};
+
+/**
+ * Start Conversation
+ * POST /api/conversations
+ *
+ * Opens (or reuses) the buyer's thread with the seller of a visible
+ * product that is active or held for this buyer, and optionally sends a
+ * first message
+ */
+const startConversation = async (req, res) => {
+  try {
+    const { productId, text } = req.body;
+    const buyerId = req.user.userId;
+
+    const product = await Product.findOne(Product.visibleQuery({ _id: productId }));
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.addedBy.toString() === buyerId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot start a conversation about your own product'
+      });
+    }
+
+    if (!product.isAvailableTo(buyerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This product is no longer available'
+      });
+    }
+
+    const key = { product: product._id, buyer: buyerId, seller: product.addedBy };
+
+    // Reuse the existing thread for this product if there is one
+    const conversation = await Conversation.findOneAndUpdate(
+      key,
+      { $setOnInsert: key },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    let message = null;
+    if (text) {
+      message = await appendMessage(conversation, buyerId, text);
+    }
+
+    const populated = await Conversation.findById(conversation._id)
+      .populate('product', 'pname pimage pimageVariants price status')
+      .populate('buyer', 'username')
+      .populate('seller', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: 'Conversation started successfully',
+      data: { conversation: populated, message }
+    });
+
+    if (message) {
+      notifyNewMessage(conversation, message, req.user.username)
+        .catch(error => console.error('Message notification error:', error));
+    }
+
+  } catch (error) {
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Inbox
+ * GET /api/conversations
+ *
+ * Lists the authenticated user's conversations, most recent activity first
+ */
+const getConversations = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const conversations = await Conversation.getInbox(userId)
+      .populate('product', 'pname pimage pimageVariants price status')
+      .populate('buyer', 'username')
+      .populate('seller', 'username');
+
+    let totalUnread = 0;
+    const inbox = conversations.map((conversation) => {
+      const role = conversation.roleOf(userId);
+      const unreadCount = conversation.unreadCounts[role];
+      totalUnread += unreadCount;
+
+      return {
+        ...conversation.toJSON(),
+        role,
+        unreadCount
+      };
+    });
+
+    res.json({
+      success: true,
+      message: 'Conversations retrieved successfully',
+      data: {
+        conversations: inbox,
+        totalUnread
+      }
+    });
+
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Messages
+ * GET /api/conversations/:conversationId/messages
+ *
+ * Pages through a conversation's messages, newest first
+ */
+const getMessages = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { page = 1, limit = 30 } = req.query;
+    const userId = req.user.userId;
+
+    const { conversation, status, message } = await findConversationForUser(conversationId, userId);
+    if (!conversation) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const messages = await Message.find({ conversation: conversation._id })
+      .populate('sender', 'username')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const totalMessages = await Message.countDocuments({ conversation: conversation._id });
+
+    res.json({
+      success: true,
+      message: 'Messages retrieved successfully',
+      data: {
+        messages,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalMessages / parseInt(limit)),
+          totalMessages,
+          hasNext: skip + messages.length < totalMessages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Send Message
+ * POST /api/conversations/:conversationId/messages
+ *
+ * Adds a message to a conversation the user takes part in
+ */
+const sendMessage = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { text } = req.body;
+    const userId = req.user.userId;
+
+    const { conversation, status, message } = await findConversationForUser(conversationId, userId);
+    if (!conversation) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const savedMessage = await appendMessage(conversation, userId, text);
+    await savedMessage.populate('sender', 'username');
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent successfully',
+      data: { message: savedMessage }
+    });
+
+    notifyNewMessage(conversation, savedMessage, req.user.username)
+      .catch(error => console.error('Message notification error:', error));
+
+  } catch (error) {
+    console.error('Send message error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Mark Conversation as Read
+ * PUT /api/conversations/:conversationId/read
+ *
+ * Marks every message from the other participant as read
+ */
+const markConversationRead = async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const userId = req.user.userId;
+
+    const { conversation, status, message } = await findConversationForUser(conversationId, userId);
+    if (!conversation) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    // Atomic, so a message sent meanwhile keeps its $inc (see appendMessage);
+    // only messages up to now are marked read
+    const readAt = new Date();
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $set: { [`unreadCounts.${conversation.roleOf(userId)}`]: 0 } }
+    );
+
+    const result = await Message.updateMany(
+      { conversation: conversation._id, sender: { $ne: userId }, readAt: null, createdAt: { $lte: readAt } },
+      { $set: { readAt } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: { markedCount: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  startConversation,
+  getConversations,
+  getMessages,
+  sendMessage,
+  markConversationRead
+};
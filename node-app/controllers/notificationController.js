@@ -0,0 +1,170 @@
+/**
+ * Notification Controller - Handles the in-app notification center
+ *
+ * This controller manages:
+ * - Listing the authenticated user's notifications, newest first
+ * - The unread count shown on the header bell
+ * - Marking one or all notifications as read
+ *
+ * Notifications are created by other controllers (see lib/notifications.js).
+ */
+
+const Notification = require('../models/Notification');
+
+/**
+ * Get Notifications
+ * GET /api/notifications
+ *
+ * Lists the user's notifications, newest first, with the unread count.
+ * `unread=true` returns only unread ones.
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const query = { user: userId };
+    if (unread === 'true') {
+      query.readAt = null;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('actor', 'username'),
+      Notification.countDocuments(query),
+      Notification.countDocuments({ user: userId, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNext: skip + notifications.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Unread Count
+ * GET /api/notifications/unread-count
+ *
+ * Returns how many of the user's notifications are unread
+ */
+const getUnreadCount = async (req, res) => {
+  try {
+    const unreadCount = await Notification.countDocuments({ user: req.user.userId, readAt: null });
+
+    res.json({
+      success: true,
+      message: 'Unread count retrieved successfully',
+      data: { unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Mark Notification as Read
+ * PUT /api/notifications/:notificationId/read
+ *
+ * Marks one of the user's notifications as read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.notificationId,
+      user: req.user.userId
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: { notification }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Mark All Notifications as Read
+ * PUT /api/notifications/read-all
+ *
+ * Marks every unread notification of the user as read
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { markedCount: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,454 @@
+/**
+ * Offer Controller - Handles price offers and negotiation
+ *
+ * This controller manages:
+ * - Making and withdrawing offers (buyers)
+ * - Accepting, rejecting and countering offers (sellers)
+ * - Accepting a seller's counter-offer (buyers)
+ * - Listing the offers a user made or received
+ *
+ * Accepting an offer creates a pending order at the agreed price that
+ * reserves the listing for the buyer (completed through /api/orders), and
+ * rejects every other open offer on the listing.
+ */
+
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { notifyOfferReceived, notifyOfferUpdate } = require('../lib/notifications');
+
+// How long an accepted offer holds the listing for the buyer (hours)
+const OFFER_RESERVATION_HOURS = parseInt(process.env.OFFER_RESERVATION_HOURS) || 24;
+
+/**
+ * Log a failed offer notification; it never fails the request
+ */
+const logNotifyError = (error) => console.error('Offer notification error:', error);
+
+/**
+ * Send the 400 response for an offer that can't take the requested action
+ */
+const sendNotOpen = (res, offer, expectedStatus) => {
+  const expired = offer.status === expectedStatus && offer.expiresAt <= new Date();
+
+  return res.status(400).json({
+    success: false,
+    message: expired ? 'This offer has expired' : `This offer is ${offer.status}`
+  });
+};
+
+/**
+ * Make Offer
+ * POST /api/products/:productId/offers
+ *
+ * Offers a price for an active listing, or one its seller is holding for
+ * this buyer. A buyer can have one open offer per listing at a time.
+ */
+const makeOffer = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const buyerId = req.user.userId;
+    const { amount, message } = req.body;
+
+    const product = await Product.findOne(Product.visibleQuery({ _id: productId }));
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.addedBy.toString() === buyerId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot make an offer on your own product'
+      });
+    }
+
+    if (!product.isAvailableTo(buyerId)) {
+      return res.status(400).json({
+        success: false,
+        message: `Product is ${product.status}`
+      });
+    }
+
+    await Offer.expireStale({ product: product._id, buyer: buyerId });
+    const hasOpenOffer = await Offer.exists({
+      product: product._id,
+      buyer: buyerId,
+      status: { $in: Offer.OPEN_STATUSES }
+    });
+    if (hasOpenOffer) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open offer on this product. Withdraw it to make a new one.'
+      });
+    }
+
+    const offer = await Offer.create({
+      product: product._id,
+      buyer: buyerId,
+      seller: product.addedBy,
+      amount,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer sent successfully',
+      data: { offer }
+    });
+
+    notifyOfferReceived(offer, product, req.user.username).catch(logNotifyError);
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    console.error('Make offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Offers
+ * GET /api/offers?role=buyer|seller&status=&productId=
+ *
+ * Lists the offers the user made (default) or received on their listings,
+ * newest first. status=open returns pending and countered offers.
+ */
+const getOffers = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { role = 'buyer', status, productId } = req.query;
+
+    const query = role === 'seller' ? { seller: userId } : { buyer: userId };
+    if (productId) {
+      query.product = productId;
+    }
+
+    await Offer.expireStale(query);
+
+    if (status === 'open') {
+      query.status = { $in: Offer.OPEN_STATUSES };
+    } else if (status) {
+      query.status = status;
+    }
+
+    const offers = await Offer.find(query)
+      .populate('product', 'pname price pimage status')
+      .populate('buyer', 'username')
+      .populate('seller', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Offers retrieved successfully',
+      data: { offers }
+    });
+
+  } catch (error) {
+    console.error('Get offers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Withdraw Offer
+ * POST /api/offers/:offerId/withdraw
+ *
+ * Withdraws an open offer (only by the buyer who made it)
+ */
+const withdrawOffer = async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (offer.buyer.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the buyer can withdraw this offer'
+      });
+    }
+
+    const withdrawn = await Offer.transition(offer._id, Offer.OPEN_STATUSES, { status: 'withdrawn' });
+    if (!withdrawn) {
+      return sendNotOpen(res, offer, offer.status);
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer withdrawn',
+      data: { offer: withdrawn }
+    });
+
+  } catch (error) {
+    console.error('Withdraw offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Accept Offer
+ * POST /api/offers/:offerId/accept
+ *
+ * The seller accepts a pending offer, or the buyer accepts the seller's
+ * counter-offer. The listing must be active, or held by its seller for the
+ * offer's buyer. Creates a pending order at the agreed price that reserves
+ * the listing for OFFER_RESERVATION_HOURS, and rejects the other open
+ * offers on the listing.
+ */
+const acceptOffer = async (req, res) => {
+  try {
+    const userId = req.user.userId.toString();
+
+    const offer = await Offer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    const isSeller = offer.seller.toString() === userId;
+    if (!isSeller && offer.buyer.toString() !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only answer offers on your own listings or to your own offers'
+      });
+    }
+
+    // Sellers accept offers; buyers accept counter-offers
+    const expectedStatus = isSeller ? 'pending' : 'countered';
+    if (offer.status !== expectedStatus || offer.expiresAt <= new Date()) {
+      return sendNotOpen(res, offer, expectedStatus);
+    }
+
+    const product = await Product.findOne(Product.visibleQuery({ _id: offer.product }));
+    if (!product || !product.isAvailableTo(offer.buyer)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This listing is no longer available'
+      });
+    }
+
+    const amount = offer.agreedAmount();
+    const reservedUntil = new Date(Date.now() + OFFER_RESERVATION_HOURS * 60 * 60 * 1000);
+    const order = new Order({
+      buyer: offer.buyer,
+      items: [{
+        product: product._id,
+        seller: product.addedBy,
+        pname: product.pname,
+        price: amount,
+        quantity: 1
+      }],
+      totalAmount: amount,
+      reservedUntil,
+      offer: offer._id
+    });
+
+    const reserved = await Product.reserveForOrder(product._id, order._id, reservedUntil, offer.buyer);
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This listing is reserved by another buyer'
+      });
+    }
+
+    const accepted = await Offer.transition(offer._id, [expectedStatus], { status: 'accepted', order: order._id });
+    if (!accepted) {
+      // Withdrawn, answered or expired meanwhile
+      await Product.releaseReservation([product._id], order._id);
+      return res.status(409).json({
+        success: false,
+        message: 'This offer can no longer be accepted'
+      });
+    }
+
+    await order.save();
+
+    // The listing is promised to this buyer; turn down everyone else
+    const otherOffers = await Offer.find({
+      product: product._id,
+      _id: { $ne: offer._id },
+      status: { $in: Offer.OPEN_STATUSES }
+    });
+    await Offer.updateMany(
+      { _id: { $in: otherOffers.map(other => other._id) }, status: { $in: Offer.OPEN_STATUSES } },
+      { $set: { status: 'rejected', respondedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Offer accepted. The listing is reserved for the buyer.',
+      data: { offer: accepted, order }
+    });
+
+    ProductHistory.record(product._id, userId, 'reserved', ProductHistory.diff(product, reserved, Product.RESERVATION_FIELDS))
+      .catch(error => console.error('Product history error:', error));
+    notifyOfferUpdate(accepted, product, isSeller ? 'accepted' : 'counter-accepted').catch(logNotifyError);
+    otherOffers.forEach(other => notifyOfferUpdate(other, product, 'rejected').catch(logNotifyError));
+
+  } catch (error) {
+    console.error('Accept offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Reject Offer
+ * POST /api/offers/:offerId/reject
+ *
+ * Declines a pending offer (only by the seller)
+ */
+const rejectOffer = async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (offer.seller.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can reject this offer'
+      });
+    }
+
+    const product = await Product.findById(offer.product).select('pname');
+
+    const rejected = await Offer.transition(offer._id, ['pending'], { status: 'rejected' });
+    if (!rejected) {
+      return sendNotOpen(res, offer, 'pending');
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer rejected',
+      data: { offer: rejected }
+    });
+
+    if (product) {
+      notifyOfferUpdate(rejected, product, 'rejected').catch(logNotifyError);
+    }
+
+  } catch (error) {
+    console.error('Reject offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Counter Offer
+ * POST /api/offers/:offerId/counter
+ *
+ * Answers a pending offer with another price (only by the seller). The
+ * buyer then has OFFER_EXPIRY_HOURS to accept it.
+ */
+const counterOffer = async (req, res) => {
+  try {
+    const { amount, message } = req.body;
+
+    const offer = await Offer.findById(req.params.offerId);
+
+    if (!offer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    if (offer.seller.toString() !== req.user.userId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the seller can counter this offer'
+      });
+    }
+
+    if (amount === offer.amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'A counter-offer needs a different amount; accept the offer instead'
+      });
+    }
+
+    const product = await Product.findById(offer.product).select('pname');
+
+    const countered = await Offer.transition(offer._id, ['pending'], {
+      status: 'countered',
+      counterAmount: amount,
+      counterMessage: message,
+      expiresAt: new Date(Date.now() + Offer.OFFER_EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+    if (!countered) {
+      return sendNotOpen(res, offer, 'pending');
+    }
+
+    res.json({
+      success: true,
+      message: 'Counter-offer sent',
+      data: { offer: countered }
+    });
+
+    if (product) {
+      notifyOfferUpdate(countered, product, 'countered').catch(logNotifyError);
+    }
+
+  } catch (error) {
+    console.error('Counter offer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  makeOffer,
+  getOffers,
+  withdrawOffer,
+  acceptOffer,
+  rejectOffer,
+  counterOffer
+};
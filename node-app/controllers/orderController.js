@@ -0,0 +1,398 @@
+/**
+ * Order Controller - Handles checkout and order lifecycle
+ *
+ * This controller manages:
+ * - Creating an order from the cart (reserving every listing)
+ * - Listing a user's purchases or sales
+ * - Confirming an order; once the buyer and every seller confirmed, it is
+ *   completed and its listings become sold
+ * - Cancelling an order (reservations are released)
+ */
+
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { broadcast } = require('../lib/realtime');
+
+// How long listings stay reserved for a pending order
+const RESERVATION_MINUTES = parseInt(process.env.ORDER_RESERVATION_MINUTES) || 30;
+/**
+ * Create Order
+ * POST /api/orders
+ *
+ * Checks out the cart (or the given subset of it). Every listing must be
+ * visible, active (or reserved by the seller for this buyer) and not held
+ * by another order; otherwise nothing is reserved.
+ */
+const createOrder = async (req, res) => {
+  try {
+    const buyerId = req.user.userId;
+    const { productIds: requestedIds } = req.body;
+
+    const cart = await Cart.findOne({ user: buyerId });
+    const cartIds = cart ? cart.items.map(item => item.product.toString()) : [];
+    const productIds = requestedIds
+      ? cartIds.filter(id => requestedIds.includes(id))
+      : cartIds;
+
+    if (productIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Reject inactive, sold, hidden, missing or own listings up front
+    const products = await Product.find(Product.visibleQuery({ _id: { $in: productIds } }));
+    const errors = [];
+    productIds.forEach((productId) => {
+      const product = products.find(p => p._id.toString() === productId);
+      if (!product) {
+        errors.push({ productId, reason: 'Product not found' });
+      } else if (!product.isAvailableTo(buyerId)) {
+        errors.push({ productId, reason: `Product is ${product.status}` });
+      } else if (product.addedBy.toString() === buyerId.toString()) {
+        errors.push({ productId, reason: 'You cannot buy your own product' });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some items in your cart can no longer be ordered',
+        errors
+      });
+    }
+
+    const reservedUntil = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+    const order = new Order({
+      buyer: buyerId,
+      items: products.map(product => ({
+        product: product._id,
+        seller: product.addedBy,
+        pname: product.pname,
+        price: product.price,
+        quantity: 1
+      })),
+      totalAmount: products.reduce((total, product) => total + product.price, 0),
+      reservedUntil
+    });
+
+    // Reserve every listing; roll back if any is already held
+    const reserved = [];
+    for (const product of products) {
+      const result = await Product.reserveForOrder(product._id, order._id, reservedUntil, buyerId);
+      if (!result) {
+        await Product.releaseReservation(reserved.map(held => held._id), order._id);
+        return res.status(409).json({
+          success: false,
+          message: 'One or more items are reserved by another buyer',
+          errors: [{ productId: product._id.toString(), reason: 'Product is reserved' }]
+        });
+      }
+      reserved.push(result);
+    }
+
+    await order.save();
+
+    // Ordered items leave the cart
+    cart.removeProducts(productIds);
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: { order }
+    });
+
+    ProductHistory.recordMany(products.map((product, index) => ({
+      product: product._id,
+      changes: ProductHistory.diff(product, reserved[index], Product.RESERVATION_FIELDS)
+    })), buyerId, 'reserved')
+      .catch(error => console.error('Product history error:', error));
+
+  } catch (error) {
+    console.error('Create order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Orders
+ * GET /api/orders?role=buyer|seller
+ *
+ * Lists the user's purchases (default) or sales
+ */
+const getOrders = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { role = 'buyer', status } = req.query;
+
+    const query = role === 'seller' ? { 'items.seller': userId } : { buyer: userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const orders = await Order.find(query)
+      .populate('buyer', 'username')
+      .populate('items.seller', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Orders retrieved successfully',
+      data: { orders }
+    });
+
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Order by ID
+ * GET /api/orders/:orderId
+ *
+ * Returns an order to its buyer or to one of its sellers
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.involves(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this order'
+      });
+    }
+
+    await order.populate('buyer', 'username');
+    await order.populate('items.seller', 'username');
+
+    res.json({
+      success: true,
+      message: 'Order retrieved successfully',
+      data: { order }
+    });
+
+  } catch (error) {
+    console.error('Get order by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Complete Order
+ * POST /api/orders/:orderId/complete
+ *
+ * Confirms a pending order for the buyer or for the seller of some of its
+ * items. The order only completes, and its listings only become sold, once
+ * the buyer and every seller have confirmed; until then either side can
+ * still cancel it.
+ */
+const completeOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.userId;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.involves(userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this order'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${order.status}`
+      });
+    }
+
+    // Every listing must still be held by this order
+    const productIds = order.productIds();
+    const held = await Product.find({
+      _id: { $in: productIds },
+      status: { $in: ['active', 'reserved'] },
+      'reservation.order': order._id
+    }).select('status reservedFor reservedUntil');
+
+    if (held.length !== productIds.length) {
+      await Product.releaseReservation(productIds, order._id);
+      order.status = 'cancelled';
+      order.cancelledAt = new Date();
+      await order.save();
+
+      return res.status(409).json({
+        success: false,
+        message: 'The reservation expired and some items are no longer available'
+      });
+    }
+
+    const asBuyer = order.buyer.toString() === userId.toString() && !order.buyerConfirmedAt;
+    const asSeller = order.items.some(item =>
+      item.seller.toString() === userId.toString() && !item.sellerConfirmedAt
+    );
+    const confirmed = asBuyer || asSeller
+      ? await Order.confirm(order._id, userId, { asBuyer, asSeller })
+      : order;
+
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is no longer pending'
+      });
+    }
+
+    if (!confirmed.isConfirmed()) {
+      return res.json({
+        success: true,
+        message: confirmed.buyerConfirmedAt
+          ? 'Confirmed; waiting for the seller to confirm the sale'
+          : 'Confirmed; waiting for the buyer to confirm the purchase',
+        data: { order: confirmed }
+      });
+    }
+
+    // Only the request that completes the order marks its listings sold
+    const completed = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'completed', completedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!completed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order is no longer pending'
+      });
+    }
+
+    await Product.updateMany(
+      { _id: { $in: productIds }, 'reservation.order': order._id },
+      { $set: { status: 'sold', reservation: { order: null, expiresAt: null }, reservedFor: null, reservedUntil: null } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Order completed successfully',
+      data: { order: completed }
+    });
+
+    broadcast('product-status', { productIds, status: 'sold' });
+    held.forEach((product) => {
+      const changes = [{ field: 'status', from: product.status, to: 'sold' }];
+      if (product.reservedFor || product.reservedUntil) {
+        changes.push(
+          { field: 'reservedFor', from: product.reservedFor, to: null },
+          { field: 'reservedUntil', from: product.reservedUntil, to: null }
+        );
+      }
+      ProductHistory.record(product._id, userId, 'sold', changes)
+        .catch(error => console.error('Product history error:', error));
+    });
+
+  } catch (error) {
+    console.error('Complete order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Cancel Order
+ * POST /api/orders/:orderId/cancel
+ *
+ * Cancels a pending order (by the buyer or a seller) and frees its listings
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    const order = await Order.findById(orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.involves(req.user.userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this order'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Order is already ${order.status}`
+      });
+    }
+
+    await Product.releaseReservation(order.productIds(), order._id);
+
+    order.status = 'cancelled';
+    order.cancelledAt = new Date();
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      data: { order }
+    });
+
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  createOrder,
+  getOrders,
+  getOrderById,
+  completeOrder,
+  cancelOrder
+};
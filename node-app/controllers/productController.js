@@ -7,16 +7,94 @@
  * - Location-based product discovery
  * - Product likes and interactions
  * - Category-based product retrieval
+ * - Sellers' public listings
+ * - Listing renewal and bumps
+ * - Reserving listings for a buyer
+ * - The change history of a listing
  */
 
 const Product = require('../models/Product');
 const User = require('../models/User');
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const ProductHistory = require('../models/ProductHistory');
+const { removeImageVariants, removeImageKeys } = require('../lib/images');
+const { notifySavedSearchMatches } = require('../lib/savedSearchAlerts');
+const { broadcast } = require('../lib/realtime');
+const { notifyPriceDrop } = require('../lib/notifications');
+const { SORT_KEYS, InvalidCursorError, sortFor, decodeCursor, afterCursor, toPage } = require('../lib/pagination');
+const { tokenize, buildTextFilter, buildPrefixFilter, highlight, buildSnippet } = require('../lib/search');
+const {
+  parseList,
+  parsePriceRanges,
+  buildFacetConditions,
+  mergeConditions,
+  distanceKm,
+  buildFacetPipeline,
+  formatFacets
+} = require('../lib/facets');
+
+// Most results a single search returns
+const SEARCH_RESULT_LIMIT = parseInt(process.env.SEARCH_RESULT_LIMIT) || 50;
+
+/**
+ * Read the listing/search filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} Filters for buildFacetConditions(), plus the parsed location
+ */
+const parseProductFilters = (query) => {
+  const { catName, category, condition, priceRange, minPrice, maxPrice, lat, lng, loc, radius, maxDistance } = query;
+
+  // The product list takes lat/lng/radius, search takes loc/maxDistance
+  let location = null;
+  if (lat && lng) {
+    location = { latitude: parseFloat(lat), longitude: parseFloat(lng) };
+  } else if (loc) {
+    const [latitude, longitude] = loc.split(',').map(coord => parseFloat(coord.trim()));
+    location = { latitude, longitude };
+  }
+  const distance = radius || maxDistance;
+
+  return {
+    categories: parseList(category || catName),
+    conditions: parseList(condition),
+    priceRanges: parsePriceRanges(priceRange),
+    minPrice: minPrice ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice ? parseFloat(maxPrice) : undefined,
+    location,
+    maxDistance: distance ? parseFloat(distance) : undefined
+  };
+};
+
+/**
+ * Product JSON with its distance (km, one decimal) from the given location
+ */
+const withDistance = (product, location) => ({
+  ...product.toJSON(),
+  distance: Math.round(distanceKm(location, product.pLoc.coordinates) * 10) / 10
+});
+
+/**
+ * Count products per filter value for the facet sidebar
+ * @param {Object[]} baseStages - Stages selecting the products being faceted
+ * @param {Object} conditions - From buildFacetConditions()
+ * @param {Object} location - { latitude, longitude } or null
+ */
+const getFacets = async (baseStages, conditions, location) => {
+  const [result] = await Product.aggregate(buildFacetPipeline(baseStages, conditions, location));
+
+  return formatFacets(result, {
+    categories: Product.schema.path('category').enumValues,
+    conditions: Product.schema.path('condition').enumValues
+  });
+};
 
 /**
  * Add New Product
  * POST /api/products
  * 
- * Creates a new product listing with image uploads and location data
+ * Creates a new product listing with image uploads and location data,
+ * then notifies buyers whose saved searches match it
  */
 const addProduct = async (req, res) => {
   try {
@@ -47,6 +125,7 @@ const addProduct = async (req, res) => {
       price: parseFloat(price),
       category,
       pimage: req.files.pimage[0].path,
+      pimageVariants: req.files.pimage[0].variants,
       addedBy,
       condition,
       pLoc: {
@@ -58,6 +137,12 @@ const addProduct = async (req, res) => {
     // Add second image if provided
     if (req.files.pimage2 && req.files.pimage2.length > 0) {
       productData.pimage2 = req.files.pimage2[0].path;
+      productData.pimage2Variants = req.files.pimage2[0].variants;
+    }
+
+    // Gallery photos, in upload order
+    if (req.files.additionalImages) {
+      productData.additionalImages = req.files.additionalImages.map((file) => file.variants);
     }
 
     // Create and save product
@@ -65,7 +150,7 @@ const addProduct = async (req, res) => {
     const savedProduct = await product.save();
 
     // Populate user information
-    await savedProduct.populate('addedBy', 'username email');
+    await savedProduct.populate('addedBy', 'username');
 
     res.status(201).json({
       success: true,
@@ -73,8 +158,19 @@ const addProduct = async (req, res) => {
       data: { product: savedProduct }
     });
 
+    broadcast('product-created', { productId: savedProduct._id });
+
+    // Alert buyers with matching saved searches, without holding up the response
+    notifySavedSearchMatches(savedProduct).catch((error) => {
+      console.error('Saved search alerts error:', error);
+    });
+
   } catch (error) {
     console.error('Add product error:', error);
+
+    // The product wasn't saved, so its processed images are orphans
+    const files = Object.values(req.files || {}).flat();
+    await Promise.all(files.map((file) => removeImageVariants(file.variants)));
     
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
@@ -93,70 +189,108 @@ const addProduct = async (req, res) => {
   }
 };
 
+/**
+ * Pagination block for list responses. Page-number fields are only added
+ * when the request didn't use a cursor (older clients).
+ * @param {Object} page - From toPage()
+ * @param {Object} options - { limit, cursor, pageNumber, total }
+ */
+const buildCursorPagination = ({ hasNext, nextCursor }, { limit, cursor, pageNumber, total }) => {
+  const pagination = { limit, hasNext, nextCursor };
+  if (total !== undefined) {
+    pagination.totalProducts = total;
+  }
+  if (!cursor) {
+    pagination.currentPage = pageNumber;
+    if (total !== undefined) {
+      pagination.totalPages = Math.ceil(total / limit);
+    }
+    pagination.hasPrev = pageNumber > 1;
+  }
+  return pagination;
+};
+
 /**
  * Get All Products
  * GET /api/products
  * 
- * Retrieves products with optional category filtering and pagination
+ * Retrieves products with optional category, condition, price and distance
+ * filtering, plus facet counts for each filter. With lat/lng, each product
+ * carries its distance in km and sortBy=distance lists the nearest first
+ * (optionally within `radius` km). Listings reserved by their seller are
+ * included unless includeReserved=false; `status` can narrow the list to
+ * active or reserved ones (other statuses are only listed for staff, through
+ * GET /api/admin/products).
+ *
+ * Pages are cursor-based: pass the previous response's
+ * `pagination.nextCursor` as `cursor` to get the next page. `page` still
+ * works for older clients but can repeat or skip listings added meanwhile.
  */
 const getProducts = async (req, res) => {
   try {
-    const { catName, page = 1, limit = 20, status = 'active', minPrice, maxPrice, sortBy } = req.query;
-    
-    // Build query
-    const query = { status };
-    if (catName) {
-      query.category = catName;
-    }
+    const { page = 1, limit = 20, cursor, includeReserved } = req.query;
+    const status = ['active', 'reserved'].includes(req.query.status)
+      ? req.query.status
+      : Product.listedStatus(includeReserved !== 'false');
+    const sortBy = SORT_KEYS[req.query.sortBy] ? req.query.sortBy : 'newest';
+    const pageSize = parseInt(limit);
+    const pageNumber = parseInt(page);
 
-    // Add price range filtering
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) {
-        query.price.$gte = parseFloat(minPrice);
-      }
-      if (maxPrice) {
-        query.price.$lte = parseFloat(maxPrice);
-      }
-    }
+    // Category, condition, price and distance filters
+    const filters = parseProductFilters(req.query);
+    const conditions = buildFacetConditions(filters);
 
-    // Build sort options
-    let sortOptions = { createdAt: -1 }; // Default to newest
-    if (sortBy === 'price-asc') {
-      sortOptions = { price: 1 };
-    } else if (sortBy === 'price-desc') {
-      sortOptions = { price: -1 };
-    }
+    // Build query (products hidden by moderators are never listed)
+    const baseQuery = Product.visibleQuery({ status });
+    const query = { ...baseQuery, ...mergeConditions(conditions) };
 
-    // Calculate pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    // Continue after the cursor, or skip whole pages for page-number clients
+    const position = cursor ? decodeCursor(sortBy, cursor) : null;
+    const skip = cursor ? 0 : (pageNumber - 1) * pageSize;
 
-    // Execute query with pagination and sorting
-    const products = await Product.find(query)
-      .populate('addedBy', 'username email')
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(parseInt(limit));
+    // One extra item tells whether there is a next page
+    const { location, maxDistance } = filters;
+    let products;
+    if (sortBy === 'distance') {
+      const nearest = await Product.findNearestPage(location.longitude, location.latitude, {
+        maxDistance: maxDistance ? maxDistance * 1000 : null,
+        filter: { status, ...mergeConditions(conditions, 'distance') },
+        after: position,
+        skip,
+        limit: pageSize + 1
+      });
+      products = nearest.map(raw => Object.assign(Product.hydrate(raw), { distanceMeters: raw.distanceMeters }));
+      await Product.populate(products, { path: 'addedBy', select: 'username' });
+    } else {
+      products = await Product.find(position ? { $and: [query, afterCursor(sortBy, position)] } : query)
+        .sort(sortFor(sortBy))
+        .skip(skip)
+        .limit(pageSize + 1)
+        .populate('addedBy', 'username');
+    }
+    const result = toPage(sortBy, products, pageSize);
 
-    // Get total count for pagination info
-    const totalProducts = await Product.countDocuments(query);
+    // Filter counts; the total is the number of matching listings
+    const facets = await getFacets([{ $match: baseQuery }], conditions, filters.location);
 
     res.json({
       success: true,
       message: 'Products retrieved successfully',
       data: {
-        products,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalProducts / parseInt(limit)),
-          totalProducts,
-          hasNext: skip + products.length < totalProducts,
-          hasPrev: parseInt(page) > 1
-        }
+        products: location ? result.items.map(product => withDistance(product, location)) : result.items,
+        facets,
+        pagination: buildCursorPagination(result, { limit: pageSize, cursor, pageNumber, total: facets.total })
       }
     });
 
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get products error:', error);
     res.status(500).json({
       success: false,
@@ -170,14 +304,18 @@ const getProducts = async (req, res) => {
  * Get Product by ID
  * GET /api/products/:productId
  * 
- * Retrieves a specific product by its ID and increments view count
+ * Retrieves a specific product by its ID (with its price history and the
+ * seller's rating) and increments view count. `canReview` tells a logged-in
+ * buyer whether they can still review the seller for this purchase.
  */
 const getProductById = async (req, res) => {
   try {
     const { productId } = req.params;
 
+    // Contact details stay private; buyers reach sellers via /api/conversations
     const product = await Product.findById(productId)
-      .populate('addedBy', 'username email mobile');
+      .select('+priceHistory')
+      .populate('addedBy', 'username rating createdAt');
 
     if (!product) {
       return res.status(404).json({
@@ -186,13 +324,36 @@ const getProductById = async (req, res) => {
       });
     }
 
+    // Hidden products are only visible to their owner and to staff
+    if (product.moderation?.hidden) {
+      const isOwner = req.user && product.addedBy?._id.toString() === req.user.userId.toString();
+      const isStaff = req.user && ['moderator', 'admin'].includes(req.user.role);
+      if (!isOwner && !isStaff) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+    }
+
     // Increment view count
     await product.incrementViews();
 
+    // Only sold listings can have a buyer with a completed order
+    let canReview = false;
+    if (req.user && product.status === 'sold') {
+      const order = await Order.findOne({
+        buyer: req.user.userId,
+        status: 'completed',
+        'items.product': product._id
+      }).sort({ completedAt: -1 }).select('_id');
+      canReview = !!order && !(await Review.exists({ order: order._id, product: product._id }));
+    }
+
     res.json({
       success: true,
       message: 'Product retrieved successfully',
-      data: { product }
+      data: { product, canReview }
     });
 
   } catch (error) {
@@ -217,51 +378,83 @@ const getProductById = async (req, res) => {
  * Search Products
  * GET /api/products/search
  * 
- * Searches products by text and location with geospatial queries
+ * Full-text search within a radius of the user's location. Results are
+ * ranked by relevance, with partial-word (prefix) matches after the ranked
+ * hits, and each result carries highlighted name and description snippets.
+ * Facet counts (category, condition, price, distance) come with the results.
+ * Reserved listings are included unless includeReserved=false.
  */
 const searchProducts = async (req, res) => {
   try {
-    const { search, loc, category, maxDistance = 50 } = req.query;
+    const { search, maxDistance = 50, includeReserved } = req.query;
+    const status = Product.listedStatus(includeReserved !== 'false');
 
-    // Parse location coordinates
-    const [latitude, longitude] = loc.split(',').map(coord => parseFloat(coord.trim()));
+    const tokens = tokenize(search);
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search term must contain letters or numbers'
+      });
+    }
 
-    // Build search query
-    const query = {
-        $or: [
-        { pname: { $regex: search, $options: 'i' } }, // Case-insensitive search
-        { pdesc: { $regex: search, $options: 'i' } },
-        { category: { $regex: search, $options: 'i' } }
-      ],
-      status: 'active'
-    };
+    // Category, condition and price filters, within maxDistance of the user.
+    // $text can't be combined with $near, so the radius is a $geoWithin filter
+    const filters = { ...parseProductFilters(req.query), maxDistance: parseFloat(maxDistance) };
+    const conditions = buildFacetConditions(filters);
+    const filter = { ...mergeConditions(conditions), status };
+    const { latitude, longitude } = filters.location;
 
-    // Add category filter if provided
-    if (category) {
-      query.category = category;
-    }
+    const ranked = await Product.searchProducts(tokens, filter)
+      .populate('addedBy', 'username')
+      .limit(SEARCH_RESULT_LIMIT);
 
-    // Add location filter
-    query.pLoc = {
-            $near: {
-                $geometry: {
-                    type: 'Point',
-          coordinates: [longitude, latitude]
-        },
-        $maxDistance: maxDistance * 1000 // Convert km to meters
-      }
-    };
+    // Fill up with partial-word matches the text index can't find
+    const prefixMatches = ranked.length < SEARCH_RESULT_LIMIT
+      ? await Product.find(Product.visibleQuery({
+        ...filter,
+        ...buildPrefixFilter(tokens),
+        _id: { $nin: ranked.map(product => product._id) }
+      }))
+        .populate('addedBy', 'username')
+        .sort({ listedAt: -1 })
+        .limit(SEARCH_RESULT_LIMIT - ranked.length)
+      : [];
 
-    const products = await Product.find(query)
-      .populate('addedBy', 'username email')
-      .sort({ createdAt: -1 });
+    // Facets cover both ranked and partial-word matches
+    const facets = await getFacets([
+      { $match: Product.visibleQuery({ ...buildTextFilter(tokens), status }) },
+      {
+        $unionWith: {
+          coll: Product.collection.name,
+          pipeline: [{ $match: Product.visibleQuery({ ...buildPrefixFilter(tokens), status }) }]
+        }
+      },
+      { $group: { _id: '$_id', doc: { $first: '$$ROOT' } } },
+      { $replaceRoot: { newRoot: '$doc' } }
+    ], conditions, filters.location);
+
+    const products = [...ranked, ...prefixMatches].map((product) => {
+      const { score = 0, ...json } = product.toJSON();
+      return {
+        ...json,
+        search: {
+          score,
+          highlights: {
+            pname: highlight(product.pname, tokens),
+            pdesc: buildSnippet(product.pdesc, tokens)
+          }
+        }
+      };
+    });
 
     res.json({
       success: true,
       message: 'Search completed successfully',
       data: {
         products,
+        facets,
         searchTerm: search,
+        terms: tokens,
         location: { latitude, longitude },
         resultsCount: products.length
       }
@@ -281,40 +474,49 @@ const searchProducts = async (req, res) => {
  * Get Products by Category
  * GET /api/products/category/:category
  * 
- * Retrieves all products in a specific category
+ * Retrieves the products in a specific category, newest first, with
+ * reserved ones unless includeReserved=false. Pages are cursor-based like
+ * GET /api/products; only page-number requests pay for a total count.
  */
 const getProductsByCategory = async (req, res) => {
   try {
     const { category } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20, cursor, includeReserved } = req.query;
+    const status = Product.listedStatus(includeReserved !== 'false');
+    const pageSize = parseInt(limit);
+    const pageNumber = parseInt(page);
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const position = cursor ? decodeCursor('newest', cursor) : null;
+    const skip = cursor ? 0 : (pageNumber - 1) * pageSize;
 
-    const products = await Product.getByCategory(category)
-      .populate('addedBy', 'username email')
+    const products = await Product.getByCategory(category, { status, ...(position ? afterCursor('newest', position) : {}) })
+      .populate('addedBy', 'username')
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(pageSize + 1);
+    const result = toPage('newest', products, pageSize);
 
-    const totalProducts = await Product.countDocuments({ 
-      category, 
-      status: 'active' 
-    });
+    const totalProducts = cursor
+      ? undefined
+      : await Product.countDocuments(Product.visibleQuery({ category, status }));
 
     res.json({
       success: true,
       message: `Products in ${category} category retrieved successfully`,
       data: {
-        products,
+        products: result.items,
         category,
-        pagination: {
-          currentPage: parseInt(page),
-          totalPages: Math.ceil(totalProducts / parseInt(limit)),
-          totalProducts
-        }
+        pagination: buildCursorPagination(result, { limit: pageSize, cursor, pageNumber, total: totalProducts })
       }
     });
 
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get products by category error:', error);
     res.status(500).json({
       success: false,
@@ -324,6 +526,69 @@ const getProductsByCategory = async (req, res) => {
   }
 };
 
+/**
+ * Get Seller Products
+ * GET /api/users/:userId/products
+ * 
+ * Public storefront: the seller's active (and, unless
+ * includeReserved=false, reserved) listings, newest first. Pages are
+ * cursor-based like GET /api/products.
+ */
+const getSellerProducts = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 20, cursor, includeReserved } = req.query;
+    const status = Product.listedStatus(includeReserved !== 'false');
+    const pageSize = parseInt(limit);
+    const pageNumber = parseInt(page);
+
+    const sellerExists = await User.exists({ _id: userId });
+    if (!sellerExists) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const position = cursor ? decodeCursor('newest', cursor) : null;
+    const skip = cursor ? 0 : (pageNumber - 1) * pageSize;
+
+    // The seller is known from the URL, so addedBy stays an ID
+    const products = await Product.getActiveByUser(userId, { status, ...(position ? afterCursor('newest', position) : {}) })
+      .skip(skip)
+      .limit(pageSize + 1);
+    const result = toPage('newest', products, pageSize);
+
+    const totalProducts = cursor
+      ? undefined
+      : await Product.countDocuments(Product.visibleQuery({ addedBy: userId, status }));
+
+    res.json({
+      success: true,
+      message: 'Seller products retrieved successfully',
+      data: {
+        products: result.items,
+        pagination: buildCursorPagination(result, { limit: pageSize, cursor, pageNumber, total: totalProducts })
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get seller products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
 /**
  * Get User's Products
  * POST /api/products/my-products
@@ -335,7 +600,7 @@ const getUserProducts = async (req, res) => {
     const userId = req.user.userId; // Rely solely on authenticated user ID
 
     const products = await Product.getUserProducts(userId)
-      .populate('addedBy', 'username email');
+      .populate('addedBy', 'username');
 
     res.json({
       success: true,
@@ -353,20 +618,87 @@ const getUserProducts = async (req, res) => {
   }
 };
 
+/**
+ * Work out the hold fields for updateProduct. A listing becoming reserved
+ * gets a hold, optionally for one buyer; a reserved listing can change its
+ * hold (`status` omitted); leaving the reserved status lifts the hold.
+ * @param {Object} product - Product before the update
+ * @param {String} status - Requested status (undefined if unchanged)
+ * @param {String|null} reservedFor - Requested buyer ID (undefined if unchanged)
+ * @param {String} reservedUntil - Requested hold end (undefined if unchanged)
+ * @returns {Object} { changes } to set, or { error: { status, message } }
+ */
+const holdUpdate = async (product, status, reservedFor, reservedUntil) => {
+  const changesHold = reservedFor !== undefined || reservedUntil !== undefined;
+  const wasReserved = product.status === 'reserved';
+  const nextStatus = status === undefined ? product.status : status;
+
+  if (nextStatus !== 'reserved') {
+    if (changesHold) {
+      return { error: { status: 400, message: 'Set the status to reserved to hold the listing' } };
+    }
+    return { changes: wasReserved ? { reservedFor: null, reservedUntil: null } : {} };
+  }
+  if (wasReserved && !changesHold) {
+    return { changes: {} };
+  }
+
+  let buyer = wasReserved ? product.reservedFor : null;
+  if (reservedFor !== undefined) {
+    buyer = reservedFor || null;
+    if (buyer && buyer === product.addedBy.toString()) {
+      return { error: { status: 400, message: 'You cannot reserve a listing for yourself' } };
+    }
+    if (buyer && !(await User.exists({ _id: buyer }))) {
+      return { error: { status: 404, message: 'Reserved-for user not found' } };
+    }
+  }
+
+  const until = reservedUntil === undefined && wasReserved
+    ? product.reservedUntil
+    : Product.holdEndsAt(reservedUntil);
+  if (!until) {
+    return {
+      error: {
+        status: 400,
+        message: `The reservation must end in the future and within ${Product.MAX_RESERVED_HOLD_DAYS} days`
+      }
+    };
+  }
+
+  return { changes: { reservedFor: buyer, reservedUntil: until } };
+};
+
+// Fields the owner can set directly (see updateProductSchema); price,
+// location, status and the hold are handled separately below
+const EDITABLE_FIELDS = ['pname', 'pdesc', 'category', 'condition'];
+
+// Fields whose changes go to the product history
+const HISTORY_FIELDS = [...EDITABLE_FIELDS, 'price', 'pLoc.coordinates', 'status', 'reservedFor', 'reservedUntil'];
+
 /**
  * Update Product
  * PUT /api/products/:productId
  * 
- * Updates an existing product (only by owner)
+ * Updates an existing product (only by owner). Only the fields allowed by
+ * updateProductSchema can change; counters, ownership, images and lifecycle
+ * dates are managed by the server. Status follows the listing state machine
+ * (see Product STATUS_TRANSITIONS), and every change is recorded in the
+ * product history.
+ *
+ * A new price is added to the price history; a lower one marks the listing
+ * as a price drop and notifies the users who liked it. Setting status to
+ * `reserved` holds an active listing, optionally for one buyer
+ * (`reservedFor`), until `reservedUntil`.
  */
 const updateProduct = async (req, res) => {
   try {
     const { productId } = req.params;
-    const userId = req.user?.userId;
-    const updates = req.body;
+    const userId = req.user.userId;
+    const { price, plat, plong, status, reservedFor, reservedUntil } = req.body;
 
     // Find product and check ownership
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).select('+priceHistory');
     
     if (!product) {
       return res.status(404).json({
@@ -375,24 +707,78 @@ const updateProduct = async (req, res) => {
       });
     }
 
-    if (product.addedBy.toString() !== userId) {
+    if (product.addedBy.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You can only update your own products'
       });
     }
 
-    // Remove fields that shouldn't be updated directly
-    delete updates._id;
-    delete updates.addedBy;
-    delete updates.createdAt;
-    delete updates.updatedAt;
+    const updates = {};
+    EDITABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+    if (plat !== undefined) {
+      updates['pLoc.coordinates'] = [parseFloat(plong), parseFloat(plat)];
+    }
+
+    // The update only applies if the status it was based on is still current
+    const conditions = { _id: productId, status: product.status };
+
+    const statusChanged = status !== undefined && status !== product.status;
+    if (statusChanged) {
+      const blocker = product.statusChangeBlocker(status);
+      if (blocker) {
+        return res.status(400).json({
+          success: false,
+          message: blocker
+        });
+      }
+
+      // A buyer is checking out; the order decides what happens next
+      if (product.hasLiveReservation()) {
+        return res.status(409).json({
+          success: false,
+          message: 'This listing is held by a pending order'
+        });
+      }
+      conditions.$or = [{ 'reservation.order': null }, { 'reservation.expiresAt': { $lt: new Date() } }];
+      conditions.moderatedAt = null;
+      updates.status = status;
+    }
+
+    const hold = await holdUpdate(product, status, reservedFor, reservedUntil);
+    if (hold.error) {
+      return res.status(hold.error.status).json({
+        success: false,
+        message: hold.error.message
+      });
+    }
+
+    const update = { $set: { ...updates, ...hold.changes } };
+    const oldPrice = product.price;
+    const priceChanged = price !== undefined && parseFloat(price) !== oldPrice;
+    if (priceChanged) {
+      update.$set.price = parseFloat(price);
+      const priceUpdate = product.priceChangeUpdate(parseFloat(price));
+      Object.assign(update.$set, priceUpdate.$set);
+      update.$push = priceUpdate.$push;
+    }
 
-    const updatedProduct = await Product.findByIdAndUpdate(
-      productId,
-      updates,
+    const updatedProduct = await Product.findOneAndUpdate(
+      conditions,
+      update,
       { new: true, runValidators: true }
-    ).populate('addedBy', 'username email');
+    ).select('+priceHistory').populate('addedBy', 'username');
+
+    if (!updatedProduct) {
+      return res.status(409).json({
+        success: false,
+        message: 'The listing changed while you were editing it. Please try again.'
+      });
+    }
 
     res.json({
       success: true,
@@ -400,7 +786,28 @@ const updateProduct = async (req, res) => {
       data: { product: updatedProduct }
     });
 
+    ProductHistory.record(product._id, userId, 'edit', ProductHistory.diff(product, updatedProduct, HISTORY_FIELDS))
+      .catch(error => console.error('Product history error:', error));
+
+    if (updatedProduct.status !== product.status) {
+      broadcast('product-status', { productIds: [updatedProduct._id], status: updatedProduct.status });
+    }
+
+    if (priceChanged && updatedProduct.price < oldPrice) {
+      notifyPriceDrop(updatedProduct, oldPrice)
+        .catch(error => console.error('Price drop notification error:', error));
+    }
+
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
     console.error('Update product error:', error);
     res.status(500).json({
       success: false,
@@ -414,7 +821,7 @@ const updateProduct = async (req, res) => {
  * Delete Product
  * DELETE /api/products/:productId
  * 
- * Deletes a product (only by owner)
+ * Deletes a product and its stored images (only by owner)
  */
 const deleteProduct = async (req, res) => {
   try {
@@ -430,7 +837,7 @@ const deleteProduct = async (req, res) => {
       });
     }
 
-    if (product.addedBy.toString() !== userId) {
+    if (product.addedBy.toString() !== userId.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You can only delete your own products'
@@ -439,11 +846,18 @@ const deleteProduct = async (req, res) => {
 
     await Product.findByIdAndDelete(productId);
 
+    // Delete the stored images too, so they aren't orphaned
+    await removeImageKeys(product.imageKeys());
+
     res.json({
       success: true,
       message: 'Product deleted successfully'
     });
 
+    broadcast('product-status', { productIds: [product._id], status: 'deleted' });
+    ProductHistory.record(product._id, userId, 'deleted', [{ field: 'status', from: product.status, to: 'deleted' }])
+      .catch(error => console.error('Product history error:', error));
+
   } catch (error) {
     console.error('Delete product error:', error);
     res.status(500).json({
@@ -454,13 +868,189 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+/**
+ * Send the 429 response for a renewal or bump still in its cooldown
+ */
+const sendCooldown = (res, message, code, availableAt) => {
+  const retryAfter = Math.ceil((availableAt.getTime() - Date.now()) / 1000);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    code,
+    data: {
+      retryAfter,
+      availableAt
+    }
+  });
+};
+
+/**
+ * Renew Product
+ * POST /api/products/:productId/renew
+ * 
+ * Pushes the expiry of an active listing back by LISTING_EXPIRY_DAYS, or
+ * brings an expired listing back (only by owner, once per cooldown)
+ */
+const renewProduct = async (req, res) => {
+  try {
+    const product = req.resource; // Loaded by checkOwnership
+
+    if (!product.isRenewable()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active or expired listings can be renewed'
+      });
+    }
+
+    const availableAt = product.renewAvailableAt();
+    if (availableAt) {
+      return sendCooldown(res, 'This listing was renewed recently', 'RENEW_COOLDOWN', availableAt);
+    }
+
+    const renewed = await Product.renewListing(product._id);
+    if (!renewed) {
+      // Renewed, sold or deactivated by another request meanwhile
+      return res.status(409).json({
+        success: false,
+        message: 'This listing can no longer be renewed'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Listing renewed successfully',
+      data: { product: renewed }
+    });
+
+    ProductHistory.record(product._id, req.user.userId, 'renew', ProductHistory.diff(product, renewed, ['status', 'expiresAt']))
+      .catch(error => console.error('Product history error:', error));
+
+    if (product.status !== renewed.status) {
+      broadcast('product-status', { productIds: [renewed._id], status: renewed.status });
+    }
+
+  } catch (error) {
+    console.error('Renew product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Bump Product
+ * POST /api/products/:productId/bump
+ * 
+ * Moves an active listing back to the top of the newest-first feed
+ * (only by owner, once per cooldown)
+ */
+const bumpProduct = async (req, res) => {
+  try {
+    const product = req.resource; // Loaded by checkOwnership
+
+    if (product.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only active listings can be bumped'
+      });
+    }
+
+    const availableAt = product.bumpAvailableAt();
+    if (availableAt) {
+      return sendCooldown(res, 'This listing was bumped recently', 'BUMP_COOLDOWN', availableAt);
+    }
+
+    const bumped = await Product.bumpListing(product._id);
+    if (!bumped) {
+      return res.status(409).json({
+        success: false,
+        message: 'This listing can no longer be bumped'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Listing bumped to the top',
+      data: { product: bumped }
+    });
+
+    // Lists need refetching to show it in its new position
+    broadcast('product-status', { productIds: [bumped._id], status: bumped.status });
+
+  } catch (error) {
+    console.error('Bump product error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Product History
+ * GET /api/products/:productId/history
+ *
+ * Lists the changes made to the owner's listing, newest first: who made
+ * each one (null for scheduled jobs), what caused it and the fields' old
+ * and new values
+ */
+const getProductHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const productId = req.resource._id; // Loaded by checkOwnership
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [history, total] = await Promise.all([
+      ProductHistory.find({ product: productId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('changedBy', 'username'),
+      ProductHistory.countDocuments({ product: productId })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Product history retrieved successfully',
+      data: {
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNext: skip + history.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get product history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
 module.exports = {
   addProduct,
   getProducts,
   getProductById,
   searchProducts,
   getProductsByCategory,
+  getSellerProducts,
   getUserProducts,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  renewProduct,
+  bumpProduct,
+  getProductHistory
 };
@@ -0,0 +1,152 @@
+/**
+ * Product Image Controller - Handles a listing's photo gallery
+ *
+ * This controller manages:
+ * - Adding photos to an existing product's gallery
+ * - Removing a gallery photo (and its files)
+ * - Reordering the gallery
+ *
+ * Gallery photos live in `additionalImages` and go through the same image
+ * pipeline as pimage/pimage2. Routes run checkOwnership first, so the
+ * owned product is available as req.resource.
+ */
+
+const Product = require('../models/Product');
+const { removeImageVariants } = require('../lib/images');
+
+/**
+ * Add Product Images
+ * POST /api/products/:productId/images
+ *
+ * Appends the uploaded `images` to the end of the product's gallery
+ */
+const addProductImages = async (req, res) => {
+  const uploads = req.files?.images || [];
+
+  try {
+    if (uploads.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one image is required'
+      });
+    }
+
+    const product = req.resource;
+
+    if (product.additionalImages.length + uploads.length > Product.MAX_GALLERY_IMAGES) {
+      await Promise.all(uploads.map((file) => removeImageVariants(file.variants)));
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${Product.MAX_GALLERY_IMAGES} additional images`
+      });
+    }
+
+    uploads.forEach((file) => product.additionalImages.push(file.variants));
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      data: { images: product.toJSON().additionalImages }
+    });
+
+  } catch (error) {
+    console.error('Add product images error:', error);
+    await Promise.all(uploads.map((file) => removeImageVariants(file.variants)));
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Remove Product Image
+ * DELETE /api/products/:productId/images/:imageId
+ *
+ * Removes one gallery photo and deletes its files
+ */
+const removeProductImage = async (req, res) => {
+  try {
+    const product = req.resource;
+
+    const image = product.additionalImages.id(req.params.imageId);
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const variants = { thumbnail: image.thumbnail, card: image.card, full: image.full };
+    image.deleteOne();
+    await product.save();
+    await removeImageVariants(variants);
+
+    res.json({
+      success: true,
+      message: 'Image removed successfully',
+      data: { images: product.toJSON().additionalImages }
+    });
+
+  } catch (error) {
+    console.error('Remove product image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Reorder Product Images
+ * PUT /api/products/:productId/images/order
+ *
+ * Sets the gallery order. `imageIds` must list every gallery image
+ * exactly once.
+ */
+const reorderProductImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    const product = req.resource;
+
+    const currentIds = product.additionalImages.map((image) => image._id.toString());
+    const isPermutation = imageIds.length === currentIds.length
+      && new Set(imageIds).size === imageIds.length
+      && imageIds.every((id) => currentIds.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must contain every image of the product exactly once'
+      });
+    }
+
+    product.additionalImages = imageIds.map((id) => product.additionalImages.id(id).toObject());
+    await product.save();
+
+    res.json({
+      success: true,
+      message: 'Images reordered successfully',
+      data: { images: product.toJSON().additionalImages }
+    });
+
+  } catch (error) {
+    console.error('Reorder product images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  addProductImages,
+  removeProductImage,
+  reorderProductImages
+};
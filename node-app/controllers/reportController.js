@@ -0,0 +1,272 @@
+/**
+ * Report Controller - Handles listing reports and the moderation queue
+ *
+ * This controller manages:
+ * - Buyers flagging a product with a reason code
+ * - The moderator queue, grouped per reported product
+ * - Resolving a product's reports (dismiss, or deactivate the listing)
+ */
+
+const Report = require('../models/Report');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { notifyListingModerated } = require('../lib/notifications');
+const { broadcast } = require('../lib/realtime');
+
+/**
+ * Report Product
+ * POST /api/products/:productId/report
+ *
+ * Files a report against a product. A user can have only one open
+ * report per product.
+ */
+const reportProduct = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { reason, details } = req.body;
+    const userId = req.user.userId;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.addedBy.toString() === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own product'
+      });
+    }
+
+    const report = await Report.create({
+      product: product._id,
+      reporter: userId,
+      reason,
+      details
+    });
+
+    await Product.updateOne({ _id: product._id }, { $inc: { openReportsCount: 1 } });
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, our moderators will review this listing',
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Report product error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reported this product'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get Moderation Queue
+ * GET /api/admin/reports
+ *
+ * Lists products with open reports, most-reported first, with a count
+ * per reason code
+ */
+const getModerationQueue = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [result] = await Report.aggregate([
+      { $match: { status: 'open' } },
+      {
+        $group: {
+          _id: '$product',
+          reportsCount: { $sum: 1 },
+          reasons: { $push: '$reason' },
+          details: { $push: { reason: '$reason', details: '$details', reporter: '$reporter', createdAt: '$createdAt' } },
+          firstReportedAt: { $min: '$createdAt' },
+          lastReportedAt: { $max: '$createdAt' }
+        }
+      },
+      { $sort: { reportsCount: -1, lastReportedAt: -1 } },
+      {
+        $facet: {
+          items: [
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            {
+              $lookup: {
+                from: 'products',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'product'
+              }
+            },
+            { $unwind: { path: '$product', preserveNullAndEmptyArrays: true } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    // Turn the raw reason list into { scam: 2, other: 1 }
+    const queue = result.items.map(({ reasons, ...item }) => ({
+      ...item,
+      product: Product.withImageUrls(item.product),
+      reasonCounts: reasons.reduce((counts, reason) => {
+        counts[reason] = (counts[reason] || 0) + 1;
+        return counts;
+      }, {})
+    }));
+
+    const totalProducts = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      message: 'Moderation queue retrieved successfully',
+      data: {
+        queue,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalProducts / parseInt(limit)),
+          totalProducts,
+          hasNext: skip + queue.length < totalProducts,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Resolve Product Reports
+ * POST /api/admin/reports/:productId/resolve
+ *
+ * Closes every open report for a product. `dismiss` leaves the listing
+ * as is; `deactivate` sets its status to inactive, puts it on a moderation
+ * hold (the seller can't reactivate or renew it) and notifies the seller.
+ * A sold listing can't be deactivated.
+ */
+const resolveReports = async (req, res) => {
+  try {
+    const { productId } = req.params;
+    const { action, reason } = req.body;
+
+    const product = await Product.findById(productId);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const previousStatus = product.status;
+    const deactivate = action === 'deactivate';
+    if (deactivate && previousStatus !== 'inactive') {
+      const blocker = product.statusChangeBlocker('inactive');
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          message: blocker
+        });
+      }
+    }
+
+    // Only applies if the status is still the one that was checked
+    const changes = { openReportsCount: 0 };
+    if (deactivate) {
+      Object.assign(changes, {
+        status: 'inactive',
+        reservedFor: null,
+        reservedUntil: null,
+        moderatedAt: new Date(),
+        moderationReason: reason || null
+      });
+    }
+    const updatedProduct = await Product.findOneAndUpdate(
+      { _id: product._id, status: previousStatus },
+      { $set: changes },
+      { new: true }
+    );
+
+    if (!updatedProduct) {
+      return res.status(409).json({
+        success: false,
+        message: 'The listing changed meanwhile. Please try again.'
+      });
+    }
+
+    const result = await Report.updateMany(
+      { product: product._id, status: 'open' },
+      {
+        $set: {
+          status: deactivate ? 'actioned' : 'dismissed',
+          resolvedBy: req.user.userId,
+          resolvedAt: new Date()
+        }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: deactivate
+        ? 'Reports resolved and product deactivated'
+        : 'Reports dismissed',
+      data: {
+        product: updatedProduct,
+        resolvedCount: result.modifiedCount
+      }
+    });
+
+    if (deactivate) {
+      ProductHistory.record(product._id, req.user.userId, 'moderated', ProductHistory.diff(product, updatedProduct, ['status', 'reservedFor', 'reservedUntil']))
+        .catch(error => console.error('Product history error:', error));
+      broadcast('product-status', { productIds: [product._id], status: 'inactive' });
+      notifyListingModerated(updatedProduct, 'deactivated', reason)
+        .catch(error => console.error('Moderation notification error:', error));
+    }
+
+  } catch (error) {
+    console.error('Resolve reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  reportProduct,
+  getModerationQueue,
+  resolveReports
+};
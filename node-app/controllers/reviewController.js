@@ -0,0 +1,156 @@
+/**
+ * Review Controller - Handles seller ratings and reviews
+ *
+ * This controller manages:
+ * - Reviewing the seller of a product the user bought
+ * - Listing the reviews a user received as a seller
+ *
+ * Only buyers with a completed order for the product can review, once per
+ * product of that order.
+ */
+
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const User = require('../models/User');
+
+/**
+ * Create Review
+ * POST /api/reviews
+ *
+ * Rates the seller of a product from one of the user's completed orders
+ * and updates the seller's average rating
+ */
+const createReview = async (req, res) => {
+  try {
+    const reviewerId = req.user.userId;
+    const { productId, rating, comment } = req.body;
+
+    // Most recent completed purchase of this product by the user
+    const order = await Order.findOne({
+      buyer: reviewerId,
+      status: 'completed',
+      'items.product': productId
+    }).sort({ completedAt: -1 });
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review sellers of products you have bought'
+      });
+    }
+
+    const item = order.items.find(orderItem => orderItem.product.toString() === productId);
+
+    const alreadyReviewed = await Review.exists({ order: order._id, product: item.product });
+    if (alreadyReviewed) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this purchase'
+      });
+    }
+
+    const review = await Review.create({
+      order: order._id,
+      product: item.product,
+      seller: item.seller,
+      reviewer: reviewerId,
+      rating,
+      comment
+    });
+    const sellerRating = await Review.refreshSellerRating(item.seller);
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted successfully',
+      data: { review, sellerRating }
+    });
+
+  } catch (error) {
+    // Two submissions at once: the unique index lets only one through
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this purchase'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Get User Reviews
+ * GET /api/users/:userId/reviews
+ *
+ * Lists the reviews a user received as a seller, newest first, with their
+ * average rating and review count
+ */
+const getUserReviews = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const seller = await User.findById(userId).select('username rating');
+    if (!seller) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [reviews, total] = await Promise.all([
+      Review.find({ seller: userId })
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('reviewer', 'username')
+        .populate('product', 'pname'),
+      Review.countDocuments({ seller: userId })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Reviews retrieved successfully',
+      data: {
+        reviews,
+        rating: seller.rating,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          total,
+          hasNext: skip + reviews.length < total,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  createReview,
+  getUserReviews
+};
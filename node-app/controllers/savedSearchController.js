@@ -0,0 +1,194 @@
+/**
+ * Saved Search Controller - Handles buyers' saved searches
+ *
+ * This controller manages:
+ * - Listing a user's saved searches
+ * - Saving the current filters as a search (with new-listing alerts)
+ * - Renaming, changing and toggling alerts for a saved search
+ * - Deleting a saved search
+ */
+
+const SavedSearch = require('../models/SavedSearch');
+
+/**
+ * Map a request body to SavedSearch fields. Only fields that were sent are
+ * returned, so updates leave the rest alone; null clears a filter.
+ * @param {Object} body - Validated request body
+ */
+const toSavedSearchFields = (body) => {
+  const { location, ...fields } = body;
+
+  if (location !== undefined) {
+    fields.location = location
+      ? { type: 'Point', coordinates: [location.lng, location.lat] }
+      : null;
+    if (!location) fields.radius = null; // A radius means nothing without a center
+  }
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+};
+
+/**
+ * Get Saved Searches
+ * GET /api/saved-searches
+ *
+ * Lists the authenticated user's saved searches, newest first
+ */
+const getSavedSearches = async (req, res) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      message: 'Saved searches retrieved successfully',
+      data: { savedSearches }
+    });
+
+  } catch (error) {
+    console.error('Get saved searches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Create Saved Search
+ * POST /api/saved-searches
+ *
+ * Saves a set of filters. New listings matching it create notifications
+ * unless alerts are turned off.
+ */
+const createSavedSearch = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const count = await SavedSearch.countDocuments({ user: userId });
+    if (count >= SavedSearch.MAX_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${SavedSearch.MAX_PER_USER} searches. Delete one to save a new one.`
+      });
+    }
+
+    const savedSearch = await SavedSearch.create({
+      ...toSavedSearchFields(req.body),
+      user: userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Search saved',
+      data: { savedSearch }
+    });
+
+  } catch (error) {
+    console.error('Create saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Update Saved Search
+ * PUT /api/saved-searches/:savedSearchId
+ *
+ * Renames a saved search, changes its filters or turns alerts on/off
+ */
+const updateSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndUpdate(
+      { _id: req.params.savedSearchId, user: req.user.userId },
+      { $set: toSavedSearchFields(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      data: { savedSearch }
+    });
+
+  } catch (error) {
+    console.error('Update saved search error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+/**
+ * Delete Saved Search
+ * DELETE /api/saved-searches/:savedSearchId
+ *
+ * Deletes a saved search; its alerts stop immediately
+ */
+const deleteSavedSearch = async (req, res) => {
+  try {
+    const savedSearch = await SavedSearch.findOneAndDelete({
+      _id: req.params.savedSearchId,
+      user: req.user.userId
+    });
+
+    if (!savedSearch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saved search not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete saved search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = {
+  getSavedSearches,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch
+};
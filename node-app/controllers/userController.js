@@ -8,13 +8,15 @@
 
 const User = require('../models/User');
 const Product = require('../models/Product');
+const { notifyProductLiked } = require('../lib/notifications');
+const { broadcast } = require('../lib/realtime');
 
 /**
  * Toggle Product Like
  * POST /api/like-product
  * 
  * Adds or removes a product from a user's liked products list
- * and updates the product's likes count.
+ * and updates the product's likes count. The seller is notified of new likes.
  */
 const likeProducts = async (req, res) => {
   try {
@@ -40,12 +42,17 @@ const likeProducts = async (req, res) => {
       await product.decrementLikes();
       await user.save();
       res.json({ success: true, message: 'Product unliked successfully', data: { isLiked: false } });
+      broadcast('product-liked', { productId: product._id, likes: product.likesCount });
     } else {
       // Like product
       user.likedProducts.push(productId);
       await product.incrementLikes();
       await user.save();
       res.json({ success: true, message: 'Product liked successfully', data: { isLiked: true } });
+      broadcast('product-liked', { productId: product._id, likes: product.likesCount });
+
+      notifyProductLiked(product, user)
+        .catch(error => console.error('Like notification error:', error));
     }
 
   } catch (error) {
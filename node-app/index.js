@@ -13,17 +13,74 @@ require('dotenv').config();
 const authController = require('./controllers/authController');
 const productController = require('./controllers/productController');
 const userController = require('./controllers/userController'); // Keep for backward compatibility
+const messageController = require('./controllers/messageController');
+const cartController = require('./controllers/cartController');
+const orderController = require('./controllers/orderController');
+const adminController = require('./controllers/adminController');
+const reportController = require('./controllers/reportController');
+const productImageController = require('./controllers/productImageController');
+const savedSearchController = require('./controllers/savedSearchController');
+const notificationController = require('./controllers/notificationController');
+const eventController = require('./controllers/eventController');
+const reviewController = require('./controllers/reviewController');
+const offerController = require('./controllers/offerController');
+const Product = require('./models/Product');
 
 // Import middleware
-const { authenticateToken, optionalAuth } = require('./middleware/auth');
+const { authenticateToken, authenticateStreamTicket, optionalAuth, checkOwnership, requireRole, requireVerifiedEmail } = require('./middleware/auth');
 const validate = require('./middleware/zodValidation');
+const processImages = require('./middleware/processImages');
+const { isLocal, LOCAL_DIR } = require('./lib/storage');
+const { startListingExpiryJob } = require('./lib/listingExpiry');
 const {
   signupSchema,
   loginSchema,
+  refreshTokenSchema,
+  emailTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
   addProductSchema,
+  updateProductSchema,
+  productsQuerySchema,
+  categoryProductsQuerySchema,
+  sellerProductsQuerySchema,
   searchSchema,
   profileUpdateSchema,
   userIdParamSchema,
+  startConversationSchema,
+  conversationIdParamSchema,
+  conversationMessagesQuerySchema,
+  sendMessageSchema,
+  productIdParamSchema,
+  productImageParamSchema,
+  reorderProductImagesSchema,
+  productHistoryQuerySchema,
+  addCartItemSchema,
+  replaceCartSchema,
+  createOrderSchema,
+  orderIdParamSchema,
+  getOrdersSchema,
+  offerIdParamSchema,
+  makeOfferSchema,
+  counterOfferSchema,
+  offersQuerySchema,
+  adminUsersQuerySchema,
+  setUserStatusSchema,
+  setUserRoleSchema,
+  adminProductsQuerySchema,
+  setProductVisibilitySchema,
+  reportProductSchema,
+  moderationQueueSchema,
+  resolveReportsSchema,
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  savedSearchIdParamSchema,
+  notificationsQuerySchema,
+  notificationIdParamSchema,
+  createReviewSchema,
+  userReviewsQuerySchema,
 } = require('./lib/validations');
 
 // Security middleware
@@ -31,6 +88,13 @@ const app = express();
 app.use(helmet());
 app.use(compression());
 
+// CORS configuration (before the rate limiters, so the browser can read
+// their 429 responses)
+app.use(cors({
+  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
+  credentials: true
+}));
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -39,34 +103,47 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-// CORS configuration
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
-}));
+// Stricter limit for auth routes; only failed requests count, so normal
+// use of /api/auth/profile and token refreshes isn't penalised
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 20,
+  skipSuccessfulRequests: true,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    res.status(options.statusCode).json({
+      success: false,
+      message: 'Too many authentication attempts from this IP, please try again later.',
+      code: 'RATE_LIMITED',
+      data: {
+        retryAfter: req.rateLimit.resetTime
+          ? Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+          : Math.ceil(options.windowMs / 1000)
+      }
+    });
+  }
+});
+app.use('/api/auth', authLimiter);
 
 // Body parsing middleware
 app.use(bodyParser.json({ limit: '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
-// Static files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Static files: only the local storage driver serves uploads from this API
+// (processed image names are unique, so they can be cached for long)
+if (isLocal()) {
+  app.use('/uploads', express.static(LOCAL_DIR, { maxAge: '30d' }));
+}
 
-// Multer configuration
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, 'uploads');
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix);
-  }
-});
+// Multer configuration: uploads stay in memory until processImages has
+// re-encoded them, so raw photos (and their EXIF data) never touch the disk
+const storage = multer.memoryStorage();
 
 const upload = multer({ 
   storage: storage,
   limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024 // 10MB limit
   },
   fileFilter: (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
@@ -85,7 +162,10 @@ mongoose.connect(mongoUri, {
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB:', mongoUri))
+.then(() => {
+  console.log('✅ Connected to MongoDB:', mongoUri);
+  startListingExpiryJob();
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err);
   console.log('💡 Make sure MongoDB is running on localhost:27017');
@@ -106,26 +186,112 @@ app.get('/', (req, res) => {
 // Authentication Routes
 app.post('/api/auth/signup', validate(signupSchema), authController.signup);
 app.post('/api/auth/login', validate(loginSchema), authController.login);
+app.post('/api/auth/refresh', validate(refreshTokenSchema), authController.refresh);
+app.post('/api/auth/logout', validate(refreshTokenSchema), authController.logout);
+app.post('/api/auth/logout-all', authenticateToken, authController.logoutAll);
+app.post('/api/auth/verify-email', validate(emailTokenSchema), authController.verifyEmail);
+app.post('/api/auth/resend-verification', authenticateToken, authController.resendVerification);
+app.post('/api/auth/forgot-password', validate(forgotPasswordSchema), authController.forgotPassword);
+app.post('/api/auth/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+app.put('/api/auth/password', authenticateToken, validate(changePasswordSchema), authController.changePassword);
+app.delete('/api/auth/account', authenticateToken, validate(deleteAccountSchema), authController.deleteAccount);
 app.get('/api/auth/profile', authenticateToken, authController.getProfile);
 app.put('/api/auth/profile', authenticateToken, validate(profileUpdateSchema), authController.updateProfile);
 app.get('/api/auth/user/:userId', validate(userIdParamSchema), authController.getUserById);
 
 // Product Routes
-app.get('/api/products', productController.getProducts);
+app.get('/api/products', validate(productsQuerySchema), productController.getProducts);
 app.get('/api/products/search', validate(searchSchema), productController.searchProducts);
-app.get('/api/products/category/:category', productController.getProductsByCategory);
-app.get('/api/products/:productId', productController.getProductById);
-app.post('/api/products', authenticateToken, validate(addProductSchema), upload.fields([{ name: 'pimage' }, { name: 'pimage2' }]), productController.addProduct);
-app.put('/api/products/:productId', authenticateToken, productController.updateProduct);
+app.get('/api/products/category/:category', validate(categoryProductsQuerySchema), productController.getProductsByCategory);
+app.get('/api/products/:productId', optionalAuth, productController.getProductById);
+app.post('/api/products', authenticateToken, requireVerifiedEmail, upload.fields([{ name: 'pimage', maxCount: 1 }, { name: 'pimage2', maxCount: 1 }, { name: 'additionalImages', maxCount: Product.MAX_GALLERY_IMAGES }]), validate(addProductSchema), processImages, productController.addProduct);
+app.put('/api/products/:productId', authenticateToken, validate(updateProductSchema), productController.updateProduct);
 app.delete('/api/products/:productId', authenticateToken, productController.deleteProduct);
 app.post('/api/products/my-products', authenticateToken, productController.getUserProducts);
+app.post('/api/products/:productId/images', authenticateToken, validate(productIdParamSchema), checkOwnership(Product, 'productId'), upload.fields([{ name: 'images', maxCount: Product.MAX_GALLERY_IMAGES }]), processImages, productImageController.addProductImages);
+app.put('/api/products/:productId/images/order', authenticateToken, validate(reorderProductImagesSchema), checkOwnership(Product, 'productId'), productImageController.reorderProductImages);
+app.delete('/api/products/:productId/images/:imageId', authenticateToken, validate(productImageParamSchema), checkOwnership(Product, 'productId'), productImageController.removeProductImage);
+app.post('/api/products/:productId/renew', authenticateToken, validate(productIdParamSchema), checkOwnership(Product, 'productId'), productController.renewProduct);
+app.post('/api/products/:productId/bump', authenticateToken, validate(productIdParamSchema), checkOwnership(Product, 'productId'), productController.bumpProduct);
+app.get('/api/products/:productId/history', authenticateToken, validate(productHistoryQuerySchema), checkOwnership(Product, 'productId'), productController.getProductHistory);
+app.post('/api/products/:productId/report', authenticateToken, validate(reportProductSchema), reportController.reportProduct);
 
 // User Interaction Routes (Likes, etc.)
 app.post('/api/like-product', authenticateToken, userController.likeProducts);
 app.post('/api/liked-products', authenticateToken, userController.likedProducts);
 
+// Messaging Routes
+app.post('/api/conversations', authenticateToken, validate(startConversationSchema), messageController.startConversation);
+app.get('/api/conversations', authenticateToken, messageController.getConversations);
+app.get('/api/conversations/:conversationId/messages', authenticateToken, validate(conversationMessagesQuerySchema), messageController.getMessages);
+app.post('/api/conversations/:conversationId/messages', authenticateToken, validate(sendMessageSchema), messageController.sendMessage);
+app.put('/api/conversations/:conversationId/read', authenticateToken, validate(conversationIdParamSchema), messageController.markConversationRead);
+
+// Saved Search Routes
+app.get('/api/saved-searches', authenticateToken, savedSearchController.getSavedSearches);
+app.post('/api/saved-searches', authenticateToken, validate(createSavedSearchSchema), savedSearchController.createSavedSearch);
+app.put('/api/saved-searches/:savedSearchId', authenticateToken, validate(updateSavedSearchSchema), savedSearchController.updateSavedSearch);
+app.delete('/api/saved-searches/:savedSearchId', authenticateToken, validate(savedSearchIdParamSchema), savedSearchController.deleteSavedSearch);
+
+// Notification Routes
+app.get('/api/notifications', authenticateToken, validate(notificationsQuerySchema), notificationController.getNotifications);
+app.get('/api/notifications/unread-count', authenticateToken, notificationController.getUnreadCount);
+app.put('/api/notifications/read-all', authenticateToken, notificationController.markAllNotificationsRead);
+app.put('/api/notifications/:notificationId/read', authenticateToken, validate(notificationIdParamSchema), notificationController.markNotificationRead);
+
+// Realtime Event Stream (Server-Sent Events)
+app.post('/api/events/ticket', authenticateToken, eventController.createStreamTicket);
+app.get('/api/events', authenticateStreamTicket, eventController.streamEvents);
+
+// Cart Routes
+app.get('/api/cart', authenticateToken, cartController.getCart);
+app.put('/api/cart', authenticateToken, validate(replaceCartSchema), cartController.replaceCart);
+app.delete('/api/cart', authenticateToken, cartController.clearCart);
+app.post('/api/cart/items', authenticateToken, validate(addCartItemSchema), cartController.addCartItem);
+app.delete('/api/cart/items/:productId', authenticateToken, validate(productIdParamSchema), cartController.removeCartItem);
+
+// Order Routes
+app.post('/api/orders', authenticateToken, validate(createOrderSchema), orderController.createOrder);
+app.get('/api/orders', authenticateToken, validate(getOrdersSchema), orderController.getOrders);
+app.get('/api/orders/:orderId', authenticateToken, validate(orderIdParamSchema), orderController.getOrderById);
+app.post('/api/orders/:orderId/complete', authenticateToken, validate(orderIdParamSchema), orderController.completeOrder);
+app.post('/api/orders/:orderId/cancel', authenticateToken, validate(orderIdParamSchema), orderController.cancelOrder);
+
+// Offer Routes
+app.post('/api/products/:productId/offers', authenticateToken, validate(makeOfferSchema), offerController.makeOffer);
+app.get('/api/offers', authenticateToken, validate(offersQuerySchema), offerController.getOffers);
+app.post('/api/offers/:offerId/withdraw', authenticateToken, validate(offerIdParamSchema), offerController.withdrawOffer);
+app.post('/api/offers/:offerId/accept', authenticateToken, validate(offerIdParamSchema), offerController.acceptOffer);
+app.post('/api/offers/:offerId/reject', authenticateToken, validate(offerIdParamSchema), offerController.rejectOffer);
+app.post('/api/offers/:offerId/counter', authenticateToken, validate(counterOfferSchema), offerController.counterOffer);
+
+// Review Routes
+app.post('/api/reviews', authenticateToken, validate(createReviewSchema), reviewController.createReview);
+
+// Public Seller Profile Routes
+app.get('/api/users/:userId/products', validate(sellerProductsQuerySchema), productController.getSellerProducts);
+app.get('/api/users/:userId/reviews', validate(userReviewsQuerySchema), reviewController.getUserReviews);
+
+// Admin Routes (moderators and admins only)
+app.use('/api/admin', authenticateToken, requireRole(['moderator', 'admin']));
+app.get('/api/admin/users', validate(adminUsersQuerySchema), adminController.getUsers);
+app.put('/api/admin/users/:userId/status', validate(setUserStatusSchema), adminController.setUserStatus);
+app.put('/api/admin/users/:userId/role', requireRole('admin'), validate(setUserRoleSchema), adminController.setUserRole);
+app.get('/api/admin/products', validate(adminProductsQuerySchema), adminController.getProducts);
+app.put('/api/admin/products/:productId/visibility', validate(setProductVisibilitySchema), adminController.setProductVisibility);
+app.get('/api/admin/reports', validate(moderationQueueSchema), reportController.getModerationQueue);
+app.post('/api/admin/reports/:productId/resolve', validate(resolveReportsSchema), reportController.resolveReports);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Upload problems (file too large, too many files) are the client's fault
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'Image is too large' : err.message
+    });
+  }
+
   console.error(err.stack);
   res.status(500).json({ 
     error: 'Something went wrong!',
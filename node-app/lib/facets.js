@@ -0,0 +1,234 @@
+/**
+ * Facets - Filter counts for product listings and search
+ *
+ * Listing and search results can be narrowed by category, condition, price
+ * and distance. Next to the results, the API returns how many products each
+ * filter value would leave, computed in one aggregation:
+ *
+ *   [...baseStages, $addFields distanceKm, $facet { category, condition, price, distance, total }]
+ *
+ * Values are ORed within a facet and facets are ANDed together. Each facet's
+ * counts ignore that facet's own selection, so picking "Books" still shows how
+ * many "Electronics" there are, i.e. what ticking that box would add.
+ */
+
+// Mean Earth radius, for converting distances to radians
+const EARTH_RADIUS_KM = 6378.1;
+
+// Lower bounds of the price histogram buckets; the last bucket is open-ended
+const PRICE_BUCKETS = [0, 1000, 5000, 10000, 25000, 50000, 100000];
+
+// "Within N km" distance bands
+const DISTANCE_BANDS_KM = [5, 10, 25, 50, 100];
+
+/**
+ * Split a comma-separated query value into a list
+ * @param {String} value - e.g. "Books,Sports"
+ * @returns {String[]}
+ */
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+
+/**
+ * Parse price bands as sent by clients, e.g. "0-1000,100000-"
+ * @param {String} value - Comma-separated `min-max` ranges; max may be empty
+ * @returns {Object[]} [{ min, max }] - max is null for open-ended bands
+ */
+const parsePriceRanges = (value) => parseList(value).map((range) => {
+  const [min, max] = range.split('-');
+  return { min: parseFloat(min), max: max ? parseFloat(max) : null };
+});
+
+/**
+ * Match condition for products within a radius of a point
+ * @param {Object} location - { latitude, longitude }
+ * @param {Number} maxDistance - Radius in km
+ */
+const withinDistance = ({ latitude, longitude }, maxDistance) => ({
+  pLoc: {
+    $geoWithin: {
+      $centerSphere: [[longitude, latitude], maxDistance / EARTH_RADIUS_KM]
+    }
+  }
+});
+
+/**
+ * Turn the selected filter values into one match condition per facet
+ * @param {Object} filters - { categories, conditions, priceRanges, minPrice,
+ *   maxPrice, location, maxDistance }. priceRanges are histogram buckets
+ *   ([min, max)); minPrice/maxPrice a custom inclusive range. Both may be set.
+ * @returns {Object} { category, condition, price, distance } - null when unset
+ */
+const buildFacetConditions = ({
+  categories = [],
+  conditions = [],
+  priceRanges = [],
+  minPrice,
+  maxPrice,
+  location,
+  maxDistance
+}) => {
+  let price = null;
+  if (minPrice !== undefined || maxPrice !== undefined || priceRanges.length > 0) {
+    price = {};
+    if (minPrice !== undefined || maxPrice !== undefined) {
+      price.price = {};
+      if (minPrice !== undefined) price.price.$gte = minPrice;
+      if (maxPrice !== undefined) price.price.$lte = maxPrice;
+    }
+    if (priceRanges.length > 0) {
+      price.$or = priceRanges.map(({ min, max }) => ({
+        price: max === null ? { $gte: min } : { $gte: min, $lt: max }
+      }));
+    }
+  }
+
+  return {
+    category: categories.length > 0 ? { category: { $in: categories } } : null,
+    condition: conditions.length > 0 ? { condition: { $in: conditions } } : null,
+    price,
+    distance: location && maxDistance ? withinDistance(location, maxDistance) : null
+  };
+};
+
+/**
+ * Merge the facet conditions into one filter, optionally leaving one out
+ * @param {Object} conditions - From buildFacetConditions()
+ * @param {String} except - Facet to ignore
+ */
+const mergeConditions = (conditions, except = null) => Object.entries(conditions)
+  .filter(([facet, condition]) => facet !== except && condition)
+  .reduce((filter, [, condition]) => ({ ...filter, ...condition }), {});
+
+/**
+ * Great-circle distance in km from a point to each product, as an
+ * aggregation expression (haversine)
+ */
+const distanceExpression = ({ latitude, longitude }) => {
+  const lat1 = { $degreesToRadians: latitude };
+  const lat2 = { $degreesToRadians: { $arrayElemAt: ['$pLoc.coordinates', 1] } };
+  const halfDLat = { $divide: [{ $subtract: [lat2, lat1] }, 2] };
+  const halfDLng = {
+    $divide: [{
+      $degreesToRadians: { $subtract: [{ $arrayElemAt: ['$pLoc.coordinates', 0] }, longitude] }
+    }, 2]
+  };
+
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDLat }, 2] },
+      { $multiply: [{ $cos: lat1 }, { $cos: lat2 }, { $pow: [{ $sin: halfDLng }, 2] }] }
+    ]
+  };
+
+  return { $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: { $min: [1, a] } } }] };
+};
+
+/**
+ * Great-circle distance in km between a point and a product location
+ * (same formula as distanceExpression, for documents already loaded)
+ * @param {Object} location - { latitude, longitude }
+ * @param {Number[]} coordinates - GeoJSON [longitude, latitude]
+ */
+const distanceKm = ({ latitude, longitude }, [lng, lat]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const a = Math.sin(toRadians(lat - latitude) / 2) ** 2
+    + Math.cos(toRadians(latitude)) * Math.cos(toRadians(lat)) * Math.sin(toRadians(lng - longitude) / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, a)));
+};
+
+/**
+ * Build the facet aggregation
+ * @param {Object[]} baseStages - Stages selecting the products being faceted
+ * @param {Object} conditions - From buildFacetConditions()
+ * @param {Object} location - { latitude, longitude }, enables distance bands
+ * @returns {Object[]} Aggregation pipeline producing a single document
+ */
+const buildFacetPipeline = (baseStages, conditions, location = null) => {
+  const facets = {
+    category: [
+      { $match: mergeConditions(conditions, 'category') },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ],
+    condition: [
+      { $match: mergeConditions(conditions, 'condition') },
+      { $group: { _id: '$condition', count: { $sum: 1 } } }
+    ],
+    price: [
+      { $match: mergeConditions(conditions, 'price') },
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: [...PRICE_BUCKETS, Infinity],
+          default: 'other', // Negative or missing prices
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    total: [
+      { $match: mergeConditions(conditions) },
+      { $count: 'count' }
+    ]
+  };
+
+  if (location) {
+    facets.distance = [
+      { $match: mergeConditions(conditions, 'distance') },
+      {
+        $group: DISTANCE_BANDS_KM.reduce((group, km) => ({
+          ...group,
+          [`within${km}`]: { $sum: { $cond: [{ $lte: ['$distanceKm', km] }, 1, 0] } }
+        }), { _id: null })
+      }
+    ];
+  }
+
+  return [
+    ...baseStages,
+    ...(location ? [{ $addFields: { distanceKm: distanceExpression(location) } }] : []),
+    { $facet: facets }
+  ];
+};
+
+/**
+ * Shape the $facet output for the API, listing every value (with 0 counts)
+ * so clients can show the full set of options
+ * @param {Object} result - The single document from buildFacetPipeline()
+ * @param {Object} values - { categories, conditions } - every possible value
+ */
+const formatFacets = (result = {}, { categories = [], conditions = [] } = {}) => {
+  const countsBy = (rows = []) => new Map(rows.map((row) => [row._id, row.count]));
+
+  const categoryCounts = countsBy(result.category);
+  const conditionCounts = countsBy(result.condition);
+  const priceCounts = countsBy(result.price);
+  const distanceCounts = result.distance?.[0] || {};
+
+  return {
+    categories: categories.map((value) => ({ value, count: categoryCounts.get(value) || 0 })),
+    conditions: conditions.map((value) => ({ value, count: conditionCounts.get(value) || 0 })),
+    price: PRICE_BUCKETS.map((min, index) => ({
+      min,
+      max: PRICE_BUCKETS[index + 1] ?? null,
+      count: priceCounts.get(min) || 0
+    })),
+    distance: result.distance
+      ? DISTANCE_BANDS_KM.map((maxDistance) => ({ maxDistance, count: distanceCounts[`within${maxDistance}`] || 0 }))
+      : [],
+    total: result.total?.[0]?.count || 0
+  };
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  PRICE_BUCKETS,
+  DISTANCE_BANDS_KM,
+  parseList,
+  parsePriceRanges,
+  withinDistance,
+  distanceKm,
+  buildFacetConditions,
+  mergeConditions,
+  buildFacetPipeline,
+  formatFacets
+};
@@ -0,0 +1,115 @@
+/**
+ * Image pipeline - Re-encodes uploaded photos into resized variants
+ *
+ * Every upload is decoded and written out as three variants:
+ * - thumbnail: small square-ish preview (lists, inbox)
+ * - card: listing grid size
+ * - full: product detail size
+ *
+ * Images are rotated according to their EXIF orientation and then written
+ * without any metadata, so camera details and GPS coordinates never leave
+ * the seller's phone. The output format is WebP by default; set
+ * IMAGE_FORMAT=jpeg to produce JPEGs instead.
+ *
+ * Variants are written through lib/storage.js; products store their keys.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { putObject, removeObject } = require('./storage');
+
+// Longest edge in pixels for each variant
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  card: 480,
+  full: 1600
+};
+
+const OUTPUT_FORMATS = {
+  webp: { format: 'webp', extension: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  jpeg: { format: 'jpeg', extension: 'jpg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } }
+};
+
+/**
+ * Error thrown when an upload can't be decoded as an image
+ */
+class InvalidImageError extends Error {
+  constructor(message = 'Uploaded file is not a valid image') {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+/**
+ * Process one uploaded image buffer into every variant
+ * @param {Buffer} buffer - Raw upload
+ * @param {String} prefix - File name prefix, usually the form field name
+ * @returns {Object} { thumbnail, card, full } - storage keys
+ */
+const processImage = async (buffer, prefix = 'image') => {
+  const format = OUTPUT_FORMATS[process.env.IMAGE_FORMAT] || OUTPUT_FORMATS.webp;
+  const baseName = `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+
+  // Encode every variant before storing anything, so a corrupt or
+  // non-image upload is reported as bad input and leaves nothing behind
+  const outputs = [];
+  try {
+    const source = sharp(buffer, { failOn: 'error' }).rotate();
+
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      const output = await source
+        .clone()
+        .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+        .toFormat(format.format, format.options)
+        .toBuffer();
+
+      outputs.push([name, output]);
+    }
+  } catch (error) {
+    throw new InvalidImageError();
+  }
+
+  const variants = {};
+  try {
+    for (const [name, output] of outputs) {
+      const key = `${baseName}-${name}.${format.extension}`;
+      await putObject(key, output, format.contentType);
+      variants[name] = key;
+    }
+  } catch (error) {
+    // Don't leave half a set of variants behind
+    await removeImageVariants(variants);
+    throw error;
+  }
+
+  return variants;
+};
+
+/**
+ * Delete every file of a variant set. Failures are logged, not thrown, so
+ * cleanup never masks the error that triggered it.
+ * @param {Object} variants - { thumbnail, card, full }
+ */
+const removeImageVariants = async (variants = {}) => {
+  await removeImageKeys(Object.values(variants));
+};
+
+/**
+ * Delete a list of stored image keys, logging failures
+ * @param {String[]} keys - Storage keys (falsy entries are skipped)
+ */
+const removeImageKeys = async (keys = []) => {
+  const unique = [...new Set(keys.filter(Boolean))];
+
+  await Promise.all(unique.map((key) => removeObject(key).catch((error) => {
+    console.error(`Remove image ${key} error:`, error);
+  })));
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  InvalidImageError,
+  processImage,
+  removeImageVariants,
+  removeImageKeys
+};
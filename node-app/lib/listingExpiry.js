@@ -0,0 +1,156 @@
+/**
+ * Listing expiry - Scheduled job that deactivates stale listings and ends
+ * lapsed seller holds
+ *
+ * Active listings whose `expiresAt` has passed are set to `inactive` (with
+ * `expiredAt` recording why), their sellers are notified and connected
+ * clients get a `product-status` event. Listings held by a live order
+ * reservation are left alone until the hold ends. Sellers bring an expired
+ * listing back with POST /api/products/:productId/renew.
+ *
+ * Listings the seller reserved go back to active once `reservedUntil` has
+ * passed, and clients get a `product-status` event for them too. Both
+ * changes are recorded in the product history (with no user).
+ *
+ * Each listing is expired or released with a conditional update, so running
+ * the job in more than one server process never handles a listing twice.
+ */
+
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { notifyListingExpired } = require('./notifications');
+const { broadcast } = require('./realtime');
+
+// How often the job looks for expired listings
+const CHECK_MINUTES = parseInt(process.env.LISTING_EXPIRY_CHECK_MINUTES) || 60;
+
+/**
+ * Record a change made by the job in the product history
+ */
+const recordJobChange = (before, after, action, fields) => {
+  ProductHistory.record(after._id, null, action, ProductHistory.diff(before, after, fields))
+    .catch(error => console.error('Product history error:', error));
+};
+
+/**
+ * Give listings created before expiry existed a feed position and an
+ * expiry date based on when they were created
+ */
+const backfillListingDates = async () => {
+  const expiryMs = Product.LISTING_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
+
+  await Product.updateMany(
+    { listedAt: null },
+    [{ $set: { listedAt: '$createdAt' } }]
+  );
+  await Product.updateMany(
+    { expiresAt: null },
+    [{ $set: { expiresAt: { $add: ['$createdAt', expiryMs] } } }]
+  );
+};
+
+/**
+ * Deactivate every active listing past its expiry date
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Number} Number of listings expired
+ */
+const expireListings = async (now = new Date()) => {
+  const expiredQuery = {
+    status: 'active',
+    expiresAt: { $lte: now },
+    $or: [
+      { 'reservation.order': null },
+      { 'reservation.expiresAt': { $lt: now } }
+    ]
+  };
+
+  const candidates = Product.find(expiredQuery).select('status').cursor();
+
+  const expiredIds = [];
+  for await (const candidate of candidates) {
+    const product = await Product.findOneAndUpdate(
+      { ...expiredQuery, _id: candidate._id },
+      { $set: { status: 'inactive', expiredAt: now } },
+      { new: true }
+    );
+    if (!product) continue; // Renewed, sold or expired elsewhere meanwhile
+
+    expiredIds.push(product._id);
+    recordJobChange(candidate, product, 'expire', ['status']);
+    notifyListingExpired(product)
+      .catch(error => console.error('Listing expired notification error:', error));
+  }
+
+  if (expiredIds.length > 0) {
+    broadcast('product-status', { productIds: expiredIds, status: 'inactive' });
+  }
+
+  return expiredIds.length;
+};
+
+/**
+ * Put reserved listings whose hold has ended back on the market
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Number} Number of listings released
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  const lapsedQuery = { status: 'reserved', reservedUntil: { $lte: now } };
+
+  const candidates = Product.find(lapsedQuery).select('status reservedFor reservedUntil').cursor();
+
+  const releasedIds = [];
+  for await (const candidate of candidates) {
+    const product = await Product.findOneAndUpdate(
+      { ...lapsedQuery, _id: candidate._id },
+      { $set: { status: 'active', reservedFor: null, reservedUntil: null } },
+      { new: true }
+    );
+    if (!product) continue; // Changed by the seller meanwhile
+
+    releasedIds.push(product._id);
+    recordJobChange(candidate, product, 'hold-ended', ['status', 'reservedFor', 'reservedUntil']);
+  }
+
+  if (releasedIds.length > 0) {
+    broadcast('product-status', { productIds: releasedIds, status: 'active' });
+  }
+
+  return releasedIds.length;
+};
+
+/**
+ * Run the job now and then every CHECK_MINUTES. Call once the database
+ * connection is up; a failed run is logged and retried on the next tick.
+ */
+const startListingExpiryJob = () => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return; // A slow run is still going
+    running = true;
+    try {
+      const expired = await expireListings();
+      if (expired > 0) console.log(`⏰ Expired ${expired} listing(s)`);
+      const released = await releaseExpiredHolds();
+      if (released > 0) console.log(`⏰ Released ${released} reserved listing(s)`);
+    } catch (error) {
+      console.error('Listing expiry error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  backfillListingDates()
+    .catch(error => console.error('Listing dates backfill error:', error))
+    .finally(run);
+
+  // Don't keep the process alive just for the job
+  setInterval(run, CHECK_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  backfillListingDates,
+  expireListings,
+  releaseExpiredHolds,
+  startListingExpiryJob
+};
@@ -0,0 +1,93 @@
+/**
+ * Mailer - Sends transactional email through a pluggable transport
+ *
+ * The transport is picked with MAIL_TRANSPORT:
+ * - `outbox` (default): writes each message as a JSON file to MAIL_OUTBOX_DIR,
+ *   so emails can be read and links followed without a mail server
+ * - `console`: logs each message to stdout
+ *
+ * Other transports (SMTP, a provider API, ...) can be added with
+ * registerTransport(name, send), where `send(message)` returns a promise.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const OUTBOX_DIR = path.resolve(__dirname, '..', process.env.MAIL_OUTBOX_DIR || 'outbox');
+const MAIL_FROM = process.env.MAIL_FROM || 'Marketplace <no-reply@localhost>';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const transports = {
+  /**
+   * Write the message to the local outbox directory
+   */
+  outbox: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+  },
+
+  /**
+   * Log the message to stdout
+   */
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+/**
+ * Register a custom transport
+ * @param {String} name - Value of MAIL_TRANSPORT that selects it
+ * @param {Function} send - async (message) => void
+ */
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({ from: MAIL_FROM, to, subject, text, date: new Date().toISOString() });
+};
+
+/**
+ * Send the link a new user follows to verify their email address
+ */
+const sendVerificationEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: `Hi ${user.username},\n\n`
+    + `Please confirm your email address by opening this link:\n\n`
+    + `${FRONTEND_URL}/verify-email?token=${token}\n\n`
+    + `If you didn't create an account, you can ignore this email.`
+});
+
+/**
+ * Send a password reset link
+ */
+const sendPasswordResetEmail = (user, token) => sendMail({
+  to: user.email,
+  subject: 'Reset your password',
+  text: `Hi ${user.username},\n\n`
+    + `We received a request to reset your password. Open this link to choose a new one:\n\n`
+    + `${FRONTEND_URL}/reset-password?token=${token}\n\n`
+    + `The link can be used once and expires soon. If you didn't ask for this, you can ignore this email.`
+});
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
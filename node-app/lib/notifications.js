@@ -0,0 +1,217 @@
+/**
+ * Notifications - Create in-app notifications for user activity
+ *
+ * Controllers call these helpers after responding, so a failed notification
+ * is only logged and never fails the request that caused it:
+ *
+ *   notifyProductLiked(product, user).catch(error => console.error(...));
+ */
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { sendToUser } = require('./realtime');
+
+/**
+ * Price as shown in notification texts
+ */
+const formatPrice = (price) => `₹${price.toLocaleString('en-IN')}`;
+
+/**
+ * Append a moderator's reason to a notification text, shortened so the
+ * whole text fits the notification message limit
+ */
+const withReason = (message, reason) => {
+  if (!reason) return message;
+  const room = Notification.MESSAGE_MAX_LENGTH - message.length - 2;
+  return `${message}: ${reason.length > room ? `${reason.slice(0, room - 1)}…` : reason}`;
+};
+
+/**
+ * Create a notification and push it to the recipient's open event streams
+ * @param {Object} fields - Notification fields (user, type, message, ...)
+ * @returns {Object} Saved notification
+ */
+const notify = async (fields) => {
+  const notification = await Notification.create(fields);
+  sendToUser(notification.user, 'notification', { notification });
+  return notification;
+};
+
+/**
+ * Tell a seller that someone liked their listing. Liking the same listing
+ * again after unliking it doesn't notify twice.
+ * @param {Object} product - Product document
+ * @param {Object} liker - User document of the user who liked it
+ */
+const notifyProductLiked = async (product, liker) => {
+  if (product.addedBy.toString() === liker._id.toString()) return null;
+
+  const alreadyNotified = await Notification.exists({
+    user: product.addedBy,
+    type: 'product-liked',
+    actor: liker._id,
+    product: product._id
+  });
+  if (alreadyNotified) return null;
+
+  return notify({
+    user: product.addedBy,
+    type: 'product-liked',
+    message: `${liker.username} liked your listing "${product.pname}"`,
+    link: `/product/${product._id}`,
+    actor: liker._id,
+    product: product._id
+  });
+};
+
+/**
+ * Tell the other participant of a conversation about a new message. Only
+ * the latest unread message of a conversation is kept as a notification.
+ * @param {Object} conversation - Conversation document
+ * @param {Object} message - Saved Message document
+ * @param {String} senderName - Username of the sender
+ */
+const notifyNewMessage = async (conversation, message, senderName) => {
+  const recipient = conversation.roleOf(message.sender) === 'buyer'
+    ? conversation.seller
+    : conversation.buyer;
+
+  await Notification.deleteMany({
+    user: recipient,
+    type: 'new-message',
+    conversation: conversation._id,
+    readAt: null
+  });
+
+  const preview = message.text.length > 100 ? `${message.text.slice(0, 100)}…` : message.text;
+
+  return notify({
+    user: recipient,
+    type: 'new-message',
+    message: `${senderName}: ${preview}`,
+    link: `/inbox/${conversation._id}`,
+    actor: message.sender,
+    product: conversation.product,
+    conversation: conversation._id
+  });
+};
+
+/**
+ * Tell a seller that a moderator acted on their listing
+ * @param {Object} product - Product document
+ * @param {String} action - 'hidden', 'restored' or 'deactivated'
+ * @param {String} [reason] - Reason given by the moderator
+ */
+const notifyListingModerated = (product, action, reason) => {
+  const sellerId = product.addedBy._id || product.addedBy;
+  const messages = {
+    hidden: `Your listing "${product.pname}" was hidden by a moderator`,
+    restored: `Your listing "${product.pname}" is visible again`,
+    deactivated: `Your listing "${product.pname}" was deactivated after a review of reports`
+  };
+
+  return notify({
+    user: sellerId,
+    type: 'listing-moderated',
+    message: withReason(messages[action], reason),
+    link: `/product/${product._id}`,
+    product: product._id
+  });
+};
+
+/**
+ * Tell a seller that their listing expired and how to bring it back
+ * @param {Object} product - Product document
+ */
+const notifyListingExpired = (product) => {
+  return notify({
+    user: product.addedBy._id || product.addedBy,
+    type: 'listing-expired',
+    message: `Your listing "${product.pname}" expired and is no longer shown. Renew it to list it again.`,
+    link: `/product/${product._id}`,
+    product: product._id
+  });
+};
+
+/**
+ * Tell the users who liked a listing that its price went down
+ * @param {Object} product - Product document with the new price
+ * @param {Number} oldPrice - Price before the drop
+ * @returns {Number} Number of users notified
+ */
+const notifyPriceDrop = async (product, oldPrice) => {
+  const sellerId = product.addedBy._id || product.addedBy;
+
+  const likers = User.find({
+    likedProducts: product._id,
+    _id: { $ne: sellerId }
+  }).select('_id').cursor();
+
+  let notified = 0;
+  for await (const liker of likers) {
+    await notify({
+      user: liker._id,
+      type: 'price-drop',
+      message: `Price drop: "${product.pname}" is now ${formatPrice(product.price)} (was ${formatPrice(oldPrice)})`,
+      link: `/product/${product._id}`,
+      product: product._id
+    });
+    notified += 1;
+  }
+
+  return notified;
+};
+
+/**
+ * Tell a seller about a new offer on their listing
+ * @param {Object} offer - Saved Offer document
+ * @param {Object} product - Product the offer is for
+ * @param {String} buyerName - Username of the buyer
+ */
+const notifyOfferReceived = (offer, product, buyerName) => {
+  return notify({
+    user: offer.seller,
+    type: 'new-offer',
+    message: `${buyerName} offered ${formatPrice(offer.amount)} for "${product.pname}"`,
+    link: '/my-products',
+    actor: offer.buyer,
+    product: product._id
+  });
+};
+
+/**
+ * Tell the other side that an offer was answered
+ * @param {Object} offer - Updated Offer document
+ * @param {Object} product - Product the offer is for
+ * @param {String} event - 'accepted', 'rejected', 'countered' (to the buyer)
+ *                         or 'counter-accepted' (to the seller)
+ */
+const notifyOfferUpdate = (offer, product, event) => {
+  const messages = {
+    accepted: `Your offer of ${formatPrice(offer.amount)} for "${product.pname}" was accepted. Confirm the order once you have the item.`,
+    rejected: `Your offer of ${formatPrice(offer.amount)} for "${product.pname}" was declined`,
+    countered: `The seller countered your offer for "${product.pname}" with ${formatPrice(offer.counterAmount || 0)}`,
+    'counter-accepted': `Your counter-offer of ${formatPrice(offer.counterAmount || 0)} for "${product.pname}" was accepted`
+  };
+  const toSeller = event === 'counter-accepted';
+
+  return notify({
+    user: toSeller ? offer.seller : offer.buyer,
+    type: 'offer-update',
+    message: messages[event],
+    link: toSeller ? '/my-products' : `/product/${product._id}`,
+    actor: toSeller ? offer.buyer : offer.seller,
+    product: product._id
+  });
+};
+
+module.exports = {
+  notify,
+  notifyProductLiked,
+  notifyNewMessage,
+  notifyListingModerated,
+  notifyListingExpired,
+  notifyPriceDrop,
+  notifyOfferReceived,
+  notifyOfferUpdate
+};
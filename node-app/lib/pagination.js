@@ -0,0 +1,129 @@
+/**
+ * Cursor pagination - Keyset pages for product lists
+ *
+ * A cursor names the last item of the previous page by its sort value and
+ * _id, so the next page starts right after it no matter how many listings
+ * were added or removed in the meantime (no duplicates, no gaps). Cursors
+ * are opaque to clients: base64url JSON of { s: sort mode, v: value, id }.
+ *
+ * Sort modes and their keys:
+ * - newest:     listedAt desc,  _id desc (creation or last bump)
+ * - price-asc:  price asc,     _id asc
+ * - price-desc: price desc,    _id desc
+ * - distance:   distance asc,  _id asc (value is meters from $geoNear)
+ */
+
+const mongoose = require('mongoose');
+
+const SORT_KEYS = {
+  newest: { field: 'listedAt', direction: -1 },
+  'price-asc': { field: 'price', direction: 1 },
+  'price-desc': { field: 'price', direction: -1 },
+  distance: { field: 'distanceMeters', direction: 1 }
+};
+
+/**
+ * Error for cursors that can't be decoded or belong to another sort mode
+ */
+class InvalidCursorError extends Error {
+  constructor() {
+    super('Invalid cursor');
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Mongo sort for a sort mode, with _id as the tie-breaker
+ * @param {String} sortBy - Key of SORT_KEYS
+ */
+const sortFor = (sortBy) => {
+  const { field, direction } = SORT_KEYS[sortBy];
+  return { [field]: direction, _id: direction };
+};
+
+/**
+ * Build the cursor pointing after an item
+ * @param {String} sortBy - Key of SORT_KEYS
+ * @param {Object} item - Last item of the page (document or plain object)
+ */
+const encodeCursor = (sortBy, item) => {
+  const value = item[SORT_KEYS[sortBy].field];
+  const payload = {
+    s: sortBy,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: item._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Read a cursor back
+ * @param {String} sortBy - Sort mode of the current request
+ * @param {String} cursor - Cursor from a previous response
+ * @returns {Object} { value, id }
+ * @throws {InvalidCursorError} If the cursor is malformed or from another sort mode
+ */
+const decodeCursor = (sortBy, cursor) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  const isDate = SORT_KEYS[sortBy].field === 'listedAt';
+  const value = isDate ? new Date(payload?.v) : payload?.v;
+
+  if (payload?.s !== sortBy
+    || !mongoose.Types.ObjectId.isValid(payload.id)
+    || (isDate ? isNaN(value.getTime()) : typeof value !== 'number')) {
+    throw new InvalidCursorError();
+  }
+
+  return { value, id: new mongoose.Types.ObjectId(payload.id) };
+};
+
+/**
+ * Condition selecting the items after a cursor
+ * @param {String} sortBy - Key of SORT_KEYS
+ * @param {Object} position - From decodeCursor()
+ */
+const afterCursor = (sortBy, { value, id }) => {
+  const { field, direction } = SORT_KEYS[sortBy];
+  const op = direction === 1 ? '$gt' : '$lt';
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+};
+
+/**
+ * Split a page fetched with limit + 1 items into the page and its next cursor
+ * @param {String} sortBy - Key of SORT_KEYS
+ * @param {Object[]} items - Up to limit + 1 items
+ * @param {Number} limit - Page size
+ * @returns {Object} { items, nextCursor, hasNext }
+ */
+const toPage = (sortBy, items, limit) => {
+  const hasNext = items.length > limit;
+  const page = hasNext ? items.slice(0, limit) : items;
+
+  return {
+    items: page,
+    hasNext,
+    nextCursor: hasNext ? encodeCursor(sortBy, page[page.length - 1]) : null
+  };
+};
+
+module.exports = {
+  SORT_KEYS,
+  InvalidCursorError,
+  sortFor,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  toPage
+};
@@ -0,0 +1,105 @@
+/**
+ * Realtime - Push events to connected browsers over Server-Sent Events
+ *
+ * Every open event stream belongs to a per-user room, so events can go to
+ * one user (sendToUser) or to everyone who is connected (broadcast).
+ *
+ * Events sent by the server:
+ * - `notification`     { notification }      to the recipient only
+ * - `product-created`  { productId }         to everyone
+ * - `product-status`   { productIds, status } to everyone (status is 'hidden'
+ *                      or 'deleted' when a listing disappears; also sent
+ *                      when a listing is bumped)
+ * - `product-liked`    { productId, likes }  to everyone
+ *
+ * A user's streams are closed when their sessions are revoked (log out
+ * everywhere, password change or reset, account closed or deactivated);
+ * the client has to get a new ticket to reconnect.
+ *
+ * Rooms are kept in memory, so with more than one server process an event
+ * only reaches the clients connected to the process that sent it.
+ */
+
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS) || 25 * 1000;
+
+// userId -> Set of open responses
+const rooms = new Map();
+
+/**
+ * Write one event to a stream
+ * @param {Object} res - Express response of an open stream
+ */
+const write = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (res.flush) res.flush(); // Push through the compression middleware
+};
+
+/**
+ * Turn a response into an event stream in the user's room. The stream
+ * stays open until the client disconnects.
+ * @param {Object} req - Express request (authenticated)
+ * @param {Object} res - Express response
+ */
+const openStream = (req, res) => {
+  const userId = req.user.userId.toString();
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Don't let nginx buffer the stream
+  });
+  write(res, 'ready', { userId });
+
+  if (!rooms.has(userId)) rooms.set(userId, new Set());
+  rooms.get(userId).add(res);
+
+  const heartbeat = setInterval(() => {
+    res.write(': ping\n\n');
+    if (res.flush) res.flush();
+  }, HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const room = rooms.get(userId);
+    if (!room) return;
+    room.delete(res);
+    if (room.size === 0) rooms.delete(userId);
+  });
+};
+
+/**
+ * Send an event to every open stream of one user
+ * @param {String|Object} userId - Recipient's user ID
+ */
+const sendToUser = (userId, event, data) => {
+  const room = rooms.get(userId.toString());
+  if (!room) return;
+  room.forEach(res => write(res, event, data));
+};
+
+/**
+ * Close every open stream of one user
+ * @param {String|Object} userId - User whose sessions were revoked
+ */
+const closeUserStreams = (userId) => {
+  const room = rooms.get(userId.toString());
+  if (!room) return;
+  // Ending a response fires its 'close' handler, which clears it from the room
+  room.forEach(res => res.end());
+};
+
+/**
+ * Send an event to every connected user
+ */
+const broadcast = (event, data) => {
+  rooms.forEach(room => room.forEach(res => write(res, event, data)));
+};
+
+module.exports = {
+  openStream,
+  sendToUser,
+  broadcast,
+  closeUserStreams
+};
@@ -0,0 +1,85 @@
+/**
+ * Saved search alerts - Tell buyers about new listings matching their searches
+ *
+ * notifySavedSearchMatches(product) runs after a listing is created. The
+ * cheap checks (category, condition, price bounds) are done by the database;
+ * the search text, price buckets and distance are then checked here for each
+ * candidate, and every saved search that matches gets a notification.
+ */
+
+const SavedSearch = require('../models/SavedSearch');
+const { notify } = require('./notifications');
+const { tokenize, matchesTokens } = require('./search');
+const { distanceKm } = require('./facets');
+
+/**
+ * Whether a product satisfies the parts of a saved search that the
+ * database query doesn't check
+ * @param {Object} savedSearch - SavedSearch document
+ * @param {Object} product - Product document
+ */
+const savedSearchMatches = (savedSearch, product) => {
+  if (savedSearch.search && !matchesTokens(product, tokenize(savedSearch.search))) {
+    return false;
+  }
+
+  if (savedSearch.priceRanges.length > 0) {
+    const inRange = savedSearch.priceRanges.some(({ min, max }) => (
+      product.price >= min && (max === null || product.price < max)
+    ));
+    if (!inRange) return false;
+  }
+
+  const coordinates = savedSearch.location?.coordinates;
+  if (savedSearch.radius && coordinates?.length === 2) {
+    const [longitude, latitude] = coordinates;
+    if (distanceKm({ latitude, longitude }, product.pLoc.coordinates) > savedSearch.radius) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Notify the owners of every saved search the product matches
+ * @param {Object} product - Newly created Product document
+ * @returns {Number} How many saved searches matched
+ */
+const notifySavedSearchMatches = async (product) => {
+  const ownerId = product.addedBy._id || product.addedBy;
+
+  const candidates = SavedSearch.find({
+    alertsEnabled: true,
+    user: { $ne: ownerId }, // Sellers don't need alerts for their own listings
+    $and: [
+      { $or: [{ categories: { $size: 0 } }, { categories: product.category }] },
+      { $or: [{ conditions: { $size: 0 } }, { conditions: product.condition }] },
+      { $or: [{ minPrice: null }, { minPrice: { $lte: product.price } }] },
+      { $or: [{ maxPrice: null }, { maxPrice: { $gte: product.price } }] }
+    ]
+  }).cursor();
+
+  let matched = 0;
+  for await (const savedSearch of candidates) {
+    if (!savedSearchMatches(savedSearch, product)) continue;
+
+    await notify({
+      user: savedSearch.user,
+      type: 'saved-search-match',
+      message: `New listing for "${savedSearch.name}": ${product.pname}`,
+      link: `/product/${product._id}`,
+      product: product._id,
+      savedSearch: savedSearch._id
+    });
+    await SavedSearch.updateOne({ _id: savedSearch._id }, { $set: { lastMatchedAt: new Date() } });
+    matched += 1;
+  }
+
+  return matched;
+};
+
+module.exports = {
+  savedSearchMatches,
+  notifySavedSearchMatches
+};
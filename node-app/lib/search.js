@@ -0,0 +1,151 @@
+/**
+ * Search - Helpers for product full-text search
+ *
+ * Search runs on the product text index (pname, pdesc, category) and is
+ * ranked by MongoDB's textScore. The text index only matches whole (stemmed)
+ * words, so a second query matches every term as a word *prefix* to catch
+ * partial words ("iph" -> "iphone") and merges those hits below the ranked ones.
+ *
+ * User input is never passed through as-is: it is split into plain word
+ * tokens, which drops $text operators (quotes, leading "-") and lets prefix
+ * patterns be built from escaped literals only.
+ */
+
+// Longest snippet returned for a search hit, in characters
+const SNIPPET_LENGTH = 160;
+
+// Ignore anything past this many terms
+const MAX_SEARCH_TERMS = 10;
+
+/**
+ * Escape a string so it matches literally inside a regular expression
+ * @param {String} value - Raw user input
+ * @returns {String}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a search string into lower-cased word tokens
+ * @param {String} search - Raw search input
+ * @returns {String[]} Unique tokens, at most MAX_SEARCH_TERMS
+ */
+const tokenize = (search = '') => {
+  const words = search.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+};
+
+/**
+ * $text filter for a list of tokens (any term matches; ranking sorts them)
+ * @param {String[]} tokens
+ */
+const buildTextFilter = (tokens) => ({
+  $text: { $search: tokens.join(' ') }
+});
+
+/**
+ * Filter matching every token as the start of a word in any searched field
+ * @param {String[]} tokens
+ */
+const buildPrefixFilter = (tokens) => ({
+  $and: tokens.map((token) => {
+    const pattern = `(^|[^\\p{L}\\p{N}])${escapeRegex(token)}`;
+    return {
+      $or: ['pname', 'pdesc', 'category'].map((field) => ({
+        [field]: { $regex: pattern, $options: 'i' }
+      }))
+    };
+  })
+});
+
+/**
+ * Whether every token starts a word in one of the searched fields; the
+ * in-memory equivalent of buildPrefixFilter for an already loaded product
+ * @param {Object} product - Needs pname, pdesc and category
+ * @param {String[]} tokens
+ */
+const matchesTokens = (product, tokens) => {
+  const text = [product.pname, product.pdesc, product.category].join(' ');
+  return tokens.every((token) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(token)}`, 'iu').test(text));
+};
+
+/**
+ * Split text into plain and matched segments, so clients can highlight
+ * matches without rendering HTML from the server
+ * @param {String} text - Text to highlight
+ * @param {String[]} tokens - Search tokens
+ * @returns {Object[]} [{ text, match }]
+ */
+const highlight = (text = '', tokens = []) => {
+  if (!text || tokens.length === 0) {
+    return text ? [{ text, match: false }] : [];
+  }
+
+  // Longest tokens first so "iphone" wins over "i" at the same position
+  const alternatives = [...tokens]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  const matcher = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})[\\p{L}\\p{N}]*`, 'giu');
+
+  const segments = [];
+  let lastIndex = 0;
+  for (const found of text.matchAll(matcher)) {
+    if (found.index > lastIndex) {
+      segments.push({ text: text.slice(lastIndex, found.index), match: false });
+    }
+    segments.push({ text: found[0], match: true });
+    lastIndex = found.index + found[0].length;
+  }
+  if (lastIndex < text.length) {
+    segments.push({ text: text.slice(lastIndex), match: false });
+  }
+
+  return segments;
+};
+
+/**
+ * Cut a window of the description around the first matched term
+ * @param {String} text - Full description
+ * @param {String[]} tokens - Search tokens
+ * @returns {Object[]} Highlighted snippet segments
+ */
+const buildSnippet = (text = '', tokens = []) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return highlight(text, tokens);
+  }
+
+  const lower = text.toLowerCase();
+  const positions = tokens
+    .map((token) => lower.search(new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(token)}`, 'u')))
+    .filter((position) => position >= 0);
+  const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, firstMatch - Math.floor(SNIPPET_LENGTH / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space >= 0 && space < firstMatch ? space + 1 : start;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const segments = highlight(text.slice(start, end), tokens);
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < text.length) segments.push({ text: '…', match: false });
+
+  return segments;
+};
+
+module.exports = {
+  MAX_SEARCH_TERMS,
+  escapeRegex,
+  tokenize,
+  buildTextFilter,
+  buildPrefixFilter,
+  matchesTokens,
+  highlight,
+  buildSnippet
+};
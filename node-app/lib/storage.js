@@ -0,0 +1,162 @@
+/**
+ * Storage - Where uploaded files live, behind a pluggable driver
+ *
+ * Products store storage *keys* (e.g. `pimage-1700000000000-ab12cd-card.webp`)
+ * and URLs are generated by the active driver when a product is sent to a
+ * client. The driver is picked with STORAGE_DRIVER:
+ * - `local` (default): files in node-app/uploads, served by the API at /uploads
+ * - `s3`: any S3-compatible bucket (AWS S3, MinIO, ...), so several backend
+ *   containers can share the same files
+ *
+ * Other drivers can be added with registerDriver(name, factory), where the
+ * factory returns { put(key, buffer, contentType), remove(key), url(key) }.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Keys written before the storage layer existed were stored as `uploads/<name>`
+const LEGACY_PREFIX = 'uploads/';
+
+const LOCAL_DIR = path.join(__dirname, '..', 'uploads');
+
+const drivers = {
+  /**
+   * Local disk driver
+   */
+  local: () => {
+    const publicUrl = process.env.STORAGE_PUBLIC_URL;
+
+    return {
+      put: async (key, buffer) => {
+        await fs.mkdir(LOCAL_DIR, { recursive: true });
+        await fs.writeFile(path.join(LOCAL_DIR, key), buffer);
+      },
+
+      remove: async (key) => {
+        await fs.unlink(path.join(LOCAL_DIR, key)).catch((error) => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      },
+
+      // Relative to the API unless a public base URL is configured
+      url: (key) => (publicUrl ? `${publicUrl.replace(/\/$/, '')}/${key}` : `uploads/${key}`)
+    };
+  },
+
+  /**
+   * S3-compatible driver
+   */
+  s3: () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+    }
+
+    const endpoint = process.env.S3_ENDPOINT; // e.g. http://minio:9000; unset for AWS
+    const region = process.env.S3_REGION || 'us-east-1';
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true' || !!endpoint;
+
+    const client = new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+        }
+        : undefined // Fall back to the SDK's default credential chain
+    });
+
+    const publicUrl = (process.env.S3_PUBLIC_URL
+      || (forcePathStyle
+        ? `${(endpoint || `https://s3.${region}.amazonaws.com`).replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/$/, '');
+
+    return {
+      put: (key, buffer, contentType) => client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=2592000, immutable'
+      })),
+
+      remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key })),
+
+      url: (key) => `${publicUrl}/${key}`
+    };
+  }
+};
+
+let activeDriver = null;
+
+/**
+ * Get the configured driver, creating it on first use
+ */
+const getDriver = () => {
+  if (!activeDriver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = drivers[name];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+
+    activeDriver = factory();
+  }
+  return activeDriver;
+};
+
+/**
+ * Register a custom driver
+ * @param {String} name - Value of STORAGE_DRIVER that selects it
+ * @param {Function} factory - () => { put, remove, url }
+ */
+const registerDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * Whether files are served from this API's /uploads route
+ */
+const isLocal = () => (process.env.STORAGE_DRIVER || 'local') === 'local';
+
+/**
+ * Strip the legacy `uploads/` prefix so old and new values are both keys
+ */
+const normalizeKey = (key) => (key.startsWith(LEGACY_PREFIX) ? key.slice(LEGACY_PREFIX.length) : key);
+
+/**
+ * Store a file
+ * @param {String} key - Storage key
+ * @param {Buffer} buffer - File contents
+ * @param {String} contentType - MIME type
+ */
+const putObject = (key, buffer, contentType) => getDriver().put(normalizeKey(key), buffer, contentType);
+
+/**
+ * Delete a file; missing files are ignored
+ */
+const removeObject = (key) => getDriver().remove(normalizeKey(key));
+
+/**
+ * Public URL of a stored file. Full URLs (already resolved) pass through.
+ */
+const getObjectUrl = (key) => {
+  if (!key || /^https?:\/\//.test(key)) return key;
+  return getDriver().url(normalizeKey(key));
+};
+
+module.exports = {
+  LOCAL_DIR,
+  registerDriver,
+  isLocal,
+  putObject,
+  removeObject,
+  getObjectUrl
+};
@@ -0,0 +1,166 @@
+/**
+ * Token helpers - access and refresh token issuing, rotation and revocation
+ *
+ * Access tokens are short-lived JWTs carrying the user's `tokenVersion`;
+ * bumping that version on the user invalidates every outstanding access
+ * token at once. Refresh tokens are random strings stored hashed in the
+ * RefreshToken collection and rotated on every use.
+ *
+ * Event stream tickets stand in for the access token on the one route that
+ * can't send an Authorization header (EventSource). They are random,
+ * single-use, expire within seconds and are kept in memory, so a ticket
+ * that ends up in a log is already spent.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const STREAM_TICKET_TTL_SECONDS = parseInt(process.env.STREAM_TICKET_TTL_SECONDS) || 30;
+
+// ticket hash -> { userId, tokenVersion, expiresAt }
+const streamTickets = new Map();
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {String} token - Plain refresh token
+ * @returns {String} Hex-encoded SHA-256 hash
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a short-lived JWT access token
+ * @param {Object} user - User object
+ * @returns {String} JWT token
+ */
+const generateAccessToken = (user) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      tokenVersion: user.tokenVersion || 0
+    },
+    process.env.JWT_SECRET || 'MYKEY',
+    { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+  );
+};
+
+/**
+ * Create and store a new refresh token
+ * @param {Object} user - User object
+ * @param {Object} req - Express request (for IP and user agent)
+ * @param {String} [family] - Existing session family when rotating
+ * @returns {Object} { token, record } - plain token and its stored record
+ */
+const createRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return { token, record };
+};
+
+/**
+ * Issue an access/refresh token pair for a fresh login
+ * @returns {Object} { token, refreshToken }
+ */
+const issueTokens = async (user, req) => {
+  const { token: refreshToken } = await createRefreshToken(user, req);
+  return { token: generateAccessToken(user), refreshToken };
+};
+
+/**
+ * Find the stored record for a refresh token
+ * @param {String} token - Plain refresh token
+ */
+const findRefreshToken = (token) => RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+/**
+ * Replace a refresh token with a new one in the same family
+ * @returns {String} New plain refresh token
+ */
+const rotateRefreshToken = async (record, user, req) => {
+  const { token, record: next } = await createRefreshToken(user, req, record.family);
+
+  record.revokedAt = new Date();
+  record.replacedBy = next.tokenHash;
+  await record.save();
+
+  return token;
+};
+
+/**
+ * Revoke every token in a session family (used when a revoked token is reused)
+ */
+const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+/**
+ * Revoke every refresh token a user holds
+ */
+const revokeAllForUser = (userId) => RefreshToken.updateMany(
+  { user: userId, revokedAt: null },
+  { $set: { revokedAt: new Date() } }
+);
+
+/**
+ * Issue a single-use ticket for opening the user's event stream
+ * @param {Object} user - User object
+ * @returns {Object} { ticket, expiresIn } - plain ticket and its lifetime in seconds
+ */
+const issueStreamTicket = (user) => {
+  const now = Date.now();
+
+  // Drop tickets that were never redeemed
+  streamTickets.forEach((entry, hash) => {
+    if (entry.expiresAt <= now) streamTickets.delete(hash);
+  });
+
+  const ticket = crypto.randomBytes(32).toString('hex');
+  streamTickets.set(hashToken(ticket), {
+    userId: user._id.toString(),
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: now + STREAM_TICKET_TTL_SECONDS * 1000
+  });
+
+  return { ticket, expiresIn: STREAM_TICKET_TTL_SECONDS };
+};
+
+/**
+ * Use up a stream ticket
+ * @param {String} ticket - Plain ticket
+ * @returns {Object|null} { userId, tokenVersion }, or null when the ticket is
+ *   unknown, already used or expired
+ */
+const redeemStreamTicket = (ticket) => {
+  const hash = hashToken(ticket);
+  const entry = streamTickets.get(hash);
+  if (!entry) return null;
+
+  streamTickets.delete(hash);
+  if (entry.expiresAt <= Date.now()) return null;
+
+  return { userId: entry.userId, tokenVersion: entry.tokenVersion };
+};
+
+module.exports = {
+  generateAccessToken,
+  issueTokens,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllForUser,
+  issueStreamTicket,
+  redeemStreamTicket
+};
@@ -30,6 +30,56 @@ const signupSchema = z.object({
   }),
 });
 
+const refreshTokenSchema = z.object({
+  body: z.object({
+    refreshToken: z.string().min(1, 'Refresh token is required'),
+  }),
+});
+
+const emailTokenSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Token is required'),
+  }),
+});
+
+const forgotPasswordSchema = z.object({
+  body: z.object({
+    email: z
+      .string()
+      .email('Please provide a valid email address')
+      .toLowerCase(),
+  }),
+});
+
+const resetPasswordSchema = z.object({
+  body: z.object({
+    token: z.string().min(1, 'Token is required'),
+    password: z
+      .string()
+      .min(6, 'Password must be at least 6 characters')
+      .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  }),
+});
+
+const changePasswordSchema = z.object({
+  body: z.object({
+    currentPassword: z.string().min(1, 'Current password is required'),
+    newPassword: z
+      .string()
+      .min(6, 'Password must be at least 6 characters')
+      .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  }).refine((data) => data.currentPassword !== data.newPassword, {
+    message: 'New password must be different from the current password',
+    path: ['newPassword'],
+  }),
+});
+
+const deleteAccountSchema = z.object({
+  body: z.object({
+    password: z.string().min(1, 'Password is required to close your account'),
+  }),
+});
+
 const profileUpdateSchema = z.object({
   body: z.object({
     username: z
@@ -93,30 +143,440 @@ const addProductSchema = z.object({
   }),
 });
 
+/**
+ * Number sent as JSON or as a form string, checked with `isValid`
+ */
+const numeric = (isValid, message) => z.union([z.number(), z.string()]).refine(
+  (val) => !isNaN(parseFloat(val)) && isValid(parseFloat(val)),
+  { message }
+);
+
+// The fields an owner can edit, and nothing else: counters, ownership,
+// images and lifecycle dates are managed by the server
 const updateProductSchema = z.object({
-  body: addProductSchema.shape.body.partial().extend({
-    status: z.enum(['active', 'sold', 'inactive']).optional(),
-  }),
+  body: addProductSchema.shape.body
+    .pick({ pname: true, pdesc: true, category: true })
+    .extend({
+      price: numeric((val) => val > 0, 'Price must be a number greater than 0'),
+      condition: z.enum(['new', 'like-new', 'good', 'fair', 'poor']),
+      plat: numeric((val) => Math.abs(val) <= 90, 'Invalid latitude'),
+      plong: numeric((val) => Math.abs(val) <= 180, 'Invalid longitude'),
+      status: z.enum(['active', 'reserved', 'sold', 'inactive']),
+      reservedFor: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID').nullable(),
+      reservedUntil: z.string().datetime({ offset: true, message: 'Invalid reservation end date' }),
+    })
+    .partial()
+    .strict()
+    .refine((body) => (body.plat === undefined) === (body.plong === undefined), {
+      message: 'plat and plong must be given together',
+      path: ['plat'],
+    }),
   params: z.object({
     productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID'),
   }),
 });
 
+/**
+ * Comma-separated list where every item must be one of `values`
+ */
+const csvEnum = (values, message) => z.string().refine(
+  (val) => val.split(',').every((item) => values.includes(item.trim())),
+  { message }
+);
+
+const PRODUCT_CATEGORIES = ['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Vehicles', 'Other'];
+const PRODUCT_CONDITIONS = ['new', 'like-new', 'good', 'fair', 'poor'];
+
+const paginationQuery = {
+  page: z.string().regex(/^[1-9]\d*$/, 'Page must be a positive integer').optional(),
+  limit: z.string().regex(/^[1-9]\d*$/, 'Limit must be a positive integer')
+    .refine((val) => parseInt(val) <= 100, { message: 'Limit cannot exceed 100' })
+    .optional(),
+};
+
+// Opaque cursor from a previous page (see lib/pagination.js); page is the
+// older alternative and can't be combined with it
+const cursorPaginationQuery = {
+  ...paginationQuery,
+  cursor: z.string().max(512, 'Invalid cursor').optional(),
+};
+
+const noPageWithCursor = [
+  (query) => !(query.cursor && query.page),
+  { message: 'Use either cursor or page, not both', path: ['cursor'] },
+];
+
+// Reserved listings are listed (with a badge) unless excluded
+const includeReservedQuery = {
+  includeReserved: z.enum(['true', 'false']).optional(),
+};
+
+// Filters shared by the product list and search (see lib/facets.js)
+const productFilterQuery = {
+  ...includeReservedQuery,
+  category: csvEnum(PRODUCT_CATEGORIES, 'Invalid category').optional(),
+  condition: csvEnum(PRODUCT_CONDITIONS, 'Invalid condition').optional(),
+  priceRange: z.string().regex(/^\d+(\.\d+)?-(\d+(\.\d+)?)?(,\d+(\.\d+)?-(\d+(\.\d+)?)?)*$/, 'Price ranges must look like 0-1000,5000-').optional(),
+  minPrice: z.string().refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) >= 0, {
+    message: 'Min price must be a non-negative number',
+  }).optional(),
+  maxPrice: z.string().refine((val) => !isNaN(parseFloat(val)) && parseFloat(val) >= 0, {
+    message: 'Max price must be a non-negative number',
+  }).optional(),
+};
+
+/**
+ * Numeric query string within [min, max]
+ */
+const numberInRange = (min, max, message) => z.string().refine(
+  (val) => val.trim() !== '' && !isNaN(Number(val)) && Number(val) >= min && Number(val) <= max,
+  { message }
+);
+
+const productsQuerySchema = z.object({
+  query: z.object({
+    ...productFilterQuery,
+    ...cursorPaginationQuery,
+    catName: z.enum(PRODUCT_CATEGORIES).optional(),
+    lat: numberInRange(-90, 90, 'Latitude must be between -90 and 90').optional(),
+    lng: numberInRange(-180, 180, 'Longitude must be between -180 and 180').optional(),
+    radius: numberInRange(1, 1000, 'Radius must be a number between 1 and 1000 (km)').optional(),
+    sortBy: z.enum(['newest', 'price-asc', 'price-desc', 'distance']).optional(),
+  })
+    .refine((query) => !query.lat === !query.lng, {
+      message: 'lat and lng must be given together',
+      path: ['lat'],
+    })
+    .refine((query) => query.lat || (!query.radius && query.sortBy !== 'distance'), {
+      message: 'A location (lat and lng) is required for radius and distance sorting',
+      path: ['lat'],
+    })
+    .refine(...noPageWithCursor),
+});
+
+const categoryProductsQuerySchema = z.object({
+  query: z.object({ ...cursorPaginationQuery, ...includeReservedQuery }).refine(...noPageWithCursor),
+});
+
+const sellerProductsQuerySchema = userIdParamSchema.extend({
+  query: z.object({ ...cursorPaginationQuery, ...includeReservedQuery }).refine(...noPageWithCursor),
+});
+
 const searchSchema = z.object({
   query: z.object({
+    ...productFilterQuery,
     search: z.string().min(1, 'Search term is required').max(100, 'Search term too long'),
     loc: z.string().regex(/^-?\d+\.?\d*,-?\d+\.?\d*$/, 'Invalid location format'),
-    category: z.enum(['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Vehicles', 'Other']).optional(),
     maxDistance: z.string().refine((val) => !isNaN(parseInt(val)) && parseInt(val) > 0 && parseInt(val) <= 1000, {
       message: "Max distance must be a number between 1 and 1000",
     }).optional(),
   }),
 });
 
+// ==================== MESSAGING SCHEMAS ====================
+
+const startConversationSchema = z.object({
+  body: z.object({
+    productId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid product ID'),
+    text: z
+      .string()
+      .trim()
+      .min(1, 'Message cannot be empty')
+      .max(1000, 'Message cannot exceed 1000 characters')
+      .optional(),
+  }),
+});
+
+const conversationIdParamSchema = z.object({
+  params: z.object({
+    conversationId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid conversation ID'),
+  }),
+});
+
+const conversationMessagesQuerySchema = conversationIdParamSchema.extend({
+  query: z.object(paginationQuery),
+});
+
+const sendMessageSchema = conversationIdParamSchema.extend({
+  body: z.object({
+    text: z
+      .string()
+      .trim()
+      .min(1, 'Message cannot be empty')
+      .max(1000, 'Message cannot exceed 1000 characters'),
+  }),
+});
+
+// ==================== CART & ORDER SCHEMAS ====================
+
+const objectId = (message) => z.string().regex(/^[0-9a-fA-F]{24}$/, message);
+
+const productIdParamSchema = z.object({
+  params: z.object({
+    productId: objectId('Invalid product ID'),
+  }),
+});
+
+const productImageParamSchema = z.object({
+  params: z.object({
+    productId: objectId('Invalid product ID'),
+    imageId: objectId('Invalid image ID'),
+  }),
+});
+
+const reorderProductImagesSchema = productIdParamSchema.extend({
+  body: z.object({
+    imageIds: z.array(objectId('Invalid image ID')),
+  }),
+});
+
+const productHistoryQuerySchema = productIdParamSchema.extend({
+  query: z.object(paginationQuery),
+});
+
+const addCartItemSchema = z.object({
+  body: z.object({
+    productId: objectId('Invalid product ID'),
+  }),
+});
+
+const replaceCartSchema = z.object({
+  body: z.object({
+    items: z
+      .array(z.object({
+        productId: objectId('Invalid product ID'),
+        quantity: z.number().int().min(1).max(1, 'Each listing is a single item').optional(),
+      }))
+      .max(50, 'Cart cannot contain more than 50 items'),
+  }),
+});
+
+const createOrderSchema = z.object({
+  body: z.object({
+    productIds: z.array(objectId('Invalid product ID')).min(1).optional(),
+  }),
+});
+
+const orderIdParamSchema = z.object({
+  params: z.object({
+    orderId: objectId('Invalid order ID'),
+  }),
+});
+
+const getOrdersSchema = z.object({
+  query: z.object({
+    role: z.enum(['buyer', 'seller']).optional(),
+    status: z.enum(['pending', 'completed', 'cancelled']).optional(),
+  }),
+});
+
+// ==================== OFFER SCHEMAS ====================
+
+const offerFields = {
+  amount: z.number().positive('Amount must be greater than 0'),
+  message: z.string().trim().max(500, 'Message cannot exceed 500 characters').optional(),
+};
+
+const offerIdParamSchema = z.object({
+  params: z.object({
+    offerId: objectId('Invalid offer ID'),
+  }),
+});
+
+const makeOfferSchema = productIdParamSchema.extend({
+  body: z.object(offerFields),
+});
+
+const counterOfferSchema = offerIdParamSchema.extend({
+  body: z.object(offerFields),
+});
+
+const offersQuerySchema = z.object({
+  query: z.object({
+    role: z.enum(['buyer', 'seller']).optional(),
+    status: z.enum(['open', 'pending', 'accepted', 'rejected', 'countered', 'expired', 'withdrawn']).optional(),
+    productId: objectId('Invalid product ID').optional(),
+  }),
+});
+
+// ==================== ADMIN SCHEMAS ====================
+
+const adminUsersQuerySchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+    search: z.string().max(100, 'Search term too long').optional(),
+    role: z.enum(['user', 'moderator', 'admin']).optional(),
+    isActive: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const setUserStatusSchema = userIdParamSchema.extend({
+  body: z.object({
+    isActive: z.boolean({ required_error: 'isActive is required' }),
+  }),
+});
+
+const setUserRoleSchema = userIdParamSchema.extend({
+  body: z.object({
+    role: z.enum(['user', 'moderator', 'admin']),
+  }),
+});
+
+const adminProductsQuerySchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+    status: z.enum(['active', 'reserved', 'sold', 'inactive']).optional(),
+    hidden: z.enum(['true', 'false']).optional(),
+    addedBy: objectId('Invalid user ID').optional(),
+  }),
+});
+
+const setProductVisibilitySchema = productIdParamSchema.extend({
+  body: z.object({
+    hidden: z.boolean({ required_error: 'hidden is required' }),
+    reason: z.string().max(200, 'Reason cannot exceed 200 characters').optional(),
+  }),
+});
+
+// ==================== REPORT SCHEMAS ====================
+
+const reportProductSchema = productIdParamSchema.extend({
+  body: z.object({
+    reason: z.enum(['scam', 'prohibited', 'counterfeit', 'offensive', 'duplicate', 'wrong-category', 'other']),
+    details: z.string().max(500, 'Details cannot exceed 500 characters').optional(),
+  }),
+});
+
+const moderationQueueSchema = z.object({
+  query: z.object(paginationQuery),
+});
+
+const resolveReportsSchema = productIdParamSchema.extend({
+  body: z.object({
+    action: z.enum(['dismiss', 'deactivate']),
+    // Shown to the seller and kept on the listing's moderation hold
+    reason: z.string().trim().min(1).max(500).optional(),
+  }),
+});
+
+// ==================== SAVED SEARCH SCHEMAS ====================
+
+// Same filters as the product list and search, as JSON values
+const savedSearchFields = {
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name cannot exceed 100 characters'),
+  search: z.string().trim().max(100, 'Search term too long').nullable().optional(),
+  categories: z.array(z.enum(PRODUCT_CATEGORIES)).optional(),
+  conditions: z.array(z.enum(PRODUCT_CONDITIONS)).optional(),
+  priceRanges: z.array(z.object({
+    min: z.number().min(0),
+    max: z.number().min(0).nullable(),
+  })).max(10, 'Too many price ranges').optional(),
+  minPrice: z.number().min(0, 'Min price cannot be negative').nullable().optional(),
+  maxPrice: z.number().min(0, 'Max price cannot be negative').nullable().optional(),
+  location: z.object({
+    lat: z.number().min(-90).max(90),
+    lng: z.number().min(-180).max(180),
+  }).nullable().optional(),
+  radius: z.number().min(1).max(1000, 'Radius cannot exceed 1000 km').nullable().optional(),
+  alertsEnabled: z.boolean().optional(),
+};
+
+const savedSearchIdParam = z.object({
+  savedSearchId: objectId('Invalid saved search ID'),
+});
+
+const createSavedSearchSchema = z.object({
+  body: z.object(savedSearchFields).refine((body) => !body.radius || body.location, {
+    message: 'A location is required to search within a radius',
+    path: ['radius'],
+  }),
+});
+
+const updateSavedSearchSchema = z.object({
+  params: savedSearchIdParam,
+  body: z.object(savedSearchFields).partial(),
+});
+
+const savedSearchIdParamSchema = z.object({
+  params: savedSearchIdParam,
+});
+
+// ==================== NOTIFICATION SCHEMAS ====================
+
+const notificationsQuerySchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+    unread: z.enum(['true', 'false']).optional(),
+  }),
+});
+
+const notificationIdParamSchema = z.object({
+  params: z.object({
+    notificationId: objectId('Invalid notification ID'),
+  }),
+});
+
+// ==================== REVIEW SCHEMAS ====================
+
+const createReviewSchema = z.object({
+  body: z.object({
+    productId: objectId('Invalid product ID'),
+    rating: z.number().int('Rating must be a whole number').min(1, 'Rating must be between 1 and 5').max(5, 'Rating must be between 1 and 5'),
+    comment: z.string().trim().max(1000, 'Comment cannot exceed 1000 characters').optional(),
+  }),
+});
+
+const userReviewsQuerySchema = userIdParamSchema.extend({
+  query: z.object(paginationQuery),
+});
+
 module.exports = {
   loginSchema,
   signupSchema,
+  refreshTokenSchema,
+  emailTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  profileUpdateSchema,
+  userIdParamSchema,
   addProductSchema,
   updateProductSchema,
+  productsQuerySchema,
+  categoryProductsQuerySchema,
+  sellerProductsQuerySchema,
   searchSchema,
+  startConversationSchema,
+  conversationIdParamSchema,
+  conversationMessagesQuerySchema,
+  sendMessageSchema,
+  productIdParamSchema,
+  productImageParamSchema,
+  reorderProductImagesSchema,
+  productHistoryQuerySchema,
+  addCartItemSchema,
+  replaceCartSchema,
+  createOrderSchema,
+  orderIdParamSchema,
+  getOrdersSchema,
+  offerIdParamSchema,
+  makeOfferSchema,
+  counterOfferSchema,
+  offersQuerySchema,
+  adminUsersQuerySchema,
+  setUserStatusSchema,
+  setUserRoleSchema,
+  adminProductsQuerySchema,
+  setProductVisibilitySchema,
+  reportProductSchema,
+  moderationQueueSchema,
+  resolveReportsSchema,
+  createSavedSearchSchema,
+  updateSavedSearchSchema,
+  savedSearchIdParamSchema,
+  notificationsQuerySchema,
+  notificationIdParamSchema,
+  createReviewSchema,
+  userReviewsQuerySchema,
 };
\ No newline at end of file
@@ -8,6 +8,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { redeemStreamTicket } = require('../lib/tokens');
 
 /**
  * Middleware to verify JWT token and authenticate user
@@ -48,11 +49,21 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a "log out everywhere" are no longer valid
+    if ((decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has been revoked'
+      });
+    }
+
     // Add user information to request object
     req.user = {
       userId: user._id,
       username: user.username,
-      email: user.email
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified
     };
 
     next();
@@ -103,11 +114,13 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'MYKEY');
     const user = await User.findById(decoded.userId);
 
-    if (user && user.isActive) {
+    if (user && user.isActive && (decoded.tokenVersion || 0) === user.tokenVersion) {
       req.user = {
         userId: user._id,
         username: user.username,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified
       };
     } else {
       req.user = null;
@@ -143,7 +156,7 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
       }
 
       // Check if user owns the resource
-      if (resource.addedBy && resource.addedBy.toString() !== userId) {
+      if (resource.addedBy && resource.addedBy.toString() !== userId.toString()) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to access this resource'
@@ -166,15 +179,16 @@ const checkOwnership = (resourceModel, resourceIdParam = 'id') => {
 };
 
 /**
- * Middleware to check user roles (for future role-based access control)
+ * Middleware to check user roles
+ * 
+ * Usage: Use after authenticateToken, e.g. requireRole(['moderator', 'admin'])
+ * Accepts a single role or an array of roles.
  */
 const requireRole = (roles) => {
+  const allowedRoles = Array.isArray(roles) ? roles : [roles];
+
   return async (req, res, next) => {
     try {
-      // This is a placeholder for role-based access control
-      // You can extend this when you add roles to your user model
-      
-      // For now, just check if user is authenticated
       if (!req.user) {
         return res.status(401).json({
           success: false,
@@ -182,14 +196,13 @@ const requireRole = (roles) => {
         });
       }
 
-      // TODO: Implement role checking when roles are added to user model
-      // const user = await User.findById(req.user.userId);
-      // if (!roles.includes(user.role)) {
-      //   return res.status(403).json({
-      //     success: false,
-      //     message: 'Insufficient permissions'
-      //   });
-      // }
+      // Role is loaded from the database by authenticateToken
+      if (!allowedRoles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions'
+        });
+      }
 
       next();
 
@@ -204,10 +217,86 @@ const requireRole = (roles) => {
   };
 };
 
+/**
+ * Middleware to require a verified email address
+ * 
+ * Usage: Use after authenticateToken on routes unverified users can't use,
+ * e.g. posting a listing
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address first',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to authenticate the event stream with a `ticket` query parameter
+ *
+ * Browsers can't set headers on EventSource connections, so instead of the
+ * access token the client sends a single-use ticket from
+ * POST /api/events/ticket. Use only on the event stream route.
+ */
+const authenticateStreamTicket = async (req, res, next) => {
+  try {
+    const { ticket } = req.query;
+    const redeemed = typeof ticket === 'string' ? redeemStreamTicket(ticket) : null;
+
+    if (!redeemed) {
+      return res.status(401).json({
+        success: false,
+        message: 'Stream ticket is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(redeemed.userId);
+
+    // Same checks as authenticateToken, against the version the ticket was issued under
+    if (!user || !user.isActive || redeemed.tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({
+        success: false,
+        message: 'Stream ticket is invalid or has expired'
+      });
+    }
+
+    req.user = {
+      userId: user._id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      emailVerified: user.emailVerified
+    };
+
+    next();
+
+  } catch (error) {
+    console.error('Stream ticket authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateStreamTicket,
   optionalAuth,
   checkOwnership,
-  requireRole
+  requireRole,
+  requireVerifiedEmail
 };
 
@@ -0,0 +1,53 @@
+/**
+ * Image Processing Middleware
+ * 
+ * Runs after multer (memory storage) and turns every uploaded buffer into
+ * resized, metadata-free variants, written through the active storage
+ * driver (see lib/storage.js). Each file object gets:
+ * - file.variants: { thumbnail, card, full } storage keys
+ * - file.path: the key of the full-size variant, so controllers can keep
+ *   using it
+ */
+
+const { processImage, removeImageVariants, InvalidImageError } = require('../lib/images');
+
+/**
+ * Middleware to process every file in req.files
+ * 
+ * Usage: app.post('/route', upload.fields([...]), processImages, controller)
+ */
+const processImages = async (req, res, next) => {
+  const files = Object.values(req.files || {}).flat();
+  const processed = [];
+
+  try {
+    for (const file of files) {
+      file.variants = await processImage(file.buffer, file.fieldname);
+      file.path = file.variants.full;
+      // The raw upload is no longer needed
+      file.buffer = undefined;
+      processed.push(file.variants);
+    }
+
+    next();
+
+  } catch (error) {
+    await Promise.all(processed.map(removeImageVariants));
+
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Image processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+  }
+};
+
+module.exports = processImages;
@@ -0,0 +1,78 @@
+/**
+ * Cart Model - Defines a user's persisted shopping cart in MongoDB
+ *
+ * Each user has at most one cart. Keeping it server-side lets the cart
+ * survive reloads and follow the user across devices.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the cart item sub-schema
+const cartItemSchema = new mongoose.Schema({
+  // Product in the cart
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // Listings are single items, so quantity is always 1
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1'],
+    max: [1, 'Each listing is a single item']
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Define the Cart schema
+const cartSchema = new mongoose.Schema({
+  // Owner of the cart
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Cart owner is required'],
+    unique: true
+  },
+
+  items: [cartItemSchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+/**
+ * Instance method to check if a product is already in the cart
+ */
+cartSchema.methods.hasProduct = function(productId) {
+  return this.items.some(item => item.product.toString() === productId.toString());
+};
+
+/**
+ * Instance method to remove products from the cart
+ */
+cartSchema.methods.removeProducts = function(productIds) {
+  const ids = productIds.map(id => id.toString());
+  this.items = this.items.filter(item => !ids.includes(item.product.toString()));
+  return this;
+};
+
+/**
+ * Static method to get (or create) a user's cart
+ */
+cartSchema.statics.findOrCreate = async function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+// Create and export the Cart model
+const Cart = mongoose.model('Cart', cartSchema);
+
+module.exports = Cart;
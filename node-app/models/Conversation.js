@@ -0,0 +1,106 @@
+/**
+ * Conversation Model - Defines a buyer–seller message thread in MongoDB
+ *
+ * A conversation is keyed on (product, buyer, seller), so a buyer has at most
+ * one thread per product. It keeps:
+ * - A preview of the latest message for the inbox view
+ * - Per-participant unread counters
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Conversation schema
+const conversationSchema = new mongoose.Schema({
+  // Product the conversation is about
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // User who started the conversation
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Buyer is required']
+  },
+
+  // Owner of the product
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+
+  // Preview of the most recent message
+  lastMessage: {
+    text: String,
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+
+  // Used to sort the inbox
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Unread message counters for each participant
+  unreadCounts: {
+    buyer: {
+      type: Number,
+      default: 0
+    },
+    seller: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// One conversation per (product, buyer, seller)
+conversationSchema.index({ product: 1, buyer: 1, seller: 1 }, { unique: true });
+
+// Inbox lookups for either participant
+conversationSchema.index({ buyer: 1, lastMessageAt: -1 });
+conversationSchema.index({ seller: 1, lastMessageAt: -1 });
+
+/**
+ * Instance method to check if a user takes part in this conversation
+ */
+conversationSchema.methods.isParticipant = function(userId) {
+  const id = userId.toString();
+  return this.buyer.toString() === id || this.seller.toString() === id;
+};
+
+/**
+ * ID of a participant given as an ID or a populated user document
+ */
+const participantId = (participant) => (participant._id || participant).toString();
+
+/**
+ * Instance method to get a participant's role ('buyer' or 'seller')
+ * @param {ObjectId|String|Object} user - User ID or populated user document
+ */
+conversationSchema.methods.roleOf = function(user) {
+  return participantId(this.buyer) === participantId(user) ? 'buyer' : 'seller';
+};
+
+/**
+ * Static method to get a user's inbox, newest activity first
+ */
+conversationSchema.statics.getInbox = function(userId) {
+  return this.find({
+    $or: [{ buyer: userId }, { seller: userId }]
+  }).sort({ lastMessageAt: -1 });
+};
+
+// Create and export the Conversation model
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+module.exports = Conversation;
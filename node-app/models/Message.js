@@ -0,0 +1,49 @@
+/**
+ * Message Model - Defines a single message inside a Conversation
+ *
+ * Messages are append-only; the only field that changes after creation
+ * is `readAt`, set when the recipient opens the thread.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the Message schema
+const messageSchema = new mongoose.Schema({
+  // Conversation this message belongs to
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: [true, 'Conversation is required']
+  },
+
+  // User who sent the message
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Sender is required']
+  },
+
+  // Message body
+  text: {
+    type: String,
+    required: [true, 'Message text is required'],
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+
+  // When the recipient read the message (null while unread)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Page through a thread newest first
+messageSchema.index({ conversation: 1, createdAt: -1 });
+
+// Create and export the Message model
+const Message = mongoose.model('Message', messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,100 @@
+/**
+ * Notification Model - Defines an in-app notification for a user
+ *
+ * Notifications are created by the server when something happens that a
+ * user should know about: someone liked or asked about their listing, a
+ * moderator acted on it or it expired, an offer was made or answered, a
+ * liked listing got cheaper, or a new listing matches one of their saved
+ * searches. They stay unread until the user opens them (see
+ * lib/notifications.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Longest notification text
+const MESSAGE_MAX_LENGTH = 300;
+
+// What the notification is about
+const NOTIFICATION_TYPES = [
+  'product-liked',      // Someone liked the user's listing
+  'new-message',        // Someone messaged the user
+  'listing-moderated',  // A moderator hid, restored or deactivated the user's listing
+  'listing-expired',    // The user's listing expired and was deactivated
+  'saved-search-match', // A new listing matches one of the user's saved searches
+  'price-drop',         // A listing the user liked got cheaper
+  'new-offer',          // A buyer made an offer on the user's listing
+  'offer-update'        // An offer the user made or countered was answered
+];
+
+// Define the Notification schema
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Notification type is required'],
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Invalid notification type'
+    }
+  },
+
+  // Short text shown in the notification list
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [MESSAGE_MAX_LENGTH, `Message cannot exceed ${MESSAGE_MAX_LENGTH} characters`]
+  },
+
+  // Frontend path opened when the notification is clicked
+  link: {
+    type: String,
+    trim: true
+  },
+
+  // User whose action caused the notification (not set for moderation)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Related records, when there are any
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  savedSearch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SavedSearch'
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+
+  // When the user read it (null = unread)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// A user's notifications, newest first, and their unread count
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+notificationSchema.statics.TYPES = NOTIFICATION_TYPES;
+notificationSchema.statics.MESSAGE_MAX_LENGTH = MESSAGE_MAX_LENGTH;
+
+// Create and export the Notification model
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,139 @@
+/**
+ * Offer Model - Defines a buyer's price offer on a listing in MongoDB
+ *
+ * Lifecycle:
+ * - pending: waiting for the seller, who can accept, reject or counter it
+ * - countered: the seller proposed `counterAmount`; the buyer can accept it
+ * - accepted: a pending order at the agreed price reserves the listing for
+ *   the buyer, and every other open offer on the listing is rejected
+ * - rejected / withdrawn: closed by the seller / the buyer
+ * - expired: nobody answered before `expiresAt`
+ */
+
+const mongoose = require('mongoose');
+
+// Hours an offer (or a counter) stays open without an answer
+const OFFER_EXPIRY_HOURS = parseInt(process.env.OFFER_EXPIRY_HOURS) || 48;
+
+// Offers that can still be answered
+const OPEN_STATUSES = ['pending', 'countered'];
+
+// Define the Offer schema
+const offerSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // User making the offer
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Buyer is required']
+  },
+
+  // Owner of the listing
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+
+  // Price offered by the buyer
+  amount: {
+    type: Number,
+    required: [true, 'Offer amount is required'],
+    min: [0.01, 'Offer amount must be greater than 0']
+  },
+
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'accepted', 'rejected', 'countered', 'expired', 'withdrawn'],
+      message: 'Invalid offer status'
+    },
+    default: 'pending'
+  },
+
+  // Seller's counter-proposal (status 'countered')
+  counterAmount: {
+    type: Number,
+    min: [0.01, 'Counter amount must be greater than 0']
+  },
+
+  counterMessage: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+
+  // Open offers expire at this time; a counter starts a new period
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + OFFER_EXPIRY_HOURS * 60 * 60 * 1000)
+  },
+
+  // Last time the offer changed status
+  respondedAt: Date,
+
+  // Order created when the offer was accepted
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+offerSchema.index({ product: 1, status: 1 });
+offerSchema.index({ buyer: 1, createdAt: -1 });
+offerSchema.index({ seller: 1, status: 1, createdAt: -1 });
+
+/**
+ * Instance method to get the price the offer would close at: the
+ * counter-proposal once the seller countered, otherwise the buyer's amount
+ */
+offerSchema.methods.agreedAmount = function() {
+  return this.status === 'countered' ? this.counterAmount : this.amount;
+};
+
+/**
+ * Static method to mark open offers past their expiry as expired
+ * @param {Object} filter - Extra conditions (e.g. one product or user)
+ */
+offerSchema.statics.expireStale = function(filter = {}) {
+  return this.updateMany(
+    { ...filter, status: { $in: OPEN_STATUSES }, expiresAt: { $lte: new Date() } },
+    { $set: { status: 'expired', respondedAt: new Date() } }
+  );
+};
+
+/**
+ * Static method to move an open offer to a new status, only if it is still
+ * in one of the expected statuses and hasn't expired (so two answers can't
+ * both win). Resolves to the updated offer, or null.
+ * @param {String[]} fromStatuses - Statuses the offer must be in
+ * @param {Object} changes - Fields to set, including the new status
+ */
+offerSchema.statics.transition = function(offerId, fromStatuses, changes) {
+  return this.findOneAndUpdate(
+    { _id: offerId, status: { $in: fromStatuses }, expiresAt: { $gt: new Date() } },
+    { $set: { ...changes, respondedAt: new Date() } },
+    { new: true, runValidators: true }
+  );
+};
+
+offerSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+offerSchema.statics.OFFER_EXPIRY_HOURS = OFFER_EXPIRY_HOURS;
+
+// Create and export the Offer model
+const Offer = mongoose.model('Offer', offerSchema);
+
+module.exports = Offer;
@@ -0,0 +1,155 @@
+/**
+ * Order Model - Defines a checkout of one or more listings in MongoDB
+ *
+ * Lifecycle:
+ * - pending: products are reserved for the buyer until `reservedUntil`
+ * - completed: the buyer and every seller confirmed the sale; products
+ *   are marked as sold
+ * - cancelled: reservations are released (either side can cancel while
+ *   the order is pending)
+ */
+
+const mongoose = require('mongoose');
+
+// Define the order item sub-schema (a snapshot of the listing at checkout)
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  pname: {
+    type: String,
+    required: true
+  },
+
+  price: {
+    type: Number,
+    required: true
+  },
+
+  quantity: {
+    type: Number,
+    default: 1
+  },
+
+  // Set when this item's seller confirms the sale
+  sellerConfirmedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Define the Order schema
+const orderSchema = new mongoose.Schema({
+  // User who placed the order
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Buyer is required']
+  },
+
+  items: {
+    type: [orderItemSchema],
+    validate: {
+      validator: v => v.length > 0,
+      message: 'An order must contain at least one item'
+    }
+  },
+
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+
+  // Products stay reserved until this time while the order is pending
+  reservedUntil: Date,
+
+  // Accepted offer this order was created from (its price is the agreed one)
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer',
+    default: null
+  },
+
+  // Set when the buyer confirms the purchase
+  buyerConfirmedAt: {
+    type: Date,
+    default: null
+  },
+
+  completedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+orderSchema.index({ buyer: 1, createdAt: -1 });
+orderSchema.index({ 'items.seller': 1, createdAt: -1 });
+
+/**
+ * Instance method to get the product IDs in this order
+ */
+orderSchema.methods.productIds = function() {
+  return this.items.map(item => item.product);
+};
+
+/**
+ * Instance method to check if a user is the buyer or one of the sellers
+ */
+orderSchema.methods.involves = function(userId) {
+  const id = userId.toString();
+  return this.buyer.toString() === id ||
+    this.items.some(item => item.seller.toString() === id);
+};
+
+/**
+ * Instance method to check if the buyer and every seller have confirmed
+ */
+orderSchema.methods.isConfirmed = function() {
+  return !!this.buyerConfirmedAt && this.items.every(item => !!item.sellerConfirmedAt);
+};
+
+/**
+ * Static method to record a user's confirmation of a pending order, as the
+ * buyer and/or as the seller of some of its items. Done in one update so
+ * two parties confirming at once both see each other's confirmation.
+ * @param {ObjectId} orderId - Order to confirm
+ * @param {ObjectId} userId - Confirming user
+ * @param {Object} roles - { asBuyer, asSeller }
+ * @returns {Object|null} Updated order, or null if it is no longer pending
+ */
+orderSchema.statics.confirm = function(orderId, userId, { asBuyer, asSeller }) {
+  const now = new Date();
+  const update = {};
+  const options = { new: true };
+
+  if (asBuyer) {
+    update.buyerConfirmedAt = now;
+  }
+  if (asSeller) {
+    update['items.$[mine].sellerConfirmedAt'] = now;
+    options.arrayFilters = [{ 'mine.seller': userId, 'mine.sellerConfirmedAt': null }];
+  }
+
+  return this.findOneAndUpdate({ _id: orderId, status: 'pending' }, { $set: update }, options);
+};
+
+// Create and export the Order model
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
@@ -3,12 +3,71 @@
  * 
  * This model represents a product in our marketplace with the following features:
  * - Product information (name, description, price, category)
- * - Image storage (multiple images)
+ * - Image storage (multiple images, each with thumbnail/card/full variants)
  * - Location-based search (geospatial indexing)
  * - User ownership tracking
  */
 
 const mongoose = require('mongoose');
+const { getObjectUrl } = require('../lib/storage');
+const { buildTextFilter } = require('../lib/search');
+const { afterCursor } = require('../lib/pagination');
+
+// Paths of the resized copies made by the image pipeline (lib/images.js)
+const imageVariantsSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  full: String
+}, { _id: false });
+
+// A gallery image; the _id is used to remove and reorder it
+const galleryImageSchema = new mongoose.Schema({
+  thumbnail: String,
+  card: String,
+  full: {
+    type: String,
+    required: true
+  }
+});
+
+// Most gallery images a listing can have, on top of pimage/pimage2
+const MAX_GALLERY_IMAGES = parseInt(process.env.MAX_GALLERY_IMAGES) || 10;
+
+// Most price history entries kept per listing (oldest are dropped)
+const MAX_PRICE_HISTORY = parseInt(process.env.MAX_PRICE_HISTORY) || 50;
+
+// Days a listing stays active before it expires (see lib/listingExpiry.js)
+const LISTING_EXPIRY_DAYS = parseInt(process.env.LISTING_EXPIRY_DAYS) || 30;
+
+// Hours a seller has to wait between two renewals / two bumps of a listing
+const RENEW_COOLDOWN_HOURS = parseInt(process.env.RENEW_COOLDOWN_HOURS) || 24;
+const BUMP_COOLDOWN_HOURS = parseInt(process.env.BUMP_COOLDOWN_HOURS) || 72;
+
+// Default and longest hold when a seller marks a listing reserved
+const RESERVED_HOLD_HOURS = parseInt(process.env.RESERVED_HOLD_HOURS) || 48;
+const MAX_RESERVED_HOLD_DAYS = parseInt(process.env.MAX_RESERVED_HOLD_DAYS) || 14;
+
+// Status changes a seller can make (PUT /api/products/:productId); sold is
+// final. Orders, the expiry job and moderators change status on their own.
+const STATUS_TRANSITIONS = {
+  active: ['reserved', 'sold', 'inactive'],
+  reserved: ['active', 'sold', 'inactive'],
+  inactive: ['active'],
+  sold: []
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Expiry date of a listing that is (re)listed at the given time
+ */
+const expiryFrom = (date) => new Date(date.getTime() + LISTING_EXPIRY_DAYS * 24 * HOUR_MS);
+
+// One price the listing had and when it was set
+const priceChangeSchema = new mongoose.Schema({
+  price: { type: Number, required: true },
+  changedAt: { type: Date, default: Date.now }
+}, { _id: false });
 
 // Define the Product schema
 const productSchema = new mongoose.Schema({
@@ -35,6 +94,25 @@ const productSchema = new mongoose.Schema({
     min: [0.01, 'Price must be greater than 0'] // Align with frontend Zod schema
   },
 
+  // Every price the listing has had, oldest first; the last entry is the
+  // current price. Left out of queries unless asked for (+priceHistory).
+  priceHistory: {
+    type: [priceChangeSchema],
+    select: false
+  },
+
+  // Set while the latest price change was a drop: the price before it
+  priceDrop: {
+    from: {
+      type: Number,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    }
+  },
+
   // Product category
   category: {
     type: String,
@@ -46,7 +124,7 @@ const productSchema = new mongoose.Schema({
     }
   },
 
-  // Product images
+  // Product images (storage keys; sent to clients as URLs, see toJSON below)
   pimage: {
     type: String,
     required: [true, 'Product image is required']
@@ -57,10 +135,18 @@ const productSchema = new mongoose.Schema({
     required: false // Make second image optional
   },
 
-  // Additional images array for more flexibility
-  additionalImages: [{
-    type: String
-  }],
+  // Resized copies of pimage/pimage2; pimage itself is the full variant
+  pimageVariants: imageVariantsSchema,
+  pimage2Variants: imageVariantsSchema,
+
+  // Extra gallery photos, shown after pimage/pimage2 in display order
+  additionalImages: {
+    type: [galleryImageSchema],
+    validate: {
+      validator: (images) => images.length <= MAX_GALLERY_IMAGES,
+      message: `A product can have at most ${MAX_GALLERY_IMAGES} additional images`
+    }
+  },
 
   // User who added this product
   addedBy: {
@@ -91,13 +177,102 @@ const productSchema = new mongoose.Schema({
     }
   },
 
-  // Product status
+  // Product status; 'reserved' is a hold the seller places while a deal
+  // is in progress (see reservedFor/reservedUntil)
   status: {
     type: String,
-    enum: ['active', 'sold', 'inactive'],
+    enum: ['active', 'reserved', 'sold', 'inactive'],
     default: 'active'
   },
 
+  // Buyer the seller is holding the listing for (optional); only they can
+  // order it while it is reserved
+  reservedFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // A reserved listing goes back to active after this date
+  // (see lib/listingExpiry.js)
+  reservedUntil: {
+    type: Date,
+    default: null
+  },
+
+  // When the listing last went to the top of the newest-first feed:
+  // when it was created or last bumped
+  listedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Active listings turn inactive after this date unless renewed
+  expiresAt: {
+    type: Date,
+    default: () => expiryFrom(new Date())
+  },
+
+  // Set when the listing was deactivated by expiry; cleared on renewal
+  expiredAt: {
+    type: Date,
+    default: null
+  },
+
+  // Last renewal and bump by the seller (for the cooldowns)
+  renewedAt: {
+    type: Date,
+    default: null
+  },
+  bumpedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Hold placed by a pending order; expired holds are ignored
+  reservation: {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // Moderation state: hidden products are excluded from public listings
+  moderation: {
+    hidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    hiddenAt: Date,
+    reason: String
+  },
+
+  // Moderation hold: set when a moderator deactivated the listing after
+  // reports. The seller can't reactivate or renew it while it is set.
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  moderationReason: {
+    type: String,
+    default: null
+  },
+
+  // Number of unreviewed user reports; see visibleQuery
+  openReportsCount: {
+    type: Number,
+    default: 0
+  },
+
   // Product condition
   condition: {
     type: String,
@@ -133,6 +308,107 @@ productSchema.index({
 // Create compound indexes for better query performance
 productSchema.index({ category: 1, status: 1 });
 productSchema.index({ addedBy: 1, status: 1 });
+productSchema.index({ status: 1, listedAt: -1 });
+productSchema.index({ status: 1, expiresAt: 1 });
+productSchema.index({ status: 1, reservedUntil: 1 });
+
+// Listings with this many open reports are hidden until a moderator reviews them
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD) || 3;
+
+/**
+ * Pre-save middleware - start the price history with the listing price
+ */
+productSchema.pre('save', function(next) {
+  if (this.isNew && this.priceHistory.length === 0) {
+    this.priceHistory.push({ price: this.price, changedAt: new Date() });
+  }
+  next();
+});
+
+/**
+ * Instance method to build the update operators for a new price: the
+ * history gets the new price (seeded with the old one for listings created
+ * before history was kept) and priceDrop is set on a drop, cleared otherwise.
+ * The product must be loaded with +priceHistory.
+ * @param {Number} newPrice - Price being set
+ * @returns {Object} { $set, $push } to merge into the update
+ */
+productSchema.methods.priceChangeUpdate = function(newPrice) {
+  const changedAt = new Date();
+  const entries = this.priceHistory.length === 0
+    ? [{ price: this.price, changedAt: this.createdAt }]
+    : [];
+  entries.push({ price: newPrice, changedAt });
+
+  return {
+    $set: {
+      priceDrop: newPrice < this.price
+        ? { from: this.price, at: changedAt }
+        : { from: null, at: null }
+    },
+    $push: {
+      priceHistory: { $each: entries, $slice: -MAX_PRICE_HISTORY }
+    }
+  };
+};
+
+/**
+ * Static helper to restrict a query to publicly visible products
+ * (i.e. not hidden by a moderator and not awaiting report review)
+ */
+productSchema.statics.visibleQuery = function(query = {}) {
+  return {
+    ...query,
+    'moderation.hidden': { $ne: true },
+    openReportsCount: { $not: { $gte: REPORT_HIDE_THRESHOLD } }
+  };
+};
+
+/**
+ * Static helper for the status condition of public listings: active ones,
+ * plus reserved ones unless the buyer excluded them
+ * @param {Boolean} includeReserved - Whether reserved listings are shown
+ */
+productSchema.statics.listedStatus = function(includeReserved = true) {
+  return includeReserved ? { $in: ['active', 'reserved'] } : 'active';
+};
+
+/**
+ * Instance method to tell whether a user can buy the listing: it is active,
+ * or reserved for that user
+ */
+productSchema.methods.isAvailableTo = function(userId) {
+  if (this.status === 'active') return true;
+  return this.status === 'reserved' && !!this.reservedFor && this.reservedFor.toString() === userId.toString();
+};
+
+/**
+ * Instance method to check a status change requested by the seller against
+ * STATUS_TRANSITIONS and the moderation hold
+ * @param {String} nextStatus - Requested status
+ * @returns {String|null} Why the change is not allowed, or null
+ */
+productSchema.methods.statusChangeBlocker = function(nextStatus) {
+  if (this.moderatedAt) {
+    return 'This listing was deactivated by a moderator and cannot be changed';
+  }
+  if (!STATUS_TRANSITIONS[this.status].includes(nextStatus)) {
+    return this.status === 'sold'
+      ? 'A sold listing cannot change status'
+      : `This listing is ${this.status} and cannot be changed to ${nextStatus}`;
+  }
+  if (this.status === 'inactive' && this.expiredAt) {
+    return 'This listing has expired; renew it to make it active again';
+  }
+  return null;
+};
+
+/**
+ * Instance method to tell whether a pending order currently holds the listing
+ */
+productSchema.methods.hasLiveReservation = function() {
+  return !!this.reservation?.order && this.reservation.expiresAt > new Date();
+};
 
 /**
  * Instance method to increment views count
@@ -161,51 +437,267 @@ productSchema.methods.decrementLikes = function() {
 };
 
 /**
- * Static method to find products by location
+ * Static method to reserve an active product for an order
+ * Succeeds only if the product is active (or reserved by the seller for the
+ * buyer) and has no live reservation, so two checkouts can never hold the
+ * same listing.
+ * Resolves to the updated product, or null if it could not be reserved.
  */
-productSchema.statics.findByLocation = function(longitude, latitude, maxDistance = 50000) {
-  return this.find({
-    pLoc: {
-      $near: {
-        $geometry: {
-          type: 'Point',
-          coordinates: [longitude, latitude]
-        },
-        $maxDistance: maxDistance // Distance in meters
-      }
+productSchema.statics.reserveForOrder = function(productId, orderId, expiresAt, buyerId) {
+  return this.findOneAndUpdate(
+    {
+      _id: productId,
+      $and: [
+        { $or: [{ status: 'active' }, { status: 'reserved', reservedFor: buyerId }] },
+        { $or: [{ 'reservation.order': null }, { 'reservation.expiresAt': { $lt: new Date() } }] }
+      ]
     },
-    status: 'active'
-  });
+    { $set: { reservation: { order: orderId, expiresAt } } },
+    { new: true }
+  );
+};
+
+// Fields reserveForOrder sets, for the product's history
+productSchema.statics.RESERVATION_FIELDS = ['reservation.order', 'reservation.expiresAt'];
+
+/**
+ * Instance method to tell whether the seller may renew the listing:
+ * active listings (to push their expiry back) and expired ones, unless a
+ * moderator deactivated it
+ */
+productSchema.methods.isRenewable = function() {
+  if (this.moderatedAt) return false;
+  return this.status === 'active' || (this.status === 'inactive' && !!this.expiredAt);
+};
+
+/**
+ * Instance method to get when the listing can next be renewed
+ * @returns {Date|null} Null if it can be renewed now
+ */
+productSchema.methods.renewAvailableAt = function() {
+  if (!this.renewedAt) return null;
+  const availableAt = new Date(this.renewedAt.getTime() + RENEW_COOLDOWN_HOURS * HOUR_MS);
+  return availableAt > new Date() ? availableAt : null;
+};
+
+/**
+ * Instance method to get when the listing can next be bumped
+ * @returns {Date|null} Null if it can be bumped now
+ */
+productSchema.methods.bumpAvailableAt = function() {
+  if (!this.bumpedAt) return null;
+  const availableAt = new Date(this.bumpedAt.getTime() + BUMP_COOLDOWN_HOURS * HOUR_MS);
+  return availableAt > new Date() ? availableAt : null;
+};
+
+/**
+ * Static method to renew a listing: it becomes active again (if it had
+ * expired) and expires LISTING_EXPIRY_DAYS from now. The conditions are
+ * checked atomically, so two requests can't both renew within the cooldown.
+ * Resolves to the updated product, or null if it could not be renewed.
+ */
+productSchema.statics.renewListing = function(productId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: productId,
+      moderatedAt: null,
+      $and: [
+        { $or: [{ status: 'active' }, { status: 'inactive', expiredAt: { $ne: null } }] },
+        { $or: [{ renewedAt: null }, { renewedAt: { $lte: new Date(now.getTime() - RENEW_COOLDOWN_HOURS * HOUR_MS) } }] }
+      ]
+    },
+    { $set: { status: 'active', expiresAt: expiryFrom(now), expiredAt: null, renewedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Static method to bump an active listing back to the top of the
+ * newest-first feed, at most once per BUMP_COOLDOWN_HOURS.
+ * Resolves to the updated product, or null if it could not be bumped.
+ */
+productSchema.statics.bumpListing = function(productId) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    {
+      _id: productId,
+      status: 'active',
+      $or: [{ bumpedAt: null }, { bumpedAt: { $lte: new Date(now.getTime() - BUMP_COOLDOWN_HOURS * HOUR_MS) } }]
+    },
+    { $set: { listedAt: now, bumpedAt: now } },
+    { new: true }
+  );
+};
+
+/**
+ * Static helper to get when a seller's hold ends: the requested date, or
+ * RESERVED_HOLD_HOURS from now
+ * @returns {Date|null} Null if the date is invalid, past or too far ahead
+ */
+productSchema.statics.holdEndsAt = function(requested) {
+  const now = Date.now();
+  if (!requested) return new Date(now + RESERVED_HOLD_HOURS * HOUR_MS);
+
+  const until = new Date(requested);
+  if (isNaN(until.getTime()) || until.getTime() <= now || until.getTime() > now + MAX_RESERVED_HOLD_DAYS * 24 * HOUR_MS) {
+    return null;
+  }
+  return until;
+};
+
+/**
+ * Static method to hide every listed product of a seller (when their
+ * account is closed or deactivated); sold ones keep their status for
+ * buyers' records.
+ * Resolves to [{ product, changes }] for ProductHistory.recordMany.
+ */
+productSchema.statics.hideSellerListings = async function(sellerId) {
+  const listed = await this.find({ addedBy: sellerId, status: { $in: ['active', 'reserved'] } })
+    .select('status reservedFor reservedUntil');
+  if (listed.length === 0) return [];
+
+  const hidden = { status: 'inactive', reservedFor: null, reservedUntil: null };
+  await this.updateMany(
+    { _id: { $in: listed.map(product => product._id) }, status: { $in: ['active', 'reserved'] } },
+    { $set: hidden }
+  );
+
+  return listed.map(product => ({
+    product: product._id,
+    changes: Object.keys(hidden)
+      .map(field => ({ field, from: product.get(field) ?? null, to: hidden[field] }))
+      .filter(({ from, to }) => from !== to)
+  }));
 };
 
 /**
- * Static method to search products by text
+ * Static method to release the reservations held by an order
  */
-productSchema.statics.searchProducts = function(searchTerm, category = null) {
-  const query = {
-    $text: { $search: searchTerm },
-    status: 'active'
+productSchema.statics.releaseReservation = function(productIds, orderId) {
+  return this.updateMany(
+    { _id: { $in: productIds }, 'reservation.order': orderId },
+    { $set: { reservation: { order: null, expiresAt: null } } }
+  );
+};
+
+/**
+ * Static method to find products by location, nearest first
+ * @param {Number} maxDistance - Radius in meters; null for no limit
+ * @param {Object} filter - Extra conditions (category, price, ...)
+ */
+productSchema.statics.findByLocation = function(longitude, latitude, maxDistance = 50000, filter = {}) {
+  const near = {
+    $geometry: {
+      type: 'Point',
+      coordinates: [longitude, latitude]
+    }
+  };
+  if (maxDistance !== null) {
+    near.$maxDistance = maxDistance; // Distance in meters
+  }
+
+  return this.find(this.visibleQuery({
+    status: 'active',
+    ...filter,
+    pLoc: { $near: near }
+  }));
+};
+
+/**
+ * Static method to get one page of products nearest first. Results are
+ * plain objects from $geoNear with a `distanceMeters` field, ordered by
+ * distance then _id so a cursor can continue after any of them.
+ * @param {Object} options
+ * @param {Number} options.maxDistance - Radius in meters; null for no limit
+ * @param {Object} options.filter - Extra conditions (category, price, ...)
+ * @param {Object} options.after - Cursor position { value, id } to continue from
+ * @param {Number} options.skip - Items to skip (page-number pagination)
+ * @param {Number} options.limit - Page size
+ */
+productSchema.statics.findNearestPage = function(longitude, latitude, {
+  maxDistance = null,
+  filter = {},
+  after = null,
+  skip = 0,
+  limit = 20
+} = {}) {
+  const geoNear = {
+    near: { type: 'Point', coordinates: [longitude, latitude] },
+    key: 'pLoc',
+    distanceField: 'distanceMeters',
+    spherical: true,
+    query: this.visibleQuery({ status: 'active', ...filter })
   };
+  if (maxDistance !== null) {
+    geoNear.maxDistance = maxDistance;
+  }
+  if (after) {
+    geoNear.minDistance = after.value; // Skip everything closer than the cursor
+  }
 
-  if (category) {
-    query.category = category;
+  const pipeline = [{ $geoNear: geoNear }];
+  if (after) {
+    pipeline.push({ $match: afterCursor('distance', after) });
   }
+  pipeline.push(
+    { $sort: { distanceMeters: 1, _id: 1 } },
+    { $skip: skip },
+    { $limit: limit }
+  );
 
-  return this.find(query).sort({ score: { $meta: 'textScore' } });
+  return this.aggregate(pipeline);
 };
 
 /**
- * Static method to get products by category
+ * Static method to search products by text, best matches first
+ * @param {String[]} tokens - Search terms, see lib/search.js tokenize()
+ * @param {Object} filter - Extra conditions (category, location, ...); a
+ *   status condition replaces the default of active listings only
  */
-productSchema.statics.getByCategory = function(category) {
-  return this.find({ 
-    category: category, 
-    status: 'active' 
-  }).sort({ createdAt: -1 });
+productSchema.statics.searchProducts = function(tokens, filter = {}) {
+  const query = this.visibleQuery({
+    status: 'active',
+    ...filter,
+    ...buildTextFilter(tokens)
+  });
+
+  return this.find(query, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' }, listedAt: -1 });
+};
+
+/**
+ * Static method to get products by category, newest (or latest bumped) first
+ * @param {Object} filter - Extra conditions (e.g. a cursor position, or a
+ *   status to include reserved listings)
+ */
+productSchema.statics.getByCategory = function(category, filter = {}) {
+  return this.find(this.visibleQuery({ 
+    status: 'active',
+    ...filter,
+    category: category
+  })).sort({ listedAt: -1, _id: -1 });
 };
 
 /**
- * Static method to get user's products
+ * Static method to get a seller's public listings (active and visible),
+ * newest (or latest bumped) first
+ * @param {Object} filter - Extra conditions (e.g. a cursor position, or a
+ *   status to include reserved listings)
+ */
+productSchema.statics.getActiveByUser = function(userId, filter = {}) {
+  return this.find(this.visibleQuery({
+    status: 'active',
+    ...filter,
+    addedBy: userId
+  })).sort({ listedAt: -1, _id: -1 });
+};
+
+/**
+ * Static method to get user's products, including inactive and sold ones
+ * (the owner's own view)
  */
 productSchema.statics.getUserProducts = function(userId) {
   return this.find({ 
@@ -213,6 +705,57 @@ productSchema.statics.getUserProducts = function(userId) {
   }).sort({ createdAt: -1 });
 };
 
+productSchema.statics.MAX_GALLERY_IMAGES = MAX_GALLERY_IMAGES;
+productSchema.statics.LISTING_EXPIRY_DAYS = LISTING_EXPIRY_DAYS;
+productSchema.statics.MAX_RESERVED_HOLD_DAYS = MAX_RESERVED_HOLD_DAYS;
+
+/**
+ * Resolve a variant set's storage keys to URLs
+ */
+const variantUrls = (variants) => variants && {
+  ...variants,
+  thumbnail: getObjectUrl(variants.thumbnail),
+  card: getObjectUrl(variants.card),
+  full: getObjectUrl(variants.full)
+};
+
+/**
+ * Static method to turn the image keys of a plain product object (e.g. an
+ * aggregation result) into URLs for the active storage driver
+ */
+productSchema.statics.withImageUrls = function(product) {
+  if (!product) return product;
+
+  product.pimage = getObjectUrl(product.pimage);
+  product.pimage2 = getObjectUrl(product.pimage2);
+  product.pimageVariants = variantUrls(product.pimageVariants);
+  product.pimage2Variants = variantUrls(product.pimage2Variants);
+  if (Array.isArray(product.additionalImages)) {
+    product.additionalImages = product.additionalImages.map(variantUrls);
+  }
+  return product;
+};
+
+// Clients always get image URLs, never raw storage keys
+productSchema.set('toJSON', {
+  transform: (doc, ret) => Product.withImageUrls(ret)
+});
+
+/**
+ * Instance method to list every stored file key of the product
+ */
+productSchema.methods.imageKeys = function() {
+  const variantKeys = (variants) => (variants ? [variants.thumbnail, variants.card, variants.full] : []);
+
+  return [
+    this.pimage,
+    this.pimage2,
+    ...variantKeys(this.pimageVariants),
+    ...variantKeys(this.pimage2Variants),
+    ...this.additionalImages.flatMap(variantKeys)
+  ].filter(Boolean);
+};
+
 // Create and export the Product model
 const Product = mongoose.model('Product', productSchema);
 
@@ -0,0 +1,125 @@
+/**
+ * ProductHistory Model - Audit trail of changes to a listing
+ *
+ * One entry per change: who made it (null for the server's own jobs), what
+ * kind of change it was and the old and new value of every field it touched.
+ * Entries are only ever added, never edited.
+ */
+
+const mongoose = require('mongoose');
+
+// What caused the change
+const HISTORY_ACTIONS = [
+  'edit',       // Owner updated the listing (PUT /api/products/:productId)
+  'renew',      // Owner renewed it
+  'expire',     // Listing expiry job deactivated it
+  'hold-ended', // A seller's hold ran out and it went back to active
+  'reserved',   // An order (checkout or accepted offer) started holding it
+  'sold',       // Buyer and seller confirmed an order for it
+  'moderated',  // A moderator deactivated it after reports
+  'hidden',     // Seller's account was closed or deactivated
+  'deleted'     // Owner deleted it; the entries outlive the listing
+];
+
+// One field's old and new value
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Define the ProductHistory schema
+const productHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // User who made the change; null for scheduled jobs
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: HISTORY_ACTIONS,
+      message: 'Invalid history action'
+    }
+  },
+
+  changes: [fieldChangeSchema]
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+productHistorySchema.index({ product: 1, createdAt: -1 });
+
+/**
+ * Plain value of a document path, so it can be compared and stored
+ */
+const plainValue = (value) => {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? [...value] : value;
+};
+
+/**
+ * Static helper to list the fields that differ between two versions of a
+ * product
+ * @param {Object} before - Product before the change
+ * @param {Object} after - Product after the change
+ * @param {String[]} fields - Paths to compare (e.g. 'price', 'pLoc.coordinates')
+ * @returns {Object[]} [{ field, from, to }]
+ */
+productHistorySchema.statics.diff = function(before, after, fields) {
+  return fields.reduce((changes, field) => {
+    const from = plainValue(before.get(field));
+    const to = plainValue(after.get(field));
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Static method to add an entry to a product's history; does nothing when
+ * no field changed
+ * @param {ObjectId} productId - Product that changed
+ * @param {ObjectId|null} changedBy - User who changed it (null for jobs)
+ * @param {String} action - One of HISTORY_ACTIONS
+ * @param {Object[]} changes - [{ field, from, to }], see diff()
+ */
+productHistorySchema.statics.record = function(productId, changedBy, action, changes) {
+  if (changes.length === 0) return Promise.resolve(null);
+  return this.create({ product: productId, changedBy, action, changes });
+};
+
+/**
+ * Static method to add the same kind of entry to several products' history
+ * in one write; entries without changes are skipped
+ * @param {Object[]} entries - [{ product, changes }]
+ * @param {ObjectId|null} changedBy - User who changed them (null for jobs)
+ * @param {String} action - One of HISTORY_ACTIONS
+ */
+productHistorySchema.statics.recordMany = function(entries, changedBy, action) {
+  const rows = entries
+    .filter(({ changes }) => changes.length > 0)
+    .map(({ product, changes }) => ({ product, changedBy, action, changes }));
+  if (rows.length === 0) return Promise.resolve([]);
+  return this.insertMany(rows);
+};
+
+productHistorySchema.statics.HISTORY_ACTIONS = HISTORY_ACTIONS;
+
+// Create and export the ProductHistory model
+const ProductHistory = mongoose.model('ProductHistory', productHistorySchema);
+
+module.exports = ProductHistory;
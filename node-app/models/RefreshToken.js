@@ -0,0 +1,72 @@
+/**
+ * RefreshToken Model - Server-side record of an issued refresh token
+ *
+ * Only a SHA-256 hash of the token is stored. Tokens are rotated on every
+ * use: the old one is revoked and points at its replacement. All tokens
+ * descended from one login share a `family`, so reuse of a revoked token
+ * can revoke the whole chain.
+ */
+
+const mongoose = require('mongoose');
+
+// Define the RefreshToken schema
+const refreshTokenSchema = new mongoose.Schema({
+  // Owner of the token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // SHA-256 hash of the token handed to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Identifier shared by every rotation of one login session
+  family: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Hash of the token that replaced this one on rotation
+  replacedBy: {
+    type: String,
+    default: null
+  },
+
+  // Client information, useful when reviewing sessions
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// MongoDB removes expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+/**
+ * Instance method to check if the token can still be used
+ */
+refreshTokenSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Create and export the RefreshToken model
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
@@ -0,0 +1,84 @@
+/**
+ * Report Model - Defines a user's flag on a product listing
+ *
+ * Reports stay `open` until a moderator reviews the product, at which point
+ * every open report for it is either `dismissed` or `actioned`.
+ */
+
+const mongoose = require('mongoose');
+
+// Reason codes a buyer can pick from
+const REPORT_REASONS = [
+  'scam',
+  'prohibited',
+  'counterfeit',
+  'offensive',
+  'duplicate',
+  'wrong-category',
+  'other'
+];
+
+// Define the Report schema
+const reportSchema = new mongoose.Schema({
+  // Reported product
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // User who filed the report
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reporter is required']
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    enum: {
+      values: REPORT_REASONS,
+      message: 'Invalid report reason'
+    }
+  },
+
+  // Optional free-text explanation
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Details cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'dismissed', 'actioned'],
+    default: 'open'
+  },
+
+  // Moderator who reviewed the report
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  resolvedAt: Date
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// A user can only have one open report per product
+reportSchema.index(
+  { product: 1, reporter: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Moderation queue lookups
+reportSchema.index({ status: 1, product: 1 });
+
+reportSchema.statics.REASONS = REPORT_REASONS;
+
+// Create and export the Report model
+const Report = mongoose.model('Report', reportSchema);
+
+module.exports = Report;
@@ -0,0 +1,92 @@
+/**
+ * Review Model - Defines a buyer's rating of a seller in MongoDB
+ *
+ * A buyer can review the seller once for each product of a completed order.
+ * The seller's average rating and review count are kept on the User
+ * document (see refreshSellerRating), so reputation can be shown without
+ * aggregating reviews on every page view.
+ */
+
+const mongoose = require('mongoose');
+const User = require('./User');
+
+// Define the Review schema
+const reviewSchema = new mongoose.Schema({
+  // Completed order the review is based on
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: [true, 'Order is required']
+  },
+
+  // Product that was bought
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Product is required']
+  },
+
+  // User being reviewed
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Seller is required']
+  },
+
+  // Buyer who wrote the review
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Reviewer is required']
+  },
+
+  // 1 (worst) to 5 (best) stars
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be between 1 and 5'],
+    max: [5, 'Rating must be between 1 and 5'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters']
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// One review per product of an order
+reviewSchema.index({ order: 1, product: 1 }, { unique: true });
+reviewSchema.index({ seller: 1, createdAt: -1 });
+
+/**
+ * Static method to recompute a seller's average rating and review count
+ * and store them on the user
+ * @param {ObjectId} sellerId - Seller's user ID
+ * @returns {Object} { average, count }
+ */
+reviewSchema.statics.refreshSellerRating = async function(sellerId) {
+  const [stats] = await this.aggregate([
+    { $match: { seller: new mongoose.Types.ObjectId(sellerId) } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0
+  };
+  await User.updateOne({ _id: sellerId }, { $set: { rating } });
+
+  return rating;
+};
+
+// Create and export the Review model
+const Review = mongoose.model('Review', reviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,102 @@
+/**
+ * SavedSearch Model - Defines a buyer's saved product search
+ *
+ * A saved search stores the same filters the product list and search
+ * endpoints accept (text, category, condition, price, location and radius).
+ * When alerts are on, the owner is notified about new listings that match
+ * (see lib/savedSearchAlerts.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Most saved searches a single user can keep
+const MAX_SAVED_SEARCHES = parseInt(process.env.MAX_SAVED_SEARCHES) || 20;
+
+// Price bucket from the facet sidebar: [min, max), max null = open-ended
+const priceRangeSchema = new mongoose.Schema({
+  min: { type: Number, required: true, min: 0 },
+  max: { type: Number, default: null }
+}, { _id: false });
+
+// Define the SavedSearch schema
+const savedSearchSchema = new mongoose.Schema({
+  // Owner of the saved search
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+
+  // Label shown in the saved searches list
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+
+  // Free-text search term (optional)
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Search term cannot exceed 100 characters']
+  },
+
+  // Filters; empty lists and unset values match everything
+  categories: [{
+    type: String,
+    enum: ['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Vehicles', 'Other']
+  }],
+  conditions: [{
+    type: String,
+    enum: ['new', 'like-new', 'good', 'fair', 'poor']
+  }],
+  priceRanges: [priceRangeSchema],
+  minPrice: {
+    type: Number,
+    min: [0, 'Min price cannot be negative']
+  },
+  maxPrice: {
+    type: Number,
+    min: [0, 'Max price cannot be negative']
+  },
+
+  // Center of the search area and its radius in km
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    }
+  },
+  radius: {
+    type: Number,
+    min: [1, 'Radius must be at least 1 km'],
+    max: [1000, 'Radius cannot exceed 1000 km']
+  },
+
+  // Whether new matching listings create notifications
+  alertsEnabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Last time a new listing matched
+  lastMatchedAt: Date
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// A user's saved searches, and the alert matcher's candidate scan
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ alertsEnabled: 1, categories: 1 });
+
+savedSearchSchema.statics.MAX_PER_USER = MAX_SAVED_SEARCHES;
+
+// Create and export the SavedSearch model
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
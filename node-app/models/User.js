@@ -5,6 +5,9 @@
  * - User authentication (username, email, password)
  * - Contact information (mobile)
  * - Product interactions (liked products)
+ * - Role-based access (user, moderator, admin)
+ * - Email verification state
+ * - Failed login tracking with progressive lockout
  * - Data validation and security
  */
 
@@ -12,6 +15,14 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
 
+// Failed logins allowed before the account is locked
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+// First lockout length; each further failure while over the limit doubles it
+const LOGIN_LOCK_BASE_MINUTES = parseInt(process.env.LOGIN_LOCK_BASE_MINUTES) || 15;
+const LOGIN_LOCK_MAX_MINUTES = 24 * 60;
+// Failures older than this no longer count towards a lockout
+const LOGIN_ATTEMPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
 // Define the User schema - this is like a blueprint for user documents
 const userSchema = new mongoose.Schema({
   // Username field with validation
@@ -68,12 +79,64 @@ const userSchema = new mongoose.Schema({
     bio: String
   },
 
+  // Seller reputation from buyers' reviews (see Review.refreshSellerRating)
+  rating: {
+    average: {
+      type: Number,
+      default: 0
+    },
+    count: {
+      type: Number,
+      default: 0
+    }
+  },
+
+  // Access level: moderators and admins can use the /api/admin routes
+  role: {
+    type: String,
+    enum: {
+      values: ['user', 'moderator', 'admin'],
+      message: 'Invalid role'
+    },
+    default: 'user'
+  },
+
+  // Set once the user follows the link in the verification email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  emailVerifiedAt: Date,
+
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+
   // Account status
   isActive: {
     type: Boolean,
     default: true
   },
 
+  // Set when the user closes their own account
+  deactivatedAt: Date,
+
+  passwordChangedAt: Date,
+
+  // Consecutive failed logins, reset on a successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  lastFailedLoginAt: Date,
+
+  // Logins are refused until this time
+  lockUntil: Date,
+
   // Timestamps
   lastLogin: Date
 }, {
@@ -83,6 +146,7 @@ const userSchema = new mongoose.Schema({
 // Index for better query performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ likedProducts: 1 }); // Who liked a listing (price drop alerts)
 
 /**
  * Pre-save middleware - runs before saving a user document
@@ -113,6 +177,84 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+/**
+ * Instance method to check if the account is currently locked out
+ */
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
+};
+
+/**
+ * Instance method to get the seconds left on a lockout (0 if not locked)
+ */
+userSchema.methods.lockRemainingSeconds = function() {
+  return this.isLocked() ? Math.ceil((this.lockUntil - Date.now()) / 1000) : 0;
+};
+
+/**
+ * Instance method to record a failed login. Once the attempt limit is
+ * reached the account is locked, and every further failure doubles the
+ * lockout (capped at 24 hours).
+ * The count and the lockout are worked out in one atomic update, so
+ * parallel bad logins can't overwrite each other's count. Resolves to the
+ * user with the new values.
+ */
+userSchema.methods.registerFailedLogin = async function() {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_ATTEMPT_WINDOW_MS);
+  const overLimit = { $subtract: ['$failedLoginAttempts', LOGIN_MAX_ATTEMPTS] };
+  const lockMinutes = {
+    $min: [{ $multiply: [LOGIN_LOCK_BASE_MINUTES, { $pow: [2, overLimit] }] }, LOGIN_LOCK_MAX_MINUTES]
+  };
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    [
+      // Start counting again if the last failure was long ago
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gt: ['$lastFailedLoginAt', windowStart] },
+              { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+              1
+            ]
+          },
+          lastFailedLoginAt: now
+        }
+      },
+      {
+        $set: {
+          lockUntil: {
+            $cond: [
+              { $gte: ['$failedLoginAttempts', LOGIN_MAX_ATTEMPTS] },
+              { $add: [now, { $multiply: [lockMinutes, 60 * 1000] }] },
+              '$lockUntil'
+            ]
+          }
+        }
+      }
+    ],
+    { new: true, projection: 'failedLoginAttempts lastFailedLoginAt lockUntil' }
+  );
+
+  if (updated) {
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = updated.lastFailedLoginAt;
+    this.lockUntil = updated.lockUntil;
+  }
+  return this;
+};
+
+/**
+ * Instance method to clear failed login tracking
+ */
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lastFailedLoginAt = undefined;
+  this.lockUntil = undefined;
+};
+
 /**
  * Instance method to get user data without sensitive information
  */
@@ -121,6 +263,10 @@ userSchema.methods.toJSON = function() {
   
   // Remove sensitive fields from JSON output
   delete userObject.password;
+  delete userObject.tokenVersion;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lastFailedLoginAt;
+  delete userObject.lockUntil;
   delete userObject.__v;
   
   return userObject;
@@ -0,0 +1,106 @@
+/**
+ * VerificationToken Model - Single-use tokens sent to a user by email
+ *
+ * Used for email verification and password resets. Only a SHA-256 hash of
+ * the token is stored; the plain token only ever appears in the email link.
+ * A token is spent by setting `usedAt`, and expired tokens are removed by
+ * MongoDB automatically.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// What a token can be used for, and how long it stays valid (minutes)
+const TOKEN_PURPOSES = {
+  'email-verification': parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60,
+  'password-reset': parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+};
+
+/**
+ * Hash a plain token for storage and lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Define the VerificationToken schema
+const verificationTokenSchema = new mongoose.Schema({
+  // User the token was issued to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  purpose: {
+    type: String,
+    enum: Object.keys(TOKEN_PURPOSES),
+    required: true
+  },
+
+  // SHA-256 hash of the token sent by email
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // Set when the token is redeemed; a used token can't be redeemed again
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// MongoDB removes expired tokens automatically
+verificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+verificationTokenSchema.index({ user: 1, purpose: 1 });
+
+/**
+ * Static method to issue a new token, invalidating any earlier unused
+ * token for the same purpose
+ * @returns {String} Plain token to put in the email link
+ */
+verificationTokenSchema.statics.issue = async function(userId, purpose) {
+  await this.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await this.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_PURPOSES[purpose] * 60 * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Static method to redeem a token. Marks it used atomically so it can only
+ * be spent once.
+ * @returns {Object|null} The redeemed token record, or null if the token is
+ * unknown, expired or already used
+ */
+verificationTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Create and export the VerificationToken model
+const VerificationToken = mongoose.model('VerificationToken', verificationTokenSchema);
+
+module.exports = VerificationToken;
@@ -0,0 +1,67 @@
+/**
+ * Process Product Images Script
+ *
+ * Backfills thumbnail/card/full variants for products uploaded before the
+ * image pipeline existed. The original file is read from node-app/uploads,
+ * re-encoded like a new upload (EXIF stripped) and written to the configured
+ * storage driver; the product is pointed at the new keys and the original
+ * is deleted.
+ *
+ * Usage: npm run process-images
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+const { processImage } = require('../lib/images');
+
+const IMAGE_FIELDS = ['pimage', 'pimage2'];
+
+const run = async () => {
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-marketplace';
+  await mongoose.connect(mongoUri);
+
+  const products = await Product.find({
+    $or: [
+      { pimage: { $exists: true }, pimageVariants: { $exists: false } },
+      { pimage2: { $exists: true, $ne: null }, pimage2Variants: { $exists: false } }
+    ]
+  });
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const product of products) {
+    for (const field of IMAGE_FIELDS) {
+      const original = product[field];
+      if (!original || product[`${field}Variants`]?.full) continue;
+
+      try {
+        const originalPath = path.join(__dirname, '..', original);
+        const variants = await processImage(await fs.readFile(originalPath), field);
+
+        product[field] = variants.full;
+        product[`${field}Variants`] = variants;
+        await product.save();
+        await fs.unlink(originalPath).catch(() => {});
+
+        processed += 1;
+      } catch (error) {
+        failed += 1;
+        console.error(`❌ ${product._id} ${field} (${original}): ${error.message}`);
+      }
+    }
+  }
+
+  console.log(`✅ Processed ${processed} image(s), ${failed} failed`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Failed to process images:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+/**
+ * Set User Role Script
+ *
+ * Promotes or demotes a user from the command line. Use it to create the
+ * first admin, who can then manage roles through /api/admin/users/:userId/role.
+ *
+ * Usage: npm run set-role -- <email-or-username> <user|moderator|admin>
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+
+const ROLES = ['user', 'moderator', 'admin'];
+
+const run = async () => {
+  const [identifier, role] = process.argv.slice(2);
+
+  if (!identifier || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email-or-username> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  const mongoUri = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-marketplace';
+  await mongoose.connect(mongoUri);
+
+  const user = await User.findByEmailOrUsername(identifier);
+  if (!user) {
+    console.error(`❌ No user found for "${identifier}"`);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+
+  user.role = role;
+  await user.save();
+
+  console.log(`✅ ${user.username} is now ${role}`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('❌ Failed to set role:', error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { requireRole } = require('../middleware/auth');
+const { setUserStatus, setUserRole, setProductVisibility } = require('../controllers/adminController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('PUT /api/admin/users/:userId/status', () => {
+  const adminId = objectId();
+
+  const setStatus = async (user, isActive) => {
+    const res = mockResponse();
+    await setUserStatus(mockRequest({
+      user: { userId: adminId, role: 'admin' },
+      params: { userId: user._id.toString() },
+      body: { isActive }
+    }), res);
+    return res;
+  };
+
+  let user;
+  let hide;
+  let record;
+
+  beforeEach(() => {
+    user = new User({ username: 'seller', email: 'seller@example.com', mobile: '9999999992', password: 'secret123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    hide = jest.spyOn(Product, 'hideSellerListings').mockResolvedValue([
+      { product: objectId(), changes: [{ field: 'status', from: 'active', to: 'inactive' }] }
+    ]);
+    record = jest.spyOn(ProductHistory, 'recordMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('hides the listings of a deactivated user', async () => {
+    const res = await setStatus(user, false);
+
+    expect(res.statusCode).toBe(200);
+    expect(user.isActive).toBe(false);
+    expect(hide).toHaveBeenCalledWith(user._id);
+    expect(res.body.data.hiddenProducts).toBe(1);
+    expect(record).toHaveBeenCalledWith(expect.any(Array), adminId, 'hidden');
+  });
+
+  it('leaves listings alone on reactivation', async () => {
+    const res = await setStatus(user, true);
+
+    expect(res.statusCode).toBe(200);
+    expect(hide).not.toHaveBeenCalled();
+  });
+});
+
+describe('requireRole', () => {
+  const check = async (user, roles) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await requireRole(roles)(mockRequest({ user }), res, next);
+    return { res, next };
+  };
+
+  it('lets the listed roles through', async () => {
+    const { next } = await check({ userId: objectId(), role: 'moderator' }, ['moderator', 'admin']);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('answers 403 for other roles and 401 without a user', async () => {
+    const forbidden = await check({ userId: objectId(), role: 'user' }, 'admin');
+    const anonymous = await check(null, 'admin');
+
+    expect(forbidden.res.statusCode).toBe(403);
+    expect(anonymous.res.statusCode).toBe(401);
+    expect(forbidden.next).not.toHaveBeenCalled();
+  });
+});
+
+describe('Admin user management', () => {
+  const adminId = objectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stops moderators from deactivating staff', async () => {
+    const staff = new User({ username: 'mod', email: 'mod@example.com', mobile: '9999999993', password: 'secret123', role: 'moderator' });
+    jest.spyOn(User, 'findById').mockResolvedValue(staff);
+    const save = jest.spyOn(staff, 'save');
+
+    const res = mockResponse();
+    await setUserStatus(mockRequest({
+      user: { userId: objectId(), role: 'moderator' },
+      params: { userId: staff._id.toString() },
+      body: { isActive: false }
+    }), res);
+
+    expect(res.statusCode).toBe(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('changes another user\'s role', async () => {
+    const user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123', role: 'moderator' });
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+    const res = mockResponse();
+    await setUserRole(mockRequest({
+      user: { userId: adminId, role: 'admin' },
+      params: { userId: user._id.toString() },
+      body: { role: 'moderator' }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(update).toHaveBeenCalledWith(user._id.toString(), { role: 'moderator' }, expect.any(Object));
+  });
+
+  it('refuses to change the admin\'s own role', async () => {
+    const update = jest.spyOn(User, 'findByIdAndUpdate');
+
+    const res = mockResponse();
+    await setUserRole(mockRequest({
+      user: { userId: adminId, role: 'admin' },
+      params: { userId: adminId.toString() },
+      body: { role: 'user' }
+    }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
+
+describe('PUT /api/admin/products/:productId/visibility', () => {
+  const moderatorId = objectId();
+
+  const setVisibility = async (productId, body) => {
+    const res = mockResponse();
+    await setProductVisibility(mockRequest({
+      user: { userId: moderatorId, role: 'moderator' },
+      params: { productId: productId.toString() },
+      body
+    }), res);
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('hides a product and records who did it', async () => {
+    const product = new Product({ pname: 'Desk lamp', price: 500, addedBy: objectId() });
+    const update = jest.spyOn(Product, 'findByIdAndUpdate').mockReturnValue({ populate: jest.fn().mockResolvedValue(product) });
+
+    const res = await setVisibility(product._id, { hidden: true, reason: 'Spam' });
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].moderation).toMatchObject({ hidden: true, hiddenBy: moderatorId, reason: 'Spam' });
+    expect(Notification.create.mock.calls[0][0].message).toMatch(/hidden by a moderator: Spam$/);
+  });
+
+  it('answers 404 for an unknown product', async () => {
+    jest.spyOn(Product, 'findByIdAndUpdate').mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+
+    const res = await setVisibility(objectId(), { hidden: false });
+
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,81 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { addCartItem, replaceCart } = require('../controllers/cartController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Cart', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+
+  const listing = (fields = {}) => new Product({ pname: 'Desk lamp', price: 500, addedBy: sellerId, ...fields });
+
+  let cart;
+
+  beforeEach(() => {
+    cart = new Cart({ user: buyerId, items: [] });
+    jest.spyOn(Cart, 'findOrCreate').mockResolvedValue(cart);
+    jest.spyOn(cart, 'save').mockResolvedValue(cart);
+    jest.spyOn(cart, 'populate').mockResolvedValue(cart);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('POST /api/cart/items', () => {
+    const add = async (productId) => {
+      const res = mockResponse();
+      await addCartItem(mockRequest({ user: { userId: buyerId }, body: { productId: productId.toString() } }), res);
+      return res;
+    };
+
+    it('adds a visible active listing', async () => {
+      const product = listing();
+      const findOne = jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+
+      const res = await add(product._id);
+
+      expect(res.statusCode).toBe(200);
+      expect(findOne).toHaveBeenCalledWith(Product.visibleQuery({ _id: product._id.toString() }));
+      expect(cart.items.map(item => item.product)).toEqual([product._id]);
+    });
+
+    it('answers 404 for a listing that is missing or hidden', async () => {
+      jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+
+      const res = await add(objectId());
+
+      expect(res.statusCode).toBe(404);
+      expect(cart.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a listing held for another buyer', async () => {
+      jest.spyOn(Product, 'findOne').mockResolvedValue(listing({ status: 'reserved', reservedFor: objectId() }));
+
+      const res = await add(objectId());
+
+      expect(res.statusCode).toBe(400);
+      expect(res.body.message).toBe('This product is reserved for another buyer');
+    });
+  });
+
+  describe('PUT /api/cart', () => {
+    it('keeps the listings that can be bought and reports the rest', async () => {
+      const available = listing();
+      const sold = listing({ status: 'sold' });
+      const hiddenId = objectId();
+      jest.spyOn(Product, 'find').mockResolvedValue([available, sold]);
+
+      const res = mockResponse();
+      await replaceCart(mockRequest({
+        user: { userId: buyerId },
+        body: { items: [available, sold, { _id: hiddenId }].map(product => ({ productId: product._id.toString() })) }
+      }), res);
+
+      expect(res.statusCode).toBe(200);
+      expect(cart.items.map(item => item.product.toString())).toEqual([available._id.toString()]);
+      expect(res.body.data.skipped).toEqual([
+        { productId: sold._id.toString(), reason: 'This product is no longer available' },
+        { productId: hiddenId.toString(), reason: 'Product not found' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const VerificationToken = require('../models/VerificationToken');
+const { registerTransport } = require('../lib/mailer');
+const { verifyEmail, forgotPassword, resetPassword } = require('../controllers/authController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Email verification and password reset', () => {
+  const sent = [];
+  registerTransport('test', async (message) => sent.push(message));
+
+  let user;
+
+  beforeEach(() => {
+    process.env.MAIL_TRANSPORT = 'test';
+    sent.length = 0;
+    user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+  });
+
+  afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+  });
+
+  const call = async (handler, body) => {
+    const res = mockResponse();
+    await handler(mockRequest({ body }), res);
+    return res;
+  };
+
+  it('verifies the email address with a valid token', async () => {
+    jest.spyOn(VerificationToken, 'findOneAndUpdate').mockResolvedValue({ user: user._id });
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+    const res = await call(verifyEmail, { token: 'a'.repeat(64) });
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1]).toMatchObject({ emailVerified: true });
+  });
+
+  it('refuses an unknown, used or expired verification token', async () => {
+    jest.spyOn(VerificationToken, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await call(verifyEmail, { token: 'a'.repeat(64) });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('emails a reset link to a registered address', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(VerificationToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    const issue = jest.spyOn(VerificationToken, 'create').mockResolvedValue({});
+
+    const res = await call(forgotPassword, { email: 'Alice@Example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(issue.mock.calls[0][0]).toMatchObject({ user: user._id, purpose: 'password-reset' });
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('alice@example.com');
+  });
+
+  it('answers an unknown address the same way without sending mail', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await call(forgotPassword, { email: 'nobody@example.com' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('If an account exists for that email, a reset link has been sent');
+    expect(sent).toHaveLength(0);
+  });
+
+  it('sets the new password and signs the user out everywhere', async () => {
+    jest.spyOn(VerificationToken, 'findOneAndUpdate').mockResolvedValue({ user: user._id });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const save = jest.spyOn(user, 'save').mockResolvedValue(user);
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await call(resetPassword, { token: 'a'.repeat(64), password: 'newsecret123' });
+
+    expect(res.statusCode).toBe(200);
+    expect(save).toHaveBeenCalled();
+    expect(user.password).toBe('newsecret123');
+    expect(user.tokenVersion).toBe(1);
+    expect(user.emailVerified).toBe(true);
+    expect(revoke.mock.calls[0][0]).toEqual({ user: user._id, revokedAt: null });
+  });
+
+  it('refuses a reset token for a deactivated account', async () => {
+    user.isActive = false;
+    jest.spyOn(VerificationToken, 'findOneAndUpdate').mockResolvedValue({ user: objectId() });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const save = jest.spyOn(user, 'save');
+
+    const res = await call(resetPassword, { token: 'a'.repeat(64), password: 'newsecret123' });
+
+    expect(res.statusCode).toBe(400);
+    expect(save).not.toHaveBeenCalled();
+  });
+});
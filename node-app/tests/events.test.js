@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+const User = require('../models/User');
+const { createStreamTicket } = require('../controllers/eventController');
+const { authenticateStreamTicket } = require('../middleware/auth');
+const { openStream, sendToUser, closeUserStreams } = require('../lib/realtime');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('Event stream tickets', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const issueTicket = async () => {
+    const res = mockResponse();
+    await createStreamTicket(mockRequest({ user: { userId: user._id } }), res);
+    return res.body.data.ticket;
+  };
+
+  const redeem = async (ticket) => {
+    const req = mockRequest({ query: { ticket } });
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateStreamTicket(req, res, next);
+    return { req, res, next };
+  };
+
+  it('opens the stream once per ticket', async () => {
+    const ticket = await issueTicket();
+
+    const first = await redeem(ticket);
+    expect(first.next).toHaveBeenCalled();
+    expect(first.req.user.userId).toBe(user._id);
+
+    const second = await redeem(ticket);
+    expect(second.next).not.toHaveBeenCalled();
+    expect(second.res.statusCode).toBe(401);
+  });
+
+  it('refuses a ticket issued before the sessions were revoked', async () => {
+    const ticket = await issueTicket();
+    user.tokenVersion += 1;
+
+    const { res, next } = await redeem(ticket);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('refuses a request without a ticket', async () => {
+    const { res, next } = await redeem(undefined);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.body.message).toBe('Stream ticket is invalid or has expired');
+  });
+});
+
+describe('Realtime streams', () => {
+  /**
+   * Request and response pair for an open stream; ending the response
+   * closes the request like a real connection
+   */
+  const connect = (userId) => {
+    const req = new EventEmitter();
+    req.user = { userId };
+    const res = {
+      writeHead: jest.fn(),
+      write: jest.fn(),
+      end: jest.fn(() => req.emit('close'))
+    };
+    openStream(req, res);
+    return { req, res };
+  };
+
+  it('sends events to every stream of the recipient only', () => {
+    const alice = [connect('alice'), connect('alice')];
+    const bob = connect('bob');
+
+    sendToUser('alice', 'notification', { id: 1 });
+
+    alice.forEach(({ res }) => expect(res.write).toHaveBeenLastCalledWith('event: notification\ndata: {"id":1}\n\n'));
+    expect(bob.res.write).toHaveBeenCalledTimes(1); // Only the ready event
+
+    [...alice, bob].forEach(({ req }) => req.emit('close'));
+  });
+
+  it('closes a user\'s streams and stops sending to them', () => {
+    const { res } = connect('alice');
+
+    closeUserStreams('alice');
+    sendToUser('alice', 'notification', { id: 2 });
+
+    expect(res.end).toHaveBeenCalled();
+    expect(res.write).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,87 @@
+const Product = require('../models/Product');
+const validate = require('../middleware/zodValidation');
+const { productsQuerySchema } = require('../lib/validations');
+const { getProducts } = require('../controllers/productController');
+const { buildFacetConditions, buildFacetPipeline, formatFacets, parsePriceRanges } = require('../lib/facets');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('Facet helpers', () => {
+  const conditions = buildFacetConditions({
+    categories: ['Books', 'Sports'],
+    priceRanges: parsePriceRanges('0-1000,100000-')
+  });
+
+  it('ORs values within a facet', () => {
+    expect(conditions.category).toEqual({ category: { $in: ['Books', 'Sports'] } });
+    expect(conditions.price).toEqual({
+      $or: [{ price: { $gte: 0, $lt: 1000 } }, { price: { $gte: 100000 } }]
+    });
+    expect(conditions.condition).toBeNull();
+  });
+
+  it('counts each facet without its own selection', () => {
+    const [, { $facet: facets }] = buildFacetPipeline([{ $match: {} }], conditions);
+
+    expect(facets.category[0].$match).toEqual(conditions.price);
+    expect(facets.price[0].$match).toEqual(conditions.category);
+    expect(facets.total[0].$match).toEqual({ ...conditions.category, ...conditions.price });
+    expect(facets.distance).toBeUndefined();
+  });
+
+  it('lists every value, with zero counts for missing ones', () => {
+    const facets = formatFacets(
+      { category: [{ _id: 'Books', count: 3 }], price: [{ _id: 1000, count: 2 }], total: [{ count: 5 }] },
+      { categories: ['Books', 'Sports'], conditions: ['new'] }
+    );
+
+    expect(facets.categories).toEqual([{ value: 'Books', count: 3 }, { value: 'Sports', count: 0 }]);
+    expect(facets.conditions).toEqual([{ value: 'new', count: 0 }]);
+    expect(facets.price[1]).toEqual({ min: 1000, max: 5000, count: 2 });
+    expect(facets.price[facets.price.length - 1].max).toBeNull();
+    expect(facets.distance).toEqual([]);
+    expect(facets.total).toBe(5);
+  });
+});
+
+describe('GET /api/products filters', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('applies the selected filters and returns facet counts', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue([])
+    };
+    const find = jest.spyOn(Product, 'find').mockReturnValue(query);
+    const aggregate = jest.spyOn(Product, 'aggregate')
+      .mockResolvedValue([{ category: [{ _id: 'Books', count: 4 }], total: [{ count: 4 }] }]);
+
+    const res = mockResponse();
+    await getProducts(mockRequest({ query: { category: 'Books', condition: 'new,good' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(find.mock.calls[0][0]).toMatchObject({
+      category: { $in: ['Books'] },
+      condition: { $in: ['new', 'good'] }
+    });
+    // Facets are counted over every visible listing, not just the selection
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: Product.visibleQuery({ status: { $in: ['active', 'reserved'] } }) });
+    expect(res.body.data.facets.categories).toContainEqual({ value: 'Books', count: 4 });
+    expect(res.body.data.pagination.totalProducts).toBe(4);
+  });
+
+  it.each([
+    [{ category: 'Books,Toys' }, 'Invalid category'],
+    [{ priceRange: '1000' }, 'Price ranges must look like 0-1000,5000-']
+  ])('rejects %o', (query, message) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(productsQuerySchema)(mockRequest({ query }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(JSON.stringify(res.body)).toContain(message);
+  });
+});
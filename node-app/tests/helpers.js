@@ -0,0 +1,46 @@
+/**
+ * Test helpers - stand-ins for Express requests and responses
+ *
+ * Controllers are called directly; models are stubbed with jest.spyOn, so
+ * no database is needed.
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Response that records its status and JSON body
+ */
+const mockResponse = () => {
+  const res = {};
+  res.statusCode = 200;
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * Request with the given parts; `user` is what authenticateToken sets
+ */
+const mockRequest = ({ body = {}, params = {}, query = {}, user = null } = {}) => ({
+  body,
+  params,
+  query,
+  user,
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+module.exports = {
+  mockResponse,
+  mockRequest,
+  objectId
+};
@@ -0,0 +1,91 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const User = require('../models/User');
+const { updateProduct } = require('../controllers/productController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Reserving a listing', () => {
+  const sellerId = objectId();
+  const buyerId = objectId().toString();
+
+  let listing;
+  let update;
+
+  beforeEach(() => {
+    listing = new Product({
+      pname: 'Desk lamp',
+      pdesc: 'Barely used',
+      price: 1000,
+      category: 'Home & Garden',
+      pimage: 'a.jpg',
+      pimage2: 'b.jpg',
+      addedBy: sellerId,
+      pLoc: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(listing) });
+    update = jest.spyOn(Product, 'findOneAndUpdate').mockImplementation((conditions, changes) => {
+      const updated = Product.hydrate({ ...listing.toObject(), ...changes.$set });
+      return { select: jest.fn().mockReturnThis(), populate: jest.fn().mockResolvedValue(updated) };
+    });
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const edit = async (body) => {
+    const res = mockResponse();
+    await updateProduct(mockRequest({
+      user: { userId: sellerId },
+      params: { productId: listing._id.toString() },
+      body
+    }), res);
+    return res;
+  };
+
+  const reserve = (body) => edit({ status: 'reserved', ...body });
+
+  it('holds the listing for a buyer until the given time', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: buyerId });
+    const until = new Date(Date.now() + DAY_MS);
+
+    const res = await reserve({ reservedFor: buyerId, reservedUntil: until.toISOString() });
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'reserved', reservedFor: buyerId, reservedUntil: until });
+    expect(update.mock.calls[0][0]).toMatchObject({ _id: listing._id.toString(), status: 'active' });
+  });
+
+  it('holds the listing for the default time when no end is given', async () => {
+    const res = await reserve({});
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].$set.reservedFor).toBeNull();
+    expect(update.mock.calls[0][1].$set.reservedUntil.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it.each([
+    ['for the seller', () => ({ reservedFor: sellerId.toString() }), 400, 'You cannot reserve a listing for yourself'],
+    ['for an unknown user', () => ({ reservedFor: buyerId }), 404, 'Reserved-for user not found'],
+    ['past the longest hold', () => ({ reservedUntil: new Date(Date.now() + (Product.MAX_RESERVED_HOLD_DAYS + 1) * DAY_MS).toISOString() }), 400,
+      `The reservation must end in the future and within ${Product.MAX_RESERVED_HOLD_DAYS} days`]
+  ])('refuses a hold %s', async (_, body, status, message) => {
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+
+    const res = await reserve(body());
+
+    expect(res.statusCode).toBe(status);
+    expect(res.body.message).toBe(message);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('lifts the hold when a reserved listing goes back on the market', async () => {
+    listing.set({ status: 'reserved', reservedFor: buyerId, reservedUntil: new Date(Date.now() + DAY_MS) });
+
+    const res = await edit({ status: 'active' });
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].$set).toMatchObject({ status: 'active', reservedFor: null, reservedUntil: null });
+  });
+});
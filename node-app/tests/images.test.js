@@ -0,0 +1,69 @@
+const sharp = require('sharp');
+const { registerDriver } = require('../lib/storage');
+const processImages = require('../middleware/processImages');
+const { IMAGE_VARIANTS } = require('../lib/images');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('Image processing middleware', () => {
+  // Keep uploads in memory instead of node-app/uploads
+  const stored = new Map();
+  registerDriver('memory', () => ({
+    put: async (key, buffer) => { stored.set(key, buffer); },
+    remove: async (key) => { stored.delete(key); },
+    url: (key) => `memory/${key}`
+  }));
+
+  beforeAll(() => {
+    process.env.STORAGE_DRIVER = 'memory';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  beforeEach(() => stored.clear());
+
+  const photo = () => sharp({
+    create: { width: 2400, height: 1200, channels: 3, background: { r: 200, g: 80, b: 40 } }
+  })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Make: 'TestCam' } } })
+    .toBuffer();
+
+  const upload = (fieldname, buffer) => ({ fieldname, buffer, originalname: `${fieldname}.jpg` });
+
+  it('stores resized, metadata-free variants of every upload', async () => {
+    const file = upload('pimage', await photo());
+    const req = { ...mockRequest(), files: { pimage: [file] } };
+    const next = jest.fn();
+
+    await processImages(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(Object.keys(file.variants)).toEqual(Object.keys(IMAGE_VARIANTS));
+    expect(file.path).toBe(file.variants.full);
+    expect(file.buffer).toBeUndefined();
+
+    for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+      const meta = await sharp(stored.get(file.variants[name])).metadata();
+      expect(meta.format).toBe('webp');
+      expect(Math.max(meta.width, meta.height)).toBe(size);
+      expect(meta.exif).toBeUndefined();
+    }
+  });
+
+  it('rejects a file that is not an image with 400 and removes what was stored', async () => {
+    const good = upload('pimage', await photo());
+    const bad = upload('pimage', Buffer.from('not an image'));
+    const req = { ...mockRequest(), files: { pimage: [good, bad] } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await processImages(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Uploaded file is not a valid image');
+    expect(stored.size).toBe(0);
+  });
+});
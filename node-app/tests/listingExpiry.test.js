@@ -0,0 +1,127 @@
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { renewProduct, bumpProduct } = require('../controllers/productController');
+const { expireListings, releaseExpiredHolds } = require('../lib/listingExpiry');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const product = (fields = {}) => new Product({
+  pname: 'Desk lamp',
+  pdesc: 'Barely used',
+  price: 1000,
+  category: 'Home & Garden',
+  pimage: 'a.jpg',
+  pimage2: 'b.jpg',
+  addedBy: objectId(),
+  pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+  ...fields
+});
+
+describe('Listing expiry job', () => {
+  let record;
+
+  beforeEach(() => {
+    record = jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('expires stale listings and tells their sellers, skipping ones changed meanwhile', async () => {
+    const now = new Date();
+    const stale = product();
+    const renewed = product();
+    jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ cursor: () => [stale, renewed] }) });
+    const update = jest.spyOn(Product, 'findOneAndUpdate')
+      .mockResolvedValueOnce(Product.hydrate({ ...stale.toObject(), status: 'inactive', expiredAt: now }))
+      .mockResolvedValueOnce(null);
+    const create = jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+
+    const expired = await expireListings(now);
+
+    expect(expired).toBe(1);
+    expect(update.mock.calls[0][0]).toMatchObject({ _id: stale._id, status: 'active', expiresAt: { $lte: now } });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0]).toMatchObject({ user: stale.addedBy, type: 'listing-expired' });
+    expect(record).toHaveBeenCalledWith(stale._id, null, 'expire', [{ field: 'status', from: 'active', to: 'inactive' }]);
+  });
+
+  it('puts listings whose hold has ended back on the market', async () => {
+    const held = product({ status: 'reserved', reservedFor: objectId(), reservedUntil: new Date(Date.now() - HOUR_MS) });
+    jest.spyOn(Product, 'find').mockReturnValue({ select: () => ({ cursor: () => [held] }) });
+    jest.spyOn(Product, 'findOneAndUpdate').mockResolvedValue(
+      Product.hydrate({ ...held.toObject(), status: 'active', reservedFor: null, reservedUntil: null })
+    );
+
+    const released = await releaseExpiredHolds();
+
+    expect(released).toBe(1);
+    expect(record.mock.calls[0][2]).toBe('hold-ended');
+  });
+});
+
+describe('Renewing and bumping listings', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const call = async (handler, listing) => {
+    const res = mockResponse();
+    await handler({ ...mockRequest({ user: { userId: listing.addedBy } }), resource: listing }, res);
+    return res;
+  };
+
+  it('brings an expired listing back', async () => {
+    const expired = product({ status: 'inactive', expiredAt: new Date() });
+    const renew = jest.spyOn(Product, 'renewListing').mockResolvedValue(
+      Product.hydrate({ ...expired.toObject(), status: 'active', expiredAt: null })
+    );
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+
+    const res = await call(renewProduct, expired);
+
+    expect(res.statusCode).toBe(200);
+    expect(renew).toHaveBeenCalledWith(expired._id);
+    expect(res.body.data.product.status).toBe('active');
+  });
+
+  it('refuses to renew a listing a moderator deactivated', async () => {
+    const renew = jest.spyOn(Product, 'renewListing');
+
+    const res = await call(renewProduct, product({ status: 'inactive', moderatedAt: new Date() }));
+
+    expect(res.statusCode).toBe(400);
+    expect(renew).not.toHaveBeenCalled();
+  });
+
+  it('answers a renewal within the cooldown with 429 and Retry-After', async () => {
+    const res = await call(renewProduct, product({ renewedAt: new Date(Date.now() - HOUR_MS) }));
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('RENEW_COOLDOWN');
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(res.body.data.retryAfter).toBeGreaterThan(0);
+  });
+
+  it('bumps an active listing to the top of the feed', async () => {
+    const listing = product();
+    const bumpedAt = new Date();
+    jest.spyOn(Product, 'bumpListing').mockResolvedValue(
+      Product.hydrate({ ...listing.toObject(), listedAt: bumpedAt, bumpedAt })
+    );
+
+    const res = await call(bumpProduct, listing);
+
+    expect(res.statusCode).toBe(200);
+    expect(new Date(res.body.data.product.bumpedAt)).toEqual(bumpedAt);
+  });
+
+  it('answers a bump within the cooldown with 429', async () => {
+    const bump = jest.spyOn(Product, 'bumpListing');
+
+    const res = await call(bumpProduct, product({ bumpedAt: new Date(Date.now() - HOUR_MS) }));
+
+    expect(res.statusCode).toBe(429);
+    expect(res.body.code).toBe('BUMP_COOLDOWN');
+    expect(bump).not.toHaveBeenCalled();
+  });
+});
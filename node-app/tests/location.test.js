@@ -0,0 +1,79 @@
+const Product = require('../models/Product');
+const validate = require('../middleware/zodValidation');
+const { productsQuerySchema } = require('../lib/validations');
+const { getProducts } = require('../controllers/productController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+// Bangalore, and a listing about 2.2 km away
+const here = { lat: '12.97', lng: '77.59' };
+const nearby = (fields = {}) => ({
+  _id: objectId(),
+  pname: 'Desk lamp',
+  pdesc: 'Barely used',
+  price: 500,
+  category: 'Home & Garden',
+  status: 'active',
+  pimage: 'a.jpg',
+  pimage2: 'b.jpg',
+  addedBy: objectId(),
+  pLoc: { type: 'Point', coordinates: [77.59, 12.99] },
+  ...fields
+});
+
+describe('GET /api/products near a location', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const list = async (query) => {
+    const res = mockResponse();
+    await getProducts(mockRequest({ query: { ...here, ...query } }), res);
+    return res;
+  };
+
+  it('lists the nearest listings first within the radius, with their distance', async () => {
+    const aggregate = jest.spyOn(Product, 'aggregate')
+      .mockResolvedValueOnce([nearby({ distanceMeters: 2224 })])
+      .mockResolvedValueOnce([{ total: [{ count: 1 }] }]);
+    jest.spyOn(Product, 'populate').mockImplementation(async (docs) => docs);
+
+    const res = await list({ sortBy: 'distance', radius: '5' });
+
+    expect(res.statusCode).toBe(200);
+    const [{ $geoNear: geoNear }] = aggregate.mock.calls[0][0];
+    expect(geoNear.near.coordinates).toEqual([77.59, 12.97]);
+    expect(geoNear.maxDistance).toBe(5000);
+    expect(geoNear.query['moderation.hidden']).toEqual({ $ne: true });
+    expect(res.body.data.products[0].distance).toBe(2.2);
+  });
+
+  it('adds distances when listing by another order', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue([new Product(nearby())])
+    };
+    const find = jest.spyOn(Product, 'find').mockReturnValue(query);
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ total: [{ count: 1 }] }]);
+
+    const res = await list({ sortBy: 'price-asc', radius: '10' });
+
+    expect(res.statusCode).toBe(200);
+    expect(find.mock.calls[0][0].pLoc.$geoWithin).toBeDefined();
+    expect(res.body.data.products[0].distance).toBe(2.2);
+  });
+
+  it.each([
+    [{ sortBy: 'distance' }, 'A location (lat and lng) is required for radius and distance sorting'],
+    [{ lat: '12.97', radius: '5' }, 'lat and lng must be given together'],
+    [{ ...here, radius: '5000' }, 'Radius must be a number between 1 and 1000 (km)']
+  ])('rejects %o', (query, message) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(productsQuerySchema)(mockRequest({ query }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(JSON.stringify(res.body)).toContain(message);
+  });
+});
@@ -0,0 +1,52 @@
+const User = require('../models/User');
+const { login } = require('../controllers/authController');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('Login lockout', () => {
+  const user = () => new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+
+  const loginWithWrongPassword = async (account) => {
+    jest.spyOn(User, 'findByEmailOrUsername').mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+    jest.spyOn(account, 'comparePassword').mockResolvedValue(false);
+
+    const res = mockResponse();
+    await login(mockRequest({ body: { identifier: 'alice', password: 'wrong' } }), res);
+    return res;
+  };
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('counts a failure in one atomic update instead of saving the document', async () => {
+    const account = user();
+    const save = jest.spyOn(account, 'save');
+    const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({
+      failedLoginAttempts: 1,
+      lastFailedLoginAt: new Date()
+    });
+
+    const res = await loginWithWrongPassword(account);
+
+    expect(res.statusCode).toBe(401);
+    const [filter, pipeline] = update.mock.calls[0];
+    expect(filter).toEqual({ _id: account._id });
+    expect(Array.isArray(pipeline)).toBe(true);
+    expect(save).not.toHaveBeenCalled();
+    expect(account.failedLoginAttempts).toBe(1);
+  });
+
+  it('locks the account once the update reaches the threshold', async () => {
+    const account = user();
+    const lockUntil = new Date(Date.now() + 15 * 60 * 1000);
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({
+      failedLoginAttempts: 5,
+      lastFailedLoginAt: new Date(),
+      lockUntil
+    });
+
+    const res = await loginWithWrongPassword(account);
+
+    expect(res.statusCode).toBe(423);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    expect(res.body.data.lockUntil).toEqual(lockUntil);
+  });
+});
@@ -0,0 +1,253 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const validate = require('../middleware/zodValidation');
+const { conversationMessagesQuerySchema } = require('../lib/validations');
+const { startConversation, getConversations, getMessages, sendMessage, markConversationRead } = require('../controllers/messageController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+/**
+ * Query stand-in: chainable populate() that resolves to the given value
+ */
+const populatedQuery = (value) => ({
+  populate: jest.fn().mockReturnThis(),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+describe('POST /api/conversations', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+
+  const listing = (fields = {}) => new Product({ pname: 'Desk lamp', price: 500, addedBy: sellerId, ...fields });
+
+  const start = async (product, text = 'Is this still available?') => {
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    const res = mockResponse();
+    await startConversation(mockRequest({
+      user: { userId: buyerId, username: 'buyer' },
+      body: { productId: (product?._id || objectId()).toString(), text }
+    }), res);
+    return res;
+  };
+
+  let upsert;
+
+  beforeEach(() => {
+    upsert = jest.spyOn(Conversation, 'findOneAndUpdate').mockImplementation(async (key) => new Conversation(key));
+    jest.spyOn(Conversation, 'findById').mockImplementation((id) => populatedQuery({ _id: id }));
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message, 'create').mockImplementation(async (fields) => new Message(fields));
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('opens a thread with the seller and sends the first message', async () => {
+    const product = listing();
+
+    const res = await start(product);
+
+    expect(res.statusCode).toBe(201);
+    expect(upsert.mock.calls[0][0]).toEqual({ product: product._id, buyer: buyerId, seller: sellerId });
+    expect(res.body.data.message.text).toBe('Is this still available?');
+    expect(Conversation.updateOne.mock.calls[0][1].$inc).toEqual({ 'unreadCounts.seller': 1 });
+  });
+
+  it('lets the buyer a listing is held for ask about it', async () => {
+    const res = await start(listing({ status: 'reserved', reservedFor: buyerId }));
+
+    expect(res.statusCode).toBe(201);
+  });
+
+  it('refuses listings that are sold or held for someone else', async () => {
+    const sold = await start(listing({ status: 'sold' }));
+    const held = await start(listing({ status: 'reserved', reservedFor: objectId() }));
+
+    expect(sold.statusCode).toBe(400);
+    expect(held.statusCode).toBe(400);
+    expect(upsert).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for a hidden or missing listing', async () => {
+    const res = await start(null);
+
+    expect(Product.findOne.mock.calls[0][0]).toMatchObject({ 'moderation.hidden': { $ne: true } });
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('GET /api/conversations', () => {
+  const buyer = new User({ username: 'buyer', email: 'buyer@example.com', mobile: '9999999991', password: 'secret123' });
+  const seller = new User({ username: 'seller', email: 'seller@example.com', mobile: '9999999992', password: 'secret123' });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends listing images as URLs, not storage keys', async () => {
+    const product = new Product({
+      pname: 'Desk lamp',
+      price: 500,
+      pimage: 'pimage-1-full.webp',
+      pimageVariants: { thumbnail: 'pimage-1-thumbnail.webp', card: 'pimage-1-card.webp', full: 'pimage-1-full.webp' },
+      addedBy: seller._id
+    });
+    const conversation = new Conversation({ buyer: buyer._id, seller: seller._id, product: product._id });
+    conversation.product = product;
+    conversation.unreadCounts.buyer = 2;
+
+    jest.spyOn(Conversation, 'getInbox').mockReturnValue(populatedQuery([conversation]));
+
+    const res = mockResponse();
+    await getConversations(mockRequest({ user: { userId: buyer._id } }), res);
+
+    expect(res.statusCode).toBe(200);
+    const [entry] = res.body.data.conversations;
+    expect(entry.product.pimageVariants.thumbnail).toBe(product.toJSON().pimageVariants.thumbnail);
+    expect(entry.product.pimageVariants.thumbnail).not.toBe('pimage-1-thumbnail.webp');
+    expect(entry).toMatchObject({ role: 'buyer', unreadCount: 2 });
+    expect(res.body.data.totalUnread).toBe(2);
+  });
+});
+
+describe('GET /api/conversations/:conversationId/messages', () => {
+  const buyerId = objectId();
+  const conversation = new Conversation({ buyer: buyerId, seller: objectId(), product: objectId() });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const validated = (query) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    validate(conversationMessagesQuerySchema)(mockRequest({
+      params: { conversationId: conversation._id.toString() },
+      query
+    }), res, next);
+    return { res, next };
+  };
+
+  it.each([
+    [{ page: 'abc' }],
+    [{ page: '-1' }],
+    [{ limit: '0' }],
+    [{ limit: '500' }]
+  ])('rejects %j before it reaches the controller', (query) => {
+    const { res, next } = validated(query);
+
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('pages through the messages of a participant\'s conversation', async () => {
+    expect(validated({ page: '2', limit: '10' }).next).toHaveBeenCalled();
+
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    const query = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([])
+    };
+    jest.spyOn(Message, 'find').mockReturnValue(query);
+    jest.spyOn(Message, 'countDocuments').mockResolvedValue(15);
+
+    const res = mockResponse();
+    await getMessages(mockRequest({
+      user: { userId: buyerId },
+      params: { conversationId: conversation._id.toString() },
+      query: { page: '2', limit: '10' }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(query.skip).toHaveBeenCalledWith(10);
+    expect(res.body.data.pagination).toMatchObject({ currentPage: 2, totalPages: 2, hasPrev: true });
+  });
+
+  it('refuses users outside the conversation', async () => {
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+
+    const res = mockResponse();
+    await getMessages(mockRequest({ user: { userId: objectId() }, params: { conversationId: conversation._id.toString() } }), res);
+
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('POST /api/conversations/:conversationId/messages', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+  const conversation = new Conversation({ buyer: buyerId, seller: sellerId, product: objectId() });
+
+  const send = async (userId, text = 'Still available?') => {
+    const res = mockResponse();
+    await sendMessage(mockRequest({
+      user: { userId, username: 'someone' },
+      params: { conversationId: conversation._id.toString() },
+      body: { text }
+    }), res);
+    return res;
+  };
+
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    create = jest.spyOn(Message, 'create').mockImplementation(async (fields) => {
+      const message = new Message(fields);
+      jest.spyOn(message, 'populate').mockResolvedValue(message);
+      return message;
+    });
+    jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('stores the message and counts it as unread for the other participant', async () => {
+    const res = await send(sellerId);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.message.text).toBe('Still available?');
+    const [, update] = Conversation.updateOne.mock.calls[0];
+    expect(update.$inc).toEqual({ 'unreadCounts.buyer': 1 });
+    expect(update.$set.lastMessage.text).toBe('Still available?');
+  });
+
+  it('refuses users outside the conversation', async () => {
+    const res = await send(objectId());
+
+    expect(res.statusCode).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for an unknown conversation', async () => {
+    Conversation.findById.mockResolvedValue(null);
+
+    const res = await send(buyerId);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('PUT /api/conversations/:conversationId/read', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('clears the reader\'s unread count in one atomic update', async () => {
+    const sellerId = objectId();
+    const conversation = new Conversation({ buyer: objectId(), seller: sellerId, product: objectId() });
+    jest.spyOn(Conversation, 'findById').mockResolvedValue(conversation);
+    const save = jest.spyOn(conversation, 'save');
+    const clear = jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Message, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+
+    const res = mockResponse();
+    await markConversationRead(mockRequest({ user: { userId: sellerId }, params: { conversationId: conversation._id.toString() } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.markedCount).toBe(3);
+    expect(clear).toHaveBeenCalledWith({ _id: conversation._id }, { $set: { 'unreadCounts.seller': 0 } });
+    expect(save).not.toHaveBeenCalled();
+  });
+});
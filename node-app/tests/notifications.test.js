@@ -0,0 +1,138 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { notifyNewMessage, notifyListingModerated } = require('../lib/notifications');
+const { getNotifications, markNotificationRead, markAllNotificationsRead } = require('../controllers/notificationController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('notifyNewMessage', () => {
+  const buyer = new User({ username: 'buyer', email: 'buyer@example.com', mobile: '9999999991', password: 'secret123' });
+  const seller = new User({ username: 'seller', email: 'seller@example.com', mobile: '9999999992', password: 'secret123' });
+  const conversation = new Conversation({ buyer: buyer._id, seller: seller._id, product: objectId() });
+
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+    create = jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  /**
+   * Message as the controller has it after populating the sender
+   */
+  const messageFrom = (sender) => {
+    const message = new Message({ conversation: conversation._id, sender: sender._id, text: 'Is this still available?' });
+    message.sender = sender;
+    return message;
+  };
+
+  it('notifies the seller when the buyer sends a message', async () => {
+    await notifyNewMessage(conversation, messageFrom(buyer), buyer.username);
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0].user).toEqual(seller._id);
+    expect(Notification.deleteMany).toHaveBeenCalledWith(expect.objectContaining({ user: seller._id }));
+  });
+
+  it('notifies the buyer when the seller replies', async () => {
+    await notifyNewMessage(conversation, messageFrom(seller), seller.username);
+
+    expect(create.mock.calls[0][0].user).toEqual(buyer._id);
+  });
+
+  it('works out the recipient from an unpopulated sender too', async () => {
+    const message = new Message({ conversation: conversation._id, sender: buyer._id, text: 'Hello' });
+
+    await notifyNewMessage(conversation, message, buyer.username);
+
+    expect(create.mock.calls[0][0].user).toEqual(seller._id);
+  });
+});
+
+describe('notifyListingModerated', () => {
+  const product = new Product({ pname: 'L'.repeat(100), price: 500, addedBy: objectId() });
+
+  let create;
+
+  beforeEach(() => {
+    create = jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('shortens a long reason so the notification still saves', async () => {
+    await notifyListingModerated(product, 'deactivated', 'r'.repeat(500));
+
+    const notification = new Notification(create.mock.calls[0][0]);
+    expect(notification.message).toHaveLength(Notification.MESSAGE_MAX_LENGTH);
+    expect(notification.message.endsWith('r…')).toBe(true);
+    expect(notification.validateSync()).toBeUndefined();
+  });
+
+  it('keeps a short reason as is', async () => {
+    await notifyListingModerated(product, 'hidden', 'Counterfeit');
+
+    expect(create.mock.calls[0][0].message).toBe(`Your listing "${product.pname}" was hidden by a moderator: Counterfeit`);
+  });
+});
+
+describe('Notification center', () => {
+  const userId = objectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists only unread notifications when asked, with the unread count', async () => {
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue([new Notification({ user: userId, type: 'product-liked', message: 'Liked' })])
+    };
+    const find = jest.spyOn(Notification, 'find').mockReturnValue(query);
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+
+    const res = mockResponse();
+    await getNotifications(mockRequest({ user: { userId }, query: { unread: 'true', limit: '1' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(find).toHaveBeenCalledWith({ user: userId, readAt: null });
+    expect(res.body.data.unreadCount).toBe(3);
+    expect(res.body.data.pagination.hasNext).toBe(true);
+  });
+
+  it('marks one of the user\'s notifications as read', async () => {
+    const notification = new Notification({ user: userId, type: 'product-liked', message: 'Liked' });
+    const findOne = jest.spyOn(Notification, 'findOne').mockResolvedValue(notification);
+    jest.spyOn(notification, 'save').mockResolvedValue(notification);
+
+    const res = mockResponse();
+    await markNotificationRead(mockRequest({ user: { userId }, params: { notificationId: notification._id.toString() } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(findOne.mock.calls[0][0].user).toBe(userId);
+    expect(notification.readAt).toBeInstanceOf(Date);
+  });
+
+  it('answers someone else\'s notification with 404', async () => {
+    jest.spyOn(Notification, 'findOne').mockResolvedValue(null);
+
+    const res = mockResponse();
+    await markNotificationRead(mockRequest({ user: { userId }, params: { notificationId: objectId().toString() } }), res);
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  it('marks every unread notification as read', async () => {
+    const updateMany = jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+    const res = mockResponse();
+    await markAllNotificationsRead(mockRequest({ user: { userId } }), res);
+
+    expect(updateMany.mock.calls[0][0]).toEqual({ user: userId, readAt: null });
+    expect(res.body.data.markedCount).toBe(4);
+  });
+});
@@ -0,0 +1,208 @@
+const Notification = require('../models/Notification');
+const Offer = require('../models/Offer');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { makeOffer, acceptOffer, rejectOffer, counterOffer } = require('../controllers/offerController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('POST /api/offers/:offerId/accept', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+
+  const listing = (fields = {}) => new Product({
+    pname: 'Desk lamp',
+    price: 500,
+    addedBy: sellerId,
+    ...fields
+  });
+
+  /**
+   * Pending offer from the buyer on the listing, returned by the stubbed models
+   */
+  const offerFor = (product) => {
+    const offer = new Offer({
+      product: product._id,
+      buyer: buyerId,
+      seller: sellerId,
+      amount: 450,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    jest.spyOn(Offer, 'findById').mockResolvedValue(offer);
+    jest.spyOn(Offer, 'transition').mockImplementation(async (offerId, from, changes) => Object.assign(offer, changes));
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    return offer;
+  };
+
+  const acceptAsSeller = async (offer) => {
+    const res = mockResponse();
+    await acceptOffer(mockRequest({ user: { userId: sellerId }, params: { offerId: offer._id.toString() } }), res);
+    return res;
+  };
+
+  let reserve;
+
+  beforeEach(() => {
+    reserve = jest.spyOn(Product, 'reserveForOrder').mockImplementation(async (productId, orderId, expiresAt) => (
+      listing({ _id: productId, reservation: { order: orderId, expiresAt } })
+    ));
+    jest.spyOn(Offer, 'find').mockResolvedValue([]);
+    jest.spyOn(Offer, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reserves the listing for the buyer with a pending order at the offered price', async () => {
+    const product = listing();
+    const offer = offerFor(product);
+
+    const res = await acceptAsSeller(offer);
+
+    expect(res.statusCode).toBe(200);
+    const { order } = res.body.data;
+    expect(order.totalAmount).toBe(450);
+    expect(reserve).toHaveBeenCalledWith(product._id, order._id, order.reservedUntil, buyerId);
+    expect(res.body.data.offer.status).toBe('accepted');
+    expect(res.body.data.offer.order).toBe(order._id);
+  });
+
+  it('accepts an offer from the buyer the seller is holding the listing for', async () => {
+    const product = listing({ status: 'reserved', reservedFor: buyerId });
+    const offer = offerFor(product);
+
+    const res = await acceptAsSeller(offer);
+
+    expect(res.statusCode).toBe(200);
+    expect(reserve).toHaveBeenCalled();
+  });
+
+  it('refuses while the listing is held for someone else', async () => {
+    const product = listing({ status: 'reserved', reservedFor: objectId() });
+    const offer = offerFor(product);
+
+    const res = await acceptAsSeller(offer);
+
+    expect(res.statusCode).toBe(409);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+
+  it('refuses a listing hidden by a moderator or by reports', async () => {
+    const offer = offerFor(listing());
+    const findOne = jest.spyOn(Product, 'findOne').mockResolvedValue(null);
+
+    const res = await acceptAsSeller(offer);
+
+    expect(findOne).toHaveBeenCalledWith(Product.visibleQuery({ _id: offer.product }));
+    expect(res.statusCode).toBe(409);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/products/:productId/offers', () => {
+  const buyerId = objectId();
+  const product = new Product({ pname: 'Desk lamp', price: 500, addedBy: objectId() });
+
+  let create;
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'findOne').mockResolvedValue(product);
+    jest.spyOn(Offer, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    create = jest.spyOn(Offer, 'create').mockImplementation(async (fields) => new Offer(fields));
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const offer = async (amount) => {
+    const res = mockResponse();
+    await makeOffer(mockRequest({
+      user: { userId: buyerId, username: 'buyer' },
+      params: { productId: product._id.toString() },
+      body: { amount }
+    }), res);
+    return res;
+  };
+
+  it('sends the offer to the seller after expiring the buyer\'s stale ones', async () => {
+    jest.spyOn(Offer, 'exists').mockResolvedValue(null);
+
+    const res = await offer(450);
+
+    expect(res.statusCode).toBe(201);
+    expect(Offer.updateMany.mock.calls[0][0]).toMatchObject({ product: product._id, buyer: buyerId });
+    expect(create.mock.calls[0][0]).toMatchObject({ buyer: buyerId, seller: product.addedBy, amount: 450 });
+    expect(Notification.create.mock.calls[0][0]).toMatchObject({ user: product.addedBy, type: 'new-offer' });
+  });
+
+  it('refuses a second open offer on the same listing', async () => {
+    jest.spyOn(Offer, 'exists').mockResolvedValue({ _id: objectId() });
+
+    const res = await offer(400);
+
+    expect(res.statusCode).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('Answering an offer', () => {
+  const sellerId = objectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const pendingOffer = (fields = {}) => {
+    const offer = new Offer({
+      product: objectId(),
+      buyer: objectId(),
+      seller: sellerId,
+      amount: 450,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields
+    });
+    jest.spyOn(Offer, 'findById').mockResolvedValue(offer);
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    return offer;
+  };
+
+  const answer = async (handler, offer, body = {}) => {
+    const res = mockResponse();
+    await handler(mockRequest({ user: { userId: sellerId }, params: { offerId: offer._id.toString() }, body }), res);
+    return res;
+  };
+
+  it('counters with another price, giving the buyer a fresh deadline', async () => {
+    const offer = pendingOffer();
+    const transition = jest.spyOn(Offer, 'transition').mockImplementation(async (offerId, from, changes) => Object.assign(offer, changes));
+
+    const res = await answer(counterOffer, offer, { amount: 480 });
+
+    expect(res.statusCode).toBe(200);
+    expect(transition.mock.calls[0][1]).toEqual(['pending']);
+    expect(transition.mock.calls[0][2].expiresAt.getTime())
+      .toBeGreaterThan(Date.now() + (Offer.OFFER_EXPIRY_HOURS - 1) * 60 * 60 * 1000);
+    expect(offer.status).toBe('countered');
+    expect(offer.agreedAmount()).toBe(480);
+  });
+
+  it('refuses a counter-offer for the same amount', async () => {
+    const offer = pendingOffer();
+    const transition = jest.spyOn(Offer, 'transition');
+
+    const res = await answer(counterOffer, offer, { amount: 450 });
+
+    expect(res.statusCode).toBe(400);
+    expect(transition).not.toHaveBeenCalled();
+  });
+
+  it('tells the seller an offer has expired', async () => {
+    const offer = pendingOffer({ expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(Offer, 'transition').mockResolvedValue(null);
+
+    const res = await answer(rejectOffer, offer);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('This offer has expired');
+  });
+});
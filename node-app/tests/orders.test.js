@@ -0,0 +1,157 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Cart = require('../models/Cart');
+const { createOrder, completeOrder } = require('../controllers/orderController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('POST /api/orders', () => {
+  const buyerId = objectId();
+
+  const listing = (fields = {}) => new Product({ pname: 'Desk lamp', price: 500, addedBy: objectId(), ...fields });
+
+  const checkout = async (products, found = products) => {
+    const cart = new Cart({ user: buyerId, items: products.map(product => ({ product: product._id })) });
+    jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+    jest.spyOn(cart, 'save').mockResolvedValue(cart);
+    const find = jest.spyOn(Product, 'find').mockResolvedValue(found);
+
+    const res = mockResponse();
+    await createOrder(mockRequest({ user: { userId: buyerId }, body: {} }), res);
+    return { res, cart, find };
+  };
+
+  let reserve;
+
+  beforeEach(() => {
+    reserve = jest.spyOn(Product, 'reserveForOrder').mockImplementation(async (productId, orderId, expiresAt) => (
+      listing({ _id: productId, reservation: { order: orderId, expiresAt } })
+    ));
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(ProductHistory, 'recordMany').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('reserves every listing in the cart and empties it', async () => {
+    const products = [listing(), listing({ price: 250 })];
+
+    const { res, cart, find } = await checkout(products);
+
+    expect(res.statusCode).toBe(201);
+    expect(find).toHaveBeenCalledWith(Product.visibleQuery({ _id: { $in: products.map(product => product._id.toString()) } }));
+    expect(res.body.data.order.totalAmount).toBe(750);
+    expect(reserve).toHaveBeenCalledTimes(2);
+    expect(cart.items).toHaveLength(0);
+  });
+
+  it('reserves nothing when a listing is hidden or gone', async () => {
+    const visible = listing();
+    const hidden = listing();
+
+    const { res } = await checkout([visible, hidden], [visible]);
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.errors).toEqual([{ productId: hidden._id.toString(), reason: 'Product not found' }]);
+    expect(reserve).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/orders/:orderId/complete', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+  const productId = objectId();
+
+  const pendingOrder = (fields = {}) => new Order({
+    buyer: buyerId,
+    items: [{ product: productId, seller: sellerId, pname: 'Desk lamp', price: 500 }],
+    totalAmount: 500,
+    ...fields
+  });
+
+  const completeAs = async (userId, order) => {
+    const res = mockResponse();
+    await completeOrder(mockRequest({ user: { userId }, params: { orderId: order._id.toString() } }), res);
+    return res;
+  };
+
+  let markSold;
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([{ _id: productId, status: 'reserved' }])
+    });
+    markSold = jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('waits for the seller after the buyer confirms', async () => {
+    const order = pendingOrder();
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    const confirm = jest.spyOn(Order, 'confirm').mockImplementation(async () => {
+      order.buyerConfirmedAt = new Date();
+      return order;
+    });
+
+    const res = await completeAs(buyerId, order);
+
+    expect(confirm).toHaveBeenCalledWith(order._id, buyerId, { asBuyer: true, asSeller: false });
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toMatch(/waiting for the seller/);
+    expect(markSold).not.toHaveBeenCalled();
+  });
+
+  it('marks the listing sold once the seller confirms too', async () => {
+    const order = pendingOrder({ buyerConfirmedAt: new Date() });
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    jest.spyOn(Order, 'confirm').mockImplementation(async () => {
+      order.items[0].sellerConfirmedAt = new Date();
+      return order;
+    });
+    const complete = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(pendingOrder({ status: 'completed' }));
+
+    const res = await completeAs(sellerId, order);
+
+    expect(res.statusCode).toBe(200);
+    expect(complete).toHaveBeenCalledWith(
+      { _id: order._id, status: 'pending' },
+      { $set: { status: 'completed', completedAt: expect.any(Date) } },
+      { new: true }
+    );
+    expect(markSold).toHaveBeenCalledWith(
+      { _id: { $in: [productId] }, 'reservation.order': order._id },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'sold' }) })
+    );
+  });
+
+  it('refuses users who are not part of the order', async () => {
+    const order = pendingOrder();
+    jest.spyOn(Order, 'findById').mockResolvedValue(order);
+    const confirm = jest.spyOn(Order, 'confirm');
+
+    const res = await completeAs(objectId(), order);
+
+    expect(res.statusCode).toBe(403);
+    expect(confirm).not.toHaveBeenCalled();
+  });
+});
+
+describe('Order.confirm', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it("only stamps the confirming seller's own unconfirmed items", async () => {
+    const update = jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+    const orderId = objectId();
+    const sellerId = objectId();
+
+    await Order.confirm(orderId, sellerId, { asBuyer: false, asSeller: true });
+
+    expect(update).toHaveBeenCalledWith(
+      { _id: orderId, status: 'pending' },
+      { $set: { 'items.$[mine].sellerConfirmedAt': expect.any(Date) } },
+      { new: true, arrayFilters: [{ 'mine.seller': sellerId, 'mine.sellerConfirmedAt': null }] }
+    );
+  });
+});
@@ -0,0 +1,90 @@
+const Product = require('../models/Product');
+const validate = require('../middleware/zodValidation');
+const { productsQuerySchema } = require('../lib/validations');
+const { getProducts } = require('../controllers/productController');
+const { InvalidCursorError, encodeCursor, decodeCursor, afterCursor, toPage } = require('../lib/pagination');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Cursor helpers', () => {
+  const item = { _id: objectId(), listedAt: new Date('2026-01-02T03:04:05Z'), price: 500 };
+
+  it('reads back the position a cursor was built from', () => {
+    expect(decodeCursor('newest', encodeCursor('newest', item))).toEqual({ value: item.listedAt, id: item._id });
+    expect(decodeCursor('price-asc', encodeCursor('price-asc', item))).toEqual({ value: 500, id: item._id });
+  });
+
+  it.each([
+    ['garbage', 'not a cursor'],
+    ['a cursor from another sort mode', encodeCursor('price-asc', item)],
+    ['a cursor with a bad id', Buffer.from(JSON.stringify({ s: 'newest', v: item.listedAt, id: 'x' })).toString('base64url')]
+  ])('refuses %s', (_, cursor) => {
+    expect(() => decodeCursor('newest', cursor)).toThrow(InvalidCursorError);
+  });
+
+  it('continues after ties on the sort value by _id', () => {
+    expect(afterCursor('price-desc', { value: 500, id: item._id })).toEqual({
+      $or: [{ price: { $lt: 500 } }, { price: 500, _id: { $lt: item._id } }]
+    });
+  });
+
+  it('only returns a next cursor when there are more items', () => {
+    const items = [1, 2, 3].map((price) => ({ _id: objectId(), price }));
+
+    const full = toPage('price-asc', items, 2);
+    expect(full.items).toHaveLength(2);
+    expect(full.hasNext).toBe(true);
+    expect(decodeCursor('price-asc', full.nextCursor).id).toEqual(items[1]._id);
+
+    expect(toPage('price-asc', items, 3)).toMatchObject({ hasNext: false, nextCursor: null });
+  });
+});
+
+describe('GET /api/products pages', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const list = async (query) => {
+    const res = mockResponse();
+    await getProducts(mockRequest({ query }), res);
+    return res;
+  };
+
+  it('continues after the cursor without skipping', async () => {
+    const last = { _id: objectId(), price: 500 };
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue([])
+    };
+    const find = jest.spyOn(Product, 'find').mockReturnValue(query);
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ total: [{ count: 30 }] }]);
+
+    const res = await list({ sortBy: 'price-asc', limit: '10', cursor: encodeCursor('price-asc', last) });
+
+    expect(res.statusCode).toBe(200);
+    expect(find.mock.calls[0][0].$and[1]).toEqual(afterCursor('price-asc', { value: 500, id: last._id }));
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(11);
+    expect(res.body.data.pagination).toEqual({ limit: 10, hasNext: false, nextCursor: null, totalProducts: 30 });
+  });
+
+  it('answers a cursor from another sort mode with 400', async () => {
+    const find = jest.spyOn(Product, 'find');
+
+    const res = await list({ sortBy: 'newest', cursor: encodeCursor('price-asc', { _id: objectId(), price: 1 }) });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Invalid cursor');
+    expect(find).not.toHaveBeenCalled();
+  });
+
+  it('refuses a page number together with a cursor', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(productsQuerySchema)(mockRequest({ query: { page: '2', cursor: 'abc' } }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(JSON.stringify(res.body)).toContain('Use either cursor or page, not both');
+  });
+});
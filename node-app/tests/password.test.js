@@ -0,0 +1,58 @@
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { changePassword, deleteAccount } = require('../controllers/authController');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('Endpoints that check the current password', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  // A 401 would make the client refresh the session and then sign the user out
+  it('answers a wrong password on PUT /api/auth/password with 400', async () => {
+    const res = mockResponse();
+    await changePassword(mockRequest({
+      user: { userId: user._id },
+      body: { currentPassword: 'wrong', newPassword: 'newsecret123' }
+    }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Current password is incorrect');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('changes the password and hands back a fresh session', async () => {
+    user.comparePassword.mockResolvedValue(true);
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => new RefreshToken(doc));
+
+    const res = mockResponse();
+    await changePassword(mockRequest({
+      user: { userId: user._id },
+      body: { currentPassword: 'secret123', newPassword: 'newsecret123' }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(user.password).toBe('newsecret123');
+    expect(user.tokenVersion).toBe(1);
+    expect(revoke).toHaveBeenCalled();
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+  });
+
+  it('answers a wrong password on DELETE /api/auth/account with 400', async () => {
+    const res = mockResponse();
+    await deleteAccount(mockRequest({ user: { userId: user._id }, body: { password: 'wrong' } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Password is incorrect');
+    expect(user.isActive).toBe(true);
+  });
+});
@@ -0,0 +1,91 @@
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const User = require('../models/User');
+const { updateProduct } = require('../controllers/productController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+const sellerId = objectId();
+
+const product = (fields = {}) => new Product({
+  pname: 'Desk lamp',
+  pdesc: 'Barely used',
+  price: 1000,
+  category: 'Home & Garden',
+  pimage: 'a.jpg',
+  pimage2: 'b.jpg',
+  addedBy: sellerId,
+  pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+  ...fields
+});
+
+describe('Price change updates', () => {
+  it('marks a lower price as a drop and adds it to the history', () => {
+    const listing = product({ priceHistory: [{ price: 1000, changedAt: new Date() }] });
+
+    const { $set, $push } = listing.priceChangeUpdate(800);
+
+    expect($set.priceDrop.from).toBe(1000);
+    expect($push.priceHistory.$each.map((entry) => entry.price)).toEqual([800]);
+  });
+
+  it('clears the drop when the price goes up', () => {
+    expect(product().priceChangeUpdate(1200).$set.priceDrop).toEqual({ from: null, at: null });
+  });
+
+  it('seeds the history of listings created before it was kept', () => {
+    expect(product().priceChangeUpdate(800).$push.priceHistory.$each.map((entry) => entry.price)).toEqual([1000, 800]);
+  });
+});
+
+describe('PUT /api/products/:productId price drops', () => {
+  let listing;
+  let update;
+  let create;
+
+  beforeEach(() => {
+    listing = product();
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(listing) });
+    update = jest.spyOn(Product, 'findOneAndUpdate').mockImplementation((conditions, changes) => {
+      const updated = Product.hydrate({ ...listing.toObject(), ...changes.$set });
+      return { select: jest.fn().mockReturnThis(), populate: jest.fn().mockResolvedValue(updated) };
+    });
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ cursor: () => [{ _id: objectId() }, { _id: objectId() }] }) });
+    create = jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const setPrice = async (price, userId = sellerId) => {
+    const res = mockResponse();
+    await updateProduct(mockRequest({ user: { userId }, params: { productId: listing._id.toString() }, body: { price } }), res);
+    // Notifications go out after the response
+    await new Promise((resolve) => setImmediate(resolve));
+    return res;
+  };
+
+  it('notifies the users who liked the listing about a lower price', async () => {
+    const res = await setPrice('800');
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].$push.priceHistory).toBeDefined();
+    expect(User.find.mock.calls[0][0]).toEqual({ likedProducts: listing._id, _id: { $ne: sellerId } });
+    expect(create).toHaveBeenCalledTimes(2);
+    expect(create.mock.calls[0][0].message).toBe('Price drop: "Desk lamp" is now ₹800 (was ₹1,000)');
+  });
+
+  it('doesn\'t notify anyone about a higher price', async () => {
+    const res = await setPrice('1200');
+
+    expect(res.statusCode).toBe(200);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a price change from someone other than the seller', async () => {
+    const res = await setPrice('800', objectId());
+
+    expect(res.statusCode).toBe(403);
+    expect(update).not.toHaveBeenCalled();
+  });
+});
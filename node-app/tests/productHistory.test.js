@@ -0,0 +1,141 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const validate = require('../middleware/zodValidation');
+const { updateProductSchema } = require('../lib/validations');
+const { updateProduct, getProductHistory } = require('../controllers/productController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Product history of bulk changes', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('hides a seller\'s listings and reports what changed on each', async () => {
+    const sellerId = objectId();
+    const buyerId = objectId();
+    const active = new Product({ status: 'active', addedBy: sellerId });
+    const held = new Product({ status: 'reserved', reservedFor: buyerId, reservedUntil: new Date(), addedBy: sellerId });
+    jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([active, held]) });
+    const hide = jest.spyOn(Product, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const hidden = await Product.hideSellerListings(sellerId);
+
+    expect(hide.mock.calls[0][0]._id.$in).toEqual([active._id, held._id]);
+    expect(hidden[0]).toEqual({
+      product: active._id,
+      changes: [{ field: 'status', from: 'active', to: 'inactive' }]
+    });
+    expect(hidden[1].changes.map(change => change.field)).toEqual(['status', 'reservedFor', 'reservedUntil']);
+  });
+
+  it('writes one row per changed product in a single insert', async () => {
+    const changedBy = objectId();
+    const insert = jest.spyOn(ProductHistory, 'insertMany').mockResolvedValue([]);
+    const changed = { product: objectId(), changes: [{ field: 'status', from: 'active', to: 'inactive' }] };
+
+    await ProductHistory.recordMany([changed, { product: objectId(), changes: [] }], changedBy, 'hidden');
+
+    expect(insert).toHaveBeenCalledTimes(1);
+    expect(insert.mock.calls[0][0]).toEqual([{ ...changed, changedBy, action: 'hidden' }]);
+  });
+});
+
+describe('PUT /api/products/:productId', () => {
+  const sellerId = objectId();
+
+  let listing;
+  let update;
+  let record;
+
+  beforeEach(() => {
+    listing = new Product({
+      pname: 'Desk lamp',
+      pdesc: 'Barely used',
+      price: 1000,
+      category: 'Home & Garden',
+      pimage: 'a.jpg',
+      pimage2: 'b.jpg',
+      addedBy: sellerId,
+      pLoc: { type: 'Point', coordinates: [77.59, 12.97] }
+    });
+    jest.spyOn(Product, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(listing) });
+    update = jest.spyOn(Product, 'findOneAndUpdate').mockImplementation((conditions, changes) => {
+      const updated = Product.hydrate({ ...listing.toObject(), ...changes.$set });
+      return { select: jest.fn().mockReturnThis(), populate: jest.fn().mockResolvedValue(updated) };
+    });
+    record = jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const edit = async (body) => {
+    const res = mockResponse();
+    await updateProduct(mockRequest({ user: { userId: sellerId }, params: { productId: listing._id.toString() }, body }), res);
+    return res;
+  };
+
+  it('applies only editable fields and records what changed', async () => {
+    const res = await edit({ pname: 'Brass desk lamp', likesCount: 999, addedBy: objectId() });
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][1].$set).toEqual({ pname: 'Brass desk lamp' });
+    expect(record).toHaveBeenCalledWith(listing._id, sellerId, 'edit', [
+      { field: 'pname', from: 'Desk lamp', to: 'Brass desk lamp' }
+    ]);
+  });
+
+  it('refuses a status change the state machine doesn\'t allow', async () => {
+    listing.status = 'sold';
+
+    const res = await edit({ status: 'active' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('A sold listing cannot change status');
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('answers 409 when the listing changed since it was loaded', async () => {
+    update.mockReturnValue({ select: jest.fn().mockReturnThis(), populate: jest.fn().mockResolvedValue(null) });
+
+    const res = await edit({ status: 'inactive' });
+
+    expect(res.statusCode).toBe(409);
+    expect(update.mock.calls[0][0]).toMatchObject({ status: 'active', moderatedAt: null });
+    expect(record).not.toHaveBeenCalled();
+  });
+
+  it('rejects counters and ownership in the request body', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(updateProductSchema)(mockRequest({
+      params: { productId: listing._id.toString() },
+      body: { likesCount: 999, addedBy: objectId().toString() }
+    }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('GET /api/products/:productId/history', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('lists the listing\'s changes, newest first', async () => {
+    const product = new Product({ addedBy: objectId() });
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue([new ProductHistory({ product: product._id, action: 'renew' })])
+    };
+    const find = jest.spyOn(ProductHistory, 'find').mockReturnValue(query);
+    jest.spyOn(ProductHistory, 'countDocuments').mockResolvedValue(3);
+
+    const res = mockResponse();
+    await getProductHistory({ ...mockRequest({ query: { limit: '1' } }), resource: product }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(find).toHaveBeenCalledWith({ product: product._id });
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+    expect(res.body.data.pagination).toMatchObject({ total: 3, totalPages: 3, hasNext: true });
+  });
+});
@@ -0,0 +1,107 @@
+const Product = require('../models/Product');
+const { registerDriver } = require('../lib/storage');
+const {
+  addProductImages,
+  removeProductImage,
+  reorderProductImages
+} = require('../controllers/productImageController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Product photo gallery', () => {
+  const removed = [];
+  registerDriver('memory', () => ({
+    put: async () => {},
+    remove: async (key) => { removed.push(key); },
+    url: (key) => `memory/${key}`
+  }));
+
+  let product;
+
+  beforeAll(() => {
+    process.env.STORAGE_DRIVER = 'memory';
+  });
+
+  afterAll(() => {
+    delete process.env.STORAGE_DRIVER;
+  });
+
+  const variants = (name) => ({ thumbnail: `${name}-thumbnail.webp`, card: `${name}-card.webp`, full: `${name}-full.webp` });
+
+  beforeEach(() => {
+    removed.length = 0;
+    product = new Product({
+      pname: 'Desk lamp',
+      pdesc: 'Barely used',
+      price: 500,
+      category: 'Home & Garden',
+      pimage: 'a.jpg',
+      pimage2: 'b.jpg',
+      addedBy: objectId(),
+      pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+      additionalImages: [variants('one'), variants('two')]
+    });
+    jest.spyOn(product, 'save').mockResolvedValue(product);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const call = async (handler, { files, params = {}, body = {} } = {}) => {
+    const res = mockResponse();
+    await handler({ ...mockRequest({ params, body }), files, resource: product }, res);
+    return res;
+  };
+
+  it('appends uploaded photos and returns their URLs', async () => {
+    const res = await call(addProductImages, { files: { images: [{ variants: variants('three') }] } });
+
+    expect(res.statusCode).toBe(201);
+    expect(product.additionalImages).toHaveLength(3);
+    expect(res.body.data.images[2].card).toBe('memory/three-card.webp');
+  });
+
+  it('refuses uploads past the gallery limit and deletes their files', async () => {
+    const uploads = Array.from({ length: Product.MAX_GALLERY_IMAGES - 1 }, (_, i) => ({ variants: variants(`new${i}`) }));
+
+    const res = await call(addProductImages, { files: { images: uploads } });
+
+    expect(res.statusCode).toBe(400);
+    expect(product.save).not.toHaveBeenCalled();
+    expect(product.additionalImages).toHaveLength(2);
+    expect(removed).toContain('new0-full.webp');
+  });
+
+  it('removes a photo and its files', async () => {
+    const imageId = product.additionalImages[0]._id.toString();
+
+    const res = await call(removeProductImage, { params: { imageId } });
+
+    expect(res.statusCode).toBe(200);
+    expect(product.additionalImages.map((image) => image.full)).toEqual(['two-full.webp']);
+    expect(removed.sort()).toEqual(Object.values(variants('one')).sort());
+  });
+
+  it('answers an unknown photo id with 404', async () => {
+    const res = await call(removeProductImage, { params: { imageId: objectId().toString() } });
+
+    expect(res.statusCode).toBe(404);
+    expect(removed).toHaveLength(0);
+  });
+
+  it('reorders the gallery', async () => {
+    const [first, second] = product.additionalImages.map((image) => image._id.toString());
+
+    const res = await call(reorderProductImages, { body: { imageIds: [second, first] } });
+
+    expect(res.statusCode).toBe(200);
+    expect(product.additionalImages.map((image) => image.full)).toEqual(['two-full.webp', 'one-full.webp']);
+  });
+
+  it('refuses an order that leaves out or repeats a photo', async () => {
+    const [first] = product.additionalImages.map((image) => image._id.toString());
+
+    const res = await call(reorderProductImages, { body: { imageIds: [first, first] } });
+
+    expect(res.statusCode).toBe(400);
+    expect(product.save).not.toHaveBeenCalled();
+  });
+});
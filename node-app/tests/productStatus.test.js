@@ -0,0 +1,51 @@
+const Product = require('../models/Product');
+const { objectId } = require('./helpers');
+
+const product = (fields = {}) => new Product({
+  pname: 'Desk lamp',
+  pdesc: 'Barely used',
+  price: 500,
+  category: 'Home & Garden',
+  pimage: 'uploads/a.jpg',
+  pimage2: 'uploads/b.jpg',
+  addedBy: objectId(),
+  pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+  ...fields
+});
+
+describe('Product status transitions', () => {
+  it.each([
+    ['active', 'reserved'],
+    ['active', 'sold'],
+    ['active', 'inactive'],
+    ['reserved', 'active'],
+    ['reserved', 'sold'],
+    ['reserved', 'inactive'],
+    ['inactive', 'active']
+  ])('allows %s -> %s', (from, to) => {
+    expect(product({ status: from }).statusChangeBlocker(to)).toBeNull();
+  });
+
+  it.each([
+    ['inactive', 'reserved'],
+    ['inactive', 'sold']
+  ])('refuses %s -> %s', (from, to) => {
+    expect(product({ status: from }).statusChangeBlocker(to))
+      .toBe(`This listing is ${from} and cannot be changed to ${to}`);
+  });
+
+  it.each(['active', 'reserved', 'inactive'])('keeps a sold listing from becoming %s', (to) => {
+    expect(product({ status: 'sold' }).statusChangeBlocker(to)).toBe('A sold listing cannot change status');
+  });
+
+  it('sends expired listings through renew instead of reactivation', () => {
+    const expired = product({ status: 'inactive', expiredAt: new Date() });
+    expect(expired.statusChangeBlocker('active')).toMatch(/renew it/);
+  });
+
+  it('keeps a listing on a moderation hold inactive', () => {
+    const held = product({ status: 'inactive', moderatedAt: new Date(), expiredAt: new Date() });
+    expect(held.statusChangeBlocker('active')).toBe('This listing was deactivated by a moderator and cannot be changed');
+    expect(held.isRenewable()).toBe(false);
+  });
+});
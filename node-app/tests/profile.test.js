@@ -0,0 +1,33 @@
+const User = require('../models/User');
+const { updateProfile } = require('../controllers/authController');
+const { mockRequest, mockResponse } = require('./helpers');
+
+describe('PUT /api/auth/profile', () => {
+  const user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only applies the editable profile fields', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+
+    const res = mockResponse();
+    await updateProfile(mockRequest({
+      user: { userId: user._id },
+      body: {
+        mobile: '8888888888',
+        profile: { bio: 'Collector', avatar: 'x.png' },
+        rating: { average: 5, count: 1000 },
+        role: 'admin',
+        tokenVersion: 0
+      }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(update).toHaveBeenCalledWith(
+      user._id,
+      { mobile: '8888888888', 'profile.bio': 'Collector' },
+      expect.any(Object)
+    );
+  });
+});
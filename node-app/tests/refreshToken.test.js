@@ -0,0 +1,68 @@
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { refresh } = require('../controllers/authController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const storedToken = (overrides = {}) => new RefreshToken({
+  user: objectId(),
+  tokenHash: 'stored-hash',
+  family: 'family-1',
+  expiresAt: new Date(Date.now() + DAY_MS),
+  ...overrides
+});
+
+describe('POST /api/auth/refresh', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rotates the token within its family and returns a new pair', async () => {
+    const record = storedToken();
+    const user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const create = jest.spyOn(RefreshToken, 'create').mockImplementation(async (doc) => new RefreshToken(doc));
+    const save = jest.spyOn(record, 'save').mockResolvedValue(record);
+
+    const res = mockResponse();
+    await refresh(mockRequest({ body: { refreshToken: 'plain-token' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).not.toBe('plain-token');
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ family: 'family-1', user: user._id }));
+    expect(record.revokedAt).toBeInstanceOf(Date);
+    expect(record.replacedBy).toBe(create.mock.calls[0][0].tokenHash);
+    expect(save).toHaveBeenCalled();
+  });
+
+  it('revokes the whole family when a rotated token is reused', async () => {
+    const record = storedToken({ revokedAt: new Date(Date.now() - 1000), replacedBy: 'next-hash' });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+    const updateMany = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    const create = jest.spyOn(RefreshToken, 'create');
+
+    const res = mockResponse();
+    await refresh(mockRequest({ body: { refreshToken: 'plain-token' } }), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(updateMany).toHaveBeenCalledWith(
+      { family: 'family-1', revokedAt: null },
+      { $set: { revokedAt: expect.any(Date) } }
+    );
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses an expired token without rotating it', async () => {
+    const record = storedToken({ expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+    const create = jest.spyOn(RefreshToken, 'create');
+
+    const res = mockResponse();
+    await refresh(mockRequest({ body: { refreshToken: 'plain-token' } }), res);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Refresh token has expired');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
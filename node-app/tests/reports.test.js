@@ -0,0 +1,140 @@
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Report = require('../models/Report');
+const { reportProduct, getModerationQueue, resolveReports } = require('../controllers/reportController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('POST /api/products/:productId/report', () => {
+  const reporterId = objectId();
+  const product = new Product({ pname: 'Desk lamp', price: 500, addedBy: objectId() });
+
+  const report = async (userId, body = { reason: 'scam' }) => {
+    const res = mockResponse();
+    await reportProduct(mockRequest({ user: { userId }, params: { productId: product._id.toString() }, body }), res);
+    return res;
+  };
+
+  let count;
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    count = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('files a report and counts it on the product', async () => {
+    jest.spyOn(Report, 'create').mockImplementation(async (fields) => new Report(fields));
+
+    const res = await report(reporterId);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data.report.reason).toBe('scam');
+    expect(count).toHaveBeenCalledWith({ _id: product._id }, { $inc: { openReportsCount: 1 } });
+  });
+
+  it('answers 409 for a second open report by the same user', async () => {
+    jest.spyOn(Report, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const res = await report(reporterId);
+
+    expect(res.statusCode).toBe(409);
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('refuses reports on your own product', async () => {
+    const create = jest.spyOn(Report, 'create');
+
+    const res = await report(product.addedBy);
+
+    expect(res.statusCode).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/admin/reports', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('groups open reports per product with a count per reason', async () => {
+    const productId = objectId();
+    jest.spyOn(Report, 'aggregate').mockResolvedValue([{
+      items: [{ _id: productId, reportsCount: 3, reasons: ['scam', 'scam', 'other'], product: { _id: productId, pname: 'Desk lamp' } }],
+      total: [{ count: 1 }]
+    }]);
+
+    const res = mockResponse();
+    await getModerationQueue(mockRequest({ query: { page: '1', limit: '20' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.queue[0]).toMatchObject({ reportsCount: 3, reasonCounts: { scam: 2, other: 1 } });
+    expect(res.body.data.queue[0].reasons).toBeUndefined();
+    expect(res.body.data.pagination).toMatchObject({ totalProducts: 1, hasNext: false });
+  });
+});
+
+describe('POST /api/admin/reports/:productId/resolve', () => {
+  const moderatorId = objectId();
+
+  const listing = (fields = {}) => new Product({
+    pname: 'Desk lamp',
+    pdesc: 'Barely used',
+    price: 500,
+    category: 'Home & Garden',
+    pimage: 'uploads/a.jpg',
+    addedBy: objectId(),
+    pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+    openReportsCount: 3,
+    ...fields
+  });
+
+  const resolve = async (product, body) => {
+    const res = mockResponse();
+    await resolveReports(mockRequest({
+      user: { userId: moderatorId, role: 'moderator' },
+      params: { productId: product._id.toString() },
+      body
+    }), res);
+    return res;
+  };
+
+  let closeReports;
+
+  beforeEach(() => {
+    closeReports = jest.spyOn(Report, 'updateMany').mockResolvedValue({ modifiedCount: 3 });
+    jest.spyOn(ProductHistory, 'record').mockResolvedValue(null);
+    jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('deactivates the listing and puts it on a moderation hold', async () => {
+    const product = listing({ status: 'reserved' });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    const update = jest.spyOn(Product, 'findOneAndUpdate').mockImplementation(async (conditions, { $set }) => (
+      listing({ ...product.toObject(), ...$set })
+    ));
+
+    const res = await resolve(product, { action: 'deactivate', reason: 'Counterfeit' });
+
+    const [conditions, { $set }] = update.mock.calls[0];
+    expect(conditions).toEqual({ _id: product._id, status: 'reserved' });
+    expect($set).toMatchObject({ status: 'inactive', reservedFor: null, moderationReason: 'Counterfeit' });
+    expect($set.moderatedAt).toBeInstanceOf(Date);
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data.product.statusChangeBlocker('active')).toMatch(/deactivated by a moderator/);
+  });
+
+  it('refuses to deactivate a sold listing', async () => {
+    const product = listing({ status: 'sold' });
+    jest.spyOn(Product, 'findById').mockResolvedValue(product);
+    const update = jest.spyOn(Product, 'findOneAndUpdate');
+
+    const res = await resolve(product, { action: 'deactivate' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.message).toBe('A sold listing cannot change status');
+    expect(update).not.toHaveBeenCalled();
+    expect(closeReports).not.toHaveBeenCalled();
+  });
+});
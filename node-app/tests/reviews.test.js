@@ -0,0 +1,125 @@
+const Order = require('../models/Order');
+const Review = require('../models/Review');
+const User = require('../models/User');
+const validate = require('../middleware/zodValidation');
+const { userReviewsQuerySchema } = require('../lib/validations');
+const { createReview, getUserReviews } = require('../controllers/reviewController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+/**
+ * Order.findOne(...).sort(...) resolving to the given order
+ */
+const findOrderResolving = (order) => jest.spyOn(Order, 'findOne').mockReturnValue({
+  sort: jest.fn().mockResolvedValue(order)
+});
+
+describe('POST /api/reviews', () => {
+  const buyerId = objectId();
+  const sellerId = objectId();
+  const productId = objectId();
+
+  const reviewRequest = () => mockRequest({
+    user: { userId: buyerId },
+    body: { productId: productId.toString(), rating: 4, comment: 'Smooth deal' }
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('only looks at completed orders of the reviewer', async () => {
+    const findOne = findOrderResolving(null);
+    const create = jest.spyOn(Review, 'create');
+
+    const res = mockResponse();
+    await createReview(reviewRequest(), res);
+
+    expect(findOne).toHaveBeenCalledWith({
+      buyer: buyerId,
+      status: 'completed',
+      'items.product': productId.toString()
+    });
+    expect(res.statusCode).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a second review of the same purchase', async () => {
+    findOrderResolving({ _id: objectId(), items: [{ product: productId, seller: sellerId }] });
+    jest.spyOn(Review, 'exists').mockResolvedValue({ _id: objectId() });
+    const create = jest.spyOn(Review, 'create');
+
+    const res = mockResponse();
+    await createReview(reviewRequest(), res);
+
+    expect(res.statusCode).toBe(409);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('reviews the seller of the purchased item and refreshes their rating', async () => {
+    const order = { _id: objectId(), items: [{ product: productId, seller: sellerId }] };
+    findOrderResolving(order);
+    jest.spyOn(Review, 'exists').mockResolvedValue(null);
+    const create = jest.spyOn(Review, 'create').mockImplementation(async (doc) => doc);
+    const refreshRating = jest.spyOn(Review, 'refreshSellerRating').mockResolvedValue({ average: 4, count: 1 });
+
+    const res = mockResponse();
+    await createReview(reviewRequest(), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      order: order._id,
+      seller: sellerId,
+      reviewer: buyerId,
+      rating: 4
+    }));
+    expect(refreshRating).toHaveBeenCalledWith(sellerId);
+  });
+});
+
+describe('GET /api/users/:userId/reviews', () => {
+  const seller = new User({ username: 'seller', email: 'seller@example.com', mobile: '9999999992', password: 'secret123' });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    [{ page: 'abc' }],
+    [{ page: '0' }],
+    [{ limit: '-5' }],
+    [{ limit: '1000' }]
+  ])('rejects %j before it reaches the controller', (query) => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    validate(userReviewsQuerySchema)(mockRequest({ params: { userId: seller._id.toString() }, query }), res, next);
+
+    expect(res.statusCode).toBe(400);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('pages through the reviews a seller received', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(seller) });
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockReturnThis(),
+      then: (resolve, reject) => Promise.resolve([]).then(resolve, reject)
+    };
+    jest.spyOn(Review, 'find').mockReturnValue(query);
+    jest.spyOn(Review, 'countDocuments').mockResolvedValue(12);
+
+    const res = mockResponse();
+    await getUserReviews(mockRequest({ params: { userId: seller._id.toString() }, query: { page: '2', limit: '5' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(query.skip).toHaveBeenCalledWith(5);
+    expect(res.body.data.pagination).toMatchObject({ currentPage: 2, totalPages: 3, total: 12 });
+  });
+
+  it('answers 404 for an unknown user', async () => {
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    const res = mockResponse();
+    await getUserReviews(mockRequest({ params: { userId: objectId().toString() } }), res);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
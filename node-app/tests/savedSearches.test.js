@@ -0,0 +1,116 @@
+const Notification = require('../models/Notification');
+const Product = require('../models/Product');
+const SavedSearch = require('../models/SavedSearch');
+const { createSavedSearch, updateSavedSearch, deleteSavedSearch } = require('../controllers/savedSearchController');
+const { savedSearchMatches, notifySavedSearchMatches } = require('../lib/savedSearchAlerts');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Saved search endpoints', () => {
+  const userId = objectId();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('saves the filters, storing the location as GeoJSON', async () => {
+    jest.spyOn(SavedSearch, 'countDocuments').mockResolvedValue(0);
+    const create = jest.spyOn(SavedSearch, 'create').mockImplementation(async (fields) => new SavedSearch(fields));
+
+    const res = mockResponse();
+    await createSavedSearch(mockRequest({
+      user: { userId },
+      body: { name: 'Lamps nearby', search: 'lamp', location: { lat: 12.97, lng: 77.59 }, radius: 10 }
+    }), res);
+
+    expect(res.statusCode).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({
+      user: userId,
+      location: { type: 'Point', coordinates: [77.59, 12.97] },
+      radius: 10
+    });
+  });
+
+  it('refuses to save past the per-user limit', async () => {
+    jest.spyOn(SavedSearch, 'countDocuments').mockResolvedValue(SavedSearch.MAX_PER_USER);
+    const create = jest.spyOn(SavedSearch, 'create');
+
+    const res = mockResponse();
+    await createSavedSearch(mockRequest({ user: { userId }, body: { name: 'One too many' } }), res);
+
+    expect(res.statusCode).toBe(400);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('clears the radius along with the location', async () => {
+    const update = jest.spyOn(SavedSearch, 'findOneAndUpdate').mockResolvedValue(new SavedSearch({ user: userId, name: 'x' }));
+
+    const res = mockResponse();
+    await updateSavedSearch(mockRequest({
+      user: { userId },
+      params: { savedSearchId: objectId().toString() },
+      body: { location: null, alertsEnabled: false }
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(update.mock.calls[0][0].user).toBe(userId);
+    expect(update.mock.calls[0][1].$set).toEqual({ location: null, radius: null, alertsEnabled: false });
+  });
+
+  it.each([
+    ['updating', updateSavedSearch, 'findOneAndUpdate'],
+    ['deleting', deleteSavedSearch, 'findOneAndDelete']
+  ])('answers %s someone else\'s saved search with 404', async (_, handler, method) => {
+    jest.spyOn(SavedSearch, method).mockResolvedValue(null);
+
+    const res = mockResponse();
+    await handler(mockRequest({ user: { userId }, params: { savedSearchId: objectId().toString() }, body: {} }), res);
+
+    expect(res.statusCode).toBe(404);
+  });
+});
+
+describe('Saved search alerts', () => {
+  const seller = objectId();
+  const product = new Product({
+    pname: 'Brass desk lamp',
+    pdesc: 'Barely used',
+    price: 1500,
+    category: 'Home & Garden',
+    pimage: 'a.jpg',
+    pimage2: 'b.jpg',
+    addedBy: seller,
+    pLoc: { type: 'Point', coordinates: [77.59, 12.99] }
+  });
+  const savedSearch = (fields = {}) => new SavedSearch({ user: objectId(), name: 'Lamps', ...fields });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it.each([
+    ['a whole word', { search: 'lamp' }, true],
+    ['word prefixes', { search: 'lam desk' }, true],
+    ['a missing word', { search: 'sofa' }, false],
+    ['a price bucket containing the price', { priceRanges: [{ min: 1000, max: 5000 }] }, true],
+    ['a price bucket below the price', { priceRanges: [{ min: 0, max: 1000 }] }, false],
+    ['a radius reaching the listing', { location: { type: 'Point', coordinates: [77.59, 12.97] }, radius: 5 }, true],
+    ['a radius short of the listing', { location: { type: 'Point', coordinates: [77.59, 12.97] }, radius: 1 }, false]
+  ])('checks %s', (_, fields, expected) => {
+    expect(savedSearchMatches(savedSearch(fields), product)).toBe(expected);
+  });
+
+  it('notifies the owners of matching searches only', async () => {
+    const matching = savedSearch({ search: 'lamp' });
+    const other = savedSearch({ search: 'sofa' });
+    const find = jest.spyOn(SavedSearch, 'find').mockReturnValue({ cursor: () => [matching, other] });
+    const create = jest.spyOn(Notification, 'create').mockImplementation(async (fields) => new Notification(fields));
+    jest.spyOn(SavedSearch, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const matched = await notifySavedSearchMatches(product);
+
+    expect(matched).toBe(1);
+    expect(find.mock.calls[0][0]).toMatchObject({ alertsEnabled: true, user: { $ne: seller } });
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0]).toMatchObject({
+      user: matching.user,
+      type: 'saved-search-match',
+      savedSearch: matching._id
+    });
+  });
+});
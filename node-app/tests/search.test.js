@@ -0,0 +1,92 @@
+const Product = require('../models/Product');
+const { searchProducts } = require('../controllers/productController');
+const { tokenize, buildPrefixFilter, highlight, buildSnippet } = require('../lib/search');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+// Chainable stand-in for a Mongoose query resolving to `value`
+const queryOf = (value) => ({
+  populate: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const product = (fields = {}) => new Product({
+  pname: 'Desk lamp',
+  pdesc: 'Barely used',
+  price: 500,
+  category: 'Home & Garden',
+  pimage: 'a.jpg',
+  pimage2: 'b.jpg',
+  addedBy: objectId(),
+  pLoc: { type: 'Point', coordinates: [77.59, 12.97] },
+  ...fields
+});
+
+describe('Search helpers', () => {
+  it('reduces input to unique plain words', () => {
+    expect(tokenize('"iPhone" -case iphone  13!')).toEqual(['iphone', 'case', '13']);
+    expect(tokenize('-- "" !!')).toEqual([]);
+  });
+
+  it('escapes tokens in prefix patterns', () => {
+    const [{ $or: [{ pname }] }] = buildPrefixFilter(['c++']).$and;
+    expect(pname.$regex).toBe('(^|[^\\p{L}\\p{N}])c\\+\\+');
+  });
+
+  it('marks whole words that start with a term', () => {
+    expect(highlight('New iPhone case', ['iph'])).toEqual([
+      { text: 'New ', match: false },
+      { text: 'iPhone', match: true },
+      { text: ' case', match: false }
+    ]);
+  });
+
+  it('cuts long descriptions around the first match', () => {
+    const text = `${'filler '.repeat(40)}vintage camera ${'more '.repeat(40)}`;
+    const snippet = buildSnippet(text, ['camera']);
+
+    expect(snippet[0]).toEqual({ text: '…', match: false });
+    expect(snippet[snippet.length - 1]).toEqual({ text: '…', match: false });
+    expect(snippet).toContainEqual({ text: 'camera', match: true });
+  });
+});
+
+describe('GET /api/products/search', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  const search = async (query) => {
+    const res = mockResponse();
+    await searchProducts(mockRequest({ query: { loc: '12.97,77.59', ...query } }), res);
+    return res;
+  };
+
+  it('lists ranked hits before partial-word matches, with highlights and facets', async () => {
+    const ranked = product({ pname: 'Desk lamp' });
+    const partial = product({ pname: 'Lampshade' });
+    const searchSpy = jest.spyOn(Product, 'searchProducts').mockReturnValue(queryOf([ranked]));
+    const find = jest.spyOn(Product, 'find').mockReturnValue(queryOf([partial]));
+    jest.spyOn(Product, 'aggregate').mockResolvedValue([{ total: [{ count: 2 }] }]);
+
+    const res = await search({ search: 'lamp' });
+
+    expect(res.statusCode).toBe(200);
+    expect(searchSpy.mock.calls[0][0]).toEqual(['lamp']);
+    expect(find.mock.calls[0][0]._id).toEqual({ $nin: [ranked._id] });
+    expect(find.mock.calls[0][0]['moderation.hidden']).toEqual({ $ne: true });
+    expect(res.body.data.products.map((item) => item.pname)).toEqual(['Desk lamp', 'Lampshade']);
+    expect(res.body.data.products[1].search.highlights.pname).toEqual([{ text: 'Lampshade', match: true }]);
+    expect(res.body.data.facets.total).toBe(2);
+    expect(res.body.data.terms).toEqual(['lamp']);
+  });
+
+  it('refuses a search without letters or numbers', async () => {
+    const searchSpy = jest.spyOn(Product, 'searchProducts');
+
+    const res = await search({ search: '"-"' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Search term must contain letters or numbers');
+    expect(searchSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,44 @@
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { getSellerProducts } = require('../controllers/productController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('GET /api/users/:userId/products', () => {
+  const sellerId = objectId().toString();
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const storefront = async (query = {}) => {
+    const res = mockResponse();
+    await getSellerProducts(mockRequest({ params: { userId: sellerId }, query }), res);
+    return res;
+  };
+
+  it('lists the seller\'s visible listings, newest first', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue({ _id: sellerId });
+    const query = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([])
+    };
+    const find = jest.spyOn(Product, 'find').mockReturnValue(query);
+    const count = jest.spyOn(Product, 'countDocuments').mockResolvedValue(25);
+
+    const res = await storefront({ includeReserved: 'false', limit: '10' });
+
+    expect(res.statusCode).toBe(200);
+    expect(find.mock.calls[0][0]).toEqual(Product.visibleQuery({ status: 'active', addedBy: sellerId }));
+    expect(count.mock.calls[0][0]).toEqual(Product.visibleQuery({ addedBy: sellerId, status: 'active' }));
+    expect(res.body.data.pagination).toMatchObject({ totalProducts: 25, totalPages: 3, currentPage: 1 });
+  });
+
+  it('answers an unknown seller with 404', async () => {
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    const find = jest.spyOn(Product, 'find');
+
+    const res = await storefront();
+
+    expect(res.statusCode).toBe(404);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+const { generateAccessToken } = require('../lib/tokens');
+const { logout, logoutAll } = require('../controllers/authController');
+const { mockRequest, mockResponse, objectId } = require('./helpers');
+
+describe('Session revocation', () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({ username: 'alice', email: 'alice@example.com', mobile: '9999999999', password: 'secret123' });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const authenticate = async (token) => {
+    const req = { ...mockRequest(), headers: { authorization: `Bearer ${token}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateToken(req, res, next);
+    return { req, res, next };
+  };
+
+  it('accepts an access token issued for the current token version', async () => {
+    const { req, next } = await authenticate(generateAccessToken(user));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.userId).toEqual(user._id);
+  });
+
+  it('refuses access tokens issued before a log out everywhere', async () => {
+    const token = generateAccessToken(user);
+    user.tokenVersion += 1;
+
+    const { res, next } = await authenticate(token);
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Token has been revoked');
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('bumps the token version and revokes every refresh token on logout-all', async () => {
+    const bump = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const res = mockResponse();
+    await logoutAll(mockRequest({ user: { userId: user._id } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(bump).toHaveBeenCalledWith({ _id: user._id }, { $inc: { tokenVersion: 1 } });
+    expect(revoke.mock.calls[0][0]).toEqual({ user: user._id, revokedAt: null });
+  });
+
+  it('revokes the session family of the refresh token on logout', async () => {
+    const record = new RefreshToken({ user: user._id, tokenHash: 'hash', family: 'family-1', expiresAt: new Date(Date.now() + 60000) });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(record);
+    const revoke = jest.spyOn(RefreshToken, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = mockResponse();
+    await logout(mockRequest({ body: { refreshToken: 'plain-token' } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revoke.mock.calls[0][0]).toEqual({ family: 'family-1', revokedAt: null });
+  });
+
+  it('still answers 200 for an unknown refresh token', async () => {
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue(null);
+    const revoke = jest.spyOn(RefreshToken, 'updateMany');
+
+    const res = mockResponse();
+    await logout(mockRequest({ body: { refreshToken: objectId().toString() } }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(revoke).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,89 @@
+describe('Storage', () => {
+  const ENV_KEYS = ['STORAGE_DRIVER', 'STORAGE_PUBLIC_URL', 'S3_BUCKET', 'S3_ENDPOINT', 'S3_REGION', 'S3_PUBLIC_URL'];
+  const savedEnv = {};
+
+  beforeEach(() => {
+    ENV_KEYS.forEach((key) => {
+      savedEnv[key] = process.env[key];
+      delete process.env[key];
+    });
+  });
+
+  afterEach(() => {
+    ENV_KEYS.forEach((key) => {
+      if (savedEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+  });
+
+  // The driver is created on first use, so every test loads a fresh copy
+  const loadStorage = (env = {}) => {
+    Object.assign(process.env, env);
+    let storage;
+    jest.isolateModules(() => {
+      storage = require('../lib/storage');
+    });
+    return storage;
+  };
+
+  it('serves local files from the API by default', () => {
+    const { getObjectUrl, isLocal } = loadStorage();
+
+    expect(isLocal()).toBe(true);
+    expect(getObjectUrl('pimage-1-card.webp')).toBe('uploads/pimage-1-card.webp');
+  });
+
+  it('reads keys saved with the legacy uploads/ prefix', () => {
+    const { getObjectUrl } = loadStorage({ STORAGE_PUBLIC_URL: 'https://cdn.example.com/' });
+
+    expect(getObjectUrl('uploads/old.jpg')).toBe('https://cdn.example.com/old.jpg');
+  });
+
+  it('passes full URLs and empty values through', () => {
+    const { getObjectUrl } = loadStorage();
+
+    expect(getObjectUrl('https://example.com/a.jpg')).toBe('https://example.com/a.jpg');
+    expect(getObjectUrl('')).toBe('');
+  });
+
+  it('builds path-style URLs for an S3-compatible endpoint', () => {
+    const { getObjectUrl, isLocal } = loadStorage({
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: 'photos',
+      S3_ENDPOINT: 'http://minio:9000/'
+    });
+
+    expect(isLocal()).toBe(false);
+    expect(getObjectUrl('a.webp')).toBe('http://minio:9000/photos/a.webp');
+  });
+
+  it('builds virtual-hosted URLs for AWS', () => {
+    const { getObjectUrl } = loadStorage({ STORAGE_DRIVER: 's3', S3_BUCKET: 'photos', S3_REGION: 'eu-west-1' });
+
+    expect(getObjectUrl('a.webp')).toBe('https://photos.s3.eu-west-1.amazonaws.com/a.webp');
+  });
+
+  it('refuses the S3 driver without a bucket', () => {
+    const { getObjectUrl } = loadStorage({ STORAGE_DRIVER: 's3' });
+
+    expect(() => getObjectUrl('a.webp')).toThrow('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  });
+
+  it('hands registered drivers normalized keys', async () => {
+    const { registerDriver, putObject, removeObject } = loadStorage({ STORAGE_DRIVER: 'memory' });
+    const driver = { put: jest.fn(), remove: jest.fn(), url: jest.fn() };
+    registerDriver('memory', () => driver);
+
+    await putObject('uploads/old.jpg', Buffer.from('x'), 'image/jpeg');
+    await removeObject('uploads/old.jpg');
+
+    expect(driver.put).toHaveBeenCalledWith('old.jpg', expect.any(Buffer), 'image/jpeg');
+    expect(driver.remove).toHaveBeenCalledWith('old.jpg');
+  });
+
+  it('refuses an unknown driver', () => {
+    const { getObjectUrl } = loadStorage({ STORAGE_DRIVER: 'ftp' });
+
+    expect(() => getObjectUrl('a.webp')).toThrow('Unknown storage driver: ftp');
+  });
+});
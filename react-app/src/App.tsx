@@ -7,6 +7,7 @@
  * - React Router for navigation
  * - Framer Motion for animations
  * - React Hot Toast for notifications
+ * - Server-Sent Events for realtime cache updates
  * - Tailwind CSS for styling
  */
 
@@ -19,6 +20,7 @@ import { motion, AnimatePresence } from 'framer-motion';
 
 // Configuration
 import { queryClient } from './lib/queryClient';
+import { useRealtime } from './hooks/useRealtime';
 
 // Components
 import Header from './components/Header';
@@ -32,6 +34,14 @@ import MyProfile from './components/MyProfile';
 import LikedProducts from './components/LikedProducts';
 import AddProduct from './components/AddProduct';
 import Categories from './components/Categories';
+import Inbox from './components/Inbox';
+import MessageThread from './components/MessageThread';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import AccountSettings from './components/AccountSettings';
+import SavedSearches from './components/SavedSearches';
+import SellerProfile from './components/SellerProfile';
 import ProtectedRoute from './components/ProtectedRoute';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorBoundary from './components/ErrorBoundary';
@@ -75,10 +85,17 @@ const AnimatedPage: React.FC<{ children: React.ReactNode }> = ({ children }) =>
   </motion.div>
 );
 
+// Keeps the realtime event stream open (needs the QueryClient context)
+const RealtimeUpdates: React.FC = () => {
+  useRealtime();
+  return null;
+};
+
 function App() {
   return (
     <ErrorBoundary>
       <QueryClientProvider client={queryClient}>
+        <RealtimeUpdates />
         <Router>
           <div className="App min-h-screen bg-gray-50">
             <Header />
@@ -184,6 +201,86 @@ function App() {
                     }
                   />
                   
+                  <Route
+                    path="/inbox"
+                    element={
+                      <ProtectedRoute>
+                        <AnimatedPage>
+                          <Inbox />
+                        </AnimatedPage>
+                      </ProtectedRoute>
+                    }
+                  />
+                  
+                  <Route
+                    path="/inbox/:conversationId"
+                    element={
+                      <ProtectedRoute>
+                        <AnimatedPage>
+                          <MessageThread />
+                        </AnimatedPage>
+                      </ProtectedRoute>
+                    }
+                  />
+                  
+                  <Route
+                    path="/forgot-password"
+                    element={
+                      <AnimatedPage>
+                        <ForgotPassword />
+                      </AnimatedPage>
+                    }
+                  />
+                  
+                  <Route
+                    path="/reset-password"
+                    element={
+                      <AnimatedPage>
+                        <ResetPassword />
+                      </AnimatedPage>
+                    }
+                  />
+                  
+                  <Route
+                    path="/verify-email"
+                    element={
+                      <AnimatedPage>
+                        <VerifyEmail />
+                      </AnimatedPage>
+                    }
+                  />
+                  
+                  <Route
+                    path="/account"
+                    element={
+                      <ProtectedRoute>
+                        <AnimatedPage>
+                          <AccountSettings />
+                        </AnimatedPage>
+                      </ProtectedRoute>
+                    }
+                  />
+                  
+                  <Route
+                    path="/saved-searches"
+                    element={
+                      <ProtectedRoute>
+                        <AnimatedPage>
+                          <SavedSearches />
+                        </AnimatedPage>
+                      </ProtectedRoute>
+                    }
+                  />
+                  
+                  <Route
+                    path="/seller/:userId"
+                    element={
+                      <AnimatedPage>
+                        <SellerProfile />
+                      </AnimatedPage>
+                    }
+                  />
+                  
                   {/* 404 Route */}
                   <Route
                     path="*"
@@ -0,0 +1,126 @@
+import Header from "./Header";
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import {
+    changePasswordSchema,
+    ChangePasswordForm,
+    deleteAccountSchema,
+    DeleteAccountForm,
+} from '../lib/validations';
+import { useChangePassword, useDeleteAccount } from '../hooks/useAuth';
+
+const inputClass = 'shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline';
+
+function AccountSettings() {
+    const passwordForm = useForm<ChangePasswordForm>({
+        resolver: zodResolver(changePasswordSchema),
+    });
+    const deleteForm = useForm<DeleteAccountForm>({
+        resolver: zodResolver(deleteAccountSchema),
+    });
+
+    const { mutate: changePassword, isPending: isChanging } = useChangePassword();
+    const { mutate: deleteAccount, isPending: isDeleting } = useDeleteAccount();
+
+    const onChangePassword = (data: ChangePasswordForm) => {
+        changePassword(
+            { currentPassword: data.currentPassword, newPassword: data.newPassword },
+            { onSuccess: () => passwordForm.reset() }
+        );
+    };
+
+    const onDeleteAccount = (data: DeleteAccountForm) => {
+        if (window.confirm('Close your account? Your listings will be taken down and you will be logged out.')) {
+            deleteAccount(data);
+        }
+    };
+
+    const passwordErrors = passwordForm.formState.errors;
+    const deleteErrors = deleteForm.formState.errors;
+
+    return (
+        <div>
+            <Header />
+            <div className="flex flex-col items-center min-h-[calc(100vh-64px)] bg-gray-100 p-4 space-y-6">
+                <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
+                    <h3 className="text-2xl font-bold text-center text-gray-800 mb-6">Change Password</h3>
+                    <form onSubmit={passwordForm.handleSubmit(onChangePassword)}>
+                        <div className="mb-4">
+                            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="currentPassword">
+                                Current Password
+                            </label>
+                            <input
+                                className={`${inputClass} ${passwordErrors.currentPassword ? 'border-red-500' : ''}`}
+                                id="currentPassword"
+                                type="password"
+                                {...passwordForm.register('currentPassword')}
+                            />
+                            {passwordErrors.currentPassword && <p className="text-red-500 text-xs italic mt-1">{passwordErrors.currentPassword.message}</p>}
+                        </div>
+                        <div className="mb-4">
+                            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="newPassword">
+                                New Password
+                            </label>
+                            <input
+                                className={`${inputClass} ${passwordErrors.newPassword ? 'border-red-500' : ''}`}
+                                id="newPassword"
+                                type="password"
+                                {...passwordForm.register('newPassword')}
+                            />
+                            {passwordErrors.newPassword && <p className="text-red-500 text-xs italic mt-1">{passwordErrors.newPassword.message}</p>}
+                        </div>
+                        <div className="mb-6">
+                            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="confirmPassword">
+                                Confirm New Password
+                            </label>
+                            <input
+                                className={`${inputClass} ${passwordErrors.confirmPassword ? 'border-red-500' : ''}`}
+                                id="confirmPassword"
+                                type="password"
+                                {...passwordForm.register('confirmPassword')}
+                            />
+                            {passwordErrors.confirmPassword && <p className="text-red-500 text-xs italic mt-1">{passwordErrors.confirmPassword.message}</p>}
+                        </div>
+                        <button
+                            className="bg-primary-700 hover:bg-primary-800 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 w-full"
+                            type="submit"
+                            disabled={isChanging}
+                        >
+                            {isChanging ? 'Saving...' : 'CHANGE PASSWORD'}
+                        </button>
+                    </form>
+                </div>
+
+                <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md border border-red-200">
+                    <h3 className="text-2xl font-bold text-center text-red-700 mb-4">Close Account</h3>
+                    <p className="text-gray-600 text-sm mb-4">
+                        Your active listings will be taken down and your likes removed. Enter your password to confirm.
+                    </p>
+                    <form onSubmit={deleteForm.handleSubmit(onDeleteAccount)}>
+                        <div className="mb-6">
+                            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="deletePassword">
+                                Password
+                            </label>
+                            <input
+                                className={`${inputClass} ${deleteErrors.password ? 'border-red-500' : ''}`}
+                                id="deletePassword"
+                                type="password"
+                                {...deleteForm.register('password')}
+                            />
+                            {deleteErrors.password && <p className="text-red-500 text-xs italic mt-1">{deleteErrors.password.message}</p>}
+                        </div>
+                        <button
+                            className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 w-full"
+                            type="submit"
+                            disabled={isDeleting}
+                        >
+                            {isDeleting ? 'Closing...' : 'CLOSE MY ACCOUNT'}
+                        </button>
+                    </form>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default AccountSettings;
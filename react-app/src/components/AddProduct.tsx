@@ -7,10 +7,15 @@ import { zodResolver } from '@hookform/resolvers/zod';
 import { addProductSchema, AddProductForm } from '../lib/validations';
 import toast from 'react-hot-toast';
 import { useAddProduct } from '../hooks/useAddProduct';
+import { useResendVerification } from '../hooks/useAuth';
+import { useAuthStore } from '../store/authStore';
 
 function AddProduct() {
     const navigate = useNavigate();
     const { mutate: addProduct, isPending: isSubmitting } = useAddProduct();
+    const { mutate: resendVerification, isPending: isResending } = useResendVerification();
+    const user = useAuthStore((state) => state.user);
+    const needsVerification = !!user && !user.emailVerified;
 
     const { register, handleSubmit, formState: { errors } } = useForm<AddProductForm>({
         resolver: zodResolver(addProductSchema),
@@ -41,6 +46,9 @@ function AddProduct() {
             if (data.pimage2 && data.pimage2.length > 0) {
                 formData.append('pimage2', data.pimage2[0]);
             }
+            Array.from<File>(data.additionalImages || []).forEach((file) => {
+                formData.append('additionalImages', file);
+            });
             formData.append('userId', localStorage.getItem('userId') || '');
 
             addProduct(formData);
@@ -56,6 +64,19 @@ function AddProduct() {
             <div className="flex justify-center items-center min-h-[calc(100vh-64px)] bg-gray-100 p-4">
                 <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-2xl">
                     <h2 className="text-2xl font-bold text-center text-gray-800 mb-6">ADD PRODUCT HERE</h2>
+                    {needsVerification && (
+                        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 rounded p-4 mb-6 text-sm">
+                            Please verify your email address before posting a listing. Check your inbox for the link we sent you.
+                            <button
+                                type="button"
+                                className="block mt-2 font-bold text-primary-700 hover:text-primary-800 disabled:opacity-50"
+                                onClick={() => resendVerification()}
+                                disabled={isResending}
+                            >
+                                {isResending ? 'Sending...' : 'Resend verification email'}
+                            </button>
+                        </div>
+                    )}
                     <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
                         <div>
                             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="pname">
@@ -159,6 +180,19 @@ function AddProduct() {
                                 {...register('pimage2')}
                             />
                         </div>
+                        <div>
+                            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="additionalImages">
+                                More Photos (Optional, up to 10)
+                            </label>
+                            <input
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                id="additionalImages"
+                                type="file"
+                                accept="image/*"
+                                multiple
+                                {...register('additionalImages')}
+                            />
+                        </div>
                         <button
                             type="submit"
                             className="bg-primary-700 hover:bg-primary-800 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
@@ -6,6 +6,7 @@ import Categories from "./Categories";
 import { FaHeart } from "react-icons/fa";
 import './Home.css';
 import API_URL from "../constants";
+import { getProductImageUrl } from "../lib/api";
 
 
 function CategoryPage() {
@@ -117,7 +118,7 @@ function CategoryPage() {
                                 <div onClick={() => handleLike(item._id)} className="icon-con">
                                     <FaHeart className="icons" />
                                 </div>
-                                <img width="300px" height="200px" src={API_URL + '/' + item.pimage} />
+                                <img width="300px" height="200px" src={getProductImageUrl(item)} />
 
                                 <p className="m-2"> {item.pname}  | {item.category} </p>
                                 <h3 className="m-2 text-danger"> {item.price} </h3>
@@ -137,7 +138,7 @@ function CategoryPage() {
                                 <div onClick={() => handleLike(item._id)} className="icon-con">
                                     <FaHeart className="icons" />
                                 </div>
-                                <img width="250px" height="150px" src={API_URL + '/' + item.pimage} />
+                                <img width="250px" height="150px" src={getProductImageUrl(item)} />
                                 <h3 className="m-2 price-text"> Rs. {item.price} /- </h3>
                                 <p className="m-2"> {item.pname}  | {item.category} </p>
                                 <p className="m-2 text-success"> {item.pdesc} </p>
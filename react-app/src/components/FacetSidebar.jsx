@@ -0,0 +1,218 @@
+/**
+ * FacetSidebar Component - Filter sidebar with result counts
+ *
+ * This component displays:
+ * - Category and condition checkboxes
+ * - Price bands (histogram buckets) and a custom price range
+ * - Distance bands, when the results were fetched for a location
+ * - An option to hide listings reserved by their seller
+ *
+ * Each option shows how many products it would leave, using the facet
+ * counts returned by the product list and search APIs. Options within a
+ * section are combined with OR, sections with AND.
+ */
+
+import React, { useEffect, useState } from 'react';
+
+/**
+ * Format a price band label, e.g. "₹1,000 – ₹5,000" or "₹1,00,000+"
+ */
+export const formatBand = ({ min, max }) => {
+  const format = (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 0,
+  }).format(value);
+
+  return max === null ? `${format(min)}+` : `${format(min)} – ${format(max)}`;
+};
+
+/**
+ * Key used for a price band in the `priceRange` filter
+ */
+const bandKey = ({ min, max }) => `${min}-${max === null ? '' : max}`;
+
+/**
+ * Add or remove a value from a list
+ */
+const toggle = (list, value) => (
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+);
+
+const FacetSection = ({ title, children }) => (
+  <div className="py-4 border-b border-gray-200 last:border-b-0">
+    <h4 className="text-sm font-semibold text-gray-900 mb-2">{title}</h4>
+    <div className="space-y-1">{children}</div>
+  </div>
+);
+
+const FacetOption = ({ type = 'checkbox', name, label, count, checked, onChange }) => (
+  <label
+    className={`flex items-center justify-between text-sm cursor-pointer ${
+      count === 0 && !checked ? 'text-gray-400' : 'text-gray-700'
+    }`}
+  >
+    <span className="flex items-center">
+      <input
+        type={type}
+        name={name}
+        checked={checked}
+        onChange={onChange}
+        className="mr-2 text-primary-600 focus:ring-primary-500"
+      />
+      {label}
+    </span>
+    {count !== undefined && <span className="text-xs text-gray-500">{count}</span>}
+  </label>
+);
+
+const FacetSidebar = ({ facets, filters, onChange, defaultMaxDistance }) => {
+  // Custom range inputs apply on submit, not on every keystroke
+  const [minPrice, setMinPrice] = useState(filters.minPrice || '');
+  const [maxPrice, setMaxPrice] = useState(filters.maxPrice || '');
+
+  useEffect(() => {
+    setMinPrice(filters.minPrice || '');
+    setMaxPrice(filters.maxPrice || '');
+  }, [filters.minPrice, filters.maxPrice]);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+
+  const hasFilters = filters.categories.length > 0
+    || filters.conditions.length > 0
+    || filters.priceRanges.length > 0
+    || filters.minPrice
+    || filters.maxPrice
+    || filters.maxDistance
+    || filters.hideReserved;
+
+  const clearAll = () => onChange({
+    ...filters,
+    categories: [],
+    conditions: [],
+    priceRanges: [],
+    minPrice: '',
+    maxPrice: '',
+    maxDistance: '',
+    hideReserved: false,
+  });
+
+  const applyPriceRange = (e) => {
+    e.preventDefault();
+    update({ minPrice, maxPrice });
+  };
+
+  if (!facets) {
+    return null;
+  }
+
+  return (
+    <aside className="w-full md:w-64 flex-shrink-0 bg-white rounded-lg shadow-sm px-4">
+      <div className="flex items-center justify-between pt-4">
+        <h3 className="font-semibold text-gray-900">
+          Filters
+          <span className="ml-2 text-xs font-normal text-gray-500">{facets.total} results</span>
+        </h3>
+        {hasFilters && (
+          <button onClick={clearAll} className="text-xs text-primary-600 hover:text-primary-700">
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <FacetSection title="Category">
+        {facets.categories.map(({ value, count }) => (
+          <FacetOption
+            key={value}
+            label={value}
+            count={count}
+            checked={filters.categories.includes(value)}
+            onChange={() => update({ categories: toggle(filters.categories, value) })}
+          />
+        ))}
+      </FacetSection>
+
+      <FacetSection title="Condition">
+        {facets.conditions.map(({ value, count }) => (
+          <FacetOption
+            key={value}
+            label={value}
+            count={count}
+            checked={filters.conditions.includes(value)}
+            onChange={() => update({ conditions: toggle(filters.conditions, value) })}
+          />
+        ))}
+      </FacetSection>
+
+      <FacetSection title="Availability">
+        <FacetOption
+          label="Hide reserved items"
+          checked={!!filters.hideReserved}
+          onChange={() => update({ hideReserved: !filters.hideReserved })}
+        />
+      </FacetSection>
+
+      <FacetSection title="Price">
+        {facets.price.map((band) => (
+          <FacetOption
+            key={bandKey(band)}
+            label={formatBand(band)}
+            count={band.count}
+            checked={filters.priceRanges.includes(bandKey(band))}
+            onChange={() => update({ priceRanges: toggle(filters.priceRanges, bandKey(band)) })}
+          />
+        ))}
+        <form onSubmit={applyPriceRange} className="flex items-center space-x-1 pt-2">
+          <input
+            type="number"
+            min="0"
+            placeholder="Min"
+            value={minPrice}
+            onChange={(e) => setMinPrice(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <span>-</span>
+          <input
+            type="number"
+            min="0"
+            placeholder="Max"
+            value={maxPrice}
+            onChange={(e) => setMaxPrice(e.target.value)}
+            className="w-20 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button type="submit" className="px-2 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700">
+            Go
+          </button>
+        </form>
+      </FacetSection>
+
+      {facets.distance.length > 0 && (
+        <FacetSection title="Distance">
+          {/* Search always has a radius, so there is no "any" option there */}
+          {!defaultMaxDistance && (
+            <FacetOption
+              type="radio"
+              name="maxDistance"
+              label="Any distance"
+              checked={!filters.maxDistance}
+              onChange={() => update({ maxDistance: '' })}
+            />
+          )}
+          {facets.distance.map(({ maxDistance, count }) => (
+            <FacetOption
+              key={maxDistance}
+              type="radio"
+              name="maxDistance"
+              label={`Within ${maxDistance} km`}
+              count={count}
+              checked={(Number(filters.maxDistance) || defaultMaxDistance) === maxDistance}
+              onChange={() => update({ maxDistance })}
+            />
+          ))}
+        </FacetSection>
+      )}
+    </aside>
+  );
+};
+
+export default FacetSidebar;
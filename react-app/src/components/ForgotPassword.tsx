@@ -0,0 +1,65 @@
+import { Link } from "react-router-dom";
+import Header from "./Header";
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { forgotPasswordSchema, ForgotPasswordForm } from '../lib/validations';
+import { useForgotPassword } from '../hooks/useAuth';
+
+function ForgotPassword() {
+    const { register, handleSubmit, formState: { errors } } = useForm<ForgotPasswordForm>({
+        resolver: zodResolver(forgotPasswordSchema),
+    });
+
+    const { mutate: sendResetLink, isPending, isSuccess, data } = useForgotPassword();
+
+    const onSubmit = (formData: ForgotPasswordForm) => {
+        sendResetLink(formData);
+    };
+
+    return (
+        <div>
+            <Header />
+            <div className="flex justify-center items-center min-h-[calc(100vh-64px)] bg-gray-100">
+                <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
+                    <h3 className="text-2xl font-bold text-center text-gray-800 mb-6">Forgot Password</h3>
+                    {isSuccess ? (
+                        <p className="text-gray-700 text-center">{data.message}</p>
+                    ) : (
+                        <form onSubmit={handleSubmit(onSubmit)}>
+                            <p className="text-gray-600 text-sm mb-4">
+                                Enter the email address of your account and we'll send you a link to reset your password.
+                            </p>
+                            <div className="mb-6">
+                                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email">
+                                    Email
+                                </label>
+                                <input
+                                    className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${errors.email ? 'border-red-500' : ''}`}
+                                    id="email"
+                                    type="email"
+                                    placeholder="you@example.com"
+                                    {...register('email')}
+                                />
+                                {errors.email && <p className="text-red-500 text-xs italic mt-1">{errors.email.message}</p>}
+                            </div>
+                            <button
+                                className="bg-primary-700 hover:bg-primary-800 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 w-full"
+                                type="submit"
+                                disabled={isPending}
+                            >
+                                {isPending ? 'Sending...' : 'SEND RESET LINK'}
+                            </button>
+                        </form>
+                    )}
+                    <div className="text-center mt-4">
+                        <Link className="font-bold text-sm text-primary-600 hover:text-primary-800" to="/login">
+                            Back to Login
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ForgotPassword;
@@ -6,7 +6,8 @@
  * - Home link
  * - Location selector (stores location in localStorage)
  * - Search input and button
- * - User menu (add product, favourites, my ads, login/logout)
+ * - Notification bell with unread count (when logged in)
+ * - User menu (add product, favourites, my ads, messages, saved searches, login/logout)
  *
  * Key concepts:
  * - Uses React Router for navigation
@@ -20,6 +21,9 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { FaSearch } from 'react-icons/fa';
 import { useState, useEffect } from 'react';
+import { useAuthStore } from '../store/authStore';
+import { authAPI } from '../lib/api';
+import NotificationBell from './NotificationBell';
 
 
 /**
@@ -54,6 +58,12 @@ const Header: React.FC<HeaderProps> = ({ search, onSearch = () => {}, onSearchSu
 
   // Logout: clear token/userId and redirect to login page
   const handleLogout = () => {
+    // Revoke this session's refresh token server-side (best effort)
+    const { refreshToken, logout } = useAuthStore.getState();
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(() => {});
+    }
+    logout();
     localStorage.removeItem('token');
     localStorage.removeItem('userId');
     navigate('/login');
@@ -114,55 +124,72 @@ const Header: React.FC<HeaderProps> = ({ search, onSearch = () => {}, onSearchSu
         </button>
       </div>
 
-      {/* Right side: User menu dropdown (shows different options if logged in) */}
-      <div className="relative">
-        <div
-          onClick={() => {
-            setShowOver(!showOver);
-          }}
-          className="flex justify-center items-center bg-primary-700 w-10 h-10 text-white text-sm rounded-full cursor-pointer"
-        >
-          N {/* Replace with user initial/avatar if available */}
-        </div>
+      {/* Right side: Notification bell and user menu dropdown (shows different options if logged in) */}
+      <div className="flex items-center space-x-3">
+        {!!localStorage.getItem('token') && <NotificationBell />}
+        <div className="relative">
+          <div
+            onClick={() => {
+              setShowOver(!showOver);
+            }}
+            className="flex justify-center items-center bg-primary-700 w-10 h-10 text-white text-sm rounded-full cursor-pointer"
+          >
+            N {/* Replace with user initial/avatar if available */}
+          </div>
 
-        {showOver && (
-          <div className="absolute top-0 right-0 mt-12 mr-12 min-h-28 w-52 bg-primary-700 text-white text-sm rounded-md shadow-lg z-10">
-            {/* Show menu options only if user is logged in (token exists) */}
-            <div className="py-2">
-              {!!localStorage.getItem('token') && (
-                <Link to="/add-product">
-                  <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">ADD PRODUCT</button>
-                </Link>
-              )}
+          {showOver && (
+            <div className="absolute top-0 right-0 mt-12 mr-12 min-h-28 w-52 bg-primary-700 text-white text-sm rounded-md shadow-lg z-10">
+              {/* Show menu options only if user is logged in (token exists) */}
+              <div className="py-2">
+                {!!localStorage.getItem('token') && (
+                  <Link to="/add-product">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">ADD PRODUCT</button>
+                  </Link>
+                )}
+              </div>
+              <div className="py-2">
+                {!!localStorage.getItem('token') && (
+                  <Link to="/liked">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">FAVOURITES</button>
+                  </Link>
+                )}
+              </div>
+              <div className="py-2">
+                {!!localStorage.getItem('token') && (
+                  <Link to="/my-products">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">MY ADS</button>
+                  </Link>
+                )}
+              </div>
+              <div className="py-2">
+                {!!localStorage.getItem('token') && (
+                  <Link to="/inbox">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">MESSAGES</button>
+                  </Link>
+                )}
+              </div>
+              <div className="py-2">
+                {!!localStorage.getItem('token') && (
+                  <Link to="/saved-searches">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">SAVED SEARCHES</button>
+                  </Link>
+                )}
+              </div>
+              <div className="py-2">
+                {/* If not logged in, show login button. If logged in, show logout button. */}
+                {!localStorage.getItem('token') ? (
+                  <Link to="/login">
+                    <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">LOGIN</button>
+                  </Link>
+                ) : (
+                  <button className="block w-full text-left px-4 py-2 hover:bg-primary-600" onClick={handleLogout}>
+                    LOGOUT
+                  </button>
+                )}
+              </div>
             </div>
-            <div className="py-2">
-              {!!localStorage.getItem('token') && (
-                <Link to="/liked">
-                  <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">FAVOURITES</button>
-                </Link>
-              )}
-            </div>
-            <div className="py-2">
-              {!!localStorage.getItem('token') && (
-                <Link to="/my-products">
-                  <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">MY ADS</button>
-                </Link>
-              )}
-            </div>
-            <div className="py-2">
-              {/* If not logged in, show login button. If logged in, show logout button. */}
-              {!localStorage.getItem('token') ? (
-                <Link to="/login">
-                  <button className="block w-full text-left px-4 py-2 hover:bg-primary-600">LOGIN</button>
-                </Link>
-              ) : (
-                <button className="block w-full text-left px-4 py-2 hover:bg-primary-600" onClick={handleLogout}>
-                  LOGOUT
-                </button>
-              )}
-            </div>
-          </div>
-        )}
+          )}
+        </div>
       </div>
     </div>
   );
@@ -2,8 +2,10 @@
  * Home Component - Main landing page of the application
  * 
  * This component displays:
- * - Product listings with search and filtering
- * - Category-based product filtering
+ * - Product listings with search and filtering, loaded page by page as you scroll
+ * - Filter sidebar with result counts (category, condition, price, distance)
+ * - "Near me" listing sorted by distance
+ * - Saving the current filters as a search with new-listing alerts
  * - Product like functionality
  * - Responsive design with modern UI
  * 
@@ -16,7 +18,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { FaHeart, FaSearch, FaFilter, FaTimes } from 'react-icons/fa';
 import toast from 'react-hot-toast';
@@ -24,34 +26,73 @@ import toast from 'react-hot-toast';
 // Import custom hooks and utilities
 import useAuthStore from '../store/authStore';
 import useProductStore from '../store/productStore';
-import { useProducts } from '../hooks/useProducts';
+import { useProducts, PRODUCTS_PAGE_SIZE } from '../hooks/useProducts';
 import { useProductLike } from '../hooks/useProductLike';
+import { fromSavedSearch } from '../hooks/useSavedSearches';
 
 // Import components
 import Header from './Header.tsx';
 import Categories from './Categories';
 import ProductCard from './ProductCard';
+import FacetSidebar from './FacetSidebar';
+import NearMeToggle from './NearMeToggle';
+import InfiniteScrollTrigger from './InfiniteScrollTrigger';
+import SaveSearchButton from './SaveSearchButton';
 import LoadingSpinner from './LoadingSpinner';
 import ErrorMessage from './ErrorMessage';
 
+// Search results are limited to this radius (km) unless a distance is picked
+const SEARCH_DEFAULT_DISTANCE = 50;
+
+const INITIAL_FILTERS = {
+  categories: [],
+  conditions: [],
+  priceRanges: [],
+  minPrice: '',
+  maxPrice: '',
+  maxDistance: '',
+  sortBy: '', // '', 'price-asc', 'price-desc', 'distance' (near me only)
+  hideReserved: false, // Leave out listings reserved by their seller
+};
+
+/**
+ * Starting state when a saved search is opened (navigate('/', { state: { savedSearch } }))
+ * @param {Object} [savedSearch] - Saved search from the API
+ */
+const initialState = (savedSearch) => {
+  if (!savedSearch) {
+    return { searchTerm: '', submittedSearch: null, filters: INITIAL_FILTERS, nearby: null };
+  }
+
+  const { filters, search, location } = fromSavedSearch(savedSearch);
+  const center = location ? `${location.lat},${location.lng}` : localStorage.getItem('userLoc');
+  return {
+    searchTerm: search,
+    submittedSearch: search && center ? { search, location: center } : null,
+    filters: { ...filters, sortBy: location && !search ? 'distance' : '' },
+    nearby: search ? null : location,
+  };
+};
+
 const Home = () => {
+  // React Router
+  const navigate = useNavigate();
+  const routerLocation = useLocation();
+
   // ==================== STATE MANAGEMENT ====================
-  
+
   // Local component state
-  const [searchTerm, setSearchTerm] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('');
-  const [minPrice, setMinPrice] = useState('');
-  const [maxPrice, setMaxPrice] = useState('');
-  const [sortBy, setSortBy] = useState(''); // 'newest', 'price-asc', 'price-desc'
-  const [isSearching, setIsSearching] = useState(false);
+  const [initial] = useState(() => initialState(routerLocation.state?.savedSearch));
+  const [searchTerm, setSearchTerm] = useState(initial.searchTerm);
+  const [submittedSearch, setSubmittedSearch] = useState(initial.submittedSearch); // { search, location }
+  const [filters, setFilters] = useState(initial.filters);
+  const [nearby, setNearby] = useState(initial.nearby); // { lat, lng } while "near me" is on
+  const isSearching = !!submittedSearch;
 
   // Zustand stores
   const { isAuthenticated } = useAuthStore();
   const { likedProducts } = useProductStore();
 
-  // React Router
-  const navigate = useNavigate();
-
   // ==================== DATA FETCHING ====================
 
   const {
@@ -59,8 +100,13 @@ const Home = () => {
     productsLoading,
     productsError,
     refetchProducts,
-    searchMutation,
-  } = useProducts(selectedCategory, minPrice, maxPrice, sortBy);
+    fetchMoreProducts,
+    hasMoreProducts,
+    loadingMoreProducts,
+    searchData,
+    searchLoading,
+    searchError,
+  } = useProducts(filters, submittedSearch, nearby);
 
   const likeMutation = useProductLike();
 
@@ -115,20 +161,32 @@ const Home = () => {
       return;
     }
 
-    setIsSearching(true);
-    searchMutation.mutate({
-      search: searchTerm,
+    setSubmittedSearch({
+      search: searchTerm.trim(),
       location: userLocation
     });
   };
 
+  /**
+   * Turn "near me" on (nearest first) or off
+   * @param {Object|null} location - { lat, lng }
+   */
+  const handleNearbyChange = (location) => {
+    setNearby(location);
+    if (location) {
+      setFilters({ ...filters, sortBy: 'distance' });
+    } else {
+      setFilters({ ...filters, sortBy: filters.sortBy === 'distance' ? '' : filters.sortBy, maxDistance: '' });
+    }
+  };
+
   /**
    * Handle category selection
    * @param {string} category - Selected category
    */
   const handleCategorySelect = (category) => {
-    setSelectedCategory(category);
-    setIsSearching(false);
+    setFilters({ ...filters, categories: category ? [category] : [] });
+    setSubmittedSearch(null);
     setSearchTerm('');
   };
 
@@ -136,9 +194,8 @@ const Home = () => {
    * Clear search results
    */
   const handleClearSearch = () => {
-    setIsSearching(false);
+    setSubmittedSearch(null);
     setSearchTerm('');
-    searchMutation.reset();
   };
 
   /**
@@ -171,16 +228,26 @@ const Home = () => {
 
   // ==================== COMPUTED VALUES ====================
 
-  // Get products to display
-  const productsToShow = isSearching
-    ? searchMutation.data?.products || []
-    : productsData?.products || [];
+  // Results currently shown (search or listing) and their facet counts
+  const resultsData = isSearching ? searchData : productsData;
+  const productsToShow = resultsData?.products || [];
+  const facets = resultsData?.facets;
+
+  // What "Save this search" stores: searches are limited to a radius around
+  // the user's location, the listing only when "near me" is on
+  const searchCenter = submittedSearch?.location.split(',').map(Number);
+  const savedSearchLocation = isSearching
+    ? { lat: searchCenter[0], lng: searchCenter[1] }
+    : nearby;
+  const savedSearchFilters = isSearching && !filters.maxDistance
+    ? { ...filters, maxDistance: String(SEARCH_DEFAULT_DISTANCE) }
+    : filters;
 
   // Check if products are loading
-  const isLoading = productsLoading || searchMutation.isPending;
+  const isLoading = isSearching ? searchLoading : productsLoading;
 
   // Check if there's an error
-  const hasError = productsError || searchMutation.error;
+  const hasError = isSearching ? searchError : productsError;
 
   // ==================== RENDER ====================
 
@@ -212,53 +279,27 @@ const Home = () => {
       {/* Categories Component */}
       <Categories
         onCategorySelect={handleCategorySelect}
-        selectedCategory={selectedCategory}
+        selectedCategory={filters.categories[0] || ''}
       />
 
-      {/* Filter Controls */}
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-4 bg-white shadow-sm border-b">
-        <div className="flex items-center space-x-2">
-          <label htmlFor="minPrice" className="text-sm font-medium text-gray-700">Price:</label>
-          <input
-            type="number"
-            id="minPrice"
-            placeholder="Min"
-            value={minPrice}
-            onChange={(e) => setMinPrice(e.target.value)}
-            className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-          />
-          <span>-</span>
-          <input
-            type="number"
-            id="maxPrice"
-            placeholder="Max"
-            value={maxPrice}
-            onChange={(e) => setMaxPrice(e.target.value)}
-            className="w-24 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
-          />
-        </div>
-
-        <div className="flex items-center space-x-2">
-          <label htmlFor="sortBy" className="text-sm font-medium text-gray-700">Sort by:</label>
+      {/* Near Me and Sort Controls (search results are sorted by relevance) */}
+      {!isSearching && (
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-4 flex items-center space-x-2 bg-white shadow-sm border-b">
+          <NearMeToggle location={nearby} onChange={handleNearbyChange} />
+          <label htmlFor="sortBy" className="ml-auto text-sm font-medium text-gray-700">Sort by:</label>
           <select
             id="sortBy"
-            value={sortBy}
-            onChange={(e) => setSortBy(e.target.value)}
-            className="block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
+            value={filters.sortBy}
+            onChange={(e) => setFilters({ ...filters, sortBy: e.target.value })}
+            className="block pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm rounded-md"
           >
             <option value="">Newest</option>
             <option value="price-asc">Price: Low to High</option>
             <option value="price-desc">Price: High to Low</option>
+            {nearby && <option value="distance">Distance: Nearest first</option>}
           </select>
         </div>
-
-        <button
-          onClick={() => refetchProducts()}
-          className="ml-auto px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500"
-        >
-          Apply Filters
-        </button>
-      </div>
+      )}
 
       {/* Search Results Header */}
       <AnimatePresence>
@@ -273,9 +314,9 @@ const Home = () => {
               <div className="flex items-center justify-between">
                 <h2 className="text-lg font-semibold text-gray-900">
                   Search Results for "{searchTerm}"
-                  {searchMutation.data && (
+                  {searchData && (
                     <span className="text-sm text-gray-500 ml-2">
-                      ({searchMutation.data.products.length} results)
+                      ({searchData.products.length} results)
                     </span>
                   )}
                 </h2>
@@ -293,70 +334,97 @@ const Home = () => {
       </AnimatePresence>
 
       {/* Main Content */}
-      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {/* Loading State */}
-        {isLoading && (
-          <div className="flex justify-center items-center py-12">
-            <LoadingSpinner size="large" />
-          </div>
-        )}
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 flex flex-col md:flex-row md:items-start gap-6">
+        {/* Filter Sidebar and Save Search */}
+        <div className="w-full md:w-64 flex-shrink-0 space-y-4">
+          <SaveSearchButton
+            filters={savedSearchFilters}
+            search={submittedSearch?.search}
+            location={savedSearchLocation}
+          />
+          <FacetSidebar
+            facets={facets}
+            filters={filters}
+            onChange={setFilters}
+            defaultMaxDistance={isSearching ? SEARCH_DEFAULT_DISTANCE : undefined}
+          />
+        </div>
 
-        {/* Products Grid */}
-        {!isLoading && (
-          <AnimatePresence>
-            {productsToShow.length > 0 ? (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                exit={{ opacity: 0 }}
-                className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6"
-              >
-                {productsToShow.map((product, index) => (
-                  <motion.div
-                    key={product._id}
-                    initial={{ opacity: 0, y: 20 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.1 }}
-                  >
-                    <ProductCard
-                      product={product}
-                      isLiked={likedProducts.includes(product._id)}
-                      onLike={(event) => handleLikeProduct(product._id, event)}
-                      onClick={() => handleProductClick(product._id)}
-                    />
-                  </motion.div>
-                ))}
-              </motion.div>
-            ) : (
-              <motion.div
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                className="text-center py-12"
-              >
-                <div className="text-gray-400 text-6xl mb-4">
-                  <FaSearch />
-                </div>
-                <h3 className="text-lg font-medium text-gray-900 mb-2">
-                  {isSearching ? 'No products found' : 'No products available'}
-                </h3>
-                <p className="text-gray-500">
-                  {isSearching 
-                    ? 'Try adjusting your search terms or filters'
-                    : 'Check back later for new products'
-                  }
-                </p>
-                {isSearching && (
-                  <button
-                    onClick={handleClearSearch}
-                    className="mt-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
-                  >
-                    Clear Search
-                  </button>
-                )}
-              </motion.div>
-            )}
-          </AnimatePresence>
-        )}
+        <div className="flex-1 min-w-0">
+          {/* Loading State */}
+          {isLoading && (
+            <div className="flex justify-center items-center py-12">
+              <LoadingSpinner size="large" />
+            </div>
+          )}
+
+          {/* Products Grid */}
+          {!isLoading && (
+            <AnimatePresence>
+              {productsToShow.length > 0 ? (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  exit={{ opacity: 0 }}
+                  className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6"
+                >
+                  {productsToShow.map((product, index) => (
+                    <motion.div
+                      key={product._id}
+                      initial={{ opacity: 0, y: 20 }}
+                      animate={{ opacity: 1, y: 0 }}
+                      transition={{ delay: (index % PRODUCTS_PAGE_SIZE) * 0.1 }}
+                    >
+                      <ProductCard
+                        product={product}
+                        isLiked={likedProducts.includes(product._id)}
+                        onLike={(event) => handleLikeProduct(product._id, event)}
+                        onClick={() => handleProductClick(product._id)}
+                        showLocation={product.distance !== undefined}
+                      />
+                    </motion.div>
+                  ))}
+                </motion.div>
+              ) : (
+                <motion.div
+                  initial={{ opacity: 0 }}
+                  animate={{ opacity: 1 }}
+                  className="text-center py-12"
+                >
+                  <div className="text-gray-400 text-6xl mb-4">
+                    <FaSearch />
+                  </div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-2">
+                    {isSearching ? 'No products found' : 'No products available'}
+                  </h3>
+                  <p className="text-gray-500">
+                    {isSearching 
+                      ? 'Try adjusting your search terms or filters'
+                      : 'Check back later for new products'
+                    }
+                  </p>
+                  {isSearching && (
+                    <button
+                      onClick={handleClearSearch}
+                      className="mt-4 px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 transition-colors"
+                    >
+                      Clear Search
+                    </button>
+                  )}
+                </motion.div>
+              )}
+            </AnimatePresence>
+          )}
+
+          {/* Next page of the listing (search results come as one page) */}
+          {!isLoading && !isSearching && (
+            <InfiniteScrollTrigger
+              onLoadMore={fetchMoreProducts}
+              hasMore={hasMoreProducts}
+              isLoading={loadingMoreProducts}
+            />
+          )}
+        </div>
       </main>
     </div>
   );
@@ -0,0 +1,114 @@
+/**
+ * Inbox Component - Lists the user's buyer/seller conversations
+ *
+ * This component displays:
+ * - One row per conversation with the product and the other participant
+ * - A preview of the latest message
+ * - An unread badge per conversation
+ *
+ * Features:
+ * - Uses React Query (useConversations) for data fetching
+ * - Tailwind CSS for styling
+ * - Framer Motion for animations
+ */
+
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { FaEnvelope } from 'react-icons/fa';
+
+import { useConversations } from '../hooks/useMessages';
+import { getProductImageUrl } from '../lib/api';
+
+import Header from './Header.tsx';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const Inbox = () => {
+  const navigate = useNavigate();
+  const { data, isLoading, error, refetch } = useConversations();
+
+  const conversations = data?.data?.conversations || [];
+
+  /**
+   * Name of the other participant in a conversation
+   */
+  const otherParty = (conversation) =>
+    conversation.role === 'buyer' ? conversation.seller.username : conversation.buyer.username;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h2 className="text-2xl font-semibold text-gray-900 mb-6">Messages</h2>
+
+        {isLoading && (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        )}
+
+        {error && (
+          <ErrorMessage message="Failed to load conversations" onRetry={refetch} />
+        )}
+
+        {!isLoading && !error && conversations.length === 0 && (
+          <div className="text-center py-12">
+            <div className="text-gray-400 text-6xl mb-4 flex justify-center">
+              <FaEnvelope />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No conversations yet</h3>
+            <p className="text-gray-500">Message a seller from any product page to start one.</p>
+          </div>
+        )}
+
+        <ul className="bg-white rounded-lg shadow-md divide-y divide-gray-100">
+          {conversations.map((conversation, index) => (
+            <motion.li
+              key={conversation._id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.05 }}
+              onClick={() => navigate(`/inbox/${conversation._id}`)}
+              className="flex items-center p-4 cursor-pointer hover:bg-gray-50"
+            >
+              {conversation.product && (
+                <img
+                  src={getProductImageUrl(conversation.product, 'thumbnail')}
+                  alt={conversation.product.pname}
+                  className="w-14 h-14 rounded object-cover mr-4"
+                />
+              )}
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-gray-900 truncate">
+                    {conversation.product ? conversation.product.pname : 'Product removed'}
+                  </span>
+                  <span className="text-xs text-gray-500 ml-2">
+                    {new Date(conversation.lastMessageAt).toLocaleDateString()}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-500">
+                  {conversation.role === 'buyer' ? 'Seller' : 'Buyer'}: {otherParty(conversation)}
+                </div>
+                {conversation.lastMessage?.text && (
+                  <p className="text-sm text-gray-600 truncate">{conversation.lastMessage.text}</p>
+                )}
+              </div>
+
+              {conversation.unreadCount > 0 && (
+                <span className="ml-4 bg-primary-600 text-white text-xs px-2 py-1 rounded-full">
+                  {conversation.unreadCount}
+                </span>
+              )}
+            </motion.li>
+          ))}
+        </ul>
+      </main>
+    </div>
+  );
+};
+
+export default Inbox;
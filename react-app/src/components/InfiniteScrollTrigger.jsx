@@ -0,0 +1,54 @@
+/**
+ * InfiniteScrollTrigger Component - Loads the next page near the end of a list
+ *
+ * Place it after the last item. When it scrolls into view (or the
+ * "Load more" button is clicked) it calls onLoadMore once; it shows a
+ * spinner while the page loads and disappears when there is nothing left.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * @param {Function} props.onLoadMore - Fetch the next page
+ * @param {boolean} props.hasMore - Whether there is a next page
+ * @param {boolean} props.isLoading - Whether a page is being fetched
+ */
+const InfiniteScrollTrigger = ({ onLoadMore, hasMore, isLoading }) => {
+  const triggerRef = useRef(null);
+
+  useEffect(() => {
+    const node = triggerRef.current;
+    if (!node || !hasMore || isLoading || typeof IntersectionObserver === 'undefined') return undefined;
+
+    // Start loading a little before the end is actually reached
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) onLoadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(node);
+
+    return () => observer.disconnect();
+  }, [onLoadMore, hasMore, isLoading]);
+
+  if (!hasMore) return null;
+
+  return (
+    <div ref={triggerRef} className="flex justify-center py-8">
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : (
+        <button
+          onClick={onLoadMore}
+          className="px-4 py-2 text-sm text-primary-700 border border-primary-600 rounded-lg hover:bg-primary-50 transition-colors"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScrollTrigger;
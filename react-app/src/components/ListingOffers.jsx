@@ -0,0 +1,114 @@
+/**
+ * ListingOffers Component - Open offers on one of the seller's listings
+ *
+ * This component displays:
+ * - Each pending offer with the buyer's name, amount and message
+ * - Accept, reject and counter buttons for pending offers
+ * - Counter-offers still waiting for the buyer
+ *
+ * Accepting an offer reserves the listing for that buyer and turns down
+ * the other offers.
+ */
+
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+
+import { useAcceptOffer, useRejectOffer, useCounterOffer } from '../hooks/useOffers';
+
+const formatPrice = (price) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 0,
+}).format(price);
+
+/**
+ * @param {Object[]} props.offers - Open offers on the listing (buyer populated)
+ */
+const ListingOffers = ({ offers = [] }) => {
+  const [counteringId, setCounteringId] = useState(null);
+  const [counterAmount, setCounterAmount] = useState('');
+
+  const acceptMutation = useAcceptOffer();
+  const rejectMutation = useRejectOffer();
+  const counterMutation = useCounterOffer();
+
+  if (offers.length === 0) return null;
+
+  const handleAccept = (offer) => {
+    if (window.confirm(`Accept ${formatPrice(offer.amount)} from ${offer.buyer?.username}? Other offers will be declined.`)) {
+      acceptMutation.mutate(offer._id);
+    }
+  };
+
+  const handleCounter = (e, offer) => {
+    e.preventDefault();
+    const amount = parseFloat(counterAmount);
+    if (!amount || amount <= 0) {
+      toast.error('Please enter an amount');
+      return;
+    }
+
+    counterMutation.mutate({ offerId: offer._id, amount }, {
+      onSuccess: () => {
+        setCounteringId(null);
+        setCounterAmount('');
+      },
+    });
+  };
+
+  return (
+    <div className="m-2 text-sm">
+      <p className="font-medium text-gray-700">Offers ({offers.length})</p>
+      <ul className="space-y-2">
+        {offers.map((offer) => (
+          <li key={offer._id} className="border-t border-gray-100 pt-2">
+            <div>
+              <span className="font-semibold">{formatPrice(offer.amount)}</span>
+              {' from '}
+              {offer.buyer?.username || 'a buyer'}
+            </div>
+            {offer.message && <p className="text-gray-600">"{offer.message}"</p>}
+
+            {offer.status === 'countered' ? (
+              <p className="text-gray-500">
+                You countered with {formatPrice(offer.counterAmount)}; waiting for the buyer
+              </p>
+            ) : counteringId === offer._id ? (
+              <form onSubmit={(e) => handleCounter(e, offer)} className="flex items-center gap-2 mt-1">
+                <input
+                  type="number"
+                  min="1"
+                  step="any"
+                  value={counterAmount}
+                  onChange={(e) => setCounterAmount(e.target.value)}
+                  placeholder="Your price"
+                  className="w-24 border border-gray-300 rounded px-2 py-1"
+                />
+                <button type="submit" disabled={counterMutation.isPending} className="text-primary-600">
+                  Send
+                </button>
+                <button type="button" onClick={() => setCounteringId(null)} className="text-gray-500">
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <div className="flex gap-3 mt-1">
+                <button onClick={() => handleAccept(offer)} disabled={acceptMutation.isPending} className="text-green-600">
+                  Accept
+                </button>
+                <button onClick={() => rejectMutation.mutate(offer._id)} disabled={rejectMutation.isPending} className="text-red-600">
+                  Reject
+                </button>
+                <button onClick={() => setCounteringId(offer._id)} className="text-primary-600">
+                  Counter
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ListingOffers;
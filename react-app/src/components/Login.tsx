@@ -1,3 +1,4 @@
+import { useEffect, useState } from "react";
 import { Link } from "react-router-dom";
 import Header from "./Header";
 import { useForm } from 'react-hook-form';
@@ -13,6 +14,27 @@ function Login() {
 
     const { mutate: login, isPending: isLoading, error } = useLogin();
 
+    // Seconds until a locked account (423) or rate-limited IP (429) may retry
+    const [retryIn, setRetryIn] = useState(0);
+
+    useEffect(() => {
+        const response = (error as any)?.response;
+        if (response?.status === 423 || response?.status === 429) {
+            setRetryIn(response.data?.data?.retryAfter || Number(response.headers?.['retry-after']) || 60);
+        }
+    }, [error]);
+
+    useEffect(() => {
+        if (retryIn <= 0) return;
+        const timer = setTimeout(() => setRetryIn(retryIn - 1), 1000);
+        return () => clearTimeout(timer);
+    }, [retryIn]);
+
+    const formatRetry = (seconds: number) => {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
     const onSubmit = (data: LoginForm) => {
         login(data);
     };
@@ -23,7 +45,14 @@ function Login() {
             <div className="flex justify-center items-center min-h-[calc(100vh-64px)] bg-gray-100">
                 <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
                     <h3 className="text-2xl font-bold text-center text-gray-800 mb-6">Welcome to Login Page</h3>
-                    {error && <ErrorMessage message={error} />}
+                    {retryIn > 0 ? (
+                        <div className="bg-red-50 border border-red-300 text-red-700 rounded p-4 mb-4 text-sm">
+                            {(error as any)?.response?.data?.message || 'Too many login attempts.'}
+                            <span className="block font-bold mt-1">Try again in {formatRetry(retryIn)}</span>
+                        </div>
+                    ) : (
+                        error && <ErrorMessage message={error} />
+                    )}
                     <form onSubmit={handleSubmit(onSubmit)}>
                         <div className="mb-4">
                             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="identifier">
@@ -50,12 +79,15 @@ function Login() {
                                 {...register('password')}
                             />
                             {errors.password && <p className="text-red-500 text-xs italic mt-1">{errors.password.message}</p>}
+                            <Link className="inline-block align-baseline text-sm text-primary-600 hover:text-primary-800" to="/forgot-password">
+                                Forgot password?
+                            </Link>
                         </div>
                         <div className="flex items-center justify-between">
                             <button
                                 className="bg-primary-700 hover:bg-primary-800 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50"
                                 type="submit"
-                                disabled={isLoading}
+                                disabled={isLoading || retryIn > 0}
                             >
                                 {isLoading ? 'Logging in...' : 'LOGIN'}
                             </button>
@@ -0,0 +1,118 @@
+/**
+ * MakeOffer Component - Buyer's side of price negotiation on a listing
+ *
+ * This component displays:
+ * - A form to offer a price (with an optional message)
+ * - The buyer's open offer, with a withdraw button and, once the seller
+ *   countered, a button to accept the counter-offer
+ * - A button to confirm the purchase after an offer was accepted; the sale
+ *   completes once the seller confirms it too
+ */
+
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+
+import {
+  useOffers,
+  useMakeOffer,
+  useWithdrawOffer,
+  useAcceptOffer,
+  useCompleteOrder,
+} from '../hooks/useOffers';
+
+/**
+ * @param {Object} props.product - Product being viewed (must be active)
+ */
+const MakeOffer = ({ product }) => {
+  const [amount, setAmount] = useState('');
+  const [message, setMessage] = useState('');
+
+  const { data: offers = [] } = useOffers({ role: 'buyer', productId: product._id });
+  const makeMutation = useMakeOffer();
+  const withdrawMutation = useWithdrawOffer();
+  const acceptMutation = useAcceptOffer();
+  const completeMutation = useCompleteOrder();
+
+  // Offers come newest first; only the latest one matters here
+  const latest = offers[0];
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = parseFloat(amount);
+    if (!value || value <= 0) {
+      toast.error('Please enter an amount');
+      return;
+    }
+
+    makeMutation.mutate({ productId: product._id, amount: value, message: message.trim() || undefined }, {
+      onSuccess: () => {
+        setAmount('');
+        setMessage('');
+      },
+    });
+  };
+
+  if (latest?.status === 'pending') {
+    return (
+      <div className="m-2">
+        <p> Your offer of Rs. {latest.amount} /- is waiting for the seller. </p>
+        <button onClick={() => withdrawMutation.mutate(latest._id)} disabled={withdrawMutation.isPending}>
+          WITHDRAW OFFER
+        </button>
+      </div>
+    );
+  }
+
+  if (latest?.status === 'countered') {
+    return (
+      <div className="m-2">
+        <p> The seller countered your offer of Rs. {latest.amount} /- with Rs. {latest.counterAmount} /- </p>
+        {latest.counterMessage && <p className="text-success"> "{latest.counterMessage}" </p>}
+        <button onClick={() => acceptMutation.mutate(latest._id)} disabled={acceptMutation.isPending}>
+          ACCEPT Rs. {latest.counterAmount} /-
+        </button>
+        <button onClick={() => withdrawMutation.mutate(latest._id)} disabled={withdrawMutation.isPending}>
+          WITHDRAW OFFER
+        </button>
+      </div>
+    );
+  }
+
+  if (latest?.status === 'accepted' && latest.order) {
+    return (
+      <div className="m-2">
+        <p> Your offer was accepted. The listing is reserved for you. </p>
+        <p className="text-sm"> Confirm once you have the item; the seller confirms the sale too. </p>
+        <button onClick={() => completeMutation.mutate(latest.order)} disabled={completeMutation.isPending}>
+          CONFIRM PURCHASE
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="m-2">
+      {latest && <p className="text-sm"> Your last offer was {latest.status}. </p>}
+      <input
+        type="number"
+        min="1"
+        step="any"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        placeholder="Your offer (Rs.)"
+      />
+      <input
+        type="text"
+        maxLength={500}
+        value={message}
+        onChange={(e) => setMessage(e.target.value)}
+        placeholder="Message to the seller (optional)"
+      />
+      <button type="submit" disabled={makeMutation.isPending}>
+        MAKE OFFER
+      </button>
+    </form>
+  );
+};
+
+export default MakeOffer;
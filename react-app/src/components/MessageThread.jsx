@@ -0,0 +1,155 @@
+/**
+ * MessageThread Component - A single buyer/seller conversation
+ *
+ * This component displays:
+ * - The product the conversation is about
+ * - Messages, oldest at the top, with a "load older" control
+ * - A form to send a new message
+ *
+ * The thread is marked as read whenever it is opened.
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { FaPaperPlane } from 'react-icons/fa';
+
+import useAuthStore from '../store/authStore';
+import {
+  useConversations,
+  useConversationMessages,
+  useSendMessage,
+  useMarkConversationRead,
+} from '../hooks/useMessages';
+
+import Header from './Header.tsx';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const PAGE_SIZE = 30;
+
+const MessageThread = () => {
+  const { conversationId } = useParams();
+  const [limit, setLimit] = useState(PAGE_SIZE);
+  const [text, setText] = useState('');
+
+  const { user } = useAuthStore();
+
+  const { data: inboxData } = useConversations();
+  const { data, isLoading, error, refetch } = useConversationMessages(conversationId, { limit });
+  const sendMutation = useSendMessage(conversationId);
+  const { mutate: markRead } = useMarkConversationRead();
+
+  useEffect(() => {
+    markRead(conversationId);
+  }, [conversationId, markRead]);
+
+  const conversation = inboxData?.data?.conversations?.find((c) => c._id === conversationId);
+
+  // API returns newest first; show oldest at the top
+  const messages = [...(data?.data?.messages || [])].reverse();
+  const hasOlder = data?.data?.pagination?.hasNext;
+
+  /**
+   * Send the current message
+   */
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!text.trim()) return;
+
+    sendMutation.mutate({ text }, {
+      onSuccess: () => setText(''),
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Link to="/inbox" className="text-primary-600 hover:text-primary-700 text-sm font-medium">
+          ← Back to messages
+        </Link>
+
+        {conversation?.product && (
+          <div className="mt-4 mb-6">
+            <Link
+              to={`/product/${conversation.product._id}`}
+              className="text-xl font-semibold text-gray-900 hover:text-primary-600"
+            >
+              {conversation.product.pname}
+            </Link>
+            <div className="text-sm text-gray-500">
+              with {conversation.role === 'buyer' ? conversation.seller.username : conversation.buyer.username}
+            </div>
+          </div>
+        )}
+
+        {isLoading && (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        )}
+
+        {error && (
+          <ErrorMessage message="Failed to load messages" onRetry={refetch} />
+        )}
+
+        {!isLoading && !error && (
+          <div className="bg-white rounded-lg shadow-md p-4 space-y-3">
+            {hasOlder && (
+              <button
+                onClick={() => setLimit(limit + PAGE_SIZE)}
+                className="w-full text-sm text-primary-600 hover:text-primary-700"
+              >
+                Load older messages
+              </button>
+            )}
+
+            {messages.length === 0 && (
+              <p className="text-center text-gray-500 py-6">No messages yet. Say hello!</p>
+            )}
+
+            {messages.map((message) => {
+              const isMine = message.sender._id === user?._id;
+              return (
+                <div key={message._id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+                  <div
+                    className={`max-w-xs px-4 py-2 rounded-lg text-sm ${
+                      isMine ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-900'
+                    }`}
+                  >
+                    <p>{message.text}</p>
+                    <span className={`block text-xs mt-1 ${isMine ? 'text-primary-100' : 'text-gray-500'}`}>
+                      {new Date(message.createdAt).toLocaleString()}
+                      {isMine && message.readAt && ' · Read'}
+                    </span>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="mt-4 flex">
+          <input
+            type="text"
+            value={text}
+            maxLength={1000}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Write a message..."
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={sendMutation.isPending || !text.trim()}
+            className="px-4 py-2 bg-primary-600 text-white rounded-r-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            <FaPaperPlane />
+          </button>
+        </form>
+      </main>
+    </div>
+  );
+};
+
+export default MessageThread;
@@ -6,6 +6,10 @@ import Categories from "./Categories";
 import { FaHeart } from "react-icons/fa";
 import './Home.css';
 import API_URL from "../constants";
+import { getProductImageUrl, productsAPI } from "../lib/api";
+import ListingOffers from "./ListingOffers";
+import PendingSales from "./PendingSales";
+import { useOffers, useOrders } from "../hooks/useOffers";
 
 
 function MyProducts() {
@@ -16,6 +20,19 @@ function MyProducts() {
     const [cproducts, setcproducts] = useState([]);
     const [search, setsearch] = useState('');
 
+    // Open offers on the seller's listings, grouped by listing
+    const { data: offers = [] } = useOffers({ role: 'seller', status: 'open' });
+    const offersByProduct = offers.reduce((groups, offer) => {
+        const productId = offer.product?._id;
+        if (productId) {
+            (groups[productId] = groups[productId] || []).push(offer);
+        }
+        return groups;
+    }, {});
+
+    // Orders on the seller's listings that still need confirming
+    const { data: pendingSales = [] } = useOrders({ role: 'seller', status: 'pending' });
+
     // useEffect(() => {
     //     if (!localStorage.getItem('token')) {
     //         navigate('/login')
@@ -23,13 +40,9 @@ function MyProducts() {
     // }, [])
 
     useEffect(() => {
-        const url = API_URL + '/my-products';
-        let data = { userId: localStorage.getItem('userId') }
-        axios.post(url, data)
+        productsAPI.getUserProducts()
             .then((res) => {
-                if (res.data.products) {
-                    setproducts(res.data.products);
-                }
+                setproducts(res.data.products);
             })
             .catch((err) => {
                 alert('Server Err.')
@@ -93,11 +106,13 @@ function MyProducts() {
                                 <div onClick={() => handleLike(item._id)} className="icon-con">
                                     <FaHeart className="icons" />
                                 </div>
-                                <img width="300px" height="200px" src={API_URL + '/' + item.pimage} />
+                                <img width="300px" height="200px" src={getProductImageUrl(item)} />
 
                                 <p className="m-2"> {item.pname}  | {item.category} </p>
                                 <h3 className="m-2 text-danger"> {item.price} </h3>
                                 <p className="m-2 text-success"> {item.pdesc} </p>
+                                <ListingOffers offers={offersByProduct[item._id]} />
+                                <PendingSales productId={item._id} orders={pendingSales} />
                             </div>
                         )
 
@@ -115,10 +130,12 @@ function MyProducts() {
                                 <div onClick={() => handleLike(item._id)} className="icon-con">
                                     <FaHeart className="icons" />
                                 </div>
-                                <img width="300px" height="200px" src={API_URL + '/' + item.pimage} />
+                                <img width="300px" height="200px" src={getProductImageUrl(item)} />
                                 <p className="m-2"> {item.pname}  | {item.category} </p>
                                 <h3 className="m-2 text-danger"> {item.price} </h3>
                                 <p className="m-2 text-success"> {item.pdesc} </p>
+                                <ListingOffers offers={offersByProduct[item._id]} />
+                                <PendingSales productId={item._id} orders={pendingSales} />
                             </div>
                         )
 
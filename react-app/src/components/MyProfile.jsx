@@ -1,11 +1,14 @@
 import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
 import Header from "./Header";
 import axios from "axios";
 import API_URL from "../constants";
+import { useLogoutAllDevices } from "../hooks/useAuth";
 
 function MyProfile() {
 
     const [user, setuser] = useState({})
+    const logoutAll = useLogoutAllDevices();
 
     useEffect(() => {
         let url = API_URL + '/my-profile/' + localStorage.getItem('userId');
@@ -44,6 +47,22 @@ function MyProfile() {
                         </tr>
                     </tbody>
                 </table>
+                <div className="text-center">
+                    <Link to="/account" className="btn btn-outline-primary me-2">
+                        ACCOUNT SETTINGS
+                    </Link>
+                    <button
+                        className="btn btn-outline-danger"
+                        disabled={logoutAll.isPending}
+                        onClick={() => {
+                            if (window.confirm('Log out of every device, including this one?')) {
+                                logoutAll.mutate();
+                            }
+                        }}
+                    >
+                        LOG OUT ALL DEVICES
+                    </button>
+                </div>
             </div>
         </div>
     )
@@ -0,0 +1,119 @@
+/**
+ * NearMeToggle Component - Switch the product list to "near me"
+ *
+ * This component displays:
+ * - A toggle that asks the browser for the user's location
+ * - A manual latitude/longitude form when geolocation is unavailable or denied
+ *
+ * The chosen location is reported with onChange({ lat, lng }); turning the
+ * toggle off reports null.
+ */
+
+import React, { useState } from 'react';
+import { FaMapMarkerAlt } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-24 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
+const NearMeToggle = ({ location, onChange }) => {
+  const [isLocating, setIsLocating] = useState(false);
+  const [showManual, setShowManual] = useState(false);
+  const [lat, setLat] = useState('');
+  const [lng, setLng] = useState('');
+
+  const isOn = !!location;
+
+  /**
+   * Fall back to typing the location in
+   */
+  const askManually = (reason) => {
+    toast.error(`${reason} Enter your location instead.`);
+    setShowManual(true);
+  };
+
+  const handleToggle = () => {
+    if (isOn || showManual) {
+      setShowManual(false);
+      onChange(null);
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      askManually('Your browser does not support location access.');
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setIsLocating(false);
+        onChange({ lat: position.coords.latitude, lng: position.coords.longitude });
+      },
+      () => {
+        setIsLocating(false);
+        askManually('Could not get your location.');
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    const latitude = parseFloat(lat);
+    const longitude = parseFloat(lng);
+
+    if (isNaN(latitude) || latitude < -90 || latitude > 90
+      || isNaN(longitude) || longitude < -180 || longitude > 180) {
+      toast.error('Latitude must be between -90 and 90, longitude between -180 and 180');
+      return;
+    }
+
+    setShowManual(false);
+    onChange({ lat: latitude, lng: longitude });
+  };
+
+  return (
+    <div className="flex items-center space-x-2">
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={isLocating}
+        aria-pressed={isOn}
+        className={`flex items-center px-3 py-2 text-sm font-medium rounded-md border transition-colors disabled:opacity-50 ${
+          isOn
+            ? 'bg-primary-600 border-primary-600 text-white'
+            : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+        }`}
+      >
+        <FaMapMarkerAlt className="mr-1" />
+        {isLocating ? 'Locating...' : 'Near me'}
+      </button>
+
+      {showManual && !isOn && (
+        <form onSubmit={handleManualSubmit} className="flex items-center space-x-1">
+          <input
+            type="number"
+            step="any"
+            placeholder="Latitude"
+            value={lat}
+            onChange={(e) => setLat(e.target.value)}
+            className={inputClass}
+          />
+          <input
+            type="number"
+            step="any"
+            placeholder="Longitude"
+            value={lng}
+            onChange={(e) => setLng(e.target.value)}
+            className={inputClass}
+          />
+          <button type="submit" className="px-2 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700">
+            Go
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default NearMeToggle;
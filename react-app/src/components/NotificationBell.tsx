@@ -0,0 +1,131 @@
+/**
+ * NotificationBell Component
+ *
+ * Bell icon in the header with the number of unread notifications. Clicking
+ * it opens a dropdown with the latest notifications; clicking one marks it
+ * as read and opens its link.
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaBell, FaHeart, FaEnvelope, FaShieldAlt, FaSearch, FaTag, FaClock, FaHandHoldingUsd, FaHandshake } from 'react-icons/fa';
+import {
+  useNotifications,
+  useUnreadNotificationCount,
+  useMarkNotificationRead,
+  useMarkAllNotificationsRead,
+} from '../hooks/useNotifications';
+import { Notification } from '../lib/validations';
+
+// How many notifications the dropdown shows
+const DROPDOWN_LIMIT = 10;
+
+const TYPE_ICONS = {
+  'product-liked': <FaHeart className="text-red-500" />,
+  'new-message': <FaEnvelope className="text-primary-600" />,
+  'listing-moderated': <FaShieldAlt className="text-yellow-600" />,
+  'listing-expired': <FaClock className="text-gray-500" />,
+  'saved-search-match': <FaSearch className="text-green-600" />,
+  'price-drop': <FaTag className="text-green-600" />,
+  'new-offer': <FaHandHoldingUsd className="text-green-600" />,
+  'offer-update': <FaHandshake className="text-primary-600" />,
+};
+
+/**
+ * Short relative time, e.g. "5m", "3h", "2d"
+ */
+const timeAgo = (date: string) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'now';
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (60 * 24))}d`;
+};
+
+const NotificationBell: React.FC = () => {
+  // isOpen: whether the dropdown is visible
+  const [isOpen, setIsOpen] = useState(false);
+  const navigate = useNavigate();
+
+  const { data: unreadCount = 0 } = useUnreadNotificationCount();
+  const { data, isLoading } = useNotifications({ limit: DROPDOWN_LIMIT }, isOpen);
+  const markReadMutation = useMarkNotificationRead();
+  const markAllReadMutation = useMarkAllNotificationsRead();
+
+  const notifications = data?.data.notifications || [];
+
+  // Mark as read and follow the notification's link
+  const handleClick = (notification: Notification) => {
+    if (!notification.readAt) {
+      markReadMutation.mutate(notification._id);
+    }
+    setIsOpen(false);
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={`Notifications (${unreadCount} unread)`}
+        className="relative flex justify-center items-center w-10 h-10 text-primary-700 hover:text-primary-600"
+      >
+        <FaBell className="text-xl" />
+        {unreadCount > 0 && (
+          <span className="absolute top-0 right-0 min-w-[1.25rem] h-5 px-1 flex items-center justify-center bg-red-600 text-white text-xs font-semibold rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-20 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-2 border-b">
+            <span className="font-semibold text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                type="button"
+                onClick={() => markAllReadMutation.mutate()}
+                disabled={markAllReadMutation.isPending}
+                className="text-xs text-primary-600 hover:text-primary-800 disabled:opacity-50"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto">
+            {isLoading && (
+              <li className="px-4 py-6 text-center text-sm text-gray-500">Loading...</li>
+            )}
+
+            {!isLoading && notifications.length === 0 && (
+              <li className="px-4 py-6 text-center text-sm text-gray-500">You're all caught up</li>
+            )}
+
+            {notifications.map((notification) => (
+              <li key={notification._id}>
+                <button
+                  type="button"
+                  onClick={() => handleClick(notification)}
+                  className={`w-full flex items-start gap-3 px-4 py-3 text-left text-sm hover:bg-gray-50 ${
+                    notification.readAt ? 'text-gray-600' : 'bg-primary-50 text-gray-900 font-medium'
+                  }`}
+                >
+                  <span className="mt-0.5">{TYPE_ICONS[notification.type]}</span>
+                  <span className="flex-1">{notification.message}</span>
+                  <span className="text-xs text-gray-400 whitespace-nowrap">{timeAgo(notification.createdAt)}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,60 @@
+/**
+ * PendingSales Component - Orders waiting on the seller for one listing
+ *
+ * This component displays, for each pending order of the listing:
+ * - The buyer and the agreed price
+ * - Confirm and cancel buttons until the seller has confirmed; the sale
+ *   only completes (and the listing becomes sold) once the buyer confirms
+ *   too
+ */
+
+import React from 'react';
+
+import { useCompleteOrder, useCancelOrder } from '../hooks/useOffers';
+
+/**
+ * @param {string} props.productId - Listing the orders are for
+ * @param {Object[]} props.orders - Seller's pending orders (buyer populated)
+ */
+const PendingSales = ({ productId, orders = [] }) => {
+  const completeMutation = useCompleteOrder();
+  const cancelMutation = useCancelOrder();
+
+  const sales = orders
+    .map((order) => ({ order, item: order.items.find((item) => item.product === productId) }))
+    .filter(({ item }) => item);
+
+  if (sales.length === 0) return null;
+
+  const handleCancel = (order) => {
+    if (window.confirm(`Cancel the sale to ${order.buyer?.username || 'this buyer'}? The listing will be available again.`)) {
+      cancelMutation.mutate(order._id);
+    }
+  };
+
+  return (
+    <div className="m-2 text-sm">
+      {sales.map(({ order, item }) => (
+        <div key={order._id} className="border-t border-gray-100 pt-2">
+          <p>
+            {order.buyer?.username || 'A buyer'} is buying this for Rs. {item.price} /-
+          </p>
+          {item.sellerConfirmedAt ? (
+            <p className="text-gray-500">You confirmed; waiting for the buyer</p>
+          ) : (
+            <div className="flex gap-3 mt-1">
+              <button onClick={() => completeMutation.mutate(order._id)} disabled={completeMutation.isPending} className="text-green-600">
+                Confirm sale
+              </button>
+              <button onClick={() => handleCancel(order)} disabled={cancelMutation.isPending} className="text-red-600">
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PendingSales;
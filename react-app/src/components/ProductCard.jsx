@@ -6,6 +6,10 @@
  * - Product information (name, price, description)
  * - Like button with animation
  * - Click handler for navigation
+ * - Highlighted search matches (when the product came from search)
+ * - "Price dropped" badge and the old price after a price cut
+ * - "Reserved" ribbon while the seller holds the listing
+ * - Link to the seller's page (when the seller is populated)
  * 
  * Features:
  * - Responsive design
@@ -16,8 +20,22 @@
 
 import React, { useState } from 'react';
 import { motion } from 'framer-motion';
-import { FaHeart, FaMapMarkerAlt } from 'react-icons/fa';
+import { FaHeart, FaMapMarkerAlt, FaArrowDown } from 'react-icons/fa';
 import { Link } from 'react-router-dom';
+import { getProductImageUrl } from '../lib/api';
+
+/**
+ * Render highlight segments from the search API, marking the matches
+ */
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match ? (
+      <mark key={index} className="bg-yellow-200 text-inherit rounded-sm">{segment.text}</mark>
+    ) : (
+      <React.Fragment key={index}>{segment.text}</React.Fragment>
+    )))}
+  </>
+);
 
 const ProductCard = ({ 
   product, 
@@ -26,6 +44,9 @@ const ProductCard = ({
   onClick,
   showLocation = false 
 }) => {
+  // Set while the latest price change was a cut
+  const priceDropped = product.priceDrop?.from > product.price;
+
   // Local state for image loading
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
@@ -83,7 +104,7 @@ const ProductCard = ({
         {/* Product Image */}
         {!imageError ? (
           <img
-            src={`http://localhost:5000/${product.pimage}`}
+            src={getProductImageUrl(product, 'card')}
             alt={product.pname}
             className={`w-full h-48 object-cover transition-opacity duration-300 ${
               imageLoaded ? 'opacity-100' : 'opacity-0'
@@ -121,12 +142,29 @@ const ProductCard = ({
           </span>
         </div>
 
+        {/* Reserved Ribbon */}
+        {product.status === 'reserved' && (
+          <div className="absolute inset-x-0 top-1/2 -translate-y-1/2 bg-yellow-500 bg-opacity-90 text-white text-sm font-semibold uppercase tracking-wide text-center py-1 shadow-md pointer-events-none">
+            Reserved
+          </div>
+        )}
+
+        {/* Price Drop Badge */}
+        {priceDropped && (
+          <div className="absolute bottom-3 right-3">
+            <span className="bg-green-600 text-white text-xs px-2 py-1 rounded-full flex items-center">
+              <FaArrowDown className="mr-1" />
+              Price dropped
+            </span>
+          </div>
+        )}
+
         {/* Location Badge (if enabled) */}
         {showLocation && product.pLoc && (
           <div className="absolute bottom-3 left-3">
             <div className="bg-black bg-opacity-50 text-white text-xs px-2 py-1 rounded-full flex items-center">
               <FaMapMarkerAlt className="mr-1" />
-              Nearby
+              {product.distance !== undefined ? `${product.distance} km away` : 'Nearby'}
             </div>
           </div>
         )}
@@ -136,14 +174,21 @@ const ProductCard = ({
       <div className="p-4">
         {/* Product Name */}
         <h3 className="font-semibold text-gray-900 mb-2 line-clamp-2">
-          {product.pname}
+          {product.search ? <Highlighted segments={product.search.highlights.pname} /> : product.pname}
         </h3>
 
         {/* Price */}
         <div className="flex items-center justify-between mb-2">
-          <span className="text-2xl font-bold text-primary-600">
-            {formatPrice(product.price)}
-          </span>
+          <div className="flex items-baseline space-x-2">
+            <span className="text-2xl font-bold text-primary-600">
+              {formatPrice(product.price)}
+            </span>
+            {priceDropped && (
+              <span className="text-sm text-gray-400 line-through">
+                {formatPrice(product.priceDrop.from)}
+              </span>
+            )}
+          </div>
           {product.condition && (
             <span className="text-xs text-gray-500 bg-gray-100 px-2 py-1 rounded">
               {product.condition}
@@ -153,12 +198,28 @@ const ProductCard = ({
 
         {/* Description */}
         <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-          {truncateText(product.pdesc)}
+          {product.search
+            ? <Highlighted segments={product.search.highlights.pdesc} />
+            : truncateText(product.pdesc)}
         </p>
 
         {/* Additional Info */}
         <div className="flex items-center justify-between text-xs text-gray-500">
-          <span>Added {new Date(product.createdAt).toLocaleDateString()}</span>
+          <span>
+            Added {new Date(product.createdAt).toLocaleDateString()}
+            {product.addedBy?.username && (
+              <>
+                {' by '}
+                <Link
+                  to={`/seller/${product.addedBy._id}`}
+                  className="text-primary-600 hover:text-primary-700"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  {product.addedBy.username}
+                </Link>
+              </>
+            )}
+          </span>
           {product.likesCount > 0 && (
             <span className="flex items-center">
               <FaHeart className="mr-1 text-red-500" />
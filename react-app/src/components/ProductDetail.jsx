@@ -1,22 +1,43 @@
 import { useEffect, useState } from "react";
-import { useParams } from "react-router-dom";
+import { useNavigate, useParams } from "react-router-dom";
 import axios from "axios";
 import Header from "./Header";
 import API_URL from "../constants";
+import useAuthStore from "../store/authStore";
+import { useStartConversation } from "../hooks/useMessages";
+import { useReportProduct } from "../hooks/useReports";
+import { useRenewProduct, useBumpProduct } from "../hooks/useListingActions";
+import { useReserveProduct, useReleaseProduct } from "../hooks/useReservation";
+import { REPORT_REASONS } from "../lib/validations";
+import ProductGallery from "./ProductGallery";
+import SellerReputation from "./SellerReputation";
+import ReviewForm from "./ReviewForm";
+import MakeOffer from "./MakeOffer";
 
 function ProductDetail() {
 
     const [product, setproduct] = useState()
-    const [user, setuser] = useState()
-    console.log(user, "userrrrr")
+    const [canReview, setcanReview] = useState(false)
     const p = useParams()
+    const navigate = useNavigate()
+    const { isAuthenticated, user } = useAuthStore()
+    const startConversation = useStartConversation()
+    const reportProduct = useReportProduct()
+    const renewProduct = useRenewProduct()
+    const bumpProduct = useBumpProduct()
+    const reserveProduct = useReserveProduct()
+    const releaseProduct = useReleaseProduct()
+    const [showReport, setshowReport] = useState(false)
+    const [reportReason, setreportReason] = useState(REPORT_REASONS[0].value)
+    const [reportDetails, setreportDetails] = useState('')
 
     useEffect(() => {
-        const url = API_URL + '/get-product/' + p.productId;
+        const url = API_URL + '/api/products/' + p.productId;
         axios.get(url)
             .then((res) => {
-                if (res.data.product) {
-                    setproduct(res.data.product)
+                if (res.data.data?.product) {
+                    setproduct(res.data.data.product)
+                    setcanReview(!!res.data.data.canReview)
                 }
             })
             .catch((err) => {
@@ -25,18 +46,39 @@ function ProductDetail() {
     }, [])
 
 
-    const handleContact = (addedBy) => {
-        console.log('id', addedBy)
-        const url = API_URL + '/get-user/' + addedBy;
-        axios.get(url)
-            .then((res) => {
-                if (res.data.user) {
-                    setuser(res.data.user)
-                }
-            })
-            .catch((err) => {
-                alert('Server Err.')
-            })
+    const handleContact = () => {
+        if (!isAuthenticated) {
+            navigate('/login')
+            return
+        }
+        startConversation.mutate({ productId: product._id }, {
+            onSuccess: (res) => {
+                navigate('/inbox/' + res.data.conversation._id)
+            }
+        })
+    }
+
+    // Keep the populated seller; renew/bump return the product without it
+    const handleLifecycleChange = (res) => {
+        const { addedBy, ...changes } = res.data.product
+        setproduct({ ...product, ...changes })
+    }
+
+    const handleReport = (e) => {
+        e.preventDefault()
+        if (!isAuthenticated) {
+            navigate('/login')
+            return
+        }
+        reportProduct.mutate({
+            productId: product._id,
+            reportData: { reason: reportReason, details: reportDetails || undefined }
+        }, {
+            onSuccess: () => {
+                setshowReport(false)
+                setreportDetails('')
+            }
+        })
     }
 
     return (<>
@@ -45,23 +87,108 @@ function ProductDetail() {
         <div >
             {product && <div className="d-flex justify-content-between flex-wrap">
                 <div>
-                    <img width="400px" height="200px" src={API_URL + '/' + product.pimage} alt="" />
-                    {product.pimage2 && <img width="400px" height="200px" src={API_URL + '/' + product.pimage2} alt="" />}
+                    <ProductGallery
+                        product={product}
+                        isOwner={!!user && product.addedBy?._id === user._id}
+                        onImagesChange={(images) => setproduct({ ...product, additionalImages: images })}
+                    />
                     <h6> Product Details : </h6>
                     {product.pdesc}
                 </div>
                 <div>
                     <h3 className="m-2 price-text"> Rs. {product.price} /- </h3>
+                    {product.priceDrop?.from > product.price &&
+                        <p className="m-2 text-success">
+                            Price dropped from <s>Rs. {product.priceDrop.from}</s>
+                        </p>}
+                    {product.priceHistory?.length > 1 &&
+                        <div className="m-2">
+                            <h6> Price History : </h6>
+                            <ul className="text-sm">
+                                {[...product.priceHistory].reverse().map((entry) => (
+                                    <li key={entry.changedAt}>
+                                        Rs. {entry.price} /- on {new Date(entry.changedAt).toLocaleDateString()}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>}
                     <p className="m-2"> {product.pname}  | {product.category} </p>
                     <p className="m-2 text-success"> {product.pdesc} </p>
 
+                    {!!user && product.addedBy?._id === user._id &&
+                        <div className="m-2">
+                            {product.expiredAt
+                                ? <p className="text-danger"> Expired on {new Date(product.expiredAt).toLocaleDateString()} </p>
+                                : product.status === 'active' && product.expiresAt &&
+                                <p> Expires on {new Date(product.expiresAt).toLocaleDateString()} </p>}
+                            {(product.status === 'active' || product.expiredAt) &&
+                                <button
+                                    onClick={() => renewProduct.mutate(product._id, { onSuccess: handleLifecycleChange })}
+                                    disabled={renewProduct.isPending}>
+                                    RENEW
+                                </button>}
+                            {product.status === 'active' &&
+                                <button
+                                    onClick={() => bumpProduct.mutate(product._id, { onSuccess: handleLifecycleChange })}
+                                    disabled={bumpProduct.isPending}>
+                                    BUMP TO TOP
+                                </button>}
+                            {product.status === 'reserved' &&
+                                <p> Reserved until {new Date(product.reservedUntil).toLocaleString()} </p>}
+                            {product.status === 'active' &&
+                                <button
+                                    onClick={() => reserveProduct.mutate({ productId: product._id }, { onSuccess: (res) => handleLifecycleChange(res.data) })}
+                                    disabled={reserveProduct.isPending}>
+                                    MARK RESERVED
+                                </button>}
+                            {product.status === 'reserved' &&
+                                <button
+                                    onClick={() => releaseProduct.mutate(product._id, { onSuccess: (res) => handleLifecycleChange(res.data) })}
+                                    disabled={releaseProduct.isPending}>
+                                    RELEASE RESERVATION
+                                </button>}
+                        </div>}
+
+                    {product.status === 'reserved' && (!user || product.addedBy?._id !== user._id) &&
+                        <p className="m-2 text-danger">
+                            {user && product.reservedFor === user._id
+                                ? ' The seller is holding this item for you. '
+                                : ' This item is reserved. '}
+                        </p>}
+
+                    {product.addedBy && <SellerReputation seller={product.addedBy} linkToProfile />}
+                    {canReview &&
+                        <ReviewForm productId={product._id} onReviewed={() => setcanReview(false)} />}
+                    {isAuthenticated && !!user && product.addedBy?._id !== user._id &&
+                        (product.status === 'active' || (product.status === 'reserved' && product.reservedFor === user._id)) &&
+                        <MakeOffer product={product} />}
                     {product.addedBy &&
-                        <button onClick={() => handleContact(product.addedBy)}>
-                            SHOW CONTACT DETAILS
+                        <button onClick={handleContact} disabled={startConversation.isPending}>
+                            MESSAGE SELLER
                         </button>}
-                    {user && user.username && <h4>{user.username}</h4>}
-                    {user && user.mobile && <h3>{user.mobile}</h3>}
-                    {user && user.email && <h6>{user.email}</h6>}
+
+                    <div className="m-2">
+                        <button className="text-sm text-red-600" onClick={() => setshowReport(!showReport)}>
+                            Report this listing
+                        </button>
+                        {showReport &&
+                            <form onSubmit={handleReport} className="mt-2">
+                                <select value={reportReason} onChange={(e) => setreportReason(e.target.value)}>
+                                    {REPORT_REASONS.map((item) => (
+                                        <option key={item.value} value={item.value}>{item.label}</option>
+                                    ))}
+                                </select>
+                                <textarea
+                                    value={reportDetails}
+                                    maxLength={500}
+                                    onChange={(e) => setreportDetails(e.target.value)}
+                                    placeholder="Anything else moderators should know? (optional)"
+                                />
+                                <button type="submit" disabled={reportProduct.isPending}>
+                                    SUBMIT REPORT
+                                </button>
+                            </form>}
+                    </div>
 
                 </div>
             </div>}
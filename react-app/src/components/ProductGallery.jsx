@@ -0,0 +1,254 @@
+/**
+ * ProductGallery Component - Photo gallery with a fullscreen lightbox
+ *
+ * This component displays:
+ * - The selected photo at card size
+ * - A thumbnail strip of every photo (pimage, pimage2, then the gallery)
+ * - A lightbox with the full-size photo, opened by clicking the main photo
+ *
+ * Features:
+ * - Keyboard navigation in the lightbox (arrows, Escape)
+ * - Owner controls: add, remove and reorder gallery photos
+ */
+
+import React, { useEffect, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { FaChevronLeft, FaChevronRight, FaTimes, FaTrash } from 'react-icons/fa';
+
+import { getImageUrl } from '../lib/api';
+import {
+  useAddProductImages,
+  useRemoveProductImage,
+  useReorderProductImages,
+} from '../hooks/useProductImages';
+
+/**
+ * Flatten a product's images into one list. Gallery entries keep their
+ * _id so the owner controls can address them.
+ */
+const collectImages = (product) => {
+  const images = [{
+    key: 'pimage',
+    thumbnail: product.pimageVariants?.thumbnail || product.pimage,
+    card: product.pimageVariants?.card || product.pimage,
+    full: product.pimage,
+  }];
+
+  if (product.pimage2) {
+    images.push({
+      key: 'pimage2',
+      thumbnail: product.pimage2Variants?.thumbnail || product.pimage2,
+      card: product.pimage2Variants?.card || product.pimage2,
+      full: product.pimage2,
+    });
+  }
+
+  (product.additionalImages || []).forEach((image) => {
+    images.push({
+      key: image._id,
+      _id: image._id,
+      thumbnail: image.thumbnail || image.full,
+      card: image.card || image.full,
+      full: image.full,
+    });
+  });
+
+  return images;
+};
+
+const ProductGallery = ({ product, isOwner = false, onImagesChange }) => {
+  const [selected, setSelected] = useState(0);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+
+  const addImages = useAddProductImages();
+  const removeImage = useRemoveProductImage();
+  const reorderImages = useReorderProductImages();
+
+  const images = collectImages(product);
+  const galleryIds = (product.additionalImages || []).map((image) => image._id);
+  const current = images[Math.min(selected, images.length - 1)];
+
+  const showPrevious = () => setSelected((index) => (index - 1 + images.length) % images.length);
+  const showNext = () => setSelected((index) => (index + 1) % images.length);
+
+  // Keyboard navigation while the lightbox is open
+  useEffect(() => {
+    if (!lightboxOpen) return;
+
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setLightboxOpen(false);
+      if (e.key === 'ArrowLeft') showPrevious();
+      if (e.key === 'ArrowRight') showNext();
+    };
+
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  });
+
+  const handleAdd = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    addImages.mutate({ productId: product._id, files }, {
+      onSuccess: (res) => onImagesChange?.(res.data.images),
+    });
+  };
+
+  const handleRemove = (imageId) => {
+    if (!window.confirm('Remove this photo?')) return;
+
+    setSelected(0);
+    removeImage.mutate({ productId: product._id, imageId }, {
+      onSuccess: (res) => onImagesChange?.(res.data.images),
+    });
+  };
+
+  const handleMove = (imageId, direction) => {
+    const from = galleryIds.indexOf(imageId);
+    const to = from + direction;
+    if (to < 0 || to >= galleryIds.length) return;
+
+    const imageIds = [...galleryIds];
+    [imageIds[from], imageIds[to]] = [imageIds[to], imageIds[from]];
+
+    reorderImages.mutate({ productId: product._id, imageIds }, {
+      onSuccess: (res) => onImagesChange?.(res.data.images),
+    });
+  };
+
+  return (
+    <div className="w-full max-w-xl">
+      {/* Main Photo */}
+      <button
+        type="button"
+        className="block w-full bg-gray-100 rounded-lg overflow-hidden"
+        onClick={() => setLightboxOpen(true)}
+      >
+        <img
+          src={getImageUrl(current.card)}
+          alt={product.pname}
+          className="w-full h-80 object-contain"
+        />
+      </button>
+
+      {/* Thumbnail Strip */}
+      <div className="flex flex-wrap gap-2 mt-2">
+        {images.map((image, index) => (
+          <div key={image.key} className="relative">
+            <button
+              type="button"
+              onClick={() => setSelected(index)}
+              className={`block w-16 h-16 rounded overflow-hidden border-2 ${
+                index === selected ? 'border-primary-600' : 'border-transparent'
+              }`}
+            >
+              <img src={getImageUrl(image.thumbnail)} alt="" className="w-full h-full object-cover" />
+            </button>
+
+            {isOwner && image._id && (
+              <div className="flex justify-between text-xs mt-1">
+                <button
+                  type="button"
+                  title="Move left"
+                  disabled={reorderImages.isPending || galleryIds.indexOf(image._id) === 0}
+                  onClick={() => handleMove(image._id, -1)}
+                  className="disabled:opacity-30"
+                >
+                  <FaChevronLeft />
+                </button>
+                <button
+                  type="button"
+                  title="Remove"
+                  disabled={removeImage.isPending}
+                  onClick={() => handleRemove(image._id)}
+                  className="text-red-600 disabled:opacity-30"
+                >
+                  <FaTrash />
+                </button>
+                <button
+                  type="button"
+                  title="Move right"
+                  disabled={reorderImages.isPending || galleryIds.indexOf(image._id) === galleryIds.length - 1}
+                  onClick={() => handleMove(image._id, 1)}
+                  className="disabled:opacity-30"
+                >
+                  <FaChevronRight />
+                </button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Owner: add more photos */}
+      {isOwner && (
+        <label className="inline-block mt-3 text-sm font-bold text-primary-700 cursor-pointer">
+          {addImages.isPending ? 'Uploading...' : '+ ADD PHOTOS'}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            className="hidden"
+            disabled={addImages.isPending}
+            onChange={handleAdd}
+          />
+        </label>
+      )}
+
+      {/* Lightbox */}
+      <AnimatePresence>
+        {lightboxOpen && (
+          <motion.div
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            className="fixed inset-0 z-50 bg-black bg-opacity-90 flex items-center justify-center"
+            onClick={() => setLightboxOpen(false)}
+          >
+            <button
+              type="button"
+              className="absolute top-4 right-4 text-white text-2xl"
+              onClick={() => setLightboxOpen(false)}
+            >
+              <FaTimes />
+            </button>
+
+            {images.length > 1 && (
+              <button
+                type="button"
+                className="absolute left-4 text-white text-3xl"
+                onClick={(e) => { e.stopPropagation(); showPrevious(); }}
+              >
+                <FaChevronLeft />
+              </button>
+            )}
+
+            <img
+              src={getImageUrl(current.full)}
+              alt={product.pname}
+              className="max-h-[90vh] max-w-[90vw] object-contain"
+              onClick={(e) => e.stopPropagation()}
+            />
+
+            {images.length > 1 && (
+              <button
+                type="button"
+                className="absolute right-4 text-white text-3xl"
+                onClick={(e) => { e.stopPropagation(); showNext(); }}
+              >
+                <FaChevronRight />
+              </button>
+            )}
+
+            <div className="absolute bottom-4 text-white text-sm">
+              {Math.min(selected, images.length - 1) + 1} / {images.length}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default ProductGallery;
@@ -0,0 +1,79 @@
+import { Link, useSearchParams } from "react-router-dom";
+import Header from "./Header";
+import { useForm } from 'react-hook-form';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { resetPasswordSchema, ResetPasswordForm } from '../lib/validations';
+import { useResetPassword } from '../hooks/useAuth';
+import ErrorMessage from './ErrorMessage';
+
+function ResetPassword() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+
+    const { register, handleSubmit, formState: { errors } } = useForm<ResetPasswordForm>({
+        resolver: zodResolver(resetPasswordSchema),
+    });
+
+    const { mutate: resetPassword, isPending } = useResetPassword();
+
+    const onSubmit = (data: ResetPasswordForm) => {
+        resetPassword({ token, password: data.password });
+    };
+
+    return (
+        <div>
+            <Header />
+            <div className="flex justify-center items-center min-h-[calc(100vh-64px)] bg-gray-100">
+                <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
+                    <h3 className="text-2xl font-bold text-center text-gray-800 mb-6">Choose a New Password</h3>
+                    {!token ? (
+                        <ErrorMessage message="This reset link is missing its token. Please request a new one." />
+                    ) : (
+                        <form onSubmit={handleSubmit(onSubmit)}>
+                            <div className="mb-4">
+                                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">
+                                    New Password
+                                </label>
+                                <input
+                                    className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${errors.password ? 'border-red-500' : ''}`}
+                                    id="password"
+                                    type="password"
+                                    placeholder="********"
+                                    {...register('password')}
+                                />
+                                {errors.password && <p className="text-red-500 text-xs italic mt-1">{errors.password.message}</p>}
+                            </div>
+                            <div className="mb-6">
+                                <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="confirmPassword">
+                                    Confirm Password
+                                </label>
+                                <input
+                                    className={`shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline ${errors.confirmPassword ? 'border-red-500' : ''}`}
+                                    id="confirmPassword"
+                                    type="password"
+                                    placeholder="********"
+                                    {...register('confirmPassword')}
+                                />
+                                {errors.confirmPassword && <p className="text-red-500 text-xs italic mt-1">{errors.confirmPassword.message}</p>}
+                            </div>
+                            <button
+                                className="bg-primary-700 hover:bg-primary-800 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline disabled:opacity-50 w-full"
+                                type="submit"
+                                disabled={isPending}
+                            >
+                                {isPending ? 'Saving...' : 'RESET PASSWORD'}
+                            </button>
+                        </form>
+                    )}
+                    <div className="text-center mt-4">
+                        <Link className="font-bold text-sm text-primary-600 hover:text-primary-800" to="/forgot-password">
+                            Request a new link
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ResetPassword;
@@ -0,0 +1,71 @@
+/**
+ * ReviewForm Component - Rate the seller of a bought product
+ *
+ * Shown on a product page to the buyer of a completed order until they
+ * have reviewed the purchase.
+ */
+
+import React, { useState } from 'react';
+import { FaStar, FaRegStar } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+
+import { useCreateReview } from '../hooks/useReviews';
+
+/**
+ * @param {string} props.productId - Product that was bought
+ * @param {Function} [props.onReviewed] - Called after the review is saved
+ */
+const ReviewForm = ({ productId, onReviewed }) => {
+  const [rating, setRating] = useState(0);
+  const [comment, setComment] = useState('');
+  const createMutation = useCreateReview();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!rating) {
+      toast.error('Please choose a rating');
+      return;
+    }
+
+    createMutation.mutate({ productId, rating, comment: comment.trim() || undefined }, {
+      onSuccess: () => onReviewed?.(),
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-3 space-y-2">
+      <p className="text-sm font-medium text-gray-700">Rate the seller</p>
+
+      <div className="flex space-x-1 text-xl text-yellow-500">
+        {[1, 2, 3, 4, 5].map((star) => (
+          <button
+            key={star}
+            type="button"
+            onClick={() => setRating(star)}
+            aria-label={`${star} star${star === 1 ? '' : 's'}`}
+          >
+            {star <= rating ? <FaStar /> : <FaRegStar />}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        value={comment}
+        maxLength={1000}
+        onChange={(e) => setComment(e.target.value)}
+        placeholder="How did the purchase go? (optional)"
+        className="w-full border border-gray-300 rounded-lg p-2 text-sm"
+      />
+
+      <button
+        type="submit"
+        disabled={createMutation.isPending}
+        className="px-4 py-2 text-sm text-white bg-primary-600 rounded-lg hover:bg-primary-700 disabled:opacity-50"
+      >
+        Submit review
+      </button>
+    </form>
+  );
+};
+
+export default ReviewForm;
@@ -0,0 +1,102 @@
+/**
+ * SaveSearchButton Component - Save the current filters as a search
+ *
+ * This component displays:
+ * - A "Save this search" button
+ * - A small form for naming the search
+ *
+ * Saved searches send a notification when a new listing matches them.
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaBell } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+
+import useAuthStore from '../store/authStore';
+import { useCreateSavedSearch, toSavedSearchInput } from '../hooks/useSavedSearches';
+
+/**
+ * @param {Object} props.filters - Home page filters
+ * @param {string} [props.search] - Search term, if any
+ * @param {Object} [props.location] - { lat, lng } the radius is measured from
+ */
+const SaveSearchButton = ({ filters, search, location }) => {
+  const [isNaming, setIsNaming] = useState(false);
+  const [name, setName] = useState('');
+
+  const { isAuthenticated } = useAuthStore();
+  const navigate = useNavigate();
+  const createMutation = useCreateSavedSearch();
+
+  const handleOpen = () => {
+    if (!isAuthenticated) {
+      toast.error('Please login to save searches');
+      navigate('/login');
+      return;
+    }
+
+    setName(search || filters.categories.join(', ') || 'All listings');
+    setIsNaming(true);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Please enter a name');
+      return;
+    }
+
+    createMutation.mutate(toSavedSearchInput(name.trim(), filters, search, location), {
+      onSuccess: () => setIsNaming(false),
+    });
+  };
+
+  if (isNaming) {
+    return (
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-sm p-3 space-y-2">
+        <label htmlFor="savedSearchName" className="block text-sm font-medium text-gray-700">
+          Name this search
+        </label>
+        <input
+          id="savedSearchName"
+          type="text"
+          maxLength={100}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          autoFocus
+        />
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={createMutation.isPending}
+            className="flex-1 px-2 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700 disabled:opacity-50"
+          >
+            {createMutation.isPending ? 'Saving...' : 'Save'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setIsNaming(false)}
+            className="flex-1 px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={handleOpen}
+      className="w-full flex items-center justify-center px-3 py-2 text-sm font-medium text-primary-700 bg-white border border-primary-600 rounded-md hover:bg-primary-50 transition-colors"
+    >
+      <FaBell className="mr-2" />
+      Save this search
+    </button>
+  );
+};
+
+export default SaveSearchButton;
@@ -0,0 +1,132 @@
+/**
+ * SavedSearches Component - Lists the user's saved searches
+ *
+ * This component displays:
+ * - One row per saved search with a summary of its filters
+ * - A switch for new-listing alerts
+ * - Buttons to run or delete the search
+ *
+ * Features:
+ * - Uses React Query (useSavedSearches) for data fetching
+ * - Tailwind CSS for styling
+ */
+
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FaBell, FaBellSlash, FaSearch, FaTrash } from 'react-icons/fa';
+
+import { useSavedSearches, useUpdateSavedSearch, useDeleteSavedSearch } from '../hooks/useSavedSearches';
+
+import Header from './Header.tsx';
+import { formatBand } from './FacetSidebar';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+/**
+ * One-line description of a saved search's filters
+ * @param {Object} savedSearch - Saved search from the API
+ */
+const describe = (savedSearch) => {
+  const parts = [];
+  if (savedSearch.search) parts.push(`"${savedSearch.search}"`);
+  if (savedSearch.categories.length) parts.push(savedSearch.categories.join(', '));
+  if (savedSearch.conditions.length) parts.push(savedSearch.conditions.join(', '));
+  savedSearch.priceRanges.forEach((range) => parts.push(formatBand(range)));
+  if (savedSearch.minPrice != null || savedSearch.maxPrice != null) {
+    parts.push(formatBand({ min: savedSearch.minPrice ?? 0, max: savedSearch.maxPrice ?? null }));
+  }
+  if (savedSearch.radius) parts.push(`within ${savedSearch.radius} km`);
+  return parts.join(' · ') || 'All listings';
+};
+
+const SavedSearches = () => {
+  const navigate = useNavigate();
+  const { data, isLoading, error, refetch } = useSavedSearches();
+  const updateMutation = useUpdateSavedSearch();
+  const deleteMutation = useDeleteSavedSearch();
+
+  const savedSearches = data?.data?.savedSearches || [];
+
+  const handleToggleAlerts = (savedSearch) => {
+    updateMutation.mutate({
+      savedSearchId: savedSearch._id,
+      input: { alertsEnabled: !savedSearch.alertsEnabled },
+    });
+  };
+
+  const handleDelete = (savedSearch) => {
+    if (window.confirm(`Delete "${savedSearch.name}"?`)) {
+      deleteMutation.mutate(savedSearch._id);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <h2 className="text-2xl font-semibold text-gray-900 mb-6">Saved searches</h2>
+
+        {isLoading && (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        )}
+
+        {error && (
+          <ErrorMessage message="Failed to load saved searches" onRetry={refetch} />
+        )}
+
+        {!isLoading && !error && savedSearches.length === 0 && (
+          <div className="text-center py-12">
+            <div className="text-gray-400 text-6xl mb-4 flex justify-center">
+              <FaSearch />
+            </div>
+            <h3 className="text-lg font-medium text-gray-900 mb-2">No saved searches yet</h3>
+            <p className="text-gray-500">Use "Save this search" on the home page to get alerts for new listings.</p>
+          </div>
+        )}
+
+        <ul className="space-y-3">
+          {savedSearches.map((savedSearch) => (
+            <li key={savedSearch._id} className="bg-white rounded-lg shadow-sm p-4 flex items-center gap-4">
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900 truncate">{savedSearch.name}</p>
+                <p className="text-sm text-gray-500 truncate">{describe(savedSearch)}</p>
+                {savedSearch.lastMatchedAt && (
+                  <p className="text-xs text-gray-400">
+                    Last match {new Date(savedSearch.lastMatchedAt).toLocaleDateString()}
+                  </p>
+                )}
+              </div>
+              <button
+                onClick={() => handleToggleAlerts(savedSearch)}
+                disabled={updateMutation.isPending}
+                title={savedSearch.alertsEnabled ? 'Turn alerts off' : 'Turn alerts on'}
+                className={`p-2 rounded-md ${savedSearch.alertsEnabled ? 'text-primary-600' : 'text-gray-400'} hover:bg-gray-100`}
+              >
+                {savedSearch.alertsEnabled ? <FaBell /> : <FaBellSlash />}
+              </button>
+              <button
+                onClick={() => navigate('/', { state: { savedSearch } })}
+                className="px-3 py-1 text-sm text-white bg-primary-600 rounded-md hover:bg-primary-700"
+              >
+                Run
+              </button>
+              <button
+                onClick={() => handleDelete(savedSearch)}
+                disabled={deleteMutation.isPending}
+                title="Delete"
+                className="p-2 rounded-md text-red-500 hover:bg-red-50"
+              >
+                <FaTrash />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </main>
+    </div>
+  );
+};
+
+export default SavedSearches;
@@ -0,0 +1,152 @@
+/**
+ * SellerProfile Component - Public storefront of a seller
+ *
+ * This component displays:
+ * - The seller's profile (name, bio) with their rating and latest reviews
+ * - Their active listings, loaded page by page while scrolling
+ *
+ * Features:
+ * - Uses React Query (useUser, useSellerProducts) for data fetching
+ * - Tailwind CSS for styling
+ */
+
+import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { FaUserCircle, FaBoxOpen } from 'react-icons/fa';
+import toast from 'react-hot-toast';
+
+import useAuthStore from '../store/authStore';
+import useProductStore from '../store/productStore';
+import { useUser } from '../hooks/useAuth';
+import { useSellerProducts } from '../hooks/useSellerProducts';
+import { useProductLike } from '../hooks/useProductLike';
+
+import Header from './Header.tsx';
+import ProductCard from './ProductCard';
+import SellerReputation from './SellerReputation';
+import InfiniteScrollTrigger from './InfiniteScrollTrigger';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+const SellerProfile = () => {
+  const { userId } = useParams();
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuthStore();
+  const { likedProducts } = useProductStore();
+  const likeMutation = useProductLike();
+
+  const { data: userData, isLoading: userLoading, error: userError, refetch: refetchUser } = useUser(userId);
+  const {
+    products,
+    totalProducts,
+    isLoading: productsLoading,
+    error: productsError,
+    refetch: refetchProducts,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useSellerProducts(userId);
+
+  const seller = userData?.user;
+  const fullName = [seller?.profile?.firstName, seller?.profile?.lastName].filter(Boolean).join(' ');
+
+  const handleLikeProduct = (productId, event) => {
+    event.stopPropagation();
+
+    if (!isAuthenticated) {
+      toast.error('Please login to like products');
+      navigate('/login');
+      return;
+    }
+
+    likeMutation.mutate({
+      userId: localStorage.getItem('userId'),
+      productId: productId,
+    });
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Header />
+
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {userLoading && (
+          <div className="flex justify-center items-center py-12">
+            <LoadingSpinner size="large" />
+          </div>
+        )}
+
+        {userError && (
+          <ErrorMessage message="Failed to load this seller" onRetry={refetchUser} />
+        )}
+
+        {seller && (
+          <>
+            {/* Profile */}
+            <section className="flex flex-col md:flex-row gap-6 mb-8">
+              <div className="flex items-start gap-4 md:w-1/2">
+                {seller.profile?.avatar ? (
+                  <img src={seller.profile.avatar} alt={seller.username} className="w-20 h-20 rounded-full object-cover" />
+                ) : (
+                  <FaUserCircle className="w-20 h-20 text-gray-300" />
+                )}
+                <div>
+                  <h2 className="text-2xl font-semibold text-gray-900">{fullName || seller.username}</h2>
+                  {fullName && <p className="text-sm text-gray-500">@{seller.username}</p>}
+                  {seller.profile?.bio && <p className="mt-2 text-gray-700">{seller.profile.bio}</p>}
+                </div>
+              </div>
+              <div className="md:w-1/2">
+                <SellerReputation seller={seller} />
+              </div>
+            </section>
+
+            {/* Listings */}
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">
+              Active listings{totalProducts !== undefined && ` (${totalProducts})`}
+            </h3>
+
+            {productsLoading && (
+              <div className="flex justify-center items-center py-12">
+                <LoadingSpinner size="large" />
+              </div>
+            )}
+
+            {productsError && (
+              <ErrorMessage message="Failed to load listings" onRetry={refetchProducts} />
+            )}
+
+            {!productsLoading && !productsError && products.length === 0 && (
+              <div className="text-center py-12">
+                <div className="text-gray-400 text-6xl mb-4 flex justify-center">
+                  <FaBoxOpen />
+                </div>
+                <p className="text-gray-500">{seller.username} has no active listings right now.</p>
+              </div>
+            )}
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {products.map((product) => (
+                <ProductCard
+                  key={product._id}
+                  product={product}
+                  isLiked={likedProducts.includes(product._id)}
+                  onLike={(event) => handleLikeProduct(product._id, event)}
+                  onClick={() => navigate(`/product/${product._id}`)}
+                />
+              ))}
+            </div>
+
+            <InfiniteScrollTrigger
+              onLoadMore={fetchNextPage}
+              hasMore={!!hasNextPage}
+              isLoading={isFetchingNextPage}
+            />
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default SellerProfile;
@@ -0,0 +1,86 @@
+/**
+ * SellerReputation Component - Seller's rating and latest reviews
+ *
+ * This component displays:
+ * - The seller's average rating as stars, with the review count
+ * - How long they have been a member
+ * - Their most recent reviews from buyers
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { FaStar, FaRegStar } from 'react-icons/fa';
+
+import { useUserReviews } from '../hooks/useReviews';
+
+// Reviews shown under the rating
+const RECENT_REVIEWS = 3;
+
+/**
+ * Five stars, filled up to the (rounded) rating
+ */
+export const Stars = ({ rating }) => (
+  <span className="inline-flex text-yellow-500" aria-label={`${rating} out of 5 stars`}>
+    {[1, 2, 3, 4, 5].map((star) => (
+      star <= Math.round(rating) ? <FaStar key={star} /> : <FaRegStar key={star} />
+    ))}
+  </span>
+);
+
+/**
+ * @param {Object} props.seller - Populated seller ({ _id, username, rating, createdAt })
+ * @param {boolean} [props.linkToProfile] - Link the name to the seller's page
+ */
+const SellerReputation = ({ seller, linkToProfile = false }) => {
+  const { data } = useUserReviews(seller._id, { limit: RECENT_REVIEWS });
+  const reviews = data?.data.reviews || [];
+  const rating = data?.data.rating || seller.rating || { average: 0, count: 0 };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm p-3 space-y-2">
+      <div className="flex items-center space-x-2">
+        {linkToProfile ? (
+          <Link to={`/seller/${seller._id}`} className="font-semibold text-primary-600 hover:text-primary-700">
+            {seller.username}
+          </Link>
+        ) : (
+          <span className="font-semibold text-gray-900">{seller.username}</span>
+        )}
+        {rating.count > 0 ? (
+          <>
+            <Stars rating={rating.average} />
+            <span className="text-sm text-gray-600">
+              {rating.average.toFixed(1)} ({rating.count} {rating.count === 1 ? 'review' : 'reviews'})
+            </span>
+          </>
+        ) : (
+          <span className="text-sm text-gray-500">No reviews yet</span>
+        )}
+      </div>
+
+      {seller.createdAt && (
+        <p className="text-xs text-gray-500">
+          Member since {new Date(seller.createdAt).toLocaleDateString()}
+        </p>
+      )}
+
+      {reviews.length > 0 && (
+        <ul className="space-y-2">
+          {reviews.map((review) => (
+            <li key={review._id} className="border-t border-gray-100 pt-2 text-sm">
+              <div className="flex items-center space-x-2">
+                <Stars rating={review.rating} />
+                <span className="text-gray-700">{review.reviewer?.username || 'Deleted user'}</span>
+                <span className="text-xs text-gray-400">{new Date(review.createdAt).toLocaleDateString()}</span>
+              </div>
+              {review.product && <p className="text-xs text-gray-500">Bought: {review.product.pname}</p>}
+              {review.comment && <p className="text-gray-600">{review.comment}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SellerReputation;
@@ -8,6 +8,7 @@ import { useNavigate } from 'react-router-dom';
 import { FaHeart } from 'react-icons/fa';
 import axios from 'axios';
 import API_URL from '../constants';
+import { getProductImageUrl } from '../lib/api';
 
 const SimpleHome = () => {
   const navigate = useNavigate();
@@ -157,7 +158,7 @@ const SimpleHome = () => {
                 {/* Product Image */}
                 <div className="relative">
                   <img
-                    src={`${API_URL}/${product.pimage}`}
+                    src={getProductImageUrl(product)}
                     alt={product.pname}
                     className="w-full h-48 object-cover"
                     onError={(e) => {
@@ -0,0 +1,49 @@
+import { useEffect, useRef } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import Header from "./Header";
+import { useVerifyEmail } from '../hooks/useAuth';
+import LoadingSpinner from './LoadingSpinner';
+import ErrorMessage from './ErrorMessage';
+
+function VerifyEmail() {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token') || '';
+
+    const { mutate: verifyEmail, isSuccess, isError, error } = useVerifyEmail();
+
+    // Tokens are single-use, so only redeem once even if the effect re-runs
+    const submitted = useRef(false);
+    useEffect(() => {
+        if (token && !submitted.current) {
+            submitted.current = true;
+            verifyEmail(token);
+        }
+    }, [token, verifyEmail]);
+
+    const errorMessage = !token
+        ? 'This verification link is missing its token.'
+        : (error as any)?.response?.data?.message || 'Verification failed';
+
+    return (
+        <div>
+            <Header />
+            <div className="flex justify-center items-center min-h-[calc(100vh-64px)] bg-gray-100">
+                <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md text-center">
+                    <h3 className="text-2xl font-bold text-gray-800 mb-6">Email Verification</h3>
+                    {isSuccess && (
+                        <p className="text-gray-700">Your email address is verified. You can now post listings.</p>
+                    )}
+                    {(isError || !token) && <ErrorMessage message={errorMessage} />}
+                    {token && !isSuccess && !isError && <LoadingSpinner />}
+                    <div className="mt-4">
+                        <Link className="font-bold text-sm text-primary-600 hover:text-primary-800" to="/">
+                            Go to Home
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default VerifyEmail;
@@ -4,6 +4,7 @@
  * This file provides custom hooks for:
  * - User authentication
  * - Profile management
+ * - Email verification and password resets
  * - Token handling
  * - Protected routes
  */
@@ -13,8 +14,8 @@ import { toast } from 'react-hot-toast';
 import { useNavigate } from 'react-router-dom';
 import { authAPI } from '../lib/api';
 import { queryKeys } from '../lib/queryClient';
-import { useAuthActions } from '../store/authStore';
-import { LoginForm, SignupForm, ProfileUpdateForm } from '../lib/validations';
+import { useAuthStore, useAuthActions } from '../store/authStore';
+import { LoginForm, SignupForm, ProfileUpdateForm, ForgotPasswordForm, DeleteAccountForm } from '../lib/validations';
 
 // ==================== QUERY HOOKS ====================
 
@@ -54,7 +55,7 @@ export const useLogin = () => {
     },
     onSuccess: (data) => {
       // Update auth store
-      login(data.data.user, data.data.token);
+      login(data.data.user, data.data.token, data.data.refreshToken);
       
       // Invalidate and refetch profile
       queryClient.invalidateQueries({ queryKey: queryKeys.auth.profile });
@@ -83,7 +84,7 @@ export const useSignup = () => {
     },
     onSuccess: (data) => {
       // Update auth store
-      login(data.data.user, data.data.token);
+      login(data.data.user, data.data.token, data.data.refreshToken);
       
       // Invalidate and refetch profile
       queryClient.invalidateQueries({ queryKey: queryKeys.auth.profile });
@@ -124,6 +125,99 @@ export const useUpdateProfile = () => {
   });
 };
 
+export const useVerifyEmail = () => {
+  const { updateUser } = useAuthActions();
+
+  return useMutation({
+    mutationFn: (token: string) => authAPI.verifyEmail(token),
+    onSuccess: (data) => {
+      // Only touch the store if the verified account is the one logged in
+      if (useAuthStore.getState().user?._id === data.user._id) {
+        updateUser({ emailVerified: true });
+      }
+    },
+  });
+};
+
+export const useResendVerification = () => {
+  return useMutation({
+    mutationFn: () => authAPI.resendVerification(),
+    onSuccess: () => {
+      toast.success('Verification email sent, check your inbox');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    },
+  });
+};
+
+export const useForgotPassword = () => {
+  return useMutation({
+    mutationFn: (data: ForgotPasswordForm) => authAPI.forgotPassword(data),
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to send reset link');
+    },
+  });
+};
+
+export const useResetPassword = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuthActions();
+
+  return useMutation({
+    mutationFn: ({ token, password }: { token: string; password: string }) =>
+      authAPI.resetPassword(token, password),
+    onSuccess: () => {
+      // Every session was revoked server-side
+      logout();
+      toast.success('Password reset, please log in');
+      navigate('/login');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to reset password');
+    },
+  });
+};
+
+export const useChangePassword = () => {
+  const { setTokens } = useAuthActions();
+
+  return useMutation({
+    mutationFn: ({ currentPassword, newPassword }: { currentPassword: string; newPassword: string }) =>
+      authAPI.changePassword(currentPassword, newPassword),
+    onSuccess: (data) => {
+      // Other sessions were revoked; keep this one with the fresh tokens
+      setTokens(data.token, data.refreshToken);
+      toast.success('Password changed, other devices have been logged out');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to change password');
+    },
+  });
+};
+
+export const useDeleteAccount = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuthActions();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (data: DeleteAccountForm) => authAPI.deleteAccount(data),
+    onSuccess: () => {
+      logout();
+      queryClient.clear();
+      localStorage.removeItem('auth-storage');
+      localStorage.removeItem('product-storage');
+
+      toast.success('Your account has been closed');
+      navigate('/');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to close account');
+    },
+  });
+};
+
 // ==================== UTILITY HOOKS ====================
 
 export const useLogout = () => {
@@ -132,6 +226,12 @@ export const useLogout = () => {
   const queryClient = useQueryClient();
 
   return () => {
+    // Revoke the refresh token server-side (best effort)
+    const { refreshToken } = useAuthStore.getState();
+    if (refreshToken) {
+      authAPI.logout(refreshToken).catch(() => {});
+    }
+
     // Clear auth store
     logout();
     
@@ -147,6 +247,28 @@ export const useLogout = () => {
   };
 };
 
+export const useLogoutAllDevices = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuthActions();
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => authAPI.logoutAll(),
+    onSuccess: () => {
+      logout();
+      queryClient.clear();
+      localStorage.removeItem('auth-storage');
+      localStorage.removeItem('product-storage');
+
+      toast.success('Logged out of all devices');
+      navigate('/login');
+    },
+    onError: (error: any) => {
+      toast.error(error.response?.data?.message || 'Failed to log out other devices');
+    },
+  });
+};
+
 export const useRequireAuth = () => {
   const { isAuthenticated, isLoading } = useAuthActions();
   
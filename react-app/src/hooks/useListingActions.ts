@@ -0,0 +1,57 @@
+/**
+ * React Query Hooks for Listing Lifecycle
+ *
+ * This file provides custom hooks for:
+ * - Renewing a listing before or after it expires
+ * - Bumping a listing back to the top of the feed
+ */
+
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { productsAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+
+/**
+ * Error text for a failed renew/bump; cooldown errors say when to retry
+ */
+const actionErrorMessage = (error: any, fallback: string) => {
+  const data = error.response?.data;
+  if (data?.data?.availableAt) {
+    return `${data.message}. Try again after ${new Date(data.data.availableAt).toLocaleString()}.`;
+  }
+  return data?.message || fallback;
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useRenewProduct = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (productId: string) => productsAPI.renew(productId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Renew product error:', error);
+      toast.error(actionErrorMessage(error, 'Failed to renew listing'));
+    },
+  });
+};
+
+export const useBumpProduct = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (productId: string) => productsAPI.bump(productId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Bump product error:', error);
+      toast.error(actionErrorMessage(error, 'Failed to bump listing'));
+    },
+  });
+};
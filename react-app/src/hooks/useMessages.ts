@@ -0,0 +1,77 @@
+/**
+ * React Query Hooks for Messaging
+ *
+ * This file provides custom hooks for:
+ * - The conversation inbox
+ * - Paging through a message thread
+ * - Starting conversations and sending messages
+ * - Marking threads as read
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { messagesAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+import { SendMessageForm } from '../lib/validations';
+
+// ==================== QUERY HOOKS ====================
+
+export const useConversations = () => {
+  return useQuery({
+    queryKey: queryKeys.messages.inbox,
+    queryFn: () => messagesAPI.getConversations(),
+  });
+};
+
+export const useConversationMessages = (conversationId: string, params?: { page?: number; limit?: number }) => {
+  return useQuery({
+    queryKey: queryKeys.messages.thread(conversationId, params),
+    queryFn: () => messagesAPI.getMessages(conversationId, params),
+    enabled: !!conversationId,
+  });
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useStartConversation = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, text }: { productId: string; text?: string }) =>
+      messagesAPI.startConversation(productId, text),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.messages.inbox });
+    },
+    onError: (error: any) => {
+      console.error('Start conversation error:', error);
+      toast.error(error.response?.data?.message || 'Failed to contact seller');
+    },
+  });
+};
+
+export const useSendMessage = (conversationId: string) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (messageData: SendMessageForm) => messagesAPI.sendMessage(conversationId, messageData),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['messages', 'thread', conversationId] });
+      queryClient.invalidateQueries({ queryKey: queryKeys.messages.inbox });
+    },
+    onError: (error: any) => {
+      console.error('Send message error:', error);
+      toast.error(error.response?.data?.message || 'Failed to send message');
+    },
+  });
+};
+
+export const useMarkConversationRead = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (conversationId: string) => messagesAPI.markRead(conversationId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.messages.inbox });
+    },
+  });
+};
@@ -0,0 +1,67 @@
+/**
+ * React Query Hooks for Notifications
+ *
+ * This file provides custom hooks for:
+ * - The notification list and the unread count on the header bell
+ * - Marking one or all notifications as read
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { notificationsAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+
+// Realtime events refresh the count right away (see useRealtime); polling
+// only covers a dropped event stream
+const UNREAD_POLL_INTERVAL = 5 * 60 * 1000;
+
+// ==================== QUERY HOOKS ====================
+
+export const useNotifications = (params?: { page?: number; limit?: number; unread?: boolean }, enabled = true) => {
+  return useQuery({
+    queryKey: queryKeys.notifications.list(params),
+    queryFn: () => notificationsAPI.getAll(params),
+    enabled,
+  });
+};
+
+export const useUnreadNotificationCount = (enabled = true) => {
+  return useQuery({
+    queryKey: queryKeys.notifications.unreadCount,
+    queryFn: () => notificationsAPI.getUnreadCount(),
+    select: (data) => data.data.unreadCount,
+    refetchInterval: UNREAD_POLL_INTERVAL,
+    enabled,
+  });
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useMarkNotificationRead = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (notificationId: string) => notificationsAPI.markRead(notificationId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
+    },
+    onError: (error: any) => {
+      console.error('Mark notification read error:', error);
+    },
+  });
+};
+
+export const useMarkAllNotificationsRead = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: () => notificationsAPI.markAllRead(),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
+    },
+    onError: (error: any) => {
+      console.error('Mark all notifications read error:', error);
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    },
+  });
+};
@@ -0,0 +1,126 @@
+/**
+ * React Query Hooks for Offers
+ *
+ * This file provides custom hooks for:
+ * - Offers the user made (role 'buyer') or received (role 'seller')
+ * - Making, withdrawing, accepting, rejecting and countering offers
+ * - Pending orders, and confirming or cancelling them; an order completes
+ *   once the buyer and the seller have both confirmed
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { offerAPI, orderAPI } from '../lib/api';
+
+const OFFERS_KEY = ['offers'];
+const ORDERS_KEY = ['orders'];
+
+/**
+ * Mutation options shared by the offer and order actions: refresh every
+ * offer and order list (and products, whose reservation may have changed)
+ * and toast the result
+ * @param {string} action - Action name for the error log and fallback text
+ */
+const offerMutationOptions = (queryClient, action) => ({
+  onSuccess: (response) => {
+    queryClient.invalidateQueries({ queryKey: OFFERS_KEY });
+    queryClient.invalidateQueries({ queryKey: ORDERS_KEY });
+    queryClient.invalidateQueries({ queryKey: ['products'] });
+    toast.success(response.data.message);
+  },
+  onError: (error) => {
+    console.error(`${action} error:`, error);
+    toast.error(error.response?.data?.message || `Failed to ${action.toLowerCase()}`);
+  },
+});
+
+// ==================== QUERY HOOKS ====================
+
+/**
+ * @param {Object} params - { role: 'buyer'|'seller', status, productId }
+ */
+export const useOffers = (params, enabled = true) => {
+  return useQuery({
+    queryKey: [...OFFERS_KEY, params],
+    queryFn: () => offerAPI.getAll(params),
+    select: (response) => response.data.data.offers,
+    enabled,
+  });
+};
+
+/**
+ * @param {Object} params - { role: 'buyer'|'seller', status }
+ */
+export const useOrders = (params, enabled = true) => {
+  return useQuery({
+    queryKey: [...ORDERS_KEY, params],
+    queryFn: () => orderAPI.getAll(params),
+    select: (response) => response.data.data.orders,
+    enabled,
+  });
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useMakeOffer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, amount, message }) => offerAPI.make(productId, { amount, message }),
+    ...offerMutationOptions(queryClient, 'Make offer'),
+  });
+};
+
+export const useWithdrawOffer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (offerId) => offerAPI.withdraw(offerId),
+    ...offerMutationOptions(queryClient, 'Withdraw offer'),
+  });
+};
+
+export const useAcceptOffer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (offerId) => offerAPI.accept(offerId),
+    ...offerMutationOptions(queryClient, 'Accept offer'),
+  });
+};
+
+export const useRejectOffer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (offerId) => offerAPI.reject(offerId),
+    ...offerMutationOptions(queryClient, 'Reject offer'),
+  });
+};
+
+export const useCounterOffer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ offerId, amount, message }) => offerAPI.counter(offerId, { amount, message }),
+    ...offerMutationOptions(queryClient, 'Counter offer'),
+  });
+};
+
+export const useCompleteOrder = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (orderId) => orderAPI.complete(orderId),
+    ...offerMutationOptions(queryClient, 'Confirm order'),
+  });
+};
+
+export const useCancelOrder = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (orderId) => orderAPI.cancel(orderId),
+    ...offerMutationOptions(queryClient, 'Cancel order'),
+  });
+};
@@ -0,0 +1,65 @@
+/**
+ * React Query Hooks for Product Galleries
+ *
+ * This file provides custom hooks for:
+ * - Adding photos to a listing's gallery
+ * - Removing a gallery photo
+ * - Reordering the gallery
+ */
+
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { productImagesAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+
+// ==================== MUTATION HOOKS ====================
+
+export const useAddProductImages = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, files }: { productId: string; files: File[] }) =>
+      productImagesAPI.add(productId, files),
+    onSuccess: (data, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.detail(productId) });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Add product images error:', error);
+      toast.error(error.response?.data?.message || 'Failed to add images');
+    },
+  });
+};
+
+export const useRemoveProductImage = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, imageId }: { productId: string; imageId: string }) =>
+      productImagesAPI.remove(productId, imageId),
+    onSuccess: (data, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.detail(productId) });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Remove product image error:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove image');
+    },
+  });
+};
+
+export const useReorderProductImages = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, imageIds }: { productId: string; imageIds: string[] }) =>
+      productImagesAPI.reorder(productId, imageIds),
+    onSuccess: (_data, { productId }) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.products.detail(productId) });
+    },
+    onError: (error: any) => {
+      console.error('Reorder product images error:', error);
+      toast.error(error.response?.data?.message || 'Failed to reorder images');
+    },
+  });
+};
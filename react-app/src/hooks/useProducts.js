@@ -1,49 +1,129 @@
-import { useQuery, useMutation } from '@tanstack/react-query';
-import toast from 'react-hot-toast';
+import { useMemo } from 'react';
+import { useQuery, useInfiniteQuery, keepPreviousData } from '@tanstack/react-query';
 import API_URL from '../constants';
 
-const fetchProducts = async (selectedCategory) => {
-  const url = selectedCategory
-    ? `${API_URL}/get-products?catName=${selectedCategory}`
-    : `${API_URL}/get-products`;
+// Products fetched per page of the infinite list
+export const PRODUCTS_PAGE_SIZE = 20;
+
+/**
+ * Turn the filter state into query parameters, leaving out unset filters
+ * @param {Object} filters - { categories, conditions, priceRanges, minPrice, maxPrice, sortBy, hideReserved }
+ */
+const toSearchParams = (filters = {}) => {
+  const params = new URLSearchParams();
+  const { categories = [], conditions = [], priceRanges = [], minPrice, maxPrice, sortBy, hideReserved } = filters;
+
+  if (categories.length > 0) params.set('category', categories.join(','));
+  if (conditions.length > 0) params.set('condition', conditions.join(','));
+  if (priceRanges.length > 0) params.set('priceRange', priceRanges.join(','));
+  if (minPrice) params.set('minPrice', minPrice);
+  if (maxPrice) params.set('maxPrice', maxPrice);
+  if (sortBy) params.set('sortBy', sortBy);
+  if (hideReserved) params.set('includeReserved', 'false');
+
+  return params;
+};
+
+const fetchJson = async (url) => {
   const response = await fetch(url);
   if (!response.ok) {
     throw new Error('Network response was not ok');
   }
-  return response.json();
+  const body = await response.json();
+  return body.data;
 };
 
-const searchProducts = async ({ search, location }) => {
-  const url = `${API_URL}/search?search=${search}&loc=${location}`;
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error('Network response was not ok');
+/**
+ * One page of the product list; with `nearby` ({ lat, lng }) products come
+ * with their distance and maxDistance becomes the radius
+ * @param {string|null} cursor - pagination.nextCursor of the previous page
+ */
+const fetchProducts = (filters, nearby, cursor) => {
+  const params = toSearchParams(filters);
+  params.set('limit', PRODUCTS_PAGE_SIZE);
+  if (cursor) params.set('cursor', cursor);
+  if (nearby) {
+    params.set('lat', nearby.lat);
+    params.set('lng', nearby.lng);
+    if (filters.maxDistance) params.set('radius', filters.maxDistance);
+  } else if (filters.sortBy === 'distance') {
+    params.delete('sortBy');
   }
-  return response.json();
+  return fetchJson(`${API_URL}/api/products?${params}`);
 };
 
-export const useProducts = (selectedCategory) => {
+const searchProducts = ({ search, location }, filters) => {
+  // Search results are always ranked by relevance
+  const params = toSearchParams({ ...filters, sortBy: undefined });
+  params.set('search', search);
+  params.set('loc', location);
+  if (filters.maxDistance) params.set('maxDistance', filters.maxDistance);
+  return fetchJson(`${API_URL}/api/products/search?${params}`);
+};
+
+/**
+ * Join the loaded pages into one list. A listing can still show up on two
+ * pages if its price changes while scrolling, so keep only the first copy.
+ */
+const mergePages = (pages) => {
+  const seen = new Set();
+  const products = [];
+  pages.forEach((page) => {
+    page.products.forEach((product) => {
+      if (!seen.has(product._id)) {
+        seen.add(product._id);
+        products.push(product);
+      }
+    });
+  });
+
+  return {
+    products,
+    facets: pages[0]?.facets,
+    pagination: pages[pages.length - 1]?.pagination,
+  };
+};
+
+/**
+ * Product listing (infinite, cursor-paged) or search results, with facet counts
+ * @param {Object} filters - See toSearchParams(), plus maxDistance (km)
+ * @param {Object|null} search - { search, location } while searching
+ * @param {Object|null} nearby - { lat, lng } to list products near a point
+ */
+export const useProducts = (filters, search = null, nearby = null) => {
   const {
-    data: productsData,
+    data: productPages,
     isLoading: productsLoading,
     error: productsError,
     refetch: refetchProducts,
-  } = useQuery({
-    queryKey: ['products', selectedCategory],
-    queryFn: () => fetchProducts(selectedCategory),
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useInfiniteQuery({
+    queryKey: ['products', 'list', filters, nearby],
+    queryFn: ({ pageParam }) => fetchProducts(filters, nearby, pageParam),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.pagination?.nextCursor || undefined,
+    enabled: !search,
+    placeholderData: keepPreviousData, // Keep the grid while filters change
     staleTime: 5 * 60 * 1000, // 5 minutes
-    cacheTime: 10 * 60 * 1000, // 10 minutes
+    gcTime: 10 * 60 * 1000, // 10 minutes
   });
 
-  const searchMutation = useMutation({
-    mutationFn: searchProducts,
-    onSuccess: (data) => {
-      toast.success(`Found ${data.products.length} products`);
-    },
-    onError: (error) => {
-      toast.error('Search failed. Please try again.');
-      console.error('Search error:', error);
-    },
+  const productsData = useMemo(
+    () => (productPages ? mergePages(productPages.pages) : undefined),
+    [productPages]
+  );
+
+  const {
+    data: searchData,
+    isLoading: searchLoading,
+    error: searchError,
+  } = useQuery({
+    queryKey: ['products', 'search', search, filters],
+    queryFn: () => searchProducts(search, filters),
+    enabled: !!search,
+    placeholderData: keepPreviousData,
   });
 
   return {
@@ -51,6 +131,11 @@ export const useProducts = (selectedCategory) => {
     productsLoading,
     productsError,
     refetchProducts,
-    searchMutation,
+    fetchMoreProducts: fetchNextPage,
+    hasMoreProducts: !!hasNextPage,
+    loadingMoreProducts: isFetchingNextPage,
+    searchData,
+    searchLoading,
+    searchError,
   };
-};
\ No newline at end of file
+};
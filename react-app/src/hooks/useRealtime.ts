@@ -0,0 +1,105 @@
+/**
+ * Realtime Updates Hook
+ *
+ * Keeps a Server-Sent Events connection open while the user is logged in
+ * and refreshes React Query data when the server pushes an event:
+ * - notification: the notification list and bell count (and the inbox for messages)
+ * - product-created / product-status: every product list and detail
+ * - product-liked: the likes count of that product, updated in place
+ */
+
+import { useEffect } from 'react';
+import { useQueryClient, QueryClient } from '@tanstack/react-query';
+import { eventsAPI, getEventStreamUrl } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+import { useAuthStore } from '../store/authStore';
+
+// Wait before reconnecting after the stream failed or was dropped
+const RECONNECT_DELAY = 10 * 1000;
+
+/**
+ * Set a product's likes count wherever it is cached (lists and detail)
+ */
+const updateCachedLikes = (queryClient: QueryClient, productId: string, likes: number) => {
+  const update = (product: any) => (product?._id === productId ? { ...product, likesCount: likes } : product);
+
+  const updateResult = (result: any): any => {
+    if (!result || typeof result !== 'object') return result;
+    if (Array.isArray(result.pages)) return { ...result, pages: result.pages.map(updateResult) };
+    if (Array.isArray(result.products)) return { ...result, products: result.products.map(update) };
+    if (result.product) return { ...result, product: update(result.product) };
+    if (result.data) return { ...result, data: updateResult(result.data) };
+    return result;
+  };
+
+  queryClient.setQueriesData({ queryKey: queryKeys.products.all }, updateResult);
+};
+
+export const useRealtime = () => {
+  const queryClient = useQueryClient();
+  const token = useAuthStore((state) => state.token);
+
+  useEffect(() => {
+    if (!token || typeof EventSource === 'undefined') return;
+
+    let source: EventSource | null = null;
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined;
+    let stopped = false;
+
+    // Each connection needs a fresh ticket; getting one goes through the API
+    // client, which refreshes an expired access token first
+    const connect = async () => {
+      let ticket: string;
+      try {
+        ({ ticket } = await eventsAPI.getStreamTicket());
+      } catch (error) {
+        if (!stopped) scheduleReconnect();
+        return;
+      }
+      if (stopped) return;
+
+      source = new EventSource(getEventStreamUrl(ticket));
+
+      source.addEventListener('notification', (event) => {
+        const { notification } = JSON.parse((event as MessageEvent).data);
+        queryClient.invalidateQueries({ queryKey: queryKeys.notifications.all });
+        if (notification.type === 'new-message') {
+          queryClient.invalidateQueries({ queryKey: queryKeys.messages.all });
+        }
+      });
+
+      source.addEventListener('product-created', () => {
+        queryClient.invalidateQueries({ queryKey: queryKeys.products.all });
+      });
+
+      source.addEventListener('product-status', () => {
+        queryClient.invalidateQueries({ queryKey: queryKeys.products.all });
+      });
+
+      source.addEventListener('product-liked', (event) => {
+        const { productId, likes } = JSON.parse((event as MessageEvent).data);
+        updateCachedLikes(queryClient, productId, likes);
+      });
+
+      source.onerror = () => {
+        // The ticket is spent, so EventSource's own retry with the same URL
+        // would be refused; reconnect with a new ticket instead
+        source?.close();
+        if (!stopped) scheduleReconnect();
+      };
+    };
+
+    const scheduleReconnect = () => {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = setTimeout(connect, RECONNECT_DELAY);
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      source?.close();
+    };
+  }, [token, queryClient]);
+};
@@ -0,0 +1,27 @@
+/**
+ * React Query Hooks for Listing Reports
+ *
+ * This file provides custom hooks for:
+ * - Reporting a listing to moderators
+ */
+
+import { useMutation } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { reportsAPI } from '../lib/api';
+import { ReportProductForm } from '../lib/validations';
+
+// ==================== MUTATION HOOKS ====================
+
+export const useReportProduct = () => {
+  return useMutation({
+    mutationFn: ({ productId, reportData }: { productId: string; reportData: ReportProductForm }) =>
+      reportsAPI.reportProduct(productId, reportData),
+    onSuccess: (data) => {
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Report product error:', error);
+      toast.error(error.response?.data?.message || 'Failed to report listing');
+    },
+  });
+};
@@ -0,0 +1,52 @@
+/**
+ * React Query Hooks for Reserved Listings
+ *
+ * This file provides custom hooks for:
+ * - Marking a listing reserved while a deal is in progress
+ * - Putting a reserved listing back on the market
+ */
+
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import toast from 'react-hot-toast';
+import { productsAPI } from '../lib/api';
+
+/**
+ * Mutation options shared by reserve and release: refresh product lists
+ * (the "Reserved" ribbon) and toast the result
+ * @param {string} action - Action name for the error log and fallback text
+ */
+const reservationMutationOptions = (queryClient, action) => ({
+  onSuccess: (response) => {
+    queryClient.invalidateQueries({ queryKey: ['products'] });
+    toast.success(response.message);
+  },
+  onError: (error) => {
+    console.error(`${action} error:`, error);
+    toast.error(error.response?.data?.message || `Failed to ${action.toLowerCase()}`);
+  },
+});
+
+// ==================== MUTATION HOOKS ====================
+
+/**
+ * Reserve a listing, optionally for one buyer and until a given date
+ * (the server defaults the hold length)
+ */
+export const useReserveProduct = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ productId, reservedFor, reservedUntil }) =>
+      productsAPI.update(productId, { status: 'reserved', reservedFor, reservedUntil }),
+    ...reservationMutationOptions(queryClient, 'Reserve listing'),
+  });
+};
+
+export const useReleaseProduct = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (productId) => productsAPI.update(productId, { status: 'active' }),
+    ...reservationMutationOptions(queryClient, 'Release listing'),
+  });
+};
@@ -0,0 +1,41 @@
+/**
+ * React Query Hooks for Seller Reviews
+ *
+ * This file provides custom hooks for:
+ * - A seller's reviews and rating summary
+ * - Reviewing the seller of a bought product
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { reviewsAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+import { ReviewForm } from '../lib/validations';
+
+// ==================== QUERY HOOKS ====================
+
+export const useUserReviews = (userId: string, params?: { page?: number; limit?: number }) => {
+  return useQuery({
+    queryKey: queryKeys.reviews.user(userId, params),
+    queryFn: () => reviewsAPI.getForUser(userId, params),
+    enabled: !!userId,
+  });
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useCreateReview = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (reviewData: ReviewForm) => reviewsAPI.create(reviewData),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.reviews.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Create review error:', error);
+      toast.error(error.response?.data?.message || 'Failed to submit review');
+    },
+  });
+};
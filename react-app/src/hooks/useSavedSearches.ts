@@ -0,0 +1,139 @@
+/**
+ * React Query Hooks for Saved Searches
+ *
+ * This file provides custom hooks for:
+ * - Listing the user's saved searches
+ * - Saving the current filters as a search
+ * - Renaming, toggling alerts on and deleting saved searches
+ *
+ * It also converts between the Home page filters and saved search fields.
+ */
+
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { toast } from 'react-hot-toast';
+import { savedSearchesAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+import { SavedSearch, SavedSearchInput } from '../lib/validations';
+
+// Home page filter state (see components/Home.jsx)
+export interface SearchFilters {
+  categories: string[];
+  conditions: string[];
+  priceRanges: string[]; // "min-max", max empty = open-ended
+  minPrice: string;
+  maxPrice: string;
+  maxDistance: string;
+  sortBy: string;
+  hideReserved?: boolean;
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Build a saved search from the Home page filters
+ * @param name - Label for the saved search
+ * @param filters - Home page filters
+ * @param search - Search term, if any
+ * @param location - Center for the radius, if any
+ */
+export const toSavedSearchInput = (
+  name: string,
+  filters: SearchFilters,
+  search?: string | null,
+  location?: { lat: number; lng: number } | null
+): SavedSearchInput => ({
+  name,
+  search: search || null,
+  categories: filters.categories,
+  conditions: filters.conditions,
+  priceRanges: filters.priceRanges.map((range) => {
+    const [min, max] = range.split('-');
+    return { min: Number(min), max: max ? Number(max) : null };
+  }),
+  minPrice: filters.minPrice !== '' ? Number(filters.minPrice) : null,
+  maxPrice: filters.maxPrice !== '' ? Number(filters.maxPrice) : null,
+  location: location || null,
+  radius: location && filters.maxDistance !== '' ? Number(filters.maxDistance) : null,
+});
+
+/**
+ * Turn a saved search back into Home page filters
+ * @param savedSearch - Saved search from the API
+ */
+export const fromSavedSearch = (savedSearch: SavedSearch) => {
+  const coordinates = savedSearch.location?.coordinates;
+  const location = coordinates?.length === 2 ? { lat: coordinates[1], lng: coordinates[0] } : null;
+
+  const filters: SearchFilters = {
+    categories: savedSearch.categories,
+    conditions: savedSearch.conditions,
+    priceRanges: savedSearch.priceRanges.map(({ min, max }) => `${min}-${max ?? ''}`),
+    minPrice: savedSearch.minPrice != null ? String(savedSearch.minPrice) : '',
+    maxPrice: savedSearch.maxPrice != null ? String(savedSearch.maxPrice) : '',
+    maxDistance: location && savedSearch.radius != null ? String(savedSearch.radius) : '',
+    sortBy: '',
+  };
+
+  return { filters, search: savedSearch.search || '', location };
+};
+
+// ==================== QUERY HOOKS ====================
+
+export const useSavedSearches = (enabled = true) => {
+  return useQuery({
+    queryKey: queryKeys.savedSearches.all,
+    queryFn: () => savedSearchesAPI.getAll(),
+    enabled,
+  });
+};
+
+// ==================== MUTATION HOOKS ====================
+
+export const useCreateSavedSearch = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (input: SavedSearchInput) => savedSearchesAPI.create(input),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.savedSearches.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Save search error:', error);
+      toast.error(error.response?.data?.message || 'Failed to save search');
+    },
+  });
+};
+
+export const useUpdateSavedSearch = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ savedSearchId, input }: { savedSearchId: string; input: Partial<SavedSearchInput> }) =>
+      savedSearchesAPI.update(savedSearchId, input),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.savedSearches.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Update saved search error:', error);
+      toast.error(error.response?.data?.message || 'Failed to update saved search');
+    },
+  });
+};
+
+export const useDeleteSavedSearch = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (savedSearchId: string) => savedSearchesAPI.remove(savedSearchId),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: queryKeys.savedSearches.all });
+      toast.success(data.message);
+    },
+    onError: (error: any) => {
+      console.error('Delete saved search error:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete saved search');
+    },
+  });
+};
@@ -0,0 +1,35 @@
+/**
+ * React Query Hooks for Seller Storefronts
+ *
+ * This file provides custom hooks for:
+ * - A seller's active listings, loaded page by page as the user scrolls
+ */
+
+import { useInfiniteQuery } from '@tanstack/react-query';
+import { productsAPI } from '../lib/api';
+import { queryKeys } from '../lib/queryClient';
+
+// Listings fetched per page of the storefront
+export const SELLER_PRODUCTS_PAGE_SIZE = 12;
+
+// ==================== QUERY HOOKS ====================
+
+export const useSellerProducts = (userId: string) => {
+  const query = useInfiniteQuery({
+    queryKey: queryKeys.products.seller(userId),
+    queryFn: ({ pageParam }) => productsAPI.getBySeller(userId, {
+      limit: SELLER_PRODUCTS_PAGE_SIZE,
+      cursor: pageParam || undefined,
+    }),
+    initialPageParam: null as string | null,
+    getNextPageParam: (lastPage) => lastPage.data.pagination?.nextCursor || null,
+    enabled: !!userId,
+  });
+
+  return {
+    ...query,
+    products: query.data?.pages.flatMap((page) => page.data.products) || [],
+    // Only the first page (requested without a cursor) carries the total
+    totalProducts: query.data?.pages[0]?.data.pagination?.totalProducts,
+  };
+};
@@ -1,79 +0,0 @@
-import axios from 'axios';
-import toast from 'react-hot-toast';
-
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
-
-const api = axios.create({
-  baseURL: API_BASE_URL,
-  timeout: 10000,
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
-
-// Request interceptor to add auth token
-api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('auth-storage');
-    if (token) {
-      try {
-        const parsedToken = JSON.parse(token);
-        if (parsedToken.state?.token) {
-          config.headers.Authorization = `Bearer ${parsedToken.state.token}`;
-        }
-      } catch (error) {
-        console.error('Error parsing token:', error);
-      }
-    }
-    return config;
-  },
-  (error) => {
-    return Promise.reject(error);
-  }
-);
-
-// Response interceptor for error handling
-api.interceptors.response.use(
-  (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('auth-storage');
-      window.location.href = '/login';
-      toast.error('Session expired. Please login again.');
-    } else if (error.response?.status >= 500) {
-      toast.error('Server error. Please try again later.');
-    } else if (error.code === 'ECONNABORTED') {
-      toast.error('Request timeout. Please try again.');
-    }
-    return Promise.reject(error);
-  }
-);
-
-// API methods
-export const authAPI = {
-  login: (credentials) => api.post('/api/auth/login', credentials),
-  register: (userData) => api.post('/api/auth/register', userData),
-  getProfile: () => api.get('/api/auth/profile'),
-  updateProfile: (userData) => api.put('/api/auth/profile', userData),
-};
-
-export const productAPI = {
-  getAll: () => api.get('/api/products'),
-  getById: (id) => api.get(`/api/products/${id}`),
-  create: (productData) => api.post('/api/products', productData),
-  update: (id, productData) => api.put(`/api/products/${id}`, productData),
-  delete: (id) => api.delete(`/api/products/${id}`),
-  getByCategory: (category) => api.get(`/api/products/category/${category}`),
-  search: (query) => api.get(`/api/products/search?q=${query}`),
-};
-
-export const categoryAPI = {
-  getAll: () => api.get('/api/categories'),
-  create: (categoryData) => api.post('/api/categories', categoryData),
-  update: (id, categoryData) => api.put(`/api/categories/${id}`, categoryData),
-  delete: (id) => api.delete(`/api/categories/${id}`),
-};
-
-export default api;
-
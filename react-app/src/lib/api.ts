@@ -11,30 +11,56 @@
 
 import axios, { AxiosResponse } from 'axios';
 import { toast } from 'react-hot-toast';
+import { useAuthStore } from '../store/authStore';
 import {
   Product,
   User,
+  PublicUser,
+  ImageVariants,
+  ProductImagesResponse,
   LoginForm,
   SignupForm,
+  ForgotPasswordForm,
+  DeleteAccountForm,
   AddProductForm,
   UpdateProductForm,
   ProfileUpdateForm,
   SearchForm,
+  SendMessageForm,
+  ReportProductForm,
+  SavedSearchInput,
+  ReviewForm,
+  ReviewsResponse,
+  SavedSearchResponse,
+  SavedSearchesResponse,
+  NotificationsResponse,
+  UnreadCountResponse,
   ApiResponse,
   ProductsResponse,
   ProductResponse,
   AuthResponse,
+  ConversationsResponse,
+  MessagesResponse,
   productSchema,
   productsResponseSchema,
   productResponseSchema,
   authResponseSchema,
   apiResponseSchema,
   userSchema,
+  publicUserSchema,
+  conversationsResponseSchema,
+  messagesResponseSchema,
+  productImagesResponseSchema,
+  savedSearchResponseSchema,
+  savedSearchesResponseSchema,
+  notificationsResponseSchema,
+  unreadCountResponseSchema,
+  reviewsResponseSchema,
 } from './validations';
 
 // ==================== API CONFIGURATION ====================
 
-const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5001';
+const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
 const api = axios.create({
   baseURL: API_BASE_URL,
@@ -60,16 +86,62 @@ api.interceptors.request.use(
   }
 );
 
+// ==================== TOKEN REFRESH ====================
+
+// Parallel 401s share one refresh request
+let refreshPromise: Promise<string> | null = null;
+
+// Requests that must never trigger a silent refresh
+const NO_REFRESH_URLS = ['/api/auth/login', '/api/auth/signup', '/api/auth/refresh', '/api/auth/logout'];
+
+const refreshAccessToken = (): Promise<string> => {
+  if (!refreshPromise) {
+    const { refreshToken, setTokens } = useAuthStore.getState();
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken })
+      .then((res) => {
+        const { token, refreshToken: nextRefreshToken } = res.data.data;
+        setTokens(token, nextRefreshToken);
+        return token as string;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // ==================== RESPONSE INTERCEPTOR ====================
 
 api.interceptors.response.use(
   (response: AxiosResponse) => {
     return response;
   },
-  (error) => {
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Expired access token: refresh once, then replay the original request
+    if (
+      error.response?.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      useAuthStore.getState().refreshToken
+    ) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        // Fall through to the session-expired handling below
+      }
+    }
+
     // Handle common errors
     if (error.response?.status === 401) {
       // Unauthorized - clear token and redirect to login
+      useAuthStore.getState().logout();
       clearStoredToken();
       window.location.href = '/login';
       toast.error('Session expired. Please login again.');
@@ -126,10 +198,50 @@ export const authAPI = {
     return { user: userSchema.parse(response.data.data.user) };
   },
 
-  getUserById: async (userId: string): Promise<{ user: User }> => {
-    const response = await api.get(`/api/auth/user/${userId}`);
+  logout: async (refreshToken: string): Promise<ApiResponse> => {
+    const response = await api.post('/api/auth/logout', { refreshToken });
+    return apiResponseSchema.parse(response.data);
+  },
+
+  logoutAll: async (): Promise<ApiResponse> => {
+    const response = await api.post('/api/auth/logout-all');
+    return apiResponseSchema.parse(response.data);
+  },
+
+  verifyEmail: async (token: string): Promise<{ user: User }> => {
+    const response = await api.post('/api/auth/verify-email', { token });
     return { user: userSchema.parse(response.data.data.user) };
   },
+
+  resendVerification: async (): Promise<ApiResponse> => {
+    const response = await api.post('/api/auth/resend-verification');
+    return apiResponseSchema.parse(response.data);
+  },
+
+  forgotPassword: async (data: ForgotPasswordForm): Promise<ApiResponse> => {
+    const response = await api.post('/api/auth/forgot-password', data);
+    return apiResponseSchema.parse(response.data);
+  },
+
+  resetPassword: async (token: string, password: string): Promise<ApiResponse> => {
+    const response = await api.post('/api/auth/reset-password', { token, password });
+    return apiResponseSchema.parse(response.data);
+  },
+
+  changePassword: async (currentPassword: string, newPassword: string): Promise<{ token: string; refreshToken: string }> => {
+    const response = await api.put('/api/auth/password', { currentPassword, newPassword });
+    return response.data.data;
+  },
+
+  deleteAccount: async (data: DeleteAccountForm): Promise<ApiResponse> => {
+    const response = await api.delete('/api/auth/account', { data });
+    return apiResponseSchema.parse(response.data);
+  },
+
+  getUserById: async (userId: string): Promise<{ user: PublicUser }> => {
+    const response = await api.get(`/api/auth/user/${userId}`);
+    return { user: publicUserSchema.parse(response.data.data.user) };
+  },
 };
 
 // ==================== PRODUCTS API ====================
@@ -138,10 +250,17 @@ export const productsAPI = {
   getAll: async (
     params?: {
       catName?: string;
+      category?: string;
+      condition?: string;
+      priceRange?: string;
       minPrice?: string;
       maxPrice?: string;
-      sortBy?: string;
-      page?: number;
+      lat?: number;
+      lng?: number;
+      radius?: number;
+      sortBy?: string; // newest, price-asc, price-desc, distance (needs lat/lng)
+      cursor?: string; // pagination.nextCursor of the previous page
+      page?: number; // older alternative to cursor
       limit?: number;
     }
   ): Promise<ProductsResponse> => {
@@ -182,16 +301,31 @@ export const productsAPI = {
     return apiResponseSchema.parse(response.data);
   },
 
+  renew: async (productId: string): Promise<ProductResponse> => {
+    const response = await api.post(`/api/products/${productId}/renew`);
+    return productResponseSchema.parse(response.data);
+  },
+
+  bump: async (productId: string): Promise<ProductResponse> => {
+    const response = await api.post(`/api/products/${productId}/bump`);
+    return productResponseSchema.parse(response.data);
+  },
+
   search: async (searchParams: SearchForm): Promise<ProductsResponse> => {
     const response = await api.get('/api/products/search', { params: searchParams });
     return productsResponseSchema.parse(response.data);
   },
 
-  getByCategory: async (category: string, params?: { page?: number; limit?: number }): Promise<ProductsResponse> => {
+  getByCategory: async (category: string, params?: { cursor?: string; page?: number; limit?: number }): Promise<ProductsResponse> => {
     const response = await api.get(`/api/products/category/${category}`, { params });
     return productsResponseSchema.parse(response.data);
   },
 
+  getBySeller: async (userId: string, params?: { cursor?: string; page?: number; limit?: number }): Promise<ProductsResponse> => {
+    const response = await api.get(`/api/users/${userId}/products`, { params });
+    return productsResponseSchema.parse(response.data);
+  },
+
   getUserProducts: async (): Promise<ProductsResponse> => {
     const response = await api.post('/api/products/my-products');
     return productsResponseSchema.parse(response.data);
@@ -208,6 +342,173 @@ export const productsAPI = {
   },
 };
 
+// ==================== MESSAGES API ====================
+
+export const messagesAPI = {
+  getConversations: async (): Promise<ConversationsResponse> => {
+    const response = await api.get('/api/conversations');
+    return conversationsResponseSchema.parse(response.data);
+  },
+
+  startConversation: async (productId: string, text?: string): Promise<ApiResponse> => {
+    const response = await api.post('/api/conversations', { productId, text });
+    return apiResponseSchema.parse(response.data);
+  },
+
+  getMessages: async (conversationId: string, params?: { page?: number; limit?: number }): Promise<MessagesResponse> => {
+    const response = await api.get(`/api/conversations/${conversationId}/messages`, { params });
+    return messagesResponseSchema.parse(response.data);
+  },
+
+  sendMessage: async (conversationId: string, messageData: SendMessageForm): Promise<ApiResponse> => {
+    const response = await api.post(`/api/conversations/${conversationId}/messages`, messageData);
+    return apiResponseSchema.parse(response.data);
+  },
+
+  markRead: async (conversationId: string): Promise<ApiResponse> => {
+    const response = await api.put(`/api/conversations/${conversationId}/read`);
+    return apiResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== REPORTS API ====================
+
+export const reportsAPI = {
+  reportProduct: async (productId: string, reportData: ReportProductForm): Promise<ApiResponse> => {
+    const response = await api.post(`/api/products/${productId}/report`, reportData);
+    return apiResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== NOTIFICATIONS API ====================
+
+export const notificationsAPI = {
+  getAll: async (params?: { page?: number; limit?: number; unread?: boolean }): Promise<NotificationsResponse> => {
+    const response = await api.get('/api/notifications', { params });
+    return notificationsResponseSchema.parse(response.data);
+  },
+
+  getUnreadCount: async (): Promise<UnreadCountResponse> => {
+    const response = await api.get('/api/notifications/unread-count');
+    return unreadCountResponseSchema.parse(response.data);
+  },
+
+  markRead: async (notificationId: string): Promise<ApiResponse> => {
+    const response = await api.put(`/api/notifications/${notificationId}/read`);
+    return apiResponseSchema.parse(response.data);
+  },
+
+  markAllRead: async (): Promise<ApiResponse> => {
+    const response = await api.put('/api/notifications/read-all');
+    return apiResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== REALTIME EVENTS API ====================
+
+export const eventsAPI = {
+  // Single-use ticket for opening the event stream (see getEventStreamUrl)
+  getStreamTicket: async (): Promise<{ ticket: string; expiresIn: number }> => {
+    const response = await api.post('/api/events/ticket');
+    return response.data.data;
+  },
+};
+
+// ==================== SAVED SEARCHES API ====================
+
+export const savedSearchesAPI = {
+  getAll: async (): Promise<SavedSearchesResponse> => {
+    const response = await api.get('/api/saved-searches');
+    return savedSearchesResponseSchema.parse(response.data);
+  },
+
+  create: async (input: SavedSearchInput): Promise<SavedSearchResponse> => {
+    const response = await api.post('/api/saved-searches', input);
+    return savedSearchResponseSchema.parse(response.data);
+  },
+
+  update: async (savedSearchId: string, input: Partial<SavedSearchInput>): Promise<SavedSearchResponse> => {
+    const response = await api.put(`/api/saved-searches/${savedSearchId}`, input);
+    return savedSearchResponseSchema.parse(response.data);
+  },
+
+  remove: async (savedSearchId: string): Promise<ApiResponse> => {
+    const response = await api.delete(`/api/saved-searches/${savedSearchId}`);
+    return apiResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== REVIEWS API ====================
+
+export const reviewsAPI = {
+  getForUser: async (userId: string, params?: { page?: number; limit?: number }): Promise<ReviewsResponse> => {
+    const response = await api.get(`/api/users/${userId}/reviews`, { params });
+    return reviewsResponseSchema.parse(response.data);
+  },
+
+  create: async (reviewData: ReviewForm): Promise<ApiResponse> => {
+    const response = await api.post('/api/reviews', reviewData);
+    return apiResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== PRODUCT IMAGES API ====================
+
+export const productImagesAPI = {
+  add: async (productId: string, files: File[]): Promise<ProductImagesResponse> => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('images', file));
+
+    const response = await api.post(`/api/products/${productId}/images`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return productImagesResponseSchema.parse(response.data);
+  },
+
+  remove: async (productId: string, imageId: string): Promise<ProductImagesResponse> => {
+    const response = await api.delete(`/api/products/${productId}/images/${imageId}`);
+    return productImagesResponseSchema.parse(response.data);
+  },
+
+  reorder: async (productId: string, imageIds: string[]): Promise<ProductImagesResponse> => {
+    const response = await api.put(`/api/products/${productId}/images/order`, { imageIds });
+    return productImagesResponseSchema.parse(response.data);
+  },
+};
+
+// ==================== CART, ORDERS & OFFERS API ====================
+// These return the raw response; callers read response.data.data
+
+export const cartAPI = {
+  get: (): Promise<AxiosResponse> => api.get('/api/cart'),
+  replace: (items: { productId: string }[]): Promise<AxiosResponse> => api.put('/api/cart', { items }),
+  clear: (): Promise<AxiosResponse> => api.delete('/api/cart'),
+  addItem: (productId: string): Promise<AxiosResponse> => api.post('/api/cart/items', { productId }),
+  removeItem: (productId: string): Promise<AxiosResponse> => api.delete(`/api/cart/items/${productId}`),
+};
+
+export const orderAPI = {
+  create: (productIds?: string[]): Promise<AxiosResponse> =>
+    api.post('/api/orders', productIds ? { productIds } : {}),
+  getAll: (params?: { role?: 'buyer' | 'seller'; status?: string }): Promise<AxiosResponse> =>
+    api.get('/api/orders', { params }),
+  getById: (orderId: string): Promise<AxiosResponse> => api.get(`/api/orders/${orderId}`),
+  complete: (orderId: string): Promise<AxiosResponse> => api.post(`/api/orders/${orderId}/complete`),
+  cancel: (orderId: string): Promise<AxiosResponse> => api.post(`/api/orders/${orderId}/cancel`),
+};
+
+export const offerAPI = {
+  make: (productId: string, offerData: { amount: number; message?: string }): Promise<AxiosResponse> =>
+    api.post(`/api/products/${productId}/offers`, offerData),
+  getAll: (params?: { role?: 'buyer' | 'seller'; status?: string; productId?: string }): Promise<AxiosResponse> =>
+    api.get('/api/offers', { params }),
+  withdraw: (offerId: string): Promise<AxiosResponse> => api.post(`/api/offers/${offerId}/withdraw`),
+  accept: (offerId: string): Promise<AxiosResponse> => api.post(`/api/offers/${offerId}/accept`),
+  reject: (offerId: string): Promise<AxiosResponse> => api.post(`/api/offers/${offerId}/reject`),
+  counter: (offerId: string, offerData: { amount: number; message?: string }): Promise<AxiosResponse> =>
+    api.post(`/api/offers/${offerId}/counter`, offerData),
+};
+
 // ==================== LEGACY API SUPPORT ====================
 
 export const legacyAPI = {
@@ -272,4 +573,24 @@ export const getImageUrl = (imagePath: string): string => {
   return `${API_BASE_URL}/${imagePath}`;
 };
 
+/**
+ * URL of a product's primary image at the given size. Products uploaded
+ * before images were resized only have the original, which is used instead.
+ */
+export const getProductImageUrl = (
+  product: { pimage: string; pimageVariants?: ImageVariants },
+  size: keyof ImageVariants = 'card'
+): string => {
+  return getImageUrl(product.pimageVariants?.[size] || product.pimage);
+};
+
+/**
+ * URL of the server's realtime event stream. EventSource can't send an
+ * Authorization header, so a single-use ticket from
+ * eventsAPI.getStreamTicket goes in the query string instead.
+ */
+export const getEventStreamUrl = (ticket: string): string => {
+  return `${API_BASE_URL}/api/events?ticket=${encodeURIComponent(ticket)}`;
+};
+
 export default api;
@@ -64,8 +64,34 @@ export const queryKeys = {
     search: (params: any) => ['products', 'search', params] as const,
     user: ['products', 'user'] as const,
     liked: ['products', 'liked'] as const,
+    seller: (userId: string) => ['products', 'seller', userId] as const,
   },
   
+  // Messaging queries
+  messages: {
+    all: ['messages'] as const,
+    inbox: ['messages', 'inbox'] as const,
+    thread: (conversationId: string, params?: any) => ['messages', 'thread', conversationId, params] as const,
+  },
+  
+  // Notifications
+  notifications: {
+    all: ['notifications'] as const,
+    list: (params?: any) => ['notifications', 'list', params] as const,
+    unreadCount: ['notifications', 'unread-count'] as const,
+  },
+
+  // Saved searches
+  savedSearches: {
+    all: ['saved-searches'] as const,
+  },
+
+  // Seller reviews
+  reviews: {
+    all: ['reviews'] as const,
+    user: (userId: string, params?: any) => ['reviews', 'user', userId, params] as const,
+  },
+
   // Categories
   categories: {
     all: ['categories'] as const,
@@ -65,6 +65,66 @@ export const signupSchema = z.object({
 });
 
 
+/**
+ * Forgot password form validation
+ * - email: where the reset link is sent
+ */
+export const forgotPasswordSchema = z.object({
+  email: z
+    .string()
+    .email('Please provide a valid email address')
+    .toLowerCase(),
+});
+
+
+/**
+ * Reset password form validation
+ * - password: same rules as signup
+ * - confirmPassword: must match password
+ */
+export const resetPasswordSchema = z.object({
+  password: z
+    .string()
+    .min(6, 'Password must be at least 6 characters')
+    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  confirmPassword: z.string(),
+}).refine((data) => data.password === data.confirmPassword, {
+  message: 'Passwords do not match',
+  path: ['confirmPassword'],
+});
+
+
+/**
+ * Change password form validation
+ * - currentPassword: required to confirm it's the account owner
+ * - newPassword: same rules as signup, must differ from the current one
+ * - confirmPassword: must match newPassword
+ */
+export const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required'),
+  newPassword: z
+    .string()
+    .min(6, 'Password must be at least 6 characters')
+    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  confirmPassword: z.string(),
+}).refine((data) => data.newPassword === data.confirmPassword, {
+  message: 'Passwords do not match',
+  path: ['confirmPassword'],
+}).refine((data) => data.currentPassword !== data.newPassword, {
+  message: 'New password must be different from the current password',
+  path: ['newPassword'],
+});
+
+
+/**
+ * Close account form validation
+ * - password: re-entered to confirm
+ */
+export const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Password is required to close your account'),
+});
+
+
 /**
  * Profile update validation
  * - All fields optional (for partial updates)
@@ -98,22 +158,103 @@ export const profileUpdateSchema = z.object({
 // These schemas validate product data for forms and API responses
 
 
+/**
+ * Resized copies of a product image
+ * - thumbnail: small preview, card: listing grid, full: detail page
+ */
+export const imageVariantsSchema = z.object({
+  thumbnail: z.string(),
+  card: z.string(),
+  full: z.string(),
+});
+
+
+/**
+ * Gallery image (additionalImages entry)
+ * - _id: used to remove and reorder it
+ */
+export const galleryImageSchema = imageVariantsSchema.partial().extend({
+  _id: z.string(),
+  full: z.string(),
+});
+
+
 /**
  * Product schema for API responses
  * - Matches backend Product model
  * - Used for type safety in frontend
  */
+/**
+ * Highlighted text from a search hit
+ * - Plain and matched segments, rendered with <mark> around matches
+ */
+export const highlightSchema = z.array(z.object({
+  text: z.string(),
+  match: z.boolean(),
+}));
+
+
+/**
+ * Search metadata attached to products returned by search
+ * - score: text relevance (0 for partial-word matches)
+ * - highlights: product name and description snippet
+ */
+export const searchHitSchema = z.object({
+  score: z.number(),
+  highlights: z.object({
+    pname: highlightSchema,
+    pdesc: highlightSchema,
+  }),
+});
+
+
+/**
+ * Seller as populated on a product: public name and rating only
+ */
+export const productSellerSchema = z.object({
+  _id: z.string(),
+  username: z.string(),
+  rating: z.object({
+    average: z.number(),
+    count: z.number(),
+  }).optional(),
+});
+
+
 export const productSchema = z.object({
   _id: z.string(),
   pname: z.string(),
   pdesc: z.string(),
   price: z.number(),
+  // Oldest first; only sent with a single product
+  priceHistory: z.array(z.object({
+    price: z.number(),
+    changedAt: z.string(),
+  })).optional(),
+  // Previous price while the latest change was a drop
+  priceDrop: z.object({
+    from: z.number().nullable(),
+    at: z.string().nullable(),
+  }).optional(),
   category: z.enum(['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Vehicles', 'Other']),
   pimage: z.string(),
   pimage2: z.string(),
-  addedBy: z.string(),
+  pimageVariants: imageVariantsSchema.optional(),
+  pimage2Variants: imageVariantsSchema.optional(),
+  additionalImages: z.array(galleryImageSchema).default([]),
+  // Seller id, or the seller when the server populates it
+  addedBy: z.union([z.string(), productSellerSchema]),
   condition: z.enum(['new', 'like-new', 'good', 'fair', 'poor']).optional().default('good'),
-  status: z.enum(['active', 'sold', 'inactive']).default('active'),
+  status: z.enum(['active', 'reserved', 'sold', 'inactive']).default('active'),
+  // Seller's hold while reserved: the buyer it is held for (if any) and until when
+  reservedFor: z.string().nullable().optional(),
+  reservedUntil: z.string().nullable().optional(),
+  // Lifecycle: feed position, expiry and the seller's last renewal / bump
+  listedAt: z.string().optional(),
+  expiresAt: z.string().nullable().optional(),
+  expiredAt: z.string().nullable().optional(),
+  renewedAt: z.string().nullable().optional(),
+  bumpedAt: z.string().nullable().optional(),
   likesCount: z.number().default(0),
   viewsCount: z.number().default(0),
   pLoc: z.object({
@@ -122,6 +263,8 @@ export const productSchema = z.object({
   }),
   createdAt: z.string(),
   updatedAt: z.string(),
+  search: searchHitSchema.optional(),
+  distance: z.number().optional(), // km, when listed by location
 });
 
 
@@ -159,16 +302,22 @@ export const addProductSchema = z.object({
   pimage2: z
     .any()
     .optional(), // Optional second image
+  additionalImages: z
+    .any()
+    .optional(), // Optional gallery photos
 });
 
 
 /**
  * Update product form validation
  * - All fields optional (for partial updates)
- * - status: can be changed (active/sold/inactive)
+ * - status: can be changed (active/reserved/sold/inactive)
+ * - reservedFor/reservedUntil: the hold placed with the reserved status
  */
 export const updateProductSchema = addProductSchema.partial().extend({
-  status: z.enum(['active', 'sold', 'inactive']).optional(),
+  status: z.enum(['active', 'reserved', 'sold', 'inactive']).optional(),
+  reservedFor: z.string().nullable().optional(),
+  reservedUntil: z.string().optional(),
 });
 
 
@@ -192,6 +341,12 @@ export const userSchema = z.object({
     avatar: z.string().optional(),
     bio: z.string().optional(),
   }).optional(),
+  rating: z.object({
+    average: z.number(),
+    count: z.number(),
+  }).optional(),
+  role: z.enum(['user', 'moderator', 'admin']).default('user'),
+  emailVerified: z.boolean().default(false),
   isActive: z.boolean().default(true),
   likedProducts: z.array(z.string()).default([]),
   createdAt: z.string(),
@@ -199,6 +354,19 @@ export const userSchema = z.object({
 });
 
 
+/**
+ * Public profile of another user (GET /api/auth/user/:userId);
+ * contact details stay private
+ */
+export const publicUserSchema = userSchema.pick({
+  _id: true,
+  username: true,
+  profile: true,
+  rating: true,
+  createdAt: true,
+});
+
+
 // ==================== API RESPONSE SCHEMAS ====================
 // These schemas validate the structure of API responses from the backend
 
@@ -219,15 +387,47 @@ export const apiResponseSchema = z.object({
  * Products list response schema
  * - Used for paginated product lists
  */
+/**
+ * Filter counts returned next to product lists and search results
+ * - Each facet's counts ignore that facet's own selection
+ * - price: histogram buckets [min, max); max is null for the last bucket
+ * - distance: "within N km" bands, only when a location was sent
+ */
+export const facetCountSchema = z.object({
+  value: z.string(),
+  count: z.number(),
+});
+
+export const facetsSchema = z.object({
+  categories: z.array(facetCountSchema),
+  conditions: z.array(facetCountSchema),
+  price: z.array(z.object({
+    min: z.number(),
+    max: z.number().nullable(),
+    count: z.number(),
+  })),
+  distance: z.array(z.object({
+    maxDistance: z.number(),
+    count: z.number(),
+  })),
+  total: z.number(),
+});
+
+
 export const productsResponseSchema = apiResponseSchema.extend({
   data: z.object({
     products: z.array(productSchema),
+    facets: facetsSchema.optional(),
+    // nextCursor continues the list; page-number fields only come back
+    // for requests without a cursor
     pagination: z.object({
-      currentPage: z.number(),
-      totalPages: z.number(),
-      totalProducts: z.number(),
+      limit: z.number().optional(),
+      nextCursor: z.string().nullable().optional(),
       hasNext: z.boolean(),
-      hasPrev: z.boolean(),
+      totalProducts: z.number().optional(),
+      currentPage: z.number().optional(),
+      totalPages: z.number().optional(),
+      hasPrev: z.boolean().optional(),
     }).optional(),
   }),
 });
@@ -251,6 +451,7 @@ export const authResponseSchema = apiResponseSchema.extend({
   data: z.object({
     user: userSchema,
     token: z.string(),
+    refreshToken: z.string(),
   }),
 });
 
@@ -263,32 +464,378 @@ export const authResponseSchema = apiResponseSchema.extend({
  * Product search query validation
  * - search: text term
  * - loc: latitude,longitude string
- * - category: optional filter
+ * - category / condition: optional comma-separated filters
+ * - priceRange: optional price buckets, e.g. "0-1000,100000-"
+ * - minPrice / maxPrice: optional custom price range
  * - maxDistance: optional filter (km)
  */
 export const searchSchema = z.object({
   search: z.string().min(1, 'Search term is required').max(100, 'Search term too long'),
   loc: z.string().regex(/^-?\d+\.?\d*,-?\d+\.?\d*$/, 'Invalid location format'),
-  category: z.enum(['Electronics', 'Clothing', 'Books', 'Home & Garden', 'Sports', 'Vehicles', 'Other']).optional(),
+  category: z.string().optional(),
+  condition: z.string().optional(),
+  priceRange: z.string().optional(),
+  minPrice: z.number().min(0).optional(),
+  maxPrice: z.number().min(0).optional(),
   maxDistance: z.number().min(1).max(1000).optional(),
 });
 
 
+// ==================== SAVED SEARCH SCHEMAS ====================
+// These schemas validate saved searches and their alerts
+
+
+/**
+ * Saved search input (create/update)
+ * - Same filters as the product list and search
+ * - location + radius: only listings within radius km match
+ * - alertsEnabled: notify about new matching listings
+ */
+export const savedSearchInputSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(100, 'Name cannot exceed 100 characters'),
+  search: z.string().max(100).nullable().optional(),
+  categories: z.array(z.string()).optional(),
+  conditions: z.array(z.string()).optional(),
+  priceRanges: z.array(z.object({
+    min: z.number(),
+    max: z.number().nullable(),
+  })).optional(),
+  minPrice: z.number().min(0).nullable().optional(),
+  maxPrice: z.number().min(0).nullable().optional(),
+  location: z.object({
+    lat: z.number(),
+    lng: z.number(),
+  }).nullable().optional(),
+  radius: z.number().min(1).max(1000).nullable().optional(),
+  alertsEnabled: z.boolean().optional(),
+});
+
+
+/**
+ * Saved search as returned by the API (location is GeoJSON)
+ */
+export const savedSearchSchema = z.object({
+  _id: z.string(),
+  name: z.string(),
+  search: z.string().nullable().optional(),
+  categories: z.array(z.string()).default([]),
+  conditions: z.array(z.string()).default([]),
+  priceRanges: z.array(z.object({
+    min: z.number(),
+    max: z.number().nullable(),
+  })).default([]),
+  minPrice: z.number().nullable().optional(),
+  maxPrice: z.number().nullable().optional(),
+  location: z.object({
+    type: z.literal('Point').optional(),
+    coordinates: z.array(z.number()).optional(),
+  }).nullable().optional(),
+  radius: z.number().nullable().optional(),
+  alertsEnabled: z.boolean(),
+  lastMatchedAt: z.string().optional(),
+  createdAt: z.string(),
+});
+
+
+export const savedSearchResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    savedSearch: savedSearchSchema,
+  }),
+});
+
+
+export const savedSearchesResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    savedSearches: z.array(savedSearchSchema),
+  }),
+});
+
+
+// ==================== NOTIFICATION SCHEMAS ====================
+// These schemas validate the in-app notification center
+
+
+/**
+ * Notification schema
+ * - link: app path opened when the notification is clicked
+ * - readAt: null while unread
+ */
+export const notificationSchema = z.object({
+  _id: z.string(),
+  type: z.enum(['product-liked', 'new-message', 'listing-moderated', 'listing-expired', 'saved-search-match', 'price-drop', 'new-offer', 'offer-update']),
+  message: z.string(),
+  link: z.string().optional(),
+  actor: z.object({
+    _id: z.string(),
+    username: z.string(),
+  }).nullable().optional(),
+  product: z.string().optional(),
+  conversation: z.string().optional(),
+  readAt: z.string().nullable(),
+  createdAt: z.string(),
+});
+
+
+/**
+ * Paginated notifications response schema
+ */
+export const notificationsResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    notifications: z.array(notificationSchema),
+    unreadCount: z.number(),
+    pagination: z.object({
+      currentPage: z.number(),
+      totalPages: z.number(),
+      total: z.number(),
+      hasNext: z.boolean(),
+      hasPrev: z.boolean(),
+    }),
+  }),
+});
+
+
+export const unreadCountResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    unreadCount: z.number(),
+  }),
+});
+
+
+// ==================== REVIEW SCHEMAS ====================
+// These schemas validate seller ratings and reviews
+
+
+/**
+ * Seller rating summary kept on the user
+ * - average: 0 when there are no reviews
+ */
+export const sellerRatingSchema = z.object({
+  average: z.number(),
+  count: z.number(),
+});
+
+
+export const reviewSchema = z.object({
+  _id: z.string(),
+  rating: z.number().int().min(1).max(5),
+  comment: z.string().optional(),
+  reviewer: z.object({
+    _id: z.string(),
+    username: z.string(),
+  }).nullable(),
+  product: z.object({
+    _id: z.string(),
+    pname: z.string(),
+  }).nullable(),
+  createdAt: z.string(),
+});
+
+
+/**
+ * Review form validation
+ * - rating: 1 to 5 stars
+ * - comment: optional, up to 1000 characters
+ */
+export const reviewFormSchema = z.object({
+  productId: z.string(),
+  rating: z.number().int().min(1, 'Please choose a rating').max(5),
+  comment: z.string().max(1000, 'Comment cannot exceed 1000 characters').optional(),
+});
+
+
+/**
+ * Paginated reviews of a seller, with their rating summary
+ */
+export const reviewsResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    reviews: z.array(reviewSchema),
+    rating: sellerRatingSchema,
+    pagination: z.object({
+      currentPage: z.number(),
+      totalPages: z.number(),
+      total: z.number(),
+      hasNext: z.boolean(),
+      hasPrev: z.boolean(),
+    }),
+  }),
+});
+
+
+// ==================== MESSAGING SCHEMAS ====================
+// These schemas validate buyer–seller conversations and messages
+
+
+/**
+ * Send message form validation
+ * - text: 1-1000 characters
+ */
+export const sendMessageSchema = z.object({
+  text: z
+    .string()
+    .trim()
+    .min(1, 'Message cannot be empty')
+    .max(1000, 'Message cannot exceed 1000 characters'),
+});
+
+
+/**
+ * Message schema for API responses
+ * - sender is populated with the username
+ * - readAt is null until the recipient opens the thread
+ */
+export const messageSchema = z.object({
+  _id: z.string(),
+  conversation: z.string(),
+  sender: z.object({
+    _id: z.string(),
+    username: z.string(),
+  }),
+  text: z.string(),
+  readAt: z.string().nullable(),
+  createdAt: z.string(),
+});
+
+
+/**
+ * Conversation schema for API responses
+ * - product, buyer and seller are populated summaries
+ * - role/unreadCount are relative to the current user (inbox only)
+ */
+export const conversationSchema = z.object({
+  _id: z.string(),
+  product: z.object({
+    _id: z.string(),
+    pname: z.string(),
+    pimage: z.string(),
+    pimageVariants: imageVariantsSchema.optional(),
+    price: z.number(),
+    status: z.string(),
+  }).nullable(),
+  buyer: z.object({ _id: z.string(), username: z.string() }),
+  seller: z.object({ _id: z.string(), username: z.string() }),
+  lastMessage: z.object({
+    text: z.string(),
+    sender: z.string(),
+    createdAt: z.string(),
+  }).optional(),
+  lastMessageAt: z.string(),
+  role: z.enum(['buyer', 'seller']).optional(),
+  unreadCount: z.number().optional(),
+});
+
+
+/**
+ * Inbox response schema
+ */
+export const conversationsResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    conversations: z.array(conversationSchema),
+    totalUnread: z.number(),
+  }),
+});
+
+
+/**
+ * Paginated thread response schema
+ */
+export const messagesResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    messages: z.array(messageSchema),
+    pagination: z.object({
+      currentPage: z.number(),
+      totalPages: z.number(),
+      totalMessages: z.number(),
+      hasNext: z.boolean(),
+      hasPrev: z.boolean(),
+    }),
+  }),
+});
+
+
+// ==================== REPORT SCHEMAS ====================
+// These schemas validate listing reports sent to moderators
+
+
+/**
+ * Reason codes a buyer can choose when reporting a listing
+ */
+export const REPORT_REASONS = [
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'prohibited', label: 'Prohibited item' },
+  { value: 'counterfeit', label: 'Counterfeit item' },
+  { value: 'offensive', label: 'Offensive content' },
+  { value: 'duplicate', label: 'Duplicate listing' },
+  { value: 'wrong-category', label: 'Wrong category' },
+  { value: 'other', label: 'Other' },
+] as const;
+
+
+/**
+ * Report listing form validation
+ * - reason: one of REPORT_REASONS
+ * - details: optional, up to 500 characters
+ */
+export const reportProductSchema = z.object({
+  reason: z.enum(['scam', 'prohibited', 'counterfeit', 'offensive', 'duplicate', 'wrong-category', 'other']),
+  details: z.string().max(500, 'Details cannot exceed 500 characters').optional(),
+});
+
+
+/**
+ * Product gallery response schema
+ * - Returned by the add/remove/reorder image endpoints
+ */
+export const productImagesResponseSchema = apiResponseSchema.extend({
+  data: z.object({
+    images: z.array(galleryImageSchema),
+  }),
+});
+
+
 // ==================== TYPE EXPORTS ====================
 // These types are inferred from schemas for use in TypeScript code
 
 export type LoginForm = z.infer<typeof loginSchema>;
 export type SignupForm = z.infer<typeof signupSchema>;
+export type ForgotPasswordForm = z.infer<typeof forgotPasswordSchema>;
+export type ResetPasswordForm = z.infer<typeof resetPasswordSchema>;
+export type ChangePasswordForm = z.infer<typeof changePasswordSchema>;
+export type DeleteAccountForm = z.infer<typeof deleteAccountSchema>;
 export type ProfileUpdateForm = z.infer<typeof profileUpdateSchema>;
 export type Product = z.infer<typeof productSchema>;
+export type ImageVariants = z.infer<typeof imageVariantsSchema>;
+export type GalleryImage = z.infer<typeof galleryImageSchema>;
+export type ProductImagesResponse = z.infer<typeof productImagesResponseSchema>;
 export type AddProductForm = z.infer<typeof addProductSchema> & {
   pimage: FileList;
   pimage2?: FileList;
+  additionalImages?: FileList;
 };
 export type UpdateProductForm = z.infer<typeof updateProductSchema>;
 export type User = z.infer<typeof userSchema>;
+export type PublicUser = z.infer<typeof publicUserSchema>;
 export type ApiResponse = z.infer<typeof apiResponseSchema>;
 export type ProductsResponse = z.infer<typeof productsResponseSchema>;
+export type Facets = z.infer<typeof facetsSchema>;
 export type ProductResponse = z.infer<typeof productResponseSchema>;
 export type AuthResponse = z.infer<typeof authResponseSchema>;
 export type SearchForm = z.infer<typeof searchSchema>;
+export type Highlight = z.infer<typeof highlightSchema>;
+export type SearchHit = z.infer<typeof searchHitSchema>;
+export type SendMessageForm = z.infer<typeof sendMessageSchema>;
+export type Message = z.infer<typeof messageSchema>;
+export type Conversation = z.infer<typeof conversationSchema>;
+export type ConversationsResponse = z.infer<typeof conversationsResponseSchema>;
+export type MessagesResponse = z.infer<typeof messagesResponseSchema>;
+export type ReportProductForm = z.infer<typeof reportProductSchema>;
+export type SavedSearchInput = z.infer<typeof savedSearchInputSchema>;
+export type SavedSearch = z.infer<typeof savedSearchSchema>;
+export type SavedSearchResponse = z.infer<typeof savedSearchResponseSchema>;
+export type SavedSearchesResponse = z.infer<typeof savedSearchesResponseSchema>;
+export type Notification = z.infer<typeof notificationSchema>;
+export type NotificationsResponse = z.infer<typeof notificationsResponseSchema>;
+export type UnreadCountResponse = z.infer<typeof unreadCountResponseSchema>;
+export type SellerRating = z.infer<typeof sellerRatingSchema>;
+export type Review = z.infer<typeof reviewSchema>;
+export type ReviewForm = z.infer<typeof reviewFormSchema>;
+export type ReviewsResponse = z.infer<typeof reviewsResponseSchema>;
@@ -1,54 +0,0 @@
-import { create } from 'zustand';
-import { persist } from 'zustand/middleware';
-
-const useAuthStore = create(
-  persist(
-    (set, get) => ({
-      user: null,
-      token: null,
-      isAuthenticated: false,
-      isLoading: false,
-      
-      // Actions
-      setUser: (user) => set({ user, isAuthenticated: !!user }),
-      setToken: (token) => set({ token }),
-      setLoading: (isLoading) => set({ isLoading }),
-      
-      login: (user, token) => {
-        set({ 
-          user, 
-          token, 
-          isAuthenticated: true,
-          isLoading: false 
-        });
-      },
-      
-      logout: () => {
-        set({ 
-          user: null, 
-          token: null, 
-          isAuthenticated: false,
-          isLoading: false 
-        });
-      },
-      
-      updateUser: (updatedUser) => {
-        const currentUser = get().user;
-        if (currentUser) {
-          set({ user: { ...currentUser, ...updatedUser } });
-        }
-      },
-    }),
-    {
-      name: 'auth-storage',
-      partialize: (state) => ({ 
-        user: state.user, 
-        token: state.token, 
-        isAuthenticated: state.isAuthenticated 
-      }),
-    }
-  )
-);
-
-export default useAuthStore;
-
@@ -3,19 +3,21 @@
  * 
  * This store manages:
  * - User authentication state
- * - JWT token management
+ * - JWT access/refresh token management
  * - Persistent storage
  * - Login/logout actions
  */
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { useShallow } from 'zustand/react/shallow';
 import { User } from '../lib/validations';
 
 interface AuthState {
   // State
   user: User | null;
   token: string | null;
+  refreshToken: string | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
@@ -23,11 +25,12 @@ interface AuthState {
   // Actions
   setUser: (user: User | null) => void;
   setToken: (token: string | null) => void;
+  setTokens: (token: string | null, refreshToken: string | null) => void;
   setLoading: (isLoading: boolean) => void;
   setError: (error: string | null) => void;
   
   // Auth actions
-  login: (user: User, token: string) => void;
+  login: (user: User, token: string, refreshToken?: string | null) => void;
   logout: () => void;
   updateUser: (updatedUser: Partial<User>) => void;
   
@@ -39,6 +42,7 @@ interface AuthState {
 const initialState = {
   user: null,
   token: null,
+  refreshToken: null,
   isAuthenticated: false,
   isLoading: false,
   error: null,
@@ -57,15 +61,18 @@ export const useAuthStore = create<AuthState>()(
 
       setToken: (token) => set({ token }),
 
+      setTokens: (token, refreshToken) => set({ token, refreshToken }),
+
       setLoading: (isLoading) => set({ isLoading }),
 
       setError: (error) => set({ error }),
 
       // Auth actions
-      login: (user, token) => {
+      login: (user, token, refreshToken = null) => {
         set({
           user,
           token,
+          refreshToken,
           isAuthenticated: true,
           isLoading: false,
           error: null,
@@ -76,6 +83,7 @@ export const useAuthStore = create<AuthState>()(
         set({
           user: null,
           token: null,
+          refreshToken: null,
           isAuthenticated: false,
           isLoading: false,
           error: null,
@@ -101,25 +109,30 @@ export const useAuthStore = create<AuthState>()(
       partialize: (state) => ({
         user: state.user,
         token: state.token,
+        refreshToken: state.refreshToken,
         isAuthenticated: state.isAuthenticated,
       }),
     }
   )
 );
 
-// Selectors for better performance
-export const useAuth = () => useAuthStore((state) => ({
+// Selectors for better performance; useShallow keeps the returned object
+// stable between renders while its values are unchanged
+export const useAuth = () => useAuthStore(useShallow((state) => ({
   user: state.user,
   isAuthenticated: state.isAuthenticated,
   isLoading: state.isLoading,
   error: state.error,
-}));
+})));
 
-export const useAuthActions = () => useAuthStore((state) => ({
+export const useAuthActions = () => useAuthStore(useShallow((state) => ({
   login: state.login,
   logout: state.logout,
+  setTokens: state.setTokens,
   updateUser: state.updateUser,
   setLoading: state.setLoading,
   setError: state.setError,
   clearError: state.clearError,
-}));
+})));
+
+export default useAuthStore;
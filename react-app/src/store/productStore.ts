@@ -4,14 +4,17 @@
  * This store manages:
  * - Product listings
  * - Search and filtering
- * - Cart functionality
+ * - Cart functionality, kept in sync with the server cart when logged in
  * - Liked products
  * - UI state
  */
 
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import { useShallow } from 'zustand/react/shallow';
 import { Product } from '../lib/validations';
+import { cartAPI, orderAPI } from '../lib/api';
+import useAuthStore from './authStore';
 
 interface ProductState {
   // State
@@ -50,10 +53,13 @@ interface ProductState {
   setLikedProducts: (productIds: string[]) => void;
   
   // Cart actions
-  addToCart: (product: Product, quantity?: number) => void;
+  addToCart: (product: Product) => void;
   removeFromCart: (productId: string) => void;
   updateCartQuantity: (productId: string, quantity: number) => void;
   clearCart: () => void;
+  getCartTotal: () => number;
+  loadCart: () => Promise<void>;
+  checkout: (productIds?: string[]) => Promise<any>;
   
   // Utility actions
   clearError: () => void;
@@ -64,6 +70,15 @@ interface CartItem extends Product {
   quantity: number;
 }
 
+// Listings are single items, so a cart line never holds more than one
+const MAX_QUANTITY = 1;
+
+const isLoggedIn = () => !!useAuthStore.getState().token;
+
+// Server cart items carry the populated product; flatten them for the store
+const fromServerCart = (cart: { items: { product: Product; quantity: number }[] }): CartItem[] =>
+  cart.items.map(item => ({ ...item.product, quantity: item.quantity }));
+
 const initialState = {
   products: [],
   categories: [],
@@ -132,23 +147,20 @@ export const useProductStore = create<ProductState>()(
 
       setLikedProducts: (productIds) => set({ likedProducts: productIds }),
 
-      // Cart actions
-      addToCart: (product, quantity = 1) => {
+      // Cart actions update the local cart immediately and, when logged in,
+      // mirror the change on the server. A failed sync reloads the server cart.
+      addToCart: (product) => {
         const currentCart = get().cart;
         const existingItem = currentCart.find(item => item._id === product._id);
-        
-        if (existingItem) {
-          set({
-            cart: currentCart.map(item =>
-              item._id === product._id
-                ? { ...item, quantity: item.quantity + quantity }
-                : item
-            )
-          });
-        } else {
-          set({
-            cart: [...currentCart, { ...product, quantity }]
-          });
+
+        if (!existingItem) {
+          set({ cart: [...currentCart, { ...product, quantity: 1 }] });
+        }
+
+        if (isLoggedIn()) {
+          cartAPI.addItem(product._id)
+            .then(res => set({ cart: fromServerCart(res.data.data.cart) }))
+            .catch(() => get().loadCart());
         }
       },
 
@@ -157,25 +169,72 @@ export const useProductStore = create<ProductState>()(
         set({
           cart: currentCart.filter(item => item._id !== productId)
         });
+
+        if (isLoggedIn()) {
+          cartAPI.removeItem(productId)
+            .catch(() => get().loadCart());
+        }
       },
 
       updateCartQuantity: (productId, quantity) => {
-        const currentCart = get().cart;
         if (quantity <= 0) {
           get().removeFromCart(productId);
           return;
         }
-        
+
+        const currentCart = get().cart;
         set({
           cart: currentCart.map(item =>
             item._id === productId
-              ? { ...item, quantity }
+              ? { ...item, quantity: Math.min(quantity, MAX_QUANTITY) }
               : item
           )
         });
       },
 
-      clearCart: () => set({ cart: [] }),
+      clearCart: () => {
+        set({ cart: [] });
+
+        if (isLoggedIn()) {
+          cartAPI.clear()
+            .catch(() => get().loadCart());
+        }
+      },
+
+      getCartTotal: () => {
+        const cart = get().cart;
+        return cart.reduce((total, item) => total + (item.price * item.quantity), 0);
+      },
+
+      // Fetch the server cart, merging in anything added while logged out
+      loadCart: async () => {
+        try {
+          const res = await cartAPI.get();
+          const serverCart = fromServerCart(res.data.data.cart);
+          const localOnly = get().cart.filter(
+            item => !serverCart.some(serverItem => serverItem._id === item._id)
+          );
+
+          if (localOnly.length === 0) {
+            set({ cart: serverCart });
+            return;
+          }
+
+          const merged = await cartAPI.replace(
+            [...serverCart, ...localOnly].map(item => ({ productId: item._id }))
+          );
+          set({ cart: fromServerCart(merged.data.data.cart) });
+        } catch (error) {
+          set({ error: 'Failed to load cart' });
+        }
+      },
+
+      // Place an order for the whole cart (or the given product IDs)
+      checkout: async (productIds) => {
+        const res = await orderAPI.create(productIds);
+        await get().loadCart();
+        return res.data.data.order;
+      },
 
       // Utility actions
       clearError: () => set({ error: null }),
@@ -192,32 +251,36 @@ export const useProductStore = create<ProductState>()(
   )
 );
 
-// Selectors for better performance
-export const useProducts = () => useProductStore((state) => ({
+// Selectors for better performance; useShallow keeps the returned object
+// stable between renders while its values are unchanged
+export const useProducts = () => useProductStore(useShallow((state) => ({
   products: state.products,
   isLoading: state.isLoading,
   error: state.error,
-}));
+})));
 
-export const useCart = () => useProductStore((state) => ({
+export const useCart = () => useProductStore(useShallow((state) => ({
   cart: state.cart,
   cartTotal: state.cart.reduce((total, item) => total + (item.price * item.quantity), 0),
   cartCount: state.cart.reduce((count, item) => count + item.quantity, 0),
-}));
+})));
 
-export const useLikedProducts = () => useProductStore((state) => ({
-  likedProducts: state.likedProducts,
-  isLiked: (productId: string) => state.likedProducts.includes(productId),
-}));
+export const useLikedProducts = () => {
+  const likedProducts = useProductStore((state) => state.likedProducts);
+  return {
+    likedProducts,
+    isLiked: (productId: string) => likedProducts.includes(productId),
+  };
+};
 
-export const useSearch = () => useProductStore((state) => ({
+export const useSearch = () => useProductStore(useShallow((state) => ({
   searchResults: state.searchResults,
   isSearching: state.isSearching,
   searchTerm: state.searchTerm,
   selectedCategory: state.selectedCategory,
-}));
+})));
 
-export const useProductActions = () => useProductStore((state) => ({
+export const useProductActions = () => useProductStore(useShallow((state) => ({
   setProducts: state.setProducts,
   setLoading: state.setLoading,
   setError: state.setError,
@@ -234,4 +297,19 @@ export const useProductActions = () => useProductStore((state) => ({
   setSelectedCategory: state.setSelectedCategory,
   setSearchTerm: state.setSearchTerm,
   clearError: state.clearError,
-}));
+})));
+
+// Load the server cart on login and drop the local copy on logout
+useAuthStore.subscribe((state, prevState) => {
+  if (state.token && !prevState.token) {
+    useProductStore.getState().loadCart();
+  } else if (!state.token && prevState.token) {
+    useProductStore.setState({ cart: [] });
+  }
+});
+
+if (isLoggedIn()) {
+  useProductStore.getState().loadCart();
+}
+
+export default useProductStore;